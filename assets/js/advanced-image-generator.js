@@ -8,7 +8,6 @@ class AdvancedImageGenerator {
         this.canvas = null;
         this.fabricCanvas = null;
         this.isGenerating = false;
-        this.templates = {};
         this.fonts = [
             'Arial', 'Helvetica', 'Georgia', 'Times New Roman',
             'sans-serif', 'serif', 'monospace'
@@ -29,9 +28,6 @@ class AdvancedImageGenerator {
             // 创建画布
             this.createCanvas();
             
-            // 初始化模板
-            this.initializeTemplates();
-            
             DEBUG.log('高级图片生成器初始化完成');
         } catch (error) {
             DEBUG.error('高级图片生成器初始化失败:', error);
@@ -97,204 +93,38 @@ class AdvancedImageGenerator {
     }
 
     /**
-     * 初始化模板
+     * 将主题令牌转换为 Fabric 渲染配置
      */
-    initializeTemplates() {
-        this.templates = {
-            'xiaohongshu-lifestyle': {
-                name: '小红书生活风',
-                backgroundColor: '#fff5f5',
-                primaryColor: '#ff6b6b',
-                secondaryColor: '#4ecdc4',
-                accentColor: '#45b7d1',
-                textColor: '#2c3e50',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 40,
-                titleSize: 32,
-                bodySize: 18,
-                spacing: 20
-            },
-            'xiaohongshu-fashion': {
-                name: '小红书时尚风',
-                backgroundColor: '#f8f9fa',
-                primaryColor: '#e91e63',
-                secondaryColor: '#9c27b0',
-                accentColor: '#673ab7',
-                textColor: '#212529',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 35,
-                titleSize: 28,
-                bodySize: 16,
-                spacing: 18
-            },
-            'xiaohongshu-food': {
-                name: '小红书美食风',
-                backgroundColor: '#fff8e1',
-                primaryColor: '#ff9800',
-                secondaryColor: '#ff5722',
-                accentColor: '#ffc107',
-                textColor: '#3e2723',
-                fontFamily: 'Georgia, serif',
-                layout: 'vertical',
-                padding: 45,
-                titleSize: 30,
-                bodySize: 17,
-                spacing: 22
-            },
-            'xiaohongshu-tech': {
-                name: '小红书科技风',
-                backgroundColor: '#f5f5f5',
-                primaryColor: '#2196f3',
-                secondaryColor: '#00bcd4',
-                accentColor: '#009688',
-                textColor: '#263238',
-                fontFamily: 'Helvetica, Arial, sans-serif',
-                layout: 'vertical',
-                padding: 30,
-                titleSize: 26,
-                bodySize: 15,
-                spacing: 16
-            },
-            'xiaohongshu-knowledge': {
-                name: '小红书知识风',
-                backgroundColor: '#eef6ff',
-                primaryColor: '#2563eb',
-                secondaryColor: '#3b82f6',
-                accentColor: '#60a5fa',
-                textColor: '#1e293b',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 36,
-                titleSize: 30,
-                bodySize: 16,
-                spacing: 18
-            },
-            'xiaohongshu-travel': {
-                name: '小红书旅行风',
-                backgroundColor: '#ecfeff',
-                primaryColor: '#0891b2',
-                secondaryColor: '#06b6d4',
-                accentColor: '#22d3ee',
-                textColor: '#164e63',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 38,
-                titleSize: 30,
-                bodySize: 16,
-                spacing: 20
-            },
-            'xiaohongshu-product': {
-                name: '小红书种草风',
-                backgroundColor: '#fff7ed',
-                primaryColor: '#ea580c',
-                secondaryColor: '#fb923c',
-                accentColor: '#fdba74',
-                textColor: '#7c2d12',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 38,
-                titleSize: 30,
-                bodySize: 16,
-                spacing: 19
-            },
-            'xiaohongshu-fitness': {
-                name: '小红书健身风',
-                backgroundColor: '#ecfdf5',
-                primaryColor: '#059669',
-                secondaryColor: '#10b981',
-                accentColor: '#34d399',
-                textColor: '#064e3b',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 34,
-                titleSize: 30,
-                bodySize: 16,
-                spacing: 18
-            },
-            'xiaohongshu-minimalist': {
-                name: '小红书极简风',
-                backgroundColor: '#f8fafc',
-                primaryColor: '#334155',
-                secondaryColor: '#64748b',
-                accentColor: '#94a3b8',
-                textColor: '#0f172a',
-                fontFamily: 'Helvetica, Arial, sans-serif',
-                layout: 'vertical',
-                padding: 42,
-                titleSize: 28,
-                bodySize: 15,
-                spacing: 20
-            },
-            'xiaohongshu-tech-premium': {
-                name: '技术精美卡片',
-                backgroundColor: '#f5f3ff',
-                primaryColor: '#7c3aed',
-                secondaryColor: '#6366f1',
-                accentColor: '#a78bfa',
-                textColor: '#312e81',
-                fontFamily: 'Helvetica, Arial, sans-serif',
-                layout: 'vertical',
-                padding: 32,
-                titleSize: 30,
-                bodySize: 15,
-                spacing: 17
-            },
-            'xiaohongshu-data-showcase': {
-                name: '数据展示卡片',
-                backgroundColor: '#eef2ff',
-                primaryColor: '#4f46e5',
-                secondaryColor: '#6366f1',
-                accentColor: '#818cf8',
-                textColor: '#1e1b4b',
-                fontFamily: 'Helvetica, Arial, sans-serif',
-                layout: 'vertical',
-                padding: 32,
-                titleSize: 29,
-                bodySize: 15,
-                spacing: 17
-            },
-            'xiaohongshu-tutorial-card': {
-                name: '教程攻略卡片',
-                backgroundColor: '#f0fdfa',
-                primaryColor: '#0f766e',
-                secondaryColor: '#14b8a6',
-                accentColor: '#2dd4bf',
-                textColor: '#134e4a',
-                fontFamily: 'Arial, sans-serif',
-                layout: 'vertical',
-                padding: 36,
-                titleSize: 30,
-                bodySize: 16,
-                spacing: 18
-            }
+    createConfigFromTheme(theme) {
+        const { palette, typeScale, spacing } = theme;
+        return {
+            name: theme.name,
+            themeId: theme.id,
+            backgroundColor: palette.background,
+            primaryColor: palette.primary,
+            secondaryColor: palette.secondary,
+            accentColor: palette.accent,
+            textColor: palette.text,
+            fontFamily: window.themeManager.getFont(theme, 'body'),
+            titleFontFamily: window.themeManager.getFont(theme, 'display'),
+            layout: 'vertical',
+            padding: spacing.page,
+            titleSize: typeScale.title,
+            bodySize: typeScale.body,
+            fontBounds: { min: typeScale.bodyMin, max: typeScale.bodyMax },
+            spacing: spacing.gap,
+            radii: theme.radii,
+            decorations: theme.decorations,
+            imageSlot: theme.slots?.image || null
         };
     }
 
     /**
-     * 获取模板配置（优先使用精确ID，其次按类别回退）
+     * 获取模板配置（由主题管理器按模板ID / 分类解析主题，并叠加品牌套件）
      */
-    getTemplateConfig(template) {
-        const templateId = template?.id;
-        if (templateId && this.templates[templateId]) {
-            return this.templates[templateId];
-        }
-
-        const categoryFallback = {
-            lifestyle: 'xiaohongshu-lifestyle',
-            education: 'xiaohongshu-knowledge',
-            fashion: 'xiaohongshu-fashion',
-            food: 'xiaohongshu-food',
-            travel: 'xiaohongshu-travel',
-            shopping: 'xiaohongshu-product',
-            fitness: 'xiaohongshu-fitness',
-            minimalist: 'xiaohongshu-minimalist',
-            technology: 'xiaohongshu-tech-premium'
-        };
-
-        const fallbackId = categoryFallback[template?.category] || 'xiaohongshu-lifestyle';
-        return this.templates[fallbackId] || this.templates['xiaohongshu-lifestyle'];
+    getTemplateConfig(template, brandKit = null) {
+        const theme = window.themeManager.resolve(template);
+        return this.createConfigFromTheme(window.themeManager.applyBrandKit(theme, brandKit));
     }
 
     /**
@@ -307,9 +137,10 @@ class AdvancedImageGenerator {
 
         try {
             this.isGenerating = true;
+            this.lastFit = null;
             
             // 获取模板配置
-            const templateConfig = this.getTemplateConfig(template);
+            const templateConfig = this.getTemplateConfig(template, options.brandKit);
             
             // 设置画布尺寸
             this.setCanvasSize(options.aspectRatio || '9:16');
@@ -319,18 +150,39 @@ class AdvancedImageGenerator {
             
             // 设置背景
             await this.setBackground(templateConfig, options);
+
+            // 用户照片：本页的全幅背景与图片位
+            const photos = window.photoLayer
+                ? window.photoLayer.forPage(options.photos, options.page)
+                : { background: null, slot: null };
+            if (photos.background) {
+                await this.addPhotoBackground(photos.background, templateConfig);
+            }
+            const slotLayout = photos.slot
+                ? window.photoLayer.getSlotLayout(templateConfig.imageSlot, this.fabricCanvas.width, this.fabricCanvas.height)
+                : null;
+            if (slotLayout) {
+                await this.addPhotoSlot(photos.slot, slotLayout, templateConfig);
+            }
             
             // 分析内容并布局
             const layout = this.analyzeContentLayout(content, templateConfig);
             
-            // 渲染内容
-            await this.renderContent(layout, templateConfig, options);
+            // 渲染内容（有图片位时只排在其余区域）
+            await this.renderContent(layout, templateConfig, { ...options, contentArea: this.getContentArea(slotLayout) });
             
             // 添加装饰元素
             await this.addDecorations(templateConfig, options);
+
+            // 轮播页码
+            if (options.page?.totalPages > 1) {
+                this.addPageIndicator(options.page, templateConfig);
+            }
             
-            // 添加水印
-            if (options.addWatermark !== false) {
+            // 添加水印（启用品牌套件时使用品牌水印）
+            if (options.brandKit) {
+                await this.addBrandWatermark(options.brandKit, templateConfig);
+            } else if (options.addWatermark !== false) {
                 await this.addWatermark(templateConfig);
             }
             
@@ -339,6 +191,7 @@ class AdvancedImageGenerator {
 
             // 导出图片
             const imageData = await this.exportImage(options.format || 'png', options.quality || 'high');
+            imageData.fit = this.lastFit;
             
             return imageData;
             
@@ -450,6 +303,111 @@ class AdvancedImageGenerator {
         }
     }
 
+    /**
+     * 照片对象：按 2 倍像素渲染裁切后的照片，保证超高质量导出时依然清晰
+     */
+    async createPhotoImage(photo, box) {
+        const pixelRatio = 2;
+        const source = await window.photoLayer.renderToCanvas(
+            photo, box.width * pixelRatio, box.height * pixelRatio, this.fabricCanvas.width * pixelRatio
+        );
+        return new fabric.Image(source, {
+            left: box.x,
+            top: box.y,
+            scaleX: box.width / source.width,
+            scaleY: box.height / source.height,
+            selectable: false,
+            clipPath: box.radius ? new fabric.Rect({
+                left: box.x,
+                top: box.y,
+                width: box.width,
+                height: box.height,
+                rx: box.radius,
+                ry: box.radius,
+                absolutePositioned: true
+            }) : undefined
+        });
+    }
+
+    /**
+     * 全幅照片背景：裁切 + 模糊后铺满画布，再叠一层模板底色遮罩保证正文可读
+     */
+    async addPhotoBackground(photo, templateConfig) {
+        const width = this.fabricCanvas.width;
+        const height = this.fabricCanvas.height;
+        try {
+            this.fabricCanvas.add(await this.createPhotoImage(photo, { x: 0, y: 0, width, height }));
+        } catch (error) {
+            DEBUG.warn('背景照片绘制失败:', error);
+            return;
+        }
+
+        if (photo.dim > 0) {
+            this.fabricCanvas.add(new fabric.Rect({
+                left: 0,
+                top: 0,
+                width,
+                height,
+                fill: templateConfig.backgroundColor,
+                opacity: photo.dim,
+                selectable: false
+            }));
+        }
+    }
+
+    /**
+     * 图片位：圆角卡片 / 拍立得白边 / 通栏照片
+     */
+    async addPhotoSlot(photo, layout, templateConfig) {
+        const { outer, image } = layout;
+        let photoImage = null;
+        try {
+            photoImage = await this.createPhotoImage(photo, image);
+        } catch (error) {
+            DEBUG.warn('图片位照片绘制失败:', error);
+            return;
+        }
+
+        if (layout.frame !== 'plain') {
+            this.fabricCanvas.add(new fabric.Rect({
+                left: outer.x,
+                top: outer.y,
+                width: outer.width,
+                height: outer.height,
+                rx: outer.radius,
+                ry: outer.radius,
+                fill: layout.frame === 'polaroid' ? '#FFFFFF' : templateConfig.backgroundColor,
+                shadow: new fabric.Shadow({ color: 'rgba(15, 23, 42, 0.16)', blur: 18, offsetY: 8 }),
+                selectable: false
+            }));
+        }
+        this.fabricCanvas.add(photoImage);
+
+        if (photo.dim > 0) {
+            this.fabricCanvas.add(new fabric.Rect({
+                left: image.x,
+                top: image.y,
+                width: image.width,
+                height: image.height,
+                rx: image.radius,
+                ry: image.radius,
+                fill: templateConfig.backgroundColor,
+                opacity: photo.dim,
+                selectable: false
+            }));
+        }
+    }
+
+    /**
+     * 正文排版区域（纵向范围，不含模板内边距）：有图片位时为图片位以外的部分
+     */
+    getContentArea(slotLayout) {
+        if (!slotLayout) {
+            return { top: 0, bottom: this.fabricCanvas.height };
+        }
+        return { top: slotLayout.contentOffset, bottom: slotLayout.contentOffset + slotLayout.contentHeight };
+    }
+
     /**
      * 添加背景纹理图案
      */
@@ -502,7 +460,8 @@ class AdvancedImageGenerator {
      * 分析内容布局
      */
     analyzeContentLayout(content, templateConfig) {
-        const lines = content.split('\n').filter(line => line.trim());
+        const parser = window.markdownParser;
+        const blocks = parser.parse(content).children.filter(block => block.type !== 'thematicBreak');
         const layout = {
             title: '',
             sections: [],
@@ -510,37 +469,66 @@ class AdvancedImageGenerator {
             layoutStrategy: 'auto'
         };
 
-        // 提取标题（第一行或最显眼的内容）
-        if (lines.length > 0) {
-            layout.title = lines[0].length > 50 ? lines[0].substring(0, 50) + '...' : lines[0];
+        // 提取标题（开头的 Markdown 标题，否则取第一行）
+        let skipFirstLine = false;
+        if (blocks.length > 0) {
+            const first = blocks[0];
+            const title = first.type === 'heading'
+                ? parser.toPlainText(first.children)
+                : parser.toPlainText(first).split('\n')[0];
+            layout.title = title.length > 50 ? title.substring(0, 50) + '...' : title;
+
+            if (first.type === 'heading') {
+                blocks.shift();
+            } else {
+                skipFirstLine = first.type === 'paragraph';
+            }
         }
 
-        // 分析段落
-        let currentSection = '';
-        lines.slice(1).forEach(line => {
-            if (line.trim().length === 0) return;
-
-            // 检查是否是新段落的开始
-            if (this.isNewSection(line)) {
-                if (currentSection.trim()) {
-                    layout.sections.push({
-                        type: 'paragraph',
-                        content: currentSection.trim()
-                    });
+        // 分析段落：每个块（列表按顶层条目）生成一段，行内格式转为 Fabric 字符样式
+        blocks.forEach((block, index) => {
+            switch (block.type) {
+                case 'paragraph': {
+                    const lines = parser.splitLines(block.children).map(nodes => ({ runs: parser.toRuns(nodes) }));
+                    const kept = index === 0 && skipFirstLine ? lines.slice(1) : lines;
+                    if (kept.length > 0) {
+                        layout.sections.push(this.createLayoutSection('paragraph', kept, templateConfig));
+                    }
+                    break;
                 }
-                currentSection = line;
-            } else {
-                currentSection += (currentSection ? '\n' : '') + line;
+                case 'heading':
+                    layout.sections.push(this.createLayoutSection('heading', [
+                        { runs: parser.toRuns(block.children, { bold: true }) }
+                    ], templateConfig));
+                    break;
+                case 'list':
+                    block.items.forEach(item => {
+                        layout.sections.push(this.createLayoutSection('list', this.getListItemLines(item, 0), templateConfig));
+                    });
+                    break;
+                case 'blockquote':
+                    layout.sections.push(this.createLayoutSection('quote', block.children.flatMap(child => (
+                        child.type === 'paragraph'
+                            ? parser.splitLines(child.children).map(nodes => ({ runs: parser.toRuns(nodes) }))
+                            : parser.toPlainText(child).split('\n').map(text => ({ runs: [{ text }] }))
+                    )), templateConfig));
+                    break;
+                case 'code':
+                    layout.sections.push(this.createLayoutSection('code', block.value.split('\n').map(text => ({
+                        runs: [{ text, code: true }]
+                    })), templateConfig));
+                    break;
+                case 'table':
+                    layout.sections.push(this.createLayoutSection('table', [block.header, ...block.rows].map((row, rowIndex) => ({
+                        runs: row.flatMap((cell, cellIndex) => [
+                            ...(cellIndex > 0 ? [{ text: ' | ' }] : []),
+                            ...parser.toRuns(cell, rowIndex === 0 ? { bold: true } : {})
+                        ])
+                    })), templateConfig));
+                    break;
             }
         });
 
-        if (currentSection.trim()) {
-            layout.sections.push({
-                type: 'paragraph',
-                content: currentSection.trim()
-            });
-        }
-
         // 智能排版分析
         layout.layoutAnalysis = this.analyzeLayoutRequirements(layout, templateConfig);
 
@@ -687,17 +675,60 @@ class AdvancedImageGenerator {
     }
 
     /**
-     * 判断是否是新段落
+     * 列表项（含嵌套子项）展开为带前缀的行
      */
-    isNewSection(line) {
-        // 数字开头
-        if (/^\d+[\.\)]\s/.test(line)) return true;
-        // 项目符号
-        if (/^[\*\-\+•]\s/.test(line)) return true;
-        // 中文数字
-        if (/^[一二三四五六七八九十]+[\.\、]\s/.test(line)) return true;
-        
-        return false;
+    getListItemLines(item, depth) {
+        const parser = window.markdownParser;
+        const indent = '  '.repeat(depth);
+        const label = item.checked !== null && item.checked !== undefined
+            ? (item.checked ? '☑' : '☐')
+            : (item.ordered ? item.marker : '•');
+
+        const lines = parser.splitLines(item.children).map((nodes, index) => ({
+            prefix: index === 0 ? `${indent}${label} ` : `${indent}  `,
+            runs: parser.toRuns(nodes)
+        }));
+        item.lists.forEach(list => list.items.forEach(child => {
+            lines.push(...this.getListItemLines(child, depth + 1));
+        }));
+        return lines;
+    }
+
+    /**
+     * 由行（前缀 + 样式片段）生成段落：纯文本内容 + Fabric 字符样式 { 行号: { 字符号: 样式 } }
+     */
+    createLayoutSection(type, lines, templateConfig) {
+        const styles = {};
+        const content = lines.map((line, lineIndex) => {
+            const prefix = line.prefix || '';
+            let charIndex = Array.from(prefix).length;
+            line.runs.forEach(run => {
+                const style = this.getRunStyle(run, templateConfig);
+                Array.from(run.text).forEach(() => {
+                    if (style) {
+                        styles[lineIndex] = styles[lineIndex] || {};
+                        styles[lineIndex][charIndex] = style;
+                    }
+                    charIndex++;
+                });
+            });
+            return prefix + line.runs.map(run => run.text).join('');
+        }).join('\n');
+
+        return { type, content, styles };
+    }
+
+    /**
+     * 行内片段样式转 Fabric 字符样式（无格式返回 null）
+     */
+    getRunStyle(run, templateConfig) {
+        const style = {};
+        if (run.bold) style.fontWeight = 'bold';
+        if (run.italic) style.fontStyle = 'italic';
+        if (run.strike) style.linethrough = true;
+        if (run.code) style.fontFamily = 'monospace';
+        if (run.hashtag) style.fill = templateConfig.primaryColor;
+        return Object.keys(style).length > 0 ? style : null;
     }
 
     /**
@@ -706,20 +737,21 @@ class AdvancedImageGenerator {
     async renderContent(layout, templateConfig, options) {
         const analysis = layout.layoutAnalysis;
         const padding = templateConfig.padding;
-        let currentY = padding;
+        const area = options.contentArea || this.getContentArea(null);
 
-        // 检查内容是否超出画布，如果是则调整布局
-        if (analysis.estimatedHeight > this.fabricCanvas.height - padding * 2) {
-            await this.renderCompactLayout(layout, templateConfig, options);
+        // 竖版布局按字号档位自行适配画布高度
+        if (analysis.orientation !== 'horizontal') {
+            await this.renderVerticalLayout(layout, templateConfig, options);
             return;
         }
 
-        // 根据布局方向选择渲染方式
-        if (analysis.orientation === 'horizontal') {
-            await this.renderHorizontalLayout(layout, templateConfig, options);
-        } else {
-            await this.renderVerticalLayout(layout, templateConfig, options);
+        // 横版内容超出画布时改用紧凑布局
+        if (analysis.estimatedHeight > area.bottom - area.top - padding * 2) {
+            await this.renderCompactLayout(layout, templateConfig, options);
+            return;
         }
+
+        await this.renderHorizontalLayout(layout, templateConfig, options);
     }
 
     /**
@@ -728,14 +760,15 @@ class AdvancedImageGenerator {
     async renderVerticalLayout(layout, templateConfig, options) {
         const analysis = layout.layoutAnalysis;
         const padding = templateConfig.padding;
-        let currentY = padding;
+        const area = options.contentArea || this.getContentArea(null);
+        let currentY = area.top + padding;
 
         // 渲染标题
         if (layout.title) {
             const titleText = new fabric.Text(layout.title, {
                 left: this.fabricCanvas.width / 2,
                 top: currentY,
-                fontFamily: templateConfig.fontFamily,
+                fontFamily: templateConfig.titleFontFamily,
                 fontSize: analysis.fontSizes.title,
                 fill: templateConfig.primaryColor,
                 fontWeight: 'bold',
@@ -747,37 +780,65 @@ class AdvancedImageGenerator {
             currentY += titleText.height + analysis.spacing.section;
         }
 
-        // 渲染段落
-        for (let index = 0; index < layout.sections.length; index++) {
-            const section = layout.sections[index];
+        // 正文字号：从分析得到的字号起逐档缩小（不低于模板下限），直到所有段落放进画布
+        const bounds = templateConfig.fontBounds || {};
+        const minFontSize = bounds.min || analysis.fontSizes.body;
+        const maxFontSize = Math.max(minFontSize, Math.min(analysis.fontSizes.body, bounds.max || analysis.fontSizes.body));
+        const available = area.bottom - padding - currentY;
+        const withDividers = analysis.strategy !== 'compact';
+
+        const fitted = window.fitEngine.fit((fontSize) => {
+            const blocks = layout.sections.map((section) => {
+                // 根据段落类型应用不同样式
+                let leftMargin = padding;
+                if (['list', 'quote', 'code'].includes(section.type)) {
+                    leftMargin += 20; // 列表 / 引用 / 代码缩进
+                }
 
-            // 检测段落类型并应用不同样式
-            const isListItem = this.isListItem(section.content);
-            const isNumbered = this.isNumberedItem(section.content);
+                const width = this.fabricCanvas.width - leftMargin - padding;
+                const wrapped = this.wrapSection(section, width, fontSize, templateConfig.fontFamily);
+                return new fabric.Textbox(wrapped.text, {
+                    left: leftMargin,
+                    top: 0,
+                    width,
+                    fontFamily: templateConfig.fontFamily,
+                    fontSize,
+                    fill: section.type === 'heading' ? templateConfig.primaryColor : templateConfig.textColor,
+                    lineHeight: this.calculateLineHeight(section.content.length),
+                    textAlign: 'left',
+                    styles: wrapped.styles,
+                    splitByGrapheme: true
+                });
+            });
 
-            let textAlign = 'left';
-            let leftMargin = padding;
+            const height = blocks.reduce((sum, textObj, index) => (
+                sum + textObj.height + analysis.spacing.paragraph +
+                (withDividers && index < blocks.length - 1 ? analysis.spacing.section : 0)
+            ), 0);
 
-            if (isListItem || isNumbered) {
-                leftMargin += 20; // 列表项缩进
-            }
+            return { fits: height <= available, blocks, height };
+        }, { min: minFontSize, max: maxFontSize, step: 1 });
 
-            const textObj = new fabric.Textbox(section.content, {
-                left: leftMargin,
-                top: currentY,
-                width: this.fabricCanvas.width - leftMargin - padding,
-                fontFamily: templateConfig.fontFamily,
-                fontSize: analysis.fontSizes.body,
-                fill: templateConfig.textColor,
-                lineHeight: this.calculateLineHeight(section.content.length),
-                textAlign: textAlign
-            });
+        this.lastFit = {
+            fontSize: fitted.fontSize,
+            maxFontSize: fitted.maxFontSize,
+            minFontSize: fitted.minFontSize,
+            shrunk: fitted.shrunk,
+            overflow: !fitted.fits
+        };
+        if (!fitted.fits) {
+            DEBUG.warn(`正文在最小字号 ${fitted.fontSize}px 下仍超出画布 ${Math.ceil(fitted.height - available)}px`);
+        }
 
+        // 渲染段落
+        for (let index = 0; index < fitted.blocks.length; index++) {
+            const textObj = fitted.blocks[index];
+            textObj.set({ top: currentY });
             this.fabricCanvas.add(textObj);
             currentY += textObj.height + analysis.spacing.paragraph;
 
             // 添加装饰性分隔元素
-            if (index < layout.sections.length - 1 && analysis.strategy !== 'compact') {
+            if (withDividers && index < fitted.blocks.length - 1) {
                 await this.addSectionDivider(currentY, templateConfig, analysis);
                 currentY += analysis.spacing.section;
             }
@@ -791,16 +852,17 @@ class AdvancedImageGenerator {
         const analysis = layout.layoutAnalysis;
         const padding = templateConfig.padding;
         const columnWidth = (this.fabricCanvas.width - padding * 3) / 2;
+        const area = options.contentArea || this.getContentArea(null);
 
-        let leftColumnY = padding;
-        let rightColumnY = padding;
+        let leftColumnY = area.top + padding;
+        let rightColumnY = area.top + padding;
 
         // 标题跨越两列
         if (layout.title) {
             const titleText = new fabric.Text(layout.title, {
                 left: this.fabricCanvas.width / 2,
                 top: leftColumnY,
-                fontFamily: templateConfig.fontFamily,
+                fontFamily: templateConfig.titleFontFamily,
                 fontSize: analysis.fontSizes.title,
                 fill: templateConfig.primaryColor,
                 fontWeight: 'bold',
@@ -818,7 +880,8 @@ class AdvancedImageGenerator {
             const columnX = useLeftColumn ? padding : padding * 2 + columnWidth;
             const currentY = useLeftColumn ? leftColumnY : rightColumnY;
 
-            const textObj = new fabric.Textbox(section.content, {
+            const wrapped = this.wrapSection(section, columnWidth, analysis.fontSizes.body, templateConfig.fontFamily);
+            const textObj = new fabric.Textbox(wrapped.text, {
                 left: columnX,
                 top: currentY,
                 width: columnWidth,
@@ -826,7 +889,9 @@ class AdvancedImageGenerator {
                 fontSize: analysis.fontSizes.body,
                 fill: templateConfig.textColor,
                 lineHeight: 1.4,
-                textAlign: 'left'
+                textAlign: 'left',
+                styles: wrapped.styles,
+                splitByGrapheme: true
             });
 
             this.fabricCanvas.add(textObj);
@@ -849,15 +914,16 @@ class AdvancedImageGenerator {
             body: templateConfig.bodySize * 0.85
         };
         const compactSpacing = templateConfig.spacing * 0.6;
+        const area = options.contentArea || this.getContentArea(null);
 
-        let currentY = padding;
+        let currentY = area.top + padding;
 
         // 紧凑标题
         if (layout.title) {
             const titleText = new fabric.Text(layout.title, {
                 left: this.fabricCanvas.width / 2,
                 top: currentY,
-                fontFamily: templateConfig.fontFamily,
+                fontFamily: templateConfig.titleFontFamily,
                 fontSize: compactFontSizes.title,
                 fill: templateConfig.primaryColor,
                 fontWeight: 'bold',
@@ -871,15 +937,19 @@ class AdvancedImageGenerator {
 
         // 紧凑段落
         layout.sections.forEach((section, index) => {
-            const textObj = new fabric.Textbox(section.content, {
+            const width = this.fabricCanvas.width - padding * 2;
+            const wrapped = this.wrapSection(section, width, compactFontSizes.body, templateConfig.fontFamily);
+            const textObj = new fabric.Textbox(wrapped.text, {
                 left: padding,
                 top: currentY,
-                width: this.fabricCanvas.width - padding * 2,
+                width,
                 fontFamily: templateConfig.fontFamily,
                 fontSize: compactFontSizes.body,
                 fill: templateConfig.textColor,
                 lineHeight: 1.3,
-                textAlign: 'left'
+                textAlign: 'left',
+                styles: wrapped.styles,
+                splitByGrapheme: true
             });
 
             this.fabricCanvas.add(textObj);
@@ -888,26 +958,55 @@ class AdvancedImageGenerator {
     }
 
     /**
-     * 计算行高
+     * 按中文排版规则预先折行（禁则、单词与数字单位不拆分），并把字符样式映射到折行后的行列；
+     * 行首缩进（列表层级）在续行中保留
      */
-    calculateLineHeight(contentLength) {
-        if (contentLength < 50) return 1.6;
-        if (contentLength < 150) return 1.5;
-        return 1.4;
-    }
+    wrapSection(section, width, fontSize, fontFamily) {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+        const ctx = this.measureContext;
+        ctx.font = `${fontSize}px ${fontFamily}`;
+        const measure = text => ctx.measureText(text).width;
+
+        const lines = [];
+        const styles = {};
+        section.content.split('\n').forEach((sourceLine, sourceIndex) => {
+            const sourceChars = Array.from(sourceLine);
+            const sourceStyles = section.styles?.[sourceIndex] || {};
+            const leading = sourceLine.match(/^\s*/)[0];
+            let cursor = 0;
+
+            // 逐行 fillText 绘制，不做标点挤压，折行时也按原宽度计算
+            window.textLayout.breakLines(sourceLine.slice(leading.length), width - measure(leading), measure, { compress: false }).forEach((text) => {
+                const line = leading + text;
+                const lineIndex = lines.length;
+                Array.from(line).forEach((ch, charIndex) => {
+                    // 跳过折行时丢弃的空白
+                    while (cursor < sourceChars.length && sourceChars[cursor] !== ch && /\s/.test(sourceChars[cursor])) {
+                        cursor++;
+                    }
+                    if (sourceChars[cursor] !== ch) return;
+                    if (sourceStyles[cursor]) {
+                        styles[lineIndex] = styles[lineIndex] || {};
+                        styles[lineIndex][charIndex] = sourceStyles[cursor];
+                    }
+                    cursor++;
+                });
+                lines.push(line);
+            });
+        });
 
-    /**
-     * 检测是否为列表项
-     */
-    isListItem(content) {
-        return /^[\*\-\+•]\s/.test(content.trim());
+        return { text: lines.join('\n'), styles };
     }
 
     /**
-     * 检测是否为编号项
+     * 计算行高
      */
-    isNumberedItem(content) {
-        return /^\d+[\.\)]\s/.test(content.trim());
+    calculateLineHeight(contentLength) {
+        if (contentLength < 50) return 1.6;
+        if (contentLength < 150) return 1.5;
+        return 1.4;
     }
 
     /**
@@ -961,26 +1060,32 @@ class AdvancedImageGenerator {
             return;
         }
 
+        const decorations = templateConfig.decorations || {};
         const topBarHeight = decorationLevel === 'minimal' ? 4 : 8;
         const topBarOpacity = decorationLevel === 'minimal' ? 0.65 : 1;
 
         // 添加顶部装饰条
-        const topBar = new fabric.Rect({
-            left: 0,
-            top: 0,
-            width: this.fabricCanvas.width,
-            height: topBarHeight,
-            fill: templateConfig.primaryColor,
-            opacity: topBarOpacity,
-            selectable: false
-        });
-        this.fabricCanvas.add(topBar);
+        if (decorations.topBar !== false) {
+            const topBar = new fabric.Rect({
+                left: 0,
+                top: 0,
+                width: this.fabricCanvas.width,
+                height: topBarHeight,
+                fill: templateConfig.primaryColor,
+                opacity: topBarOpacity,
+                selectable: false
+            });
+            this.fabricCanvas.add(topBar);
+        }
 
         if (decorationLevel === 'minimal') {
             return;
         }
 
         // 添加角落装饰
+        if (decorations.corners === false) {
+            return;
+        }
         const cornerSize = 60;
         const corner = new fabric.Circle({
             left: this.fabricCanvas.width - cornerSize - 20,
@@ -1005,6 +1110,39 @@ class AdvancedImageGenerator {
         }
     }
 
+    /**
+     * 添加页码角标（右上角 “2/6”）
+     */
+    addPageIndicator(page, templateConfig) {
+        const text = new fabric.Text(page.indicator || `${page.pageNumber}/${page.totalPages}`, {
+            fontFamily: templateConfig.fontFamily,
+            fontSize: 13,
+            fontWeight: '700',
+            fill: '#FFFFFF',
+            selectable: false
+        });
+        const width = text.width + 20;
+        const height = 24;
+        const left = this.fabricCanvas.width - width - 20;
+        const top = 20;
+
+        const pill = new fabric.Rect({
+            left,
+            top,
+            width,
+            height,
+            rx: height / 2,
+            ry: height / 2,
+            fill: templateConfig.primaryColor,
+            opacity: 0.9,
+            selectable: false
+        });
+        text.set({ left: left + 10, top: top + (height - text.height) / 2 });
+
+        this.fabricCanvas.add(pill);
+        this.fabricCanvas.add(text);
+    }
+
     /**
      * 添加水印
      */
@@ -1022,6 +1160,62 @@ class AdvancedImageGenerator {
         this.fabricCanvas.add(watermark);
     }
 
+    /**
+     * 添加品牌水印（Logo + 账号名，按套件配置的位置摆放）
+     */
+    async addBrandWatermark(brandKit, templateConfig) {
+        const logo = brandKit.logo ? await this.loadFabricImage(brandKit.logo).catch(() => null) : null;
+        const handle = brandKit.handle || '';
+        if (!logo && !handle) return;
+
+        const logoSize = 28;
+        const gap = logo && handle ? 8 : 0;
+        const text = handle ? new fabric.Text(handle, {
+            fontFamily: templateConfig.fontFamily,
+            fontSize: 14,
+            fontWeight: '600',
+            fill: templateConfig.textColor,
+            opacity: 0.72,
+            selectable: false
+        }) : null;
+
+        if (logo) {
+            logo.scaleToHeight(logoSize);
+            logo.set({ selectable: false });
+        }
+
+        const logoWidth = logo ? logo.getScaledWidth() : 0;
+        const boxWidth = logoWidth + gap + (text ? text.width : 0);
+        const boxHeight = Math.max(logo ? logoSize : 0, text ? text.height : 0);
+        const { x, y } = window.brandKitManager.getWatermarkOrigin(
+            brandKit.watermarkPosition, this.fabricCanvas.width, this.fabricCanvas.height, boxWidth, boxHeight, 20
+        );
+
+        if (logo) {
+            logo.set({ left: x, top: y + (boxHeight - logoSize) / 2 });
+            this.fabricCanvas.add(logo);
+        }
+        if (text) {
+            text.set({ left: x + logoWidth + gap, top: y + (boxHeight - text.height) / 2 });
+            this.fabricCanvas.add(text);
+        }
+    }
+
+    /**
+     * 加载 Fabric 图片对象
+     */
+    loadFabricImage(url) {
+        return new Promise((resolve, reject) => {
+            fabric.Image.fromURL(url, (img) => {
+                if (!img || !img.width) {
+                    reject(new Error('图片加载失败'));
+                    return;
+                }
+                resolve(img);
+            });
+        });
+    }
+
     /**
      * 确保渲染完成
      */
@@ -1108,9 +1302,9 @@ class AdvancedImageGenerator {
      * 获取可用模板
      */
     getAvailableTemplates() {
-        return Object.keys(this.templates).map(id => ({
-            id: id,
-            name: this.templates[id].name
+        return window.themeManager.list().map(theme => ({
+            id: theme.id,
+            name: theme.name
         }));
     }
 
@@ -147,11 +147,22 @@ async function initializeModules() {
     const modules = [
         { name: '性能优化器', instance: window.performanceOptimizer },
         { name: 'UI管理器', instance: window.uiManager },
+        { name: '主题管理器', instance: window.themeManager },
+        { name: '品牌套件管理器', instance: window.brandKitManager },
+        { name: '照片素材管理器', instance: window.photoManager },
+        { name: '模板校验器', instance: window.templateSchemaValidator },
         { name: '模板管理器', instance: window.templateManager },
+        { name: '模板编辑器', instance: window.templateEditor },
+        { name: '合规检查器', instance: window.complianceChecker },
         { name: '提示词引擎', instance: window.promptEngine },
         { name: '内容优化器', instance: window.contentOptimizer },
         { name: '视觉生成器', instance: window.visualGenerator },
-        { name: '预览系统', instance: window.previewSystem }
+        { name: '预览系统', instance: window.previewSystem },
+        { name: '卡片文字编辑器', instance: window.cardEditor },
+        { name: '页面编排器', instance: window.pageOrganizer },
+        { name: '步骤历史', instance: window.stepHistory },
+        { name: '项目库', instance: window.projectLibrary },
+        { name: '批量生成器', instance: window.batchGenerator }
     ];
 
     for (const module of modules) {
@@ -0,0 +1,561 @@
+/**
+ * 批量生成器
+ * 从 CSV / JSON / JSONL 文件导入多篇笔记，逐篇调用图片生成器，
+ * 每篇打包为一个 ZIP，并输出一份汇总清单（manifest）
+ */
+
+class BatchGenerator {
+    constructor() {
+        this.rows = [];
+        this.sourceName = '';
+        this.isRunning = false;
+        this.cancelled = false;
+        this.lastManifest = null;
+
+        this.validTones = ['friendly', 'professional', 'playful', 'concise', 'elegant', 'trendy'];
+        this.validAspectRatios = ['9:16', '1:1', '4:5', '16:9', '3:4', '4:3'];
+
+        // 列名别名（统一转小写后匹配）
+        this.columnAliases = {
+            content: ['content', 'text', 'body', '内容', '正文', '文案'],
+            templateId: ['template', 'template_id', 'templateid', '模板'],
+            tone: ['tone', '口吻', '语气'],
+            tags: ['tags', 'tag', '标签'],
+            aspectRatio: ['aspect_ratio', 'aspectratio', 'ratio', '比例', '画面比例'],
+            imageCount: ['image_count', 'imagecount', 'count', '数量', '图片数量'],
+            title: ['title', '标题']
+        };
+    }
+
+    /**
+     * 初始化批量生成器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.bindEvents();
+        DEBUG.log('批量生成器初始化完成');
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const batchBtn = document.getElementById('batchBtn');
+        const fileInput = document.getElementById('batchFileInput');
+        const startBtn = document.getElementById('startBatchBtn');
+        const sampleBtn = document.getElementById('downloadBatchSampleBtn');
+
+        if (batchBtn) {
+            batchBtn.addEventListener('click', () => {
+                window.uiManager?.openModal('batch');
+            });
+        }
+
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                if (!file) return;
+
+                try {
+                    await this.loadFile(file);
+                    window.uiManager?.showToast(`已读取 ${this.rows.length} 篇笔记`, 'success');
+                } catch (error) {
+                    DEBUG.error('批量文件解析失败:', error);
+                    this.rows = [];
+                    window.uiManager?.showToast(error.message || '文件解析失败', 'error');
+                }
+                this.renderRows();
+            });
+        }
+
+        if (startBtn) {
+            startBtn.addEventListener('click', () => this.run());
+        }
+
+        if (sampleBtn) {
+            sampleBtn.addEventListener('click', () => this.downloadSample());
+        }
+    }
+
+    /**
+     * 读取并解析文件
+     */
+    async loadFile(file) {
+        const text = await file.text();
+        this.sourceName = file.name;
+        this.rows = this.parse(text, file.name);
+
+        if (this.rows.length === 0) {
+            throw new Error('文件中没有可用的笔记内容');
+        }
+        return this.rows;
+    }
+
+    /**
+     * 根据扩展名/内容解析文本
+     */
+    parse(text, fileName = '') {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const ext = String(fileName).split('.').pop().toLowerCase();
+
+        let records;
+        if (ext === 'jsonl' || ext === 'ndjson') {
+            records = this.parseJSONL(source);
+        } else if (ext === 'json' || /^\s*[\[{]/.test(source)) {
+            records = this.parseJSON(source);
+        } else {
+            records = this.parseCSV(source);
+        }
+
+        return records
+            .map((record, index) => this.normalizeRow(record, index))
+            .filter(row => row.content || row.errors.length > 0);
+    }
+
+    /**
+     * 解析 JSON（数组，或包含 posts / rows 数组的对象）
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON 格式错误：${error.message}`);
+        }
+
+        const list = Array.isArray(data) ? data : (data?.posts || data?.rows);
+        if (!Array.isArray(list)) {
+            throw new Error('JSON 需为数组，或包含 posts 数组的对象');
+        }
+        return list;
+    }
+
+    /**
+     * 解析 JSONL（每行一个 JSON 对象）
+     */
+    parseJSONL(text) {
+        return text
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), index }))
+            .filter(item => item.line)
+            .map(item => {
+                try {
+                    return JSON.parse(item.line);
+                } catch (error) {
+                    throw new Error(`第 ${item.index + 1} 行 JSON 格式错误：${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * 解析 CSV（首行为表头，支持引号包裹、转义引号与字段内换行）
+     */
+    parseCSV(text) {
+        const table = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                table.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSV 格式错误：存在未闭合的引号');
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            table.push(row);
+        }
+
+        const nonEmpty = table.filter(cells => cells.some(cell => String(cell).trim()));
+        if (nonEmpty.length < 2) {
+            return [];
+        }
+
+        const header = nonEmpty[0].map(cell => String(cell).trim());
+        return nonEmpty.slice(1).map(cells => {
+            const record = {};
+            header.forEach((key, index) => {
+                record[key] = cells[index] !== undefined ? cells[index] : '';
+            });
+            return record;
+        });
+    }
+
+    /**
+     * 按别名读取字段
+     */
+    pickField(record, key) {
+        const aliases = this.columnAliases[key] || [key];
+        for (const [name, value] of Object.entries(record || {})) {
+            if (aliases.includes(String(name).trim().toLowerCase())) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * 规范化单行数据并校验
+     */
+    normalizeRow(record, index) {
+        const errors = [];
+        const content = String(this.pickField(record, 'content') ?? '').trim();
+        const templateId = String(this.pickField(record, 'templateId') ?? '').trim();
+        const tone = String(this.pickField(record, 'tone') ?? '').trim() || 'friendly';
+        const aspectRatio = String(this.pickField(record, 'aspectRatio') ?? '').trim() || '9:16';
+        const rawCount = this.pickField(record, 'imageCount');
+        const rawTags = this.pickField(record, 'tags');
+
+        const tags = (Array.isArray(rawTags) ? rawTags : String(rawTags ?? '').split(/[,，;；|#\s]+/))
+            .map(tag => String(tag).replace(/^#/, '').trim())
+            .filter(Boolean);
+
+        const validation = Utils.validateContent(content);
+        if (!validation.valid) {
+            errors.push(validation.message);
+        }
+
+        const compliance = window.complianceChecker?.evaluate(content);
+        if (compliance?.blocking.length > 0) {
+            errors.push(`违规用语${window.complianceChecker.formatIssues(compliance.blocking)}`);
+        }
+
+        const template = templateId
+            ? window.templateManager?.getTemplateById(templateId)
+            : window.templateManager?.getSelectedTemplate();
+        if (!template) {
+            errors.push(templateId ? `未知模板：${templateId}` : '未指定模板且当前未选择模板');
+        }
+
+        if (!this.validTones.includes(tone)) {
+            errors.push(`未知口吻：${tone}`);
+        }
+        if (!this.validAspectRatios.includes(aspectRatio)) {
+            errors.push(`不支持的画面比例：${aspectRatio}`);
+        }
+
+        let imageCount = null;
+        if (rawCount !== undefined && String(rawCount).trim() !== '') {
+            imageCount = parseInt(rawCount);
+            if (!Number.isFinite(imageCount) || imageCount < 1 || imageCount > 9) {
+                errors.push(`图片数量需在 1-9 之间：${rawCount}`);
+                imageCount = null;
+            }
+        }
+
+        const title = String(this.pickField(record, 'title') ?? '').trim() ||
+            window.contentAnalyzer?.generateTitle(content) ||
+            `笔记${index + 1}`;
+
+        return {
+            row: index + 1,
+            title,
+            content,
+            template,
+            templateId: template?.id || templateId,
+            tone,
+            tags,
+            aspectRatio,
+            imageCount,
+            complianceWarnings: compliance ? [...new Set(compliance.warnings.map(issue => issue.word))] : [],
+            errors,
+            status: errors.length > 0 ? 'invalid' : 'pending'
+        };
+    }
+
+    /**
+     * 计算每篇笔记的图片数量与分段：未指定时使用内容分析结果
+     */
+    planRow(row) {
+        const analysis = window.contentAnalyzer?.analyzeContent(row.content);
+        const imageCount = row.imageCount || Math.max(1, analysis?.imageCount || 1);
+        return {
+            imageCount,
+            sections: analysis?.sections || []
+        };
+    }
+
+    /**
+     * 执行批量生成
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        const rows = this.rows.filter(row => row.status !== 'invalid');
+        if (rows.length === 0) {
+            window.uiManager?.showToast('没有可生成的笔记，请先导入文件并修正错误', 'warning');
+            return;
+        }
+        if (!window.imageGenerator) {
+            window.uiManager?.showToast('图片生成器未初始化', 'error');
+            return;
+        }
+
+        this.isRunning = true;
+        this.cancelled = false;
+        window.uiManager?.closeModal('batch');
+
+        const manifest = {
+            source: this.sourceName,
+            generatedAt: new Date().toISOString(),
+            total: this.rows.length,
+            succeeded: 0,
+            failed: 0,
+            posts: []
+        };
+
+        try {
+            for (let i = 0; i < this.rows.length; i++) {
+                const row = this.rows[i];
+
+                if (row.status === 'invalid') {
+                    manifest.posts.push(this.createManifestEntry(row, null, row.errors.join('；')));
+                    manifest.failed++;
+                    continue;
+                }
+                if (this.cancelled) {
+                    row.status = 'skipped';
+                    manifest.posts.push(this.createManifestEntry(row, null, '批量任务已停止'));
+                    continue;
+                }
+
+                const entry = await this.generateRow(row, i, rows.length);
+                manifest.posts.push(entry);
+                if (row.status === 'done') {
+                    manifest.succeeded++;
+                } else {
+                    manifest.failed++;
+                }
+            }
+
+            this.lastManifest = manifest;
+            Utils.downloadJsonFile(manifest, Utils.generateFileName('xiaohongshu_batch_manifest', 'json'));
+
+            window.uiManager?.showToast(
+                `批量生成结束：成功 ${manifest.succeeded} 篇，失败 ${manifest.failed} 篇`,
+                manifest.failed > 0 ? 'warning' : 'success',
+                5000
+            );
+        } finally {
+            this.isRunning = false;
+            this.renderRows();
+            window.uiManager?.openModal('batch');
+        }
+
+        return manifest;
+    }
+
+    /**
+     * 生成单篇笔记并打包下载
+     */
+    async generateRow(row, index, total) {
+        const plan = this.planRow(row);
+        row.status = 'running';
+
+        try {
+            const job = window.imageGenerator.startGeneration(row.content, {
+                template: row.template,
+                tone: row.tone,
+                customTags: row.tags,
+                aspectRatio: row.aspectRatio,
+                imageCount: plan.imageCount,
+                sourceContent: row.content,
+                sections: plan.sections,
+                // 上传的照片属于当前编辑的笔记，批量生成的笔记不套用
+                photos: [],
+                interactive: false,
+                loadingTitle: `批量生成 ${row.row}/${this.rows.length}：${row.title}`
+            });
+            const images = await job.promise;
+
+            if (job.cancelled) {
+                this.cancelled = true;
+            }
+            if (!images || images.length === 0) {
+                throw new Error(job.cancelled ? '已取消' : '未生成任何图片');
+            }
+
+            const zipName = this.getZipName(row);
+            const zipEntries = this.buildZipEntries(row, images, job.report);
+            const zipBlob = await window.zipBuilder.build(zipEntries.files);
+            Utils.downloadFile(zipBlob, zipName);
+
+            // 避免浏览器拦截连续下载
+            await new Promise(resolve => setTimeout(resolve, 500));
+
+            row.status = job.cancelled ? 'partial' : 'done';
+            return this.createManifestEntry(row, { zip: zipName, images: zipEntries.images }, job.cancelled ? '已取消，仅保留已完成图片' : '');
+        } catch (error) {
+            DEBUG.error(`批量生成第 ${row.row} 篇失败:`, error);
+            row.status = 'failed';
+            row.errors = [error.message || '生成失败'];
+            return this.createManifestEntry(row, null, row.errors[0]);
+        }
+    }
+
+    /**
+     * 构建单篇 ZIP 内的文件列表
+     */
+    buildZipEntries(row, images, report = []) {
+        const extMap = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+        const imageMeta = images.map((image, i) => {
+            const ext = extMap[image.blob?.type] || 'png';
+            return {
+                file: `${String(i + 1).padStart(2, '0')}.${ext}`,
+                title: image.title,
+                width: image.width,
+                height: image.height,
+                renderer: image.renderer || '',
+                fallback: image.fallback || null
+            };
+        });
+
+        const files = images.map((image, i) => ({ name: imageMeta[i].file, data: image.blob }));
+        files.push({
+            name: 'post.json',
+            data: {
+                row: row.row,
+                title: row.title,
+                content: row.content,
+                templateId: row.templateId,
+                tone: row.tone,
+                tags: row.tags,
+                aspectRatio: row.aspectRatio,
+                images: imageMeta,
+                report: report || []
+            }
+        });
+
+        return { files, images: imageMeta };
+    }
+
+    /**
+     * 生成清单条目
+     */
+    createManifestEntry(row, output, error = '') {
+        return {
+            row: row.row,
+            title: row.title,
+            status: row.status,
+            templateId: row.templateId,
+            tone: row.tone,
+            aspectRatio: row.aspectRatio,
+            tags: row.tags,
+            zip: output?.zip || null,
+            imageCount: output?.images?.length || 0,
+            images: output?.images || [],
+            complianceWarnings: row.complianceWarnings || [],
+            error
+        };
+    }
+
+    /**
+     * 生成 ZIP 文件名
+     */
+    getZipName(row) {
+        const safeTitle = String(row.title || '')
+            .replace(/\.\.\.$/, '')
+            .replace(/[^\w\u4e00-\u9fff-]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 24) || 'post';
+        return `${String(row.row).padStart(2, '0')}_${safeTitle}.zip`;
+    }
+
+    /**
+     * 渲染导入结果表格
+     */
+    renderRows() {
+        const container = document.getElementById('batchRowsPreview');
+        const startBtn = document.getElementById('startBatchBtn');
+        if (!container) return;
+
+        const statusLabels = {
+            pending: '待生成',
+            invalid: '有错误',
+            running: '生成中',
+            done: '已完成',
+            partial: '部分完成',
+            failed: '失败',
+            skipped: '已跳过'
+        };
+
+        if (this.rows.length === 0) {
+            container.innerHTML = '<div class="preview-placeholder">请选择 CSV / JSON / JSONL 文件</div>';
+        } else {
+            container.innerHTML = `
+                <table class="batch-table">
+                    <thead>
+                        <tr><th>#</th><th>标题</th><th>模板</th><th>比例</th><th>张数</th><th>状态</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.rows.map(row => `
+                            <tr class="batch-row status-${row.status}">
+                                <td>${row.row}</td>
+                                <td>${Utils.escapeHtml(row.title)}</td>
+                                <td>${Utils.escapeHtml(row.template?.name || row.templateId || '-')}</td>
+                                <td>${Utils.escapeHtml(row.aspectRatio)}</td>
+                                <td>${row.imageCount || '自动'}</td>
+                                <td title="${Utils.escapeHtml(row.errors.join('；'))}">
+                                    ${statusLabels[row.status] || row.status}
+                                    ${row.errors.length > 0 ? `<div class="batch-row-error">${Utils.escapeHtml(row.errors.join('；'))}</div>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        if (startBtn) {
+            startBtn.disabled = this.isRunning || !this.rows.some(row => row.status !== 'invalid');
+        }
+    }
+
+    /**
+     * 下载 CSV 示例文件
+     */
+    downloadSample() {
+        const sample = [
+            'content,template,tone,tags,aspect_ratio,image_count',
+            '"周末去了一家超棒的咖啡店，环境安静适合办公，推荐他们家的燕麦拿铁！",xiaohongshu-lifestyle,friendly,"咖啡|探店",9:16,',
+            '"1. 早睡早起\n2. 每天运动30分钟\n3. 多喝水少熬夜",xiaohongshu-knowledge,concise,"自律|生活习惯",1:1,3'
+        ].join('\n');
+        Utils.downloadTextFile('\uFEFF' + sample, 'xiaohongshu_batch_sample.csv', 'text/csv');
+    }
+}
+
+// 全局批量生成器实例
+window.batchGenerator = new BatchGenerator();
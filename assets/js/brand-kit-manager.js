@@ -0,0 +1,426 @@
+/**
+ * 品牌套件管理器
+ * 管理多个本地保存的品牌套件（Logo、主辅色、字体栈、账号名、水印位置、收尾页二维码），
+ * 当前启用的套件会传给各渲染器，用于绘制品牌水印并覆盖主题强调色
+ */
+
+class BrandKitManager {
+    constructor() {
+        this.storageKey = 'brand_kits';
+        this.activeKey = 'active_brand_kit';
+        this.kits = [];
+        this.activeId = null;
+        this.editingId = null;
+
+        this.positions = {
+            'bottom-right': '右下角',
+            'bottom-left': '左下角',
+            'bottom-center': '底部居中',
+            'top-right': '右上角',
+            'top-left': '左上角'
+        };
+        this.fontPresets = {
+            '': '跟随模板',
+            '"PingFang SC", "Microsoft YaHei", "Noto Sans SC", sans-serif': '无衬线（苹方 / 雅黑）',
+            '"Songti SC", SimSun, "Noto Serif SC", serif': '衬线（宋体）',
+            '"Kaiti SC", KaiTi, STKaiti, serif': '楷体',
+            '"Helvetica Neue", Arial, sans-serif': 'Helvetica / Arial'
+        };
+        this.maxLogoSize = 256;
+    }
+
+    /**
+     * 初始化品牌套件管理器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.load();
+        this.bindEvents();
+        this.renderKitList();
+        DEBUG.log(`品牌套件管理器初始化完成，共 ${this.kits.length} 个套件`);
+    }
+
+    /**
+     * 从本地存储读取套件
+     */
+    load() {
+        const stored = Utils.storage.get(this.storageKey, []);
+        this.kits = Array.isArray(stored) ? stored.map(kit => this.normalizeKit(kit)) : [];
+        const activeId = Utils.storage.get(this.activeKey, null);
+        this.activeId = this.kits.some(kit => kit.id === activeId) ? activeId : null;
+    }
+
+    /**
+     * 写入本地存储
+     */
+    persist() {
+        if (!Utils.storage.set(this.storageKey, this.kits)) {
+            throw new Error('品牌套件保存失败，可能是 Logo 图片过大');
+        }
+        Utils.storage.set(this.activeKey, this.activeId);
+    }
+
+    /**
+     * 规范化套件字段
+     */
+    normalizeKit(kit = {}) {
+        const isColor = (value) => /^#[0-9a-f]{6}$/i.test(String(value || ''));
+        return {
+            id: kit.id || Utils.generateId('brand'),
+            name: String(kit.name || '').trim() || '未命名品牌',
+            logo: typeof kit.logo === 'string' && kit.logo.startsWith('data:image/') ? kit.logo : '',
+            primaryColor: isColor(kit.primaryColor) ? kit.primaryColor.toUpperCase() : '',
+            secondaryColor: isColor(kit.secondaryColor) ? kit.secondaryColor.toUpperCase() : '',
+            fontFamily: String(kit.fontFamily || '').trim(),
+            handle: this.formatHandle(kit.handle),
+            watermarkPosition: this.positions[kit.watermarkPosition] ? kit.watermarkPosition : 'bottom-right',
+            qrText: String(kit.qrText || '').trim().slice(0, 500),
+            qrCaption: String(kit.qrCaption || '').trim().slice(0, 20),
+            qrLogo: kit.qrLogo === true,
+            updatedAt: kit.updatedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * 规范化账号名（自动补全 @ 前缀）
+     */
+    formatHandle(handle) {
+        const value = String(handle || '').trim().replace(/^@+/, '').slice(0, 30);
+        return value ? `@${value}` : '';
+    }
+
+    /**
+     * 列出全部套件
+     */
+    list() {
+        return [...this.kits];
+    }
+
+    /**
+     * 获取套件
+     */
+    get(id) {
+        return this.kits.find(kit => kit.id === id) || null;
+    }
+
+    /**
+     * 获取当前启用的套件
+     */
+    getActive() {
+        return this.activeId ? this.get(this.activeId) : null;
+    }
+
+    /**
+     * 设置当前启用的套件（传入空值表示不使用）
+     */
+    setActive(id) {
+        if (id && !this.get(id)) {
+            throw new Error('品牌套件不存在');
+        }
+        this.activeId = id || null;
+        Utils.storage.set(this.activeKey, this.activeId);
+        this.renderKitList();
+        this.updateHeaderIndicator();
+    }
+
+    /**
+     * 新增或更新套件
+     */
+    save(kit) {
+        if (!String(kit?.name || '').trim()) {
+            throw new Error('请填写品牌名称');
+        }
+
+        const normalized = this.normalizeKit({ ...kit, updatedAt: new Date().toISOString() });
+        const index = this.kits.findIndex(item => item.id === normalized.id);
+        if (index >= 0) {
+            this.kits[index] = normalized;
+        } else {
+            this.kits.push(normalized);
+        }
+        this.persist();
+        return normalized;
+    }
+
+    /**
+     * 删除套件
+     */
+    remove(id) {
+        this.kits = this.kits.filter(kit => kit.id !== id);
+        if (this.activeId === id) {
+            this.activeId = null;
+        }
+        this.persist();
+    }
+
+    /**
+     * 计算水印在画布中的左上角坐标
+     */
+    getWatermarkOrigin(position, canvasWidth, canvasHeight, boxWidth, boxHeight, margin = 20) {
+        const left = margin;
+        const right = canvasWidth - margin - boxWidth;
+        const top = margin;
+        const bottom = canvasHeight - margin - boxHeight;
+
+        switch (position) {
+            case 'top-left': return { x: left, y: top };
+            case 'top-right': return { x: right, y: top };
+            case 'bottom-left': return { x: left, y: bottom };
+            case 'bottom-center': return { x: (canvasWidth - boxWidth) / 2, y: bottom };
+            default: return { x: right, y: bottom };
+        }
+    }
+
+    /**
+     * 读取并压缩 Logo 图片为 Data URL
+     */
+    readLogo(file) {
+        return new Promise((resolve, reject) => {
+            if (!file.type.startsWith('image/')) {
+                reject(new Error('Logo 必须是图片文件'));
+                return;
+            }
+
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error('Logo 读取失败'));
+            reader.onload = () => {
+                const img = new Image();
+                img.onerror = () => reject(new Error('Logo 图片无法解析'));
+                img.onload = () => {
+                    const scale = Math.min(1, this.maxLogoSize / Math.max(img.width, img.height));
+                    const canvas = document.createElement('canvas');
+                    canvas.width = Math.max(1, Math.round(img.width * scale));
+                    canvas.height = Math.max(1, Math.round(img.height * scale));
+                    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL('image/png'));
+                };
+                img.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * 导出套件 JSON（可供命令行 --brand 使用）
+     */
+    exportKit(id) {
+        const kit = this.get(id);
+        if (!kit) return;
+        const fileName = `brand-kit-${kit.name.replace(/[\\/:*?"<>|\s]+/g, '_')}.json`;
+        Utils.downloadJsonFile(kit, fileName);
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const openBtn = document.getElementById('brandKitBtn');
+        const list = document.getElementById('brandKitList');
+        const newBtn = document.getElementById('newBrandKitBtn');
+        const saveBtn = document.getElementById('saveBrandKitBtn');
+        const deleteBtn = document.getElementById('deleteBrandKitBtn');
+        const exportBtn = document.getElementById('exportBrandKitBtn');
+        const logoInput = document.getElementById('brandLogoInput');
+        const clearLogoBtn = document.getElementById('clearBrandLogoBtn');
+
+        this.populateSelects();
+        this.updateHeaderIndicator();
+
+        openBtn?.addEventListener('click', () => {
+            this.fillForm(this.getActive() || this.kits[0] || null);
+            window.uiManager?.openModal('brandKit');
+        });
+
+        list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-kit-id]');
+            if (!item) return;
+
+            const kitId = item.dataset.kitId;
+            if (e.target.closest('.brand-kit-activate')) {
+                this.setActive(this.activeId === kitId ? null : kitId);
+                const active = this.getActive();
+                window.uiManager?.showToast(active ? `已启用品牌套件「${active.name}」` : '已停用品牌套件', 'success');
+                return;
+            }
+            this.fillForm(this.get(kitId));
+        });
+
+        newBtn?.addEventListener('click', () => this.fillForm(null));
+
+        saveBtn?.addEventListener('click', () => {
+            try {
+                const saved = this.save(this.readForm());
+                if (!this.activeId) {
+                    this.activeId = saved.id;
+                    Utils.storage.set(this.activeKey, this.activeId);
+                }
+                this.fillForm(saved);
+                this.renderKitList();
+                this.updateHeaderIndicator();
+                window.uiManager?.showToast(`品牌套件「${saved.name}」已保存`, 'success');
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'error');
+            }
+        });
+
+        deleteBtn?.addEventListener('click', () => {
+            const kit = this.get(this.editingId);
+            if (!kit || !confirm(`确定删除品牌套件「${kit.name}」吗？`)) return;
+            this.remove(kit.id);
+            this.fillForm(this.kits[0] || null);
+            this.renderKitList();
+            this.updateHeaderIndicator();
+            window.uiManager?.showToast('品牌套件已删除', 'info');
+        });
+
+        exportBtn?.addEventListener('click', () => this.exportKit(this.editingId));
+
+        logoInput?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                this.pendingLogo = await this.readLogo(file);
+                this.renderLogoPreview(this.pendingLogo);
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'error');
+            }
+            e.target.value = '';
+        });
+
+        clearLogoBtn?.addEventListener('click', () => {
+            this.pendingLogo = '';
+            this.renderLogoPreview('');
+        });
+    }
+
+    /**
+     * 填充下拉选项
+     */
+    populateSelects() {
+        const positionSelect = document.getElementById('brandWatermarkPosition');
+        const fontSelect = document.getElementById('brandFontFamily');
+
+        if (positionSelect) {
+            positionSelect.innerHTML = Object.entries(this.positions)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+        }
+        if (fontSelect) {
+            fontSelect.innerHTML = Object.entries(this.fontPresets)
+                .map(([value, label]) => `<option value="${Utils.escapeHtml(value)}">${label}</option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * 将套件填入表单（传入 null 表示新建）
+     */
+    fillForm(kit) {
+        this.editingId = kit?.id || null;
+        this.pendingLogo = kit?.logo || '';
+
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        setValue('brandNameInput', kit?.name || '');
+        setValue('brandHandleInput', kit?.handle || '');
+        setValue('brandPrimaryColor', kit?.primaryColor || '#FF2442');
+        setValue('brandSecondaryColor', kit?.secondaryColor || '#FFB3C0');
+        setValue('brandWatermarkPosition', kit?.watermarkPosition || 'bottom-right');
+        setValue('brandQrText', kit?.qrText || '');
+        setValue('brandQrCaption', kit?.qrCaption || '');
+        const qrLogo = document.getElementById('brandQrLogo');
+        if (qrLogo) qrLogo.checked = !!kit?.qrLogo;
+
+        const fontSelect = document.getElementById('brandFontFamily');
+        if (fontSelect) {
+            const fontFamily = kit?.fontFamily || '';
+            if (!Array.from(fontSelect.options).some(option => option.value === fontFamily)) {
+                fontSelect.add(new Option(fontFamily, fontFamily));
+            }
+            fontSelect.value = fontFamily;
+        }
+
+        this.renderLogoPreview(this.pendingLogo);
+
+        const deleteBtn = document.getElementById('deleteBrandKitBtn');
+        const exportBtn = document.getElementById('exportBrandKitBtn');
+        if (deleteBtn) deleteBtn.disabled = !this.editingId;
+        if (exportBtn) exportBtn.disabled = !this.editingId;
+
+        this.renderKitList();
+    }
+
+    /**
+     * 读取表单
+     */
+    readForm() {
+        const getValue = (id) => document.getElementById(id)?.value || '';
+        return {
+            id: this.editingId || undefined,
+            name: getValue('brandNameInput'),
+            handle: getValue('brandHandleInput'),
+            primaryColor: getValue('brandPrimaryColor'),
+            secondaryColor: getValue('brandSecondaryColor'),
+            fontFamily: getValue('brandFontFamily'),
+            watermarkPosition: getValue('brandWatermarkPosition'),
+            qrText: getValue('brandQrText'),
+            qrCaption: getValue('brandQrCaption'),
+            qrLogo: !!document.getElementById('brandQrLogo')?.checked,
+            logo: this.pendingLogo || ''
+        };
+    }
+
+    /**
+     * 渲染 Logo 预览
+     */
+    renderLogoPreview(logo) {
+        const preview = document.getElementById('brandLogoPreview');
+        if (!preview) return;
+        preview.innerHTML = logo
+            ? `<img src="${logo}" alt="品牌 Logo">`
+            : '<span class="material-icons">image</span>';
+    }
+
+    /**
+     * 渲染套件列表
+     */
+    renderKitList() {
+        const list = document.getElementById('brandKitList');
+        if (!list) return;
+
+        if (this.kits.length === 0) {
+            list.innerHTML = '<div class="preview-placeholder">还没有品牌套件，填写右侧表单创建</div>';
+            return;
+        }
+
+        list.innerHTML = this.kits.map(kit => {
+            const isActive = kit.id === this.activeId;
+            const isEditing = kit.id === this.editingId;
+            return `
+                <div class="brand-kit-item${isEditing ? ' editing' : ''}${isActive ? ' active' : ''}" data-kit-id="${kit.id}">
+                    <span class="brand-kit-swatch" style="background: ${kit.primaryColor || '#CCCCCC'}"></span>
+                    <span class="brand-kit-name">${Utils.escapeHtml(kit.name)}</span>
+                    <button type="button" class="text-button brand-kit-activate">${isActive ? '停用' : '启用'}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 在顶部按钮上标记当前套件
+     */
+    updateHeaderIndicator() {
+        const btn = document.getElementById('brandKitBtn');
+        if (!btn) return;
+        const active = this.getActive();
+        btn.classList.toggle('active', Boolean(active));
+        btn.title = active ? `品牌套件：${active.name}` : '品牌套件';
+    }
+}
+
+// 全局品牌套件管理实例
+window.brandKitManager = new BrandKitManager();
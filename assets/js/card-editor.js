@@ -0,0 +1,394 @@
+/**
+ * 卡片文字编辑器
+ * 在步骤4大预览与步骤5图片网格上叠加可点击的文字区域（本地 Canvas 渲染器随图片返回的区域表 hitMap），
+ * 点击标题、列表项或标签后就地修改：改动写回正文 / 自定义标签并记入撤销历史，只重绘文字有变化的卡片
+ */
+
+class CardEditor {
+    constructor() {
+        this.enabled = false;
+        this.saving = false;
+        this.editor = null;
+        this.typeLabels = { title: '标题', item: '列表项', tag: '标签' };
+        // 图片元素 → 区域图层，尺寸变化（窗口缩放、切换步骤、图片加载）时重新对齐
+        this.layers = new Map();
+        this.observer = null;
+    }
+
+    /**
+     * 初始化卡片文字编辑器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.observer = new ResizeObserver(entries => entries.forEach(entry => this.positionLayer(entry.target)));
+        }
+        this.bindEvents();
+        DEBUG.log('卡片文字编辑器初始化完成');
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        document.querySelectorAll('[data-card-edit]').forEach((button) => {
+            button.addEventListener('click', () => this.setEnabled(!this.enabled));
+        });
+
+        // 预览卡片与图片网格会整体重新渲染，点击事件委托到容器
+        ['livePreviewCard', 'imagesGrid'].forEach((id) => {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                const hit = e.target.closest('.card-hit');
+                if (!hit) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.openEditor(hit);
+            });
+        });
+
+        // 点击编辑框以外的地方取消编辑
+        document.addEventListener('mousedown', (e) => {
+            if (this.editor && !this.saving && !this.editor.element.contains(e.target) && !e.target.closest('.card-hit')) {
+                this.closeEditor();
+            }
+        });
+
+        // 编辑框固定定位，页面滚动时跟随文字区域
+        window.addEventListener('scroll', () => this.positionEditor(), { passive: true, capture: true });
+    }
+
+    /**
+     * 开启 / 关闭编辑模式
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        document.querySelectorAll('[data-card-edit]').forEach((button) => {
+            button.classList.toggle('active', this.enabled);
+            button.setAttribute('aria-pressed', String(this.enabled));
+        });
+
+        this.refresh();
+        if (this.enabled) {
+            const editable = this.getTargets().some(({ image }) => Array.isArray(image.hitMap) && image.hitMap.length > 0);
+            window.uiManager?.showToast(
+                editable ? '点击卡片上的标题、列表项或标签即可修改' : '当前卡片不是本地 Canvas 渲染的，不能直接编辑，请换用本地渲染后重新生成',
+                editable ? 'info' : 'warning'
+            );
+        }
+    }
+
+    /**
+     * 重新绘制文字区域图层（预览卡片或图片网格重新渲染后调用）
+     */
+    refresh() {
+        this.closeEditor();
+        this.observer?.disconnect();
+        this.layers.forEach(layer => layer.remove());
+        this.layers.clear();
+        if (!this.enabled) return;
+
+        this.getTargets().forEach(({ img, image }) => this.renderLayer(img, image));
+    }
+
+    /**
+     * 可编辑的图片：步骤4当前预览的卡片与步骤5网格中的卡片
+     */
+    getTargets() {
+        const targets = [];
+        const previewSystem = window.previewSystem;
+
+        const previewImg = document.querySelector('#livePreviewCard .preview-card-image');
+        const previewImage = previewSystem?.previewImages?.[previewSystem.previewIndex];
+        if (previewImg && previewImage) {
+            targets.push({ img: previewImg, image: previewImage });
+        }
+
+        document.querySelectorAll('#imagesGrid .image-item[data-image-id]').forEach((item) => {
+            const img = item.querySelector('.image-preview');
+            const image = this.findImage(item.dataset.imageId);
+            if (img && image) {
+                targets.push({ img, image });
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * 按 ID 查找图片（预览图片与应用中的图片共用 ID）
+     */
+    findImage(id) {
+        return (window.previewSystem?.previewImages || []).find(image => image.id === id) ||
+            (window.app?.generatedImages || []).find(image => image.id === id) ||
+            null;
+    }
+
+    /**
+     * 在图片上叠加区域图层：外层与图片元素等大并裁切，内层对齐图片实际显示的位置（object-fit）
+     */
+    renderLayer(img, image) {
+        const host = img.parentElement;
+        host.classList.add('card-edit-host');
+
+        const regions = Array.isArray(image.hitMap) ? image.hitMap : [];
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const frame = document.createElement('div');
+        frame.className = 'card-hit-frame';
+        frame.innerHTML = regions.length > 0
+            ? `<div class="card-hit-layer" data-image-id="${image.id}">
+                ${regions.map((region, index) => {
+                    const label = this.typeLabels[region.type] || '文字';
+                    return `<button type="button" class="card-hit card-hit-${region.type}" data-region-index="${index}"
+                        title="编辑${label}：${Utils.escapeHtml(String(region.text || ''))}"
+                        style="left: ${percent(region.x)}; top: ${percent(region.y)}; width: ${percent(region.width)}; height: ${percent(region.height)};"></button>`;
+                }).join('')}
+            </div>`
+            : '<div class="card-hit-note">此卡片不支持直接编辑</div>';
+        host.appendChild(frame);
+
+        this.layers.set(img, frame);
+        this.observer?.observe(img);
+        this.positionLayer(img);
+    }
+
+    /**
+     * 对齐区域图层：按图片元素的 object-fit / object-position 计算图片实际显示的矩形
+     */
+    positionLayer(img) {
+        const frame = this.layers.get(img);
+        const layer = frame?.querySelector('.card-hit-layer');
+        if (!frame) return;
+
+        const boxWidth = img.clientWidth;
+        const boxHeight = img.clientHeight;
+        frame.style.cssText = `left: ${img.offsetLeft}px; top: ${img.offsetTop}px; width: ${boxWidth}px; height: ${boxHeight}px;`;
+        if (!layer || !boxWidth || !boxHeight) return;
+
+        const image = this.findImage(layer.dataset.imageId);
+        const naturalWidth = image?.width || img.naturalWidth || boxWidth;
+        const naturalHeight = image?.height || img.naturalHeight || boxHeight;
+        const style = getComputedStyle(img);
+        const scaleX = boxWidth / naturalWidth;
+        const scaleY = boxHeight / naturalHeight;
+        const scale = style.objectFit === 'cover'
+            ? Math.max(scaleX, scaleY)
+            : (style.objectFit === 'contain' ? Math.min(scaleX, scaleY) : 0);
+        const width = scale ? naturalWidth * scale : boxWidth;
+        const height = scale ? naturalHeight * scale : boxHeight;
+
+        // object-position 的计算值为百分比（如 “50% 0%”），其他写法按居中处理
+        const [posX, posY] = String(style.objectPosition || '').split(/\s+/)
+            .map(value => (value.endsWith('%') ? parseFloat(value) / 100 : 0.5));
+        layer.style.cssText = `left: ${(boxWidth - width) * (posX ?? 0.5)}px; top: ${(boxHeight - height) * (posY ?? 0.5)}px; width: ${width}px; height: ${height}px;`;
+        this.positionEditor();
+    }
+
+    /**
+     * 打开就地编辑框：列表项显示原文（保留加粗等标记），标题与标签显示文字
+     */
+    openEditor(hit) {
+        if (this.saving) return;
+        const layer = hit.closest('.card-hit-layer');
+        const image = this.findImage(layer?.dataset.imageId);
+        const region = image?.hitMap?.[Number(hit.dataset.regionIndex)];
+        if (!region) return;
+
+        this.closeEditor();
+        const label = this.typeLabels[region.type] || '文字';
+        const initial = region.type === 'item' && region.source ? String(region.source).replace(/\s*\n\s*/g, ' ') : String(region.text || '');
+
+        const element = document.createElement('div');
+        element.className = 'card-inline-editor';
+        element.setAttribute('role', 'dialog');
+        element.setAttribute('aria-label', `编辑${label}`);
+        element.innerHTML = `
+            <div class="card-inline-editor-label">编辑${label}${region.type === 'tag' ? '（清空即删除）' : ''}</div>
+            <input type="text" class="setting-input" value="${Utils.escapeHtml(initial)}">
+            <div class="card-inline-editor-actions">
+                <button type="button" class="secondary-button" data-action="cancel">取消</button>
+                <button type="button" class="primary-button" data-action="save">保存</button>
+            </div>
+        `;
+        document.body.appendChild(element);
+        hit.classList.add('editing');
+
+        const input = element.querySelector('input');
+        element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'save') this.save();
+            if (action === 'cancel') this.closeEditor();
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.isComposing) {
+                e.preventDefault();
+                this.save();
+            } else if (e.key === 'Escape') {
+                this.closeEditor();
+            }
+        });
+
+        this.editor = { element, input, hit, image, region, initial, label };
+        this.positionEditor();
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * 编辑框放在文字区域下方（空间不足时放在上方）
+     */
+    positionEditor() {
+        if (!this.editor) return;
+        const { element, hit } = this.editor;
+        const rect = hit.getBoundingClientRect();
+        const width = Math.min(Math.max(rect.width, 280), window.innerWidth - 16);
+        const left = Math.min(Math.max(8, rect.left), window.innerWidth - width - 8);
+        const below = rect.bottom + 8;
+        const top = below + element.offsetHeight > window.innerHeight ? Math.max(8, rect.top - element.offsetHeight - 8) : below;
+        element.style.cssText = `left: ${left}px; top: ${top}px; width: ${width}px;`;
+    }
+
+    /**
+     * 关闭编辑框
+     */
+    closeEditor() {
+        if (!this.editor) return;
+        this.editor.hit.classList.remove('editing');
+        this.editor.element.remove();
+        this.editor = null;
+    }
+
+    /**
+     * 保存修改：写回步骤数据并重绘受影响的卡片
+     */
+    async save() {
+        if (!this.editor || this.saving) return;
+        const { element, input, image, region, initial, label } = this.editor;
+        const value = input.value.trim();
+
+        if (value === initial.trim()) {
+            this.closeEditor();
+            return;
+        }
+        if (!value && region.type !== 'tag') {
+            window.uiManager?.showToast(`${label}不能为空`, 'warning');
+            return;
+        }
+
+        let changes = this.buildChanges(region, value);
+        if (!changes) {
+            window.uiManager?.showToast('无法在原文中定位这段文字，请在第一步的正文中修改', 'warning');
+            return;
+        }
+        if (window.pageOrganizer && region.type !== 'tag') {
+            changes = window.pageOrganizer.carryTextEdit(changes, {
+                pageIndex: image?.sourcePage?.index,
+                search: [region.source, region.text].filter(Boolean),
+                value
+            });
+        }
+
+        this.saving = true;
+        element.classList.add('saving');
+        input.disabled = true;
+        try {
+            await window.previewSystem.applyStepEdit(changes, `编辑卡片${label}`);
+            window.uiManager?.showToast(`已更新${label}`, 'success');
+        } catch (error) {
+            DEBUG.error('卡片文字编辑失败:', error);
+            window.uiManager?.showToast(`卡片更新失败：${error.message}`, 'error');
+        } finally {
+            this.saving = false;
+            this.closeEditor();
+        }
+    }
+
+    /**
+     * 把区域的修改转换为步骤数据的变更；无法在原文中定位时返回 null
+     */
+    buildChanges(region, value) {
+        const stepData = window.previewSystem?.stepData;
+        if (!stepData) return null;
+
+        // 卡片按优化后的正文渲染（没有时用原文），修改写回同一份内容
+        const field = stepData.optimizedContent ? 'optimizedContent' : 'content';
+        const text = String(stepData[field] || '');
+
+        if (region.type === 'tag') {
+            return this.buildTagChanges(region.text, value, stepData, field, text);
+        }
+
+        const next = region.type === 'title'
+            ? this.replaceTitle(text, region, value)
+            : (this.replaceText(text, region.source, value) ?? this.replaceText(text, region.text, value));
+        return next === null || next === text ? null : { [field]: next };
+    }
+
+    /**
+     * 标题：优先改写标题所在的原文行（保留 “#”、“标题：” 等前缀），没有原文行时按文字查找
+     */
+    replaceTitle(text, region, value) {
+        const lines = text.split('\n');
+        const source = String(region.source || '').trim();
+        const index = source ? lines.findIndex(line => line.trim() === source) : -1;
+        if (index === -1) {
+            return this.replaceText(text, region.text, value);
+        }
+
+        const line = lines[index];
+        if (region.text && line.includes(region.text)) {
+            lines[index] = line.replace(region.text, () => value);
+        } else {
+            const prefix = line.match(/^\s*(?:[-*+]\s+)?(?:#{1,6}\s+)?(?:(?:标题|Title)\s*[:：]\s*)?/i)[0];
+            lines[index] = prefix + value;
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * 替换原文中的一段文字：优先选择位于行首（只隔着列表 / 标题标记）的出现位置
+     */
+    replaceText(text, search, value) {
+        if (!search) return null;
+
+        let fallback = -1;
+        for (let index = text.indexOf(search); index !== -1; index = text.indexOf(search, index + 1)) {
+            const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+            if (/^[\s>#*+\-\d.)、•[\]xX]*$/.test(text.slice(lineStart, index))) {
+                fallback = index;
+                break;
+            }
+            if (fallback === -1) fallback = index;
+        }
+        return fallback === -1 ? null : text.slice(0, fallback) + value + text.slice(fallback + search.length);
+    }
+
+    /**
+     * 标签：自定义标签直接修改列表，正文中的话题标签改写原文；清空即删除
+     */
+    buildTagChanges(tag, value, stepData, field, text) {
+        const next = value.replace(/^#/, '').replace(/\s+/g, '');
+        const customTags = Array.isArray(stepData.customTags) ? stepData.customTags : [];
+        const index = customTags.findIndex(item => String(item).replace(/^#/, '') === tag);
+        if (index !== -1) {
+            const updated = [...customTags];
+            if (next) {
+                updated.splice(index, 1, next);
+            } else {
+                updated.splice(index, 1);
+            }
+            return { customTags: Array.from(new Set(updated)) };
+        }
+
+        const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`([ \\t]?)#${escaped}#?(?![A-Za-z0-9_\\u4e00-\\u9fff])([ \\t]?)`);
+        if (!pattern.test(text)) return null;
+        // 删除时两侧都有空格则保留一个，避免前后文字粘连或留下多余空格
+        return {
+            [field]: text.replace(pattern, (match, before, after) => (next ? `${before}#${next}${after}` : (before && after ? before : '')))
+        };
+    }
+}
+
+// 全局卡片文字编辑器实例
+window.cardEditor = new CardEditor();
@@ -0,0 +1,488 @@
+/**
+ * 轮播图规划器
+ * 将内容分析得到的段落规划为小红书轮播页：封面 → 内容页（正文 / 清单 / 数据 / 金句）→ 总结页，
+ * 每页带有页面角色与“2/6”页码，渲染器据此选择对应版式
+ */
+
+class CarouselPlanner {
+    constructor() {
+        this.roles = {
+            cover: { name: '封面', icon: 'auto_awesome' },
+            body: { name: '正文', icon: 'notes' },
+            list: { name: '清单', icon: 'format_list_numbered' },
+            data: { name: '数据', icon: 'insights' },
+            quote: { name: '金句', icon: 'format_quote' },
+            summary: { name: '总结', icon: 'task_alt' }
+        };
+
+        this.maxItems = 6;
+        this.maxDataPoints = 4;
+        this.quoteMaxLength = 36;
+        this.titleMaxLength = 28;
+        this.defaultCta = '觉得有用就点赞收藏吧，关注我看更多干货';
+
+        this.dataPattern = /(\d+(?:\.\d+)?)\s*(%|％|倍|万|亿|元|块|次|个|天|小时|分钟|秒|斤|公斤|kg|km|人|件|款|年|月|周)/gi;
+        this.closingPattern = /^(?:总结|小结|最后|总之|写在最后|结语|一句话总结|划重点)/;
+    }
+
+    /**
+     * 规划轮播页：sections 为 ContentAnalyzer 的分段结果，options.imageCount 为页数，options.content 为全文兜底
+     */
+    plan(sections, options = {}) {
+        const content = this.stripHashtags(options.content);
+        const units = (Array.isArray(sections) ? sections : [])
+            .map((section, index) => ({
+                title: this.cleanTitle(section?.title),
+                content: this.stripHashtags(section?.content),
+                type: section?.type || 'paragraph',
+                sectionIndex: index
+            }))
+            .filter(unit => unit.content);
+        if (units.length === 0 && content) {
+            units.push({ title: '', content, type: 'paragraph', sectionIndex: undefined });
+        }
+
+        const total = Math.max(1, parseInt(options.imageCount) || Math.min(units.length + 2, 9));
+
+        // 开头只有标题 / 适合人群等元信息的段落作为封面文案，结尾的总结段作为总结页
+        const header = units.length > 1 && this.isHeaderSection(units[0]) ? this.parseHeader(units.shift()) : null;
+        const closing = total >= 3 && units.length > 1 && this.isClosingSection(units[units.length - 1]) ? units.pop() : null;
+
+        const slots = total === 1 ? 0 : (total === 2 ? 1 : total - 2);
+        const contentPages = this.distribute(units, slots).flatMap(unit => this.chunkItems(this.buildContentPage(unit)));
+        while (contentPages.length < slots) {
+            contentPages.push(this.buildContentPage({ title: '', content, type: 'paragraph', sectionIndex: undefined }, 'body'));
+        }
+
+        const pages = [this.buildCover(header, contentPages.length > 0 ? contentPages : units.map(unit => this.buildContentPage(unit)), content)];
+        pages.push(...contentPages);
+        if (total >= 3) {
+            pages.push(this.buildSummary(closing, contentPages));
+        }
+
+        return this.renumber(pages);
+    }
+
+    /**
+     * 重新编号页面（规划完成或自动分页插入续页后调用）
+     */
+    renumber(pages) {
+        return pages.map((page, index) => ({
+            ...page,
+            index,
+            roleName: this.roles[page.role].name,
+            pageNumber: index + 1,
+            totalPages: pages.length,
+            indicator: `${index + 1}/${pages.length}`
+        }));
+    }
+
+    /**
+     * 清单条目超过 maxItems 时拆成多页，多出的条目放到续页，不截断
+     */
+    chunkItems(page) {
+        if (page.role !== 'list' || page.items.length <= this.maxItems) return [page];
+
+        const chunks = [];
+        for (let start = 0; start < page.items.length; start += this.maxItems) {
+            const chunk = this.sliceItems(page, start, start + this.maxItems);
+            chunks.push(start === 0 ? chunk : { ...chunk, title: `${page.title.replace(/（续）$/, '')}（续）` });
+        }
+        return chunks;
+    }
+
+    /**
+     * 截取清单 / 总结页的一段条目（自动分页按条目拆页时使用）：正文只保留对应的条目行，
+     * 非条目行留在第一段，互动引导只放在最后一段
+     */
+    sliceItems(page, start, end) {
+        const items = page.items.slice(start, end);
+        const lines = this.getLines(page.body);
+        // 总结页与按行切换成清单的页面每行都是一个条目
+        const marked = page.role !== 'summary' && lines.some(line => this.isListLine(line));
+        let itemIndex = -1;
+        const body = lines.filter((line) => {
+            const isItem = !marked || this.isListLine(line);
+            if (isItem) itemIndex++;
+            return isItem ? itemIndex >= start && itemIndex < start + items.length : start === 0;
+        });
+
+        return {
+            ...page,
+            body: body.join('\n'),
+            items,
+            cta: end >= page.items.length ? page.cta : ''
+        };
+    }
+
+    /**
+     * 将段落调整为指定数量：不足时拆分最长段落，过多时合并相邻的短段落
+     */
+    distribute(units, slots) {
+        const result = units.map(unit => ({ ...unit }));
+        if (slots === 0) return [];
+
+        while (result.length < slots) {
+            const candidates = result
+                .map((unit, index) => ({ index, parts: this.splitUnit(unit), length: unit.content.length }))
+                .filter(candidate => candidate.parts)
+                .sort((a, b) => b.length - a.length);
+            if (candidates.length === 0) break;
+            result.splice(candidates[0].index, 1, ...candidates[0].parts);
+        }
+
+        while (result.length > slots) {
+            let best = 0;
+            for (let i = 1; i < result.length - 1; i++) {
+                const size = result[i].content.length + result[i + 1].content.length;
+                if (size < result[best].content.length + result[best + 1].content.length) best = i;
+            }
+            const [first, second] = result.splice(best, 2);
+            result.splice(best, 0, {
+                title: first.title || second.title,
+                content: `${first.content}\n\n${second.content}`,
+                type: first.type === second.type ? first.type : 'paragraph',
+                sectionIndex: first.sectionIndex,
+                merged: true
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * 将一个段落一分为二（按行，单行时按句），无法拆分时返回 null
+     */
+    splitUnit(unit) {
+        const lines = this.getBodyLines(unit);
+        let parts = null;
+        if (lines.length >= 2) {
+            const middle = Math.ceil(lines.length / 2);
+            parts = [lines.slice(0, middle).join('\n'), lines.slice(middle).join('\n')];
+        } else {
+            const sentences = (lines[0] || '').match(/[^。！？!?]+[。！？!?]*/g) || [];
+            if (sentences.length < 2) return null;
+            const middle = Math.ceil(sentences.length / 2);
+            parts = [sentences.slice(0, middle).join(''), sentences.slice(middle).join('')];
+        }
+
+        const title = unit.title || this.deriveTitle(parts[0]);
+        return [
+            { ...unit, title, content: parts[0] },
+            { ...unit, title: `${title}（续）`, content: parts[1] }
+        ];
+    }
+
+    /**
+     * 是否为内容页（封面与总结页的结构固定，不参与拆分、合并与版式切换）
+     */
+    isContentPage(page) {
+        return ['body', 'list', 'data', 'quote'].includes(page?.role);
+    }
+
+    /**
+     * 将内容页一分为二（步骤4手动拆分），无法拆分时返回 null；拆出的两页按内容重新判断版式
+     */
+    splitPage(page) {
+        if (!this.isContentPage(page)) return null;
+        const parts = this.splitUnit({ title: page.title, content: page.body, sectionIndex: page.sectionIndex });
+        return parts ? parts.map(part => this.buildContentPage(part)) : null;
+    }
+
+    /**
+     * 合并相邻的两个内容页（步骤4手动合并），标题取前一页
+     */
+    mergePages(first, second) {
+        if (!this.isContentPage(first) || !this.isContentPage(second)) return null;
+        const unit = {
+            title: first.title || second.title,
+            content: [first.body, second.body].filter(Boolean).join('\n\n'),
+            sectionIndex: first.sectionIndex ?? second.sectionIndex,
+            merged: true
+        };
+        const page = this.buildContentPage(unit);
+        // 合并后条目超过一页清单的上限时按正文排版，避免条目画不下
+        return page.role === 'list' && page.items.length > this.maxItems ? this.buildContentPage(unit, 'body') : page;
+    }
+
+    /**
+     * 按指定版式重建内容页（role 为空时按内容自动判断）；正文没有数值时不能使用数据版式
+     */
+    relayout(page, role = '') {
+        if (!this.isContentPage(page)) {
+            throw new Error('封面与总结页不能切换版式');
+        }
+
+        const unit = { title: page.title, content: page.body, sectionIndex: page.sectionIndex };
+        const rebuilt = this.buildContentPage(unit, role || this.detectRole(unit));
+        if (rebuilt.role === 'data' && rebuilt.dataPoints.length === 0) {
+            throw new Error('这一页没有可绘制的数据，不能使用数据版式');
+        }
+        // 没有列表标记的正文按行作为清单条目
+        if (rebuilt.role === 'list' && rebuilt.items.length === 0) {
+            rebuilt.items = this.getBodyLines(unit).map(line => this.cleanLine(line));
+        }
+        if (rebuilt.role === 'list' && rebuilt.items.length > this.maxItems) {
+            throw new Error(`这一页超过 ${this.maxItems} 条，请先拆分页面再使用清单版式`);
+        }
+        return { ...page, ...rebuilt };
+    }
+
+    /**
+     * 判断内容页角色：清单 / 数据 / 金句 / 正文
+     */
+    detectRole(unit) {
+        const lines = this.getBodyLines(unit);
+        const listLines = lines.filter(line => this.isListLine(line));
+        // 合并后的页面内容较杂，全部是条目时才用清单版式，否则按正文排版（避免丢掉合并进来的段落）
+        if (unit.merged) {
+            return listLines.length > 0 && listLines.length === lines.length ? 'list' : 'body';
+        }
+        if (listLines.length > 0 && (listLines.length === lines.length || listLines.length >= Math.max(3, lines.length * 0.6))) {
+            return 'list';
+        }
+        if (this.extractDataPoints(lines.join('\n')).length >= 2) {
+            return 'data';
+        }
+        const text = window.markdownParser.toPlainText(this.stripInlineHashtags(lines.join('')));
+        if (/^[“「"『][^”」"』]+[”」"』]$/.test(text) || (lines.length === 1 && text.length <= this.quoteMaxLength)) {
+            return 'quote';
+        }
+        return 'body';
+    }
+
+    /**
+     * 构建内容页
+     */
+    buildContentPage(unit, role = this.detectRole(unit)) {
+        const lines = this.getBodyLines(unit);
+        const title = /^列表内容/.test(unit.title) ? '要点清单' : (unit.title || this.deriveTitle(lines[0]));
+
+        return {
+            role,
+            title,
+            subtitle: '',
+            body: lines.join('\n'),
+            items: role === 'list'
+                ? lines.filter(line => this.isListLine(line)).map(line => this.cleanLine(line))
+                : [],
+            dataPoints: role === 'data' ? this.extractDataPoints(lines.join('\n')) : [],
+            quote: role === 'quote' ? this.stripInlineHashtags(lines.join('')).replace(/^[“「"『]|[”」"』]$/g, '') : '',
+            cta: '',
+            sectionIndex: unit.sectionIndex
+        };
+    }
+
+    /**
+     * 构建封面：钩子标题 + 副标题 + 本篇看点
+     */
+    buildCover(header, contentPages, content) {
+        // 文档的一级标题优先作为封面标题
+        const lines = this.getLines(content);
+        const heading = lines.find(line => /^#\s+/.test(line));
+        const title = (heading && this.truncate(this.cleanTitle(heading), this.titleMaxLength)) ||
+            header?.title || this.truncate(this.cleanTitle(lines[0] || ''), this.titleMaxLength) || contentPages[0]?.title || '内容分享';
+        const topics = contentPages
+            .map(page => page.title.replace(/（续）$/, ''))
+            .filter((topic, index, list) => topic && topic !== title && list.indexOf(topic) === index);
+
+        return {
+            role: 'cover',
+            title,
+            subtitle: header?.subtitle || (topics.length > 1 ? `${topics.length} 个要点，建议先收藏` : ''),
+            body: header?.body || '',
+            items: topics.slice(0, 4),
+            dataPoints: [],
+            quote: '',
+            cta: '',
+            sectionIndex: header?.sectionIndex
+        };
+    }
+
+    /**
+     * 构建总结页：沿用原文的总结段，没有时回顾各内容页标题
+     */
+    buildSummary(closing, contentPages) {
+        const closingLines = closing ? this.getBodyLines(closing).map(line => this.stripInlineHashtags(this.cleanLine(line))).filter(Boolean) : [];
+        const recap = contentPages
+            .map(page => page.title.replace(/（续）$/, ''))
+            .filter((topic, index, list) => topic && list.indexOf(topic) === index);
+
+        return {
+            role: 'summary',
+            title: closing?.title || '总结一下',
+            subtitle: '',
+            body: closingLines.join('\n'),
+            items: closingLines.length > 0 ? closingLines : recap,
+            dataPoints: [],
+            quote: '',
+            cta: this.defaultCta,
+            sectionIndex: closing?.sectionIndex
+        };
+    }
+
+    /**
+     * 将页面转换为纯文本（供只接受文本的渲染器与提示词使用）
+     */
+    toText(page) {
+        const lines = [`标题：${page.title}`];
+        if (page.subtitle) lines.push(page.subtitle);
+        lines.push('');
+
+        if (page.role === 'quote' && page.quote) {
+            lines.push(`“${page.quote}”`);
+        } else if (page.items.length > 0 && page.role !== 'data') {
+            page.items.forEach((item, index) => lines.push(`${index + 1}. ${item}`));
+        } else if (page.body) {
+            lines.push(page.body);
+        }
+
+        if (page.cta) {
+            lines.push('', page.cta);
+        }
+        return lines.join('\n').trim();
+    }
+
+    /**
+     * 是否为封面元信息段落（标题：xxx / 适合：xxx 等短段落）；带 Markdown 标题的段落是正文小节，不算
+     */
+    isHeaderSection(unit) {
+        const lines = this.getLines(unit.content);
+        if (unit.type === 'titled' || lines.some(line => /^#{1,6}\s+/.test(line))) return false;
+        if (/(?:^|\n)\s*(?:标题|Title)\s*[:：]/i.test(unit.content)) return lines.length <= 3;
+        return lines.length <= 2 && unit.content.length <= 40;
+    }
+
+    /**
+     * 解析封面元信息
+     */
+    parseHeader(unit) {
+        const lines = this.getLines(unit.content).map(line => {
+            const marker = window.markdownParser.parseListMarker(line);
+            return marker && !marker.ordered ? marker.content : line;
+        });
+        const titleIndex = Math.max(0, lines.findIndex(line => /^(?:标题|Title)\s*[:：]/i.test(line)));
+        const rest = lines.filter((_, index) => index !== titleIndex);
+
+        return {
+            title: this.truncate(this.cleanTitle(lines[titleIndex]), this.titleMaxLength),
+            subtitle: rest[0] || '',
+            body: rest.slice(1).join('\n'),
+            sectionIndex: unit.sectionIndex
+        };
+    }
+
+    /**
+     * 是否为结尾总结段落
+     */
+    isClosingSection(unit) {
+        return this.closingPattern.test(unit.title) || this.closingPattern.test(this.cleanTitle(this.getLines(unit.content)[0]));
+    }
+
+    /**
+     * 提取数据点：数值 + 单位，标签取同一分句的其余文字
+     */
+    extractDataPoints(text) {
+        const points = [];
+        this.getLines(text).join('\n').split(/[，,；;。！？!?\n]/).forEach(clause => {
+            this.dataPattern.lastIndex = 0;
+            const match = this.dataPattern.exec(clause);
+            if (!match || points.length >= this.maxDataPoints) return;
+
+            const label = window.markdownParser.toPlainText(this.cleanLine(clause.replace(match[0], ' ')))
+                .replace(/^[：:、\s]+|[：:、\s]+$/g, '')
+                .replace(/\s+/g, '')
+                .trim();
+            points.push({
+                value: match[1],
+                unit: match[2],
+                label: this.truncate(label, 14) || '关键数据'
+            });
+        });
+        return points;
+    }
+
+    /**
+     * 段落正文行（去掉与段落标题重复的首行）
+     */
+    getBodyLines(unit) {
+        const lines = this.getLines(unit.content);
+        if (lines.length > 1 && unit.title && this.cleanTitle(lines[0]) === unit.title) {
+            return lines.slice(1);
+        }
+        if (lines.length > 1 && /^#{1,6}\s+/.test(lines[0])) {
+            return lines.slice(1);
+        }
+        return lines;
+    }
+
+    /**
+     * 非空行
+     */
+    getLines(text) {
+        return String(text || '').replace(/\r\n/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * 是否为列表行
+     */
+    isListLine(line) {
+        return !!window.markdownParser.parseListMarker(line);
+    }
+
+    /**
+     * 清理行首的列表标记、Markdown 标题与“标题：”前缀（保留行内格式，交给渲染器显示粗体等）
+     */
+    cleanLine(line) {
+        const text = String(line || '')
+            .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
+            .replace(/^#{1,6}\s+/, '')
+            .trim();
+        return window.markdownParser.parseListMarker(text)?.content || text;
+    }
+
+    /**
+     * 清理段落标题（去掉行内格式符号）
+     */
+    cleanTitle(title) {
+        return window.markdownParser.toPlainText(this.cleanLine(String(title || '').split('\n')[0]))
+            .replace(/\.\.\.$|…$/, '')
+            .replace(/[：:]$/, '')
+            .trim();
+    }
+
+    /**
+     * 由正文首句生成标题
+     */
+    deriveTitle(text) {
+        const sentence = this.cleanTitle(text).split(/[。！？!?，,]/)[0];
+        return this.truncate(sentence, 16) || '内容片段';
+    }
+
+    /**
+     * 去掉纯话题标签行
+     */
+    stripHashtags(text) {
+        return this.getLines(text)
+            .filter(line => line.replace(window.markdownParser.hashtagPattern, '').trim())
+            .join('\n');
+    }
+
+    /**
+     * 去掉行内的话题标签（标签由渲染器单独绘制）
+     */
+    stripInlineHashtags(text) {
+        return window.markdownParser.extractHashtags(text).text;
+    }
+
+    /**
+     * 截断文本
+     */
+    truncate(text, maxLength) {
+        const value = String(text || '').trim();
+        return value.length > maxLength ? value.slice(0, maxLength) + '…' : value;
+    }
+}
+
+// 全局轮播规划器实例
+window.carouselPlanner = new CarouselPlanner();
@@ -0,0 +1,290 @@
+/**
+ * 代码高亮
+ * 内置 JS / TS、Python、Shell、JSON、SQL 的轻量分词器，输出按行分组的记号；
+ * 配色由模板的背景、正文与强调色派生，SVG 与 HTML 渲染器共用
+ */
+
+class CodeHighlighter {
+    constructor() {
+        this.aliases = {
+            javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', node: 'js',
+            typescript: 'ts', tsx: 'ts',
+            py: 'python', python3: 'python',
+            sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', terminal: 'shell', shellscript: 'shell',
+            jsonc: 'json', json5: 'json',
+            mysql: 'sql', postgres: 'sql', postgresql: 'sql', sqlite: 'sql', plsql: 'sql'
+        };
+        this.labels = { js: 'JavaScript', ts: 'TypeScript', python: 'Python', shell: 'Shell', json: 'JSON', sql: 'SQL' };
+        this.fileNames = { js: 'index.js', ts: 'index.ts', python: 'main.py', shell: 'terminal.sh', json: 'data.json', sql: 'query.sql' };
+
+        // 基础配色：深色背景 / 浅色背景各一套，关键字与函数名优先使用模板强调色
+        this.palettes = {
+            dark: {
+                keyword: '#C678DD', string: '#98C379', number: '#D19A66', comment: '#7F848E',
+                function: '#61AFEF', property: '#E5C07B', builtin: '#56B6C2', variable: '#E06C75',
+                operator: '#ABB2BF', punctuation: '#ABB2BF', prompt: '#7F848E'
+            },
+            light: {
+                keyword: '#CF222E', string: '#0A3069', number: '#0550AE', comment: '#6E7781',
+                function: '#8250DF', property: '#953800', builtin: '#0550AE', variable: '#953800',
+                operator: '#24292F', punctuation: '#57606A', prompt: '#6E7781'
+            }
+        };
+
+        const jsKeywords = 'const|let|var|function|return|if|else|for|while|do|switch|case|break|continue|new|class|extends|import|export|from|default|async|await|try|catch|finally|throw|typeof|instanceof|in|of|this|super|yield|delete|void|null|undefined|true|false';
+        const tsKeywords = 'interface|type|enum|implements|public|private|protected|readonly|declare|namespace|as|keyof|abstract|satisfies';
+        const jsRules = (keywords, builtins) => [
+            ['comment', /\/\/[^\n]*/y],
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /`(?:\\[\s\S]|[^\\`])*`?/y],
+            ['string', /"(?:\\.|[^"\\\n])*"?/y],
+            ['string', /'(?:\\.|[^'\\\n])*'?/y],
+            ['number', /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y],
+            ['keyword', new RegExp(`\\b(?:${keywords})\\b`, 'y')],
+            ['builtin', new RegExp(`\\b(?:${builtins})\\b`, 'y')],
+            ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+            ['property', /(?<=\.)[A-Za-z_$][\w$]*/y],
+            ['plain', /[A-Za-z_$][\w$]*/y],
+            ['operator', /=>|[=+\-*/%!<>&|^~?:]+/y],
+            ['punctuation', /[{}()[\];,.]/y]
+        ];
+
+        this.rules = {
+            js: jsRules(jsKeywords, 'console|Math|JSON|Promise|Object|Array|String|Number|Date|Map|Set|window|document|require|module'),
+            ts: jsRules(`${jsKeywords}|${tsKeywords}`, 'string|number|boolean|any|unknown|never|object|Record|Partial|Promise|Array|console|Math|JSON'),
+            python: [
+                ['comment', /#[^\n]*/y],
+                ['string', /[rRbBfFuU]{0,2}("""|''')[\s\S]*?(?:\1|$)/y],
+                ['string', /[rRbBfFuU]{0,2}"(?:\\.|[^"\\\n])*"?/y],
+                ['string', /[rRbBfFuU]{0,2}'(?:\\.|[^'\\\n])*'?/y],
+                ['function', /@[\w.]+/y],
+                ['number', /\b\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?\b/y],
+                ['keyword', /\b(?:def|class|return|if|elif|else|for|while|in|not|and|or|is|None|True|False|import|from|as|with|try|except|finally|raise|lambda|pass|break|continue|yield|global|nonlocal|async|await|del|assert|match|case)\b/y],
+                ['builtin', /\b(?:print|len|range|self|cls|dict|list|str|int|float|bool|set|tuple|open|super|isinstance|enumerate|zip|map|filter|sorted|sum|min|max|type)\b/y],
+                ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+                ['property', /(?<=\.)[A-Za-z_]\w*/y],
+                ['plain', /[A-Za-z_]\w*/y],
+                ['operator', /[=+\-*/%!<>&|^~:]+/y],
+                ['punctuation', /[{}()[\];,.]/y]
+            ],
+            shell: [
+                ['prompt', /(?<=(?:^|\n)[ \t]*)[$>](?=[ \t])/y],
+                ['comment', /(?<=(?:^|\s))#[^\n]*/y],
+                ['string', /"(?:\\.|[^"\\])*"?/y],
+                ['string', /'[^']*'?/y],
+                ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[\d@#?$!*-])/y],
+                ['keyword', /\b(?:if|then|else|elif|fi|for|do|done|while|until|case|esac|function|in|export|local|return|source|sudo)\b/y],
+                // 行首（提示符、管道、&& 之后）的命令名
+                ['function', /(?<=(?:^|\n|[|;&]|[$>][ \t])[ \t]*)[A-Za-z_.\/][\w.\/-]*/y],
+                ['property', /(?<=\s)--?[A-Za-z][\w-]*/y],
+                ['number', /\b\d+(?:\.\d+)*\b/y],
+                ['plain', /[^\s"'$|;&<>()#]+/y],
+                ['operator', /&&|\|\||[|&;<>]+/y],
+                ['punctuation', /[()]/y]
+            ],
+            json: [
+                ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+                ['string', /"(?:\\.|[^"\\\n])*"?/y],
+                ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+                ['keyword', /\b(?:true|false|null)\b/y],
+                ['comment', /\/\/[^\n]*/y],
+                ['punctuation', /[{}[\],:]/y]
+            ],
+            sql: [
+                ['comment', /--[^\n]*/y],
+                ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+                ['string', /'(?:''|[^'])*'?/y],
+                ['property', /"(?:[^"\n])*"?|`[^`\n]*`?/y],
+                ['number', /\b\d+(?:\.\d+)?\b/y],
+                ['keyword', /\b(?:select|from|where|and|or|not|in|is|null|like|between|join|inner|left|right|full|outer|on|group|by|order|having|limit|offset|insert|into|values|update|set|delete|create|table|index|view|drop|alter|add|primary|key|foreign|references|as|distinct|union|all|case|when|then|else|end|with|desc|asc|exists|default|unique|if)\b/iy],
+                ['builtin', /\b(?:int|integer|bigint|varchar|char|text|boolean|date|timestamp|decimal|float|serial|json|jsonb)\b/iy],
+                ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+                ['plain', /[A-Za-z_]\w*/y],
+                ['operator', /[=<>!+\-*/%|]+/y],
+                ['punctuation', /[(),;.]/y]
+            ]
+        };
+    }
+
+    // ── 语言 ──────────────────────────────
+
+    /**
+     * 规范化围栏中的语言名，不支持的语言返回空字符串
+     */
+    normalizeLanguage(lang) {
+        const key = String(lang || '').trim().toLowerCase();
+        if (this.rules[key]) return key;
+        return this.aliases[key] || '';
+    }
+
+    /**
+     * 未标注语言时按内容猜测
+     */
+    guessLanguage(code) {
+        const source = String(code || '').trim();
+        if (/^[[{]/.test(source)) {
+            try {
+                JSON.parse(source);
+                return 'json';
+            } catch (error) {
+                // 不是合法 JSON，继续按其他语言判断
+            }
+        }
+        if (/^\s*(?:select|insert|update|delete|create|alter|with)\b[\s\S]*\b(?:from|into|table|set|as)\b/i.test(source)) return 'sql';
+        if (/^\s*[$>]\s|^\s*(?:npm|npx|pnpm|yarn|git|cd|pip3?|brew|curl|docker|sudo|apt(?:-get)?|ls|mkdir|export)\b/m.test(source)) return 'shell';
+        if (/^\s*(?:def|class)\s+\w+.*:\s*$|^\s*(?:from\s+\w+\s+)?import\s+\w+\s*$|\bprint\(/m.test(source) && !/[;{}]\s*$/m.test(source)) return 'python';
+        if (/:\s*(?:string|number|boolean)\b|\binterface\s+\w+/.test(source)) return 'ts';
+        return 'js';
+    }
+
+    /**
+     * 确定高亮语言：围栏标注了受支持的语言时直接使用，未标注时猜测，标注了不支持的语言时不高亮（返回空字符串）
+     */
+    resolveLanguage(lang, code) {
+        if (!lang) return this.guessLanguage(code);
+        return this.normalizeLanguage(lang);
+    }
+
+    /**
+     * 标题栏显示的语言名，不支持的语言原样显示围栏中的写法
+     */
+    getLanguageLabel(lang, fallback = '') {
+        return this.labels[lang] || fallback || 'Code';
+    }
+
+    /**
+     * 围栏未给出文件名时标题栏使用的默认文件名
+     */
+    getFileName(lang) {
+        return this.fileNames[lang] || 'snippet.txt';
+    }
+
+    // ── 分词 ──────────────────────────────
+
+    /**
+     * 分词并按行分组：返回 [[{ type, text }]]，跨行的注释 / 字符串拆到各行
+     */
+    tokenize(code, lang) {
+        const source = String(code || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ');
+        const rules = this.rules[this.normalizeLanguage(lang)] || [];
+        const lines = [[]];
+
+        const push = (type, text) => {
+            text.split('\n').forEach((part, index) => {
+                if (index > 0) lines.push([]);
+                if (!part) return;
+                const line = lines[lines.length - 1];
+                const last = line[line.length - 1];
+                if (last && last.type === type) {
+                    last.text += part;
+                } else {
+                    line.push({ type, text: part });
+                }
+            });
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const space = /\s+/y;
+            space.lastIndex = i;
+            const blank = space.exec(source);
+            if (blank) {
+                push('plain', blank[0]);
+                i += blank[0].length;
+                continue;
+            }
+
+            let matched = false;
+            for (const [type, pattern] of rules) {
+                pattern.lastIndex = i;
+                const match = pattern.exec(source);
+                if (match && match[0]) {
+                    push(type, match[0]);
+                    i += match[0].length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (!matched) {
+                push('plain', source[i]);
+                i++;
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * 按列数截断一行（中文等全角字符占两列），超出部分以省略号结尾
+     */
+    clipLine(tokens, columns) {
+        const result = [];
+        let used = 0;
+
+        for (const token of tokens) {
+            let text = '';
+            for (const ch of token.text) {
+                const width = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(ch) ? 2 : 1;
+                if (used + width > columns - 1) {
+                    if (text) result.push({ ...token, text });
+                    result.push({ type: 'comment', text: '…' });
+                    return result;
+                }
+                text += ch;
+                used += width;
+            }
+            result.push({ ...token, text });
+        }
+
+        return result;
+    }
+
+    // ── 配色 ──────────────────────────────
+
+    /**
+     * 由模板颜色派生代码配色：{ background, text, muted, accents }，accents 为模板强调色（按优先级）；
+     * 背景决定深 / 浅色基础配色，对比度足够的强调色用于关键字与函数名
+     */
+    createTheme({ background, text, muted, accents = [] }) {
+        const dark = this.getLuminance(background) < 0.4;
+        const palette = { ...this.palettes[dark ? 'dark' : 'light'] };
+        const readable = accents.filter(color => color && this.getContrast(color, background) >= 3);
+        if (readable[0]) palette.keyword = readable[0];
+        if (readable[1]) palette.function = readable[1];
+
+        return {
+            ...palette,
+            background,
+            text,
+            plain: text,
+            lineNumber: muted || palette.comment,
+            titleBar: dark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.04)',
+            dark
+        };
+    }
+
+    getLuminance(color) {
+        const hex = String(color || '').replace('#', '');
+        if (!/^[\da-f]{6}$/i.test(hex)) return 0;
+        const [r, g, b] = [0, 2, 4].map((offset) => {
+            const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+            return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    getContrast(a, b) {
+        const [light, dark] = [this.getLuminance(a), this.getLuminance(b)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    }
+}
+
+// 全局代码高亮实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.codeHighlighter = new CodeHighlighter();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeHighlighter;
+}
@@ -0,0 +1,428 @@
+/**
+ * 合规检查器
+ * 按 templates/compliance-rules.json 中的词库（广告法极限词、医疗 / 金融宣称、竞品品牌、平台违规用语）
+ * 扫描正文与优化后内容，在编辑区内高亮命中词并给出替换建议，生成前按检查模式拦截或提醒
+ */
+
+class ComplianceChecker {
+    constructor() {
+        this.source = './templates/compliance-rules.json';
+        this.settingsKey = 'compliance_settings';
+        this.rules = null;
+        this.entries = [];
+        this._loadPromise = null;
+
+        this.modes = {
+            strict: '严格：禁用词阻止生成，提醒词需确认',
+            warn: '宽松：仅提醒，不阻止生成',
+            off: '关闭检查'
+        };
+        this.levelNames = {
+            block: '禁用',
+            warn: '提醒'
+        };
+
+        this.settings = this.loadSettings();
+        this.loadFromData(this.getDefaultRules());
+    }
+
+    /**
+     * 初始化合规检查器
+     */
+    async init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        await this.load();
+        this.bindEvents();
+        this.fillSettingsForm();
+        this.refreshEditor();
+        DEBUG.log(`合规检查器初始化完成，共 ${this.entries.length} 条规则`);
+    }
+
+    /**
+     * 加载合规词库（失败时保留内置分类骨架）
+     */
+    load() {
+        if (this._loadPromise) {
+            return this._loadPromise;
+        }
+
+        this._loadPromise = (async () => {
+            try {
+                const response = await fetch(this.source);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                this.loadFromData(await response.json());
+            } catch (error) {
+                DEBUG.warn('加载合规词库失败，仅检查自定义词:', error);
+                window.uiManager?.showToast('合规词库加载失败，本次仅检查设置中补充的竞品与禁用词', 'warning');
+            }
+        })();
+
+        return this._loadPromise;
+    }
+
+    /**
+     * 从 JSON 数据载入词库
+     */
+    loadFromData(data) {
+        if (!data || typeof data !== 'object' || !data.categories || typeof data.categories !== 'object') {
+            throw new Error('合规词库格式无效：缺少 categories');
+        }
+        this.rules = data;
+        this.compile();
+    }
+
+    /**
+     * 读取检查设置
+     */
+    loadSettings() {
+        const stored = Utils.storage.get(this.settingsKey, {}) || {};
+        return {
+            mode: this.modes[stored.mode] ? stored.mode : 'strict',
+            competitors: Array.isArray(stored.competitors) ? stored.competitors : [],
+            bannedWords: Array.isArray(stored.bannedWords) ? stored.bannedWords : []
+        };
+    }
+
+    /**
+     * 更新并保存检查设置
+     */
+    saveSettings(changes = {}) {
+        this.settings = { ...this.settings, ...changes };
+        if (!this.modes[this.settings.mode]) {
+            this.settings.mode = 'strict';
+        }
+        Utils.storage.set(this.settingsKey, this.settings);
+        this.compile();
+        this.refreshEditor();
+    }
+
+    /**
+     * 将逗号 / 换行分隔的文本解析为词表
+     */
+    parseWordList(text) {
+        return [...new Set(String(text || '').split(/[,，、;；\n]+/).map(word => word.trim()).filter(Boolean))];
+    }
+
+    /**
+     * 将词库与自定义词表编译为匹配规则
+     */
+    compile() {
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const entries = [];
+        const addTerm = (categoryId, category, term) => {
+            const source = term.pattern || (term.word ? escape(term.word) : '');
+            if (!source) return;
+            try {
+                entries.push({
+                    regex: new RegExp(source, 'gi'),
+                    term: term.word || term.pattern,
+                    category: categoryId,
+                    categoryName: category.name || categoryId,
+                    level: term.level || category.level || 'warn',
+                    suggestions: Array.isArray(term.suggest) ? term.suggest : [],
+                    exceptions: (term.exceptions || []).map(item => String(item).toLowerCase())
+                });
+            } catch (error) {
+                DEBUG.warn(`合规规则无效，已跳过: ${source}`, error);
+            }
+        };
+
+        Object.entries(this.rules.categories).forEach(([categoryId, category]) => {
+            (category.terms || []).forEach(term => addTerm(categoryId, category, term));
+        });
+
+        const competitor = this.rules.categories.competitor || { name: '竞品品牌', level: 'warn' };
+        this.settings.competitors.forEach(word => addTerm('competitor', competitor, { word, suggest: ['某品牌'] }));
+        const platform = this.rules.categories.platform || { name: '平台违规用语' };
+        this.settings.bannedWords.forEach(word => addTerm('platform', platform, { word, level: 'block' }));
+
+        this.entries = entries;
+    }
+
+    /**
+     * 检查文本，返回按位置排序、互不重叠的命中列表（同一位置取最长匹配）
+     */
+    check(text) {
+        const content = String(text || '');
+        if (!content || this.settings.mode === 'off') return [];
+
+        const lower = content.toLowerCase();
+        const matches = [];
+        this.entries.forEach(entry => {
+            entry.regex.lastIndex = 0;
+            let match;
+            while ((match = entry.regex.exec(content)) !== null) {
+                if (!match[0]) {
+                    entry.regex.lastIndex++;
+                    continue;
+                }
+                const start = match.index;
+                const end = start + match[0].length;
+                if (!this.isException(lower, start, end, entry.exceptions)) {
+                    matches.push({ ...entry, start, end, word: match[0] });
+                }
+            }
+        });
+
+        matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+        const issues = [];
+        let cursor = 0;
+        matches.forEach(({ regex, exceptions, ...match }) => {
+            if (match.start >= cursor) {
+                issues.push(match);
+                cursor = match.end;
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 判断命中位置是否落在例外搭配中（如「第一次」中的「第一」）
+     */
+    isException(lowerText, start, end, exceptions) {
+        return exceptions.some(exception => {
+            let index = lowerText.indexOf(exception, Math.max(0, end - exception.length));
+            while (index !== -1 && index <= start) {
+                if (index + exception.length >= end) return true;
+                index = lowerText.indexOf(exception, index + 1);
+            }
+            return false;
+        });
+    }
+
+    /**
+     * 按当前模式归类命中：blocking 阻止生成，warnings 需要提醒
+     */
+    evaluate(text) {
+        const issues = this.check(text);
+        const strict = this.settings.mode === 'strict';
+        return {
+            issues,
+            blocking: strict ? issues.filter(issue => issue.level === 'block') : [],
+            warnings: strict ? issues.filter(issue => issue.level !== 'block') : issues
+        };
+    }
+
+    /**
+     * 将命中列表概括为「最好」「治愈」形式的文本
+     */
+    formatIssues(issues, limit = 5) {
+        const words = [...new Set(issues.map(issue => issue.word))];
+        const text = words.slice(0, limit).map(word => `「${word}」`).join('');
+        return words.length > limit ? `${text}等 ${words.length} 个词` : text;
+    }
+
+    /**
+     * 生成前检查：禁用词抛出错误，提醒词在交互模式下请用户确认
+     */
+    guard(content, { interactive = true } = {}) {
+        const report = this.evaluate(content);
+
+        if (report.blocking.length > 0) {
+            throw new Error(`内容包含 ${report.blocking.length} 处违规用语${this.formatIssues(report.blocking)}，请修改后再生成（可在设置中调整合规检查模式）`);
+        }
+
+        if (report.warnings.length > 0) {
+            const summary = `内容包含 ${report.warnings.length} 处可能违规的表述${this.formatIssues(report.warnings)}`;
+            if (interactive && !confirm(`${summary}\n\n仍要继续生成吗？`)) {
+                throw new Error('已取消生成，请修改内容后重试');
+            }
+            DEBUG.warn(summary);
+        }
+
+        return report;
+    }
+
+    /**
+     * 将指定命中替换为建议词
+     */
+    replace(text, issue, replacement) {
+        const content = String(text || '');
+        if (content.slice(issue.start, issue.end) !== issue.word) {
+            throw new Error('内容已变化，请重新检查后再替换');
+        }
+        return content.slice(0, issue.start) + replacement + content.slice(issue.end);
+    }
+
+    /**
+     * 用首个建议词替换全部可替换的命中
+     */
+    replaceAll(text, issues = this.check(text)) {
+        return issues
+            .filter(issue => issue.suggestions.length > 0)
+            .sort((a, b) => b.start - a.start)
+            .reduce((content, issue) => this.replace(content, issue, issue.suggestions[0]), String(text || ''));
+    }
+
+    /**
+     * 生成带高亮标记的 HTML（已转义）
+     */
+    highlightHtml(text, issues = this.check(text)) {
+        const content = String(text || '');
+        let html = '';
+        let cursor = 0;
+        issues.forEach((issue, index) => {
+            html += Utils.escapeHtml(content.slice(cursor, issue.start));
+            const title = `${issue.categoryName}（${this.levelNames[issue.level]}）${issue.suggestions.length ? `：建议改为 ${issue.suggestions.join(' / ')}` : ''}`;
+            html += `<mark class="compliance-mark level-${issue.level}" data-issue="${index}" title="${Utils.escapeHtml(title)}">${Utils.escapeHtml(issue.word)}</mark>`;
+            cursor = issue.end;
+        });
+        return html + Utils.escapeHtml(content.slice(cursor));
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const contentInput = document.getElementById('contentInput');
+        const backdrop = document.getElementById('contentHighlights');
+        contentInput?.addEventListener('scroll', () => {
+            if (backdrop) backdrop.scrollTop = contentInput.scrollTop;
+        });
+
+        const modeSelect = document.getElementById('complianceModeSelect');
+        const competitorsInput = document.getElementById('complianceCompetitorsInput');
+        const bannedInput = document.getElementById('complianceBannedInput');
+
+        modeSelect?.addEventListener('change', () => this.saveSettings({ mode: modeSelect.value }));
+        competitorsInput?.addEventListener('change', () => this.saveSettings({ competitors: this.parseWordList(competitorsInput.value) }));
+        bannedInput?.addEventListener('change', () => this.saveSettings({ bannedWords: this.parseWordList(bannedInput.value) }));
+    }
+
+    /**
+     * 填充设置表单
+     */
+    fillSettingsForm() {
+        const modeSelect = document.getElementById('complianceModeSelect');
+        if (modeSelect) {
+            modeSelect.innerHTML = Object.entries(this.modes)
+                .map(([id, name]) => `<option value="${id}">${name}</option>`)
+                .join('');
+            modeSelect.value = this.settings.mode;
+        }
+        const competitorsInput = document.getElementById('complianceCompetitorsInput');
+        if (competitorsInput) competitorsInput.value = this.settings.competitors.join('，');
+        const bannedInput = document.getElementById('complianceBannedInput');
+        if (bannedInput) bannedInput.value = this.settings.bannedWords.join('，');
+    }
+
+    /**
+     * 刷新步骤1编辑区的高亮与问题列表
+     */
+    refreshEditor() {
+        const contentInput = document.getElementById('contentInput');
+        const backdrop = document.getElementById('contentHighlights');
+        const panel = document.getElementById('contentCompliancePanel');
+        if (!contentInput) return;
+
+        const text = contentInput.value;
+        const issues = this.check(text);
+        if (backdrop) {
+            // 末尾换行需要占位字符，否则高亮层比输入框少一行
+            backdrop.innerHTML = this.highlightHtml(text, issues) + (text.endsWith('\n') ? ' ' : '');
+            backdrop.scrollTop = contentInput.scrollTop;
+        }
+        this.renderIssues(panel, text, issues, (next) => {
+            contentInput.value = next;
+            contentInput.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }
+
+    /**
+     * 为优化结果添加高亮与问题列表，替换后同步到预览系统
+     */
+    decorateOptimized(text) {
+        const container = document.getElementById('optimizedContent');
+        const textEl = container?.querySelector('.optimized-text');
+        if (!textEl) return;
+
+        const issues = this.check(text);
+        textEl.innerHTML = this.highlightHtml(text, issues);
+
+        let panel = container.querySelector('.compliance-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'compliance-panel';
+            container.appendChild(panel);
+        }
+        this.renderIssues(panel, text, issues, (next) => {
+            window.previewSystem?.commitStepData({ optimizedContent: next }, '替换违规用语');
+            this.decorateOptimized(next);
+        });
+    }
+
+    /**
+     * 渲染问题列表，点击建议词时以替换后的文本回调 onReplace
+     */
+    renderIssues(panel, text, issues, onReplace) {
+        if (!panel) return;
+        if (issues.length === 0) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            panel.onclick = null;
+            return;
+        }
+
+        const blockCount = issues.filter(issue => issue.level === 'block').length;
+        const replaceable = issues.some(issue => issue.suggestions.length > 0);
+        panel.style.display = '';
+        panel.innerHTML = `
+            <div class="compliance-summary">
+                <span class="material-icons">gpp_maybe</span>
+                <span>发现 ${issues.length} 处可能违规的表述（禁用 ${blockCount} · 提醒 ${issues.length - blockCount}）</span>
+                ${replaceable ? '<button type="button" class="text-button compliance-replace-all">全部替换</button>' : ''}
+            </div>
+            <ul class="compliance-issues">
+                ${issues.map((issue, index) => `
+                    <li class="compliance-issue level-${issue.level}">
+                        <span class="compliance-word">${Utils.escapeHtml(issue.word)}</span>
+                        <span class="compliance-category">${Utils.escapeHtml(issue.categoryName)} · ${this.levelNames[issue.level]}</span>
+                        ${issue.suggestions.length > 0 ? '<span class="compliance-hint">改为</span>' : '<span class="compliance-hint">建议删除</span>'}
+                        ${issue.suggestions.map(suggestion => `
+                            <button type="button" class="compliance-suggestion" data-issue="${index}" data-replacement="${Utils.escapeHtml(suggestion)}">${Utils.escapeHtml(suggestion)}</button>
+                        `).join('')}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        panel.onclick = (e) => {
+            try {
+                if (e.target.closest('.compliance-replace-all')) {
+                    onReplace(this.replaceAll(text, issues));
+                    return;
+                }
+                const button = e.target.closest('.compliance-suggestion');
+                if (button) {
+                    onReplace(this.replace(text, issues[Number(button.dataset.issue)], button.dataset.replacement));
+                }
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'warning');
+            }
+        };
+    }
+
+    /**
+     * 内置分类骨架（compliance-rules.json 无法加载时使用）：词表只维护在 JSON 中，
+     * 这里不重复收录，加载失败时只检查设置中补充的竞品与自定义禁用词
+     */
+    getDefaultRules() {
+        return {
+            categories: {
+                absolute: { name: '广告法极限词', level: 'block', terms: [] },
+                medical: { name: '医疗功效宣称', level: 'block', terms: [] },
+                financial: { name: '金融收益承诺', level: 'block', terms: [] },
+                competitor: { name: '竞品品牌', level: 'warn', terms: [] },
+                platform: { name: '平台违规用语', level: 'warn', terms: [] }
+            }
+        };
+    }
+}
+
+// 全局合规检查实例
+window.complianceChecker = new ComplianceChecker();
@@ -5,34 +5,10 @@
 
 class ContentAnalyzer {
     constructor() {
-        this.sectionPatterns = {
-            // 标题模式
-            titles: [
-                /^#{1,6}\s+(.+)$/gm,           // Markdown标题
-                /^(.+)\n[=\-]{3,}$/gm,        // 下划线标题
-                /^\d+[\.\)）]\s*(.+)$/gm,       // 数字标题 (1. 2.)
-                /^[一二三四五六七八九十]+[\.\、]\s*(.+)$/gm, // 中文数字标题
-                /^[（\(][一二三四五六七八九十\d]+[）\)]\s*(.+)$/gm // 括号标题
-            ],
-            
-            // 分段模式
-            paragraphs: [
-                /\n\s*\n/g,                   // 空行分段
-                /[。！？]\s*(?=\S)/g,         // 句号分段
-                /[；;]\s*(?=\S)/g             // 分号分段
-            ],
-            
-            // 列表模式
-            lists: [
-                /^[\*\-\+]\s+(.+)$/gm,        // 无序列表
-                /^\d+[\.\)）]\s+(.+)$/gm,       // 有序列表
-                /^[•·]\s+(.+)$/gm             // 项目符号列表
-            ]
-        };
-        
         this.minSectionLength = 20;  // 最小段落长度
         this.maxSectionLength = 300; // 最大段落长度
         this.maxSections = 8;        // 最大段落数量
+        this.maxImages = 9;          // 最大轮播页数（封面 + 内容页 + 总结页）
     }
 
     /**
@@ -51,12 +27,14 @@ class ContentAnalyzer {
         const cleanContent = this.cleanContent(content);
         const sections = this.extractSections(cleanContent);
         const strategy = this.determineStrategy(sections, cleanContent);
+        const pages = window.carouselPlanner?.plan(sections, { imageCount: strategy.imageCount, content: cleanContent }) || [];
         
         return {
             sections: sections,
             strategy: strategy.type,
             imageCount: strategy.imageCount,
             analysis: strategy.analysis,
+            pages: pages,
             originalContent: content,
             cleanContent: cleanContent
         };
@@ -102,123 +80,57 @@ class ContentAnalyzer {
     }
 
     /**
-     * 按标题提取段落
+     * 按标题提取段落（只认 Markdown 标题；“1. 2.”这类序号交给列表 / 段落分段）
      */
     extractByTitles(content) {
         const sections = [];
-        const titlePattern = /^(#{1,6}\s+.+|\d+[\.\)）]\s*.+|[一二三四五六七八九十]+[\.\、]\s*.+)$/gm;
-
-        // 先收集所有标题匹配，避免在 exec 循环中二次 exec/回退 lastIndex 造成死循环
-        const matches = [];
-        let match;
-        while ((match = titlePattern.exec(content)) !== null) {
-            // 理论上不会出现空匹配，但这里做一次保护，避免 lastIndex 不推进导致卡死
-            if (!match[0]) {
-                titlePattern.lastIndex += 1;
-                continue;
-            }
-            matches.push({ index: match.index, raw: match[0] });
-
-            // 极端情况下的保护：避免异常内容导致无限增长
-            if (matches.length > 1000) {
-                DEBUG.warn('标题匹配数量异常，已中断解析以避免性能问题');
-                break;
-            }
-        }
-
-        if (matches.length === 0) {
+        const parser = window.markdownParser;
+        const headings = parser.parse(content).children.filter(block => block.type === 'heading');
+        if (headings.length === 0) {
             return sections;
         }
 
-        // 纯数字序号/中文序号（1. 2. 3.）在小红书内容里更常见于“列表项”而非“章节标题”。
-        // 如果全部匹配都像列表项，则不要走“按标题分段”，交给 lists/paragraphs 更稳。
-        const isMarkdownHeading = (raw) => /^\s*#{1,6}\s+/.test(String(raw || ''));
-        const isListLikeTitle = (raw) => /^\s*(?:\d{1,2}[\.\)）]|[一二三四五六七八九十]+[\.\、])\s*\S+/.test(String(raw || ''));
-        const markdownCount = matches.reduce((sum, m) => sum + (isMarkdownHeading(m.raw) ? 1 : 0), 0);
-        const listLikeCount = matches.reduce((sum, m) => sum + (isListLikeTitle(m.raw) ? 1 : 0), 0);
-        if (markdownCount === 0 && listLikeCount === matches.length) {
-            return sections;
-        }
-
-        let lastIndex = 0;
-        for (let i = 0; i < matches.length; i++) {
-            const current = matches[i];
-            const endIndex = matches[i + 1] ? matches[i + 1].index : content.length;
+        const lines = content.split('\n');
+        const sliceLines = (from, to) => lines.slice(from, to).join('\n').trim();
 
-            // 添加前一段内容（标题前的正文）
-            if (current.index > lastIndex) {
-                const prevContent = content.substring(lastIndex, current.index).trim();
-                if (prevContent.length > this.minSectionLength) {
-                    sections.push({
-                        type: 'content',
-                        title: this.generateTitle(prevContent),
-                        content: prevContent,
-                        length: prevContent.length
-                    });
-                }
-            }
+        // 第一个标题前的正文
+        const leading = sliceLines(0, headings[0].line);
+        if (leading.length > this.minSectionLength) {
+            sections.push({
+                type: 'content',
+                title: this.generateTitle(leading),
+                content: leading,
+                length: leading.length
+            });
+        }
 
-            const sectionContent = content.substring(current.index, endIndex).trim();
+        headings.forEach((heading, index) => {
+            // 标题文字去掉“一、”“1.”这类序号
+            const title = parser.toPlainText(heading.children).trim();
+            const endLine = headings[index + 1] ? headings[index + 1].line : lines.length;
+            const sectionContent = sliceLines(heading.line, endLine);
             if (sectionContent.length > this.minSectionLength) {
                 sections.push({
                     type: 'titled',
-                    title: current.raw.replace(/^#+\s*|\d+[\.\)）]\s*|[一二三四五六七八九十]+[\.\、]\s*/g, ''),
+                    title: parser.parseListMarker(title)?.content || title,
                     content: sectionContent,
                     length: sectionContent.length
                 });
             }
-
-            lastIndex = endIndex;
-        }
+        });
 
         return sections;
     }
 
     /**
-     * 按列表提取段落
+     * 按列表提取段落（每个至少两项的顶层列表成为一段）
      */
     extractByLists(content) {
-        const sections = [];
-        const listItems = [];
-        
-        // 提取列表项
-        this.sectionPatterns.lists.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(content)) !== null) {
-                listItems.push({
-                    index: match.index,
-                    content: match[0],
-                    text: match[1]
-                });
-            }
-        });
-        
-        if (listItems.length < 2) return [];
-        
-        // 按位置排序
-        listItems.sort((a, b) => a.index - b.index);
-        
-        // 分组连续的列表项
-        let currentGroup = [];
-        let lastIndex = -1;
-        
-        listItems.forEach(item => {
-            if (lastIndex === -1 || item.index - lastIndex < 100) {
-                currentGroup.push(item);
-            } else {
-                if (currentGroup.length > 1) {
-                    sections.push(this.createListSection(currentGroup));
-                }
-                currentGroup = [item];
-            }
-            lastIndex = item.index + item.content.length;
-        });
-        
-        if (currentGroup.length > 1) {
-            sections.push(this.createListSection(currentGroup));
-        }
-        
-        return sections;
+        const lines = content.split('\n');
+
+        return window.markdownParser.parse(content).children
+            .filter(block => block.type === 'list' && block.items.length > 1)
+            .map(block => this.createListSection(block, lines.slice(block.line, block.endLine + 1).join('\n')));
     }
 
     /**
@@ -227,7 +139,7 @@ class ContentAnalyzer {
     extractByParagraphs(content) {
         const isHashtagOnly = (text) => {
             const stripped = String(text || '')
-                .replace(/#([A-Za-z0-9_\u4e00-\u9fff]+)/g, '')
+                .replace(window.markdownParser.hashtagPattern, '')
                 .replace(/[^\S\n]+/g, ' ')
                 .replace(/\n/g, '')
                 .trim();
@@ -290,14 +202,13 @@ class ContentAnalyzer {
     /**
      * 创建列表段落
      */
-    createListSection(listItems) {
-        const content = listItems.map(item => item.content).join('\n');
+    createListSection(list, content) {
         return {
             type: 'list',
-            title: `列表内容 (${listItems.length}项)`,
+            title: `列表内容 (${list.items.length}项)`,
             content: content,
             length: content.length,
-            items: listItems.map(item => item.text)
+            items: list.items.map(item => window.markdownParser.toPlainText(item.children))
         };
     }
 
@@ -331,14 +242,13 @@ class ContentAnalyzer {
             return lines[0];
         };
 
-        let title = pickLine();
-        title = title
+        // 去掉“标题：”前缀、Markdown 标题符号、列表标记与行内格式符号
+        const parser = window.markdownParser;
+        const line = pickLine()
             .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
-            .replace(/^#{1,6}\s+/, '')
-            .replace(/^[（\(][一二三四五六七八九十\d]+[）\)]\s*/, '')
-            .replace(/^\d{1,2}[\.\)、\)）]\s*/, '')
-            .replace(/^[一二三四五六七八九十]+[\.\、]\s*/, '')
-            .replace(/^(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→|[-*•·])\s*/, '')
+            .replace(/^#{1,6}\s+/, '');
+        const listItem = parser.parseListMarker(line);
+        let title = parser.toPlainText(listItem ? listItem.content : line)
             .replace(/[：:]$/, '')
             .trim();
 
@@ -370,12 +280,13 @@ class ContentAnalyzer {
             };
         }
         
-        // 有明确分段，每段一张图
+        // 有明确分段：封面 + 每段一张内容页 + 总结页
         if (sectionCount > 1 && sectionCount <= this.maxSections) {
+            const imageCount = Math.min(sectionCount + 2, this.maxImages);
             return {
                 type: 'multi-section',
-                imageCount: sectionCount,
-                analysis: `检测到${sectionCount}个段落，建议每段生成1张图片`
+                imageCount,
+                analysis: `检测到${sectionCount}个段落，建议生成${imageCount}张轮播图（封面 + ${imageCount - 2}张内容页 + 总结页）`
             };
         }
         
@@ -424,7 +335,7 @@ class ContentAnalyzer {
         if (analysis.strategy === 'single') {
             suggestions.push('内容较短，建议生成1张综合性图片');
         } else if (analysis.strategy === 'multi-section') {
-            suggestions.push(`检测到${analysis.sections.length}个段落，建议每个段落生成1张图片`);
+            suggestions.push(`检测到${analysis.sections.length}个段落，建议以封面开篇、每段一张内容页、总结页收尾`);
             analysis.sections.forEach((section, index) => {
                 suggestions.push(`第${index + 1}段: ${section.title}`);
             });
@@ -584,6 +584,27 @@ ${content}
      * 显示优化结果
      */
     displayOptimizationResult(optimizedContent, meta = {}) {
+        this.renderOptimizedContent(optimizedContent, meta);
+
+        // 更新预览系统数据（记入撤销历史）
+        if (window.previewSystem) {
+            window.previewSystem.commitStepData({ optimizedContent }, 'AI 优化内容');
+        }
+
+        // 显示成功提示
+        if (window.uiManager) {
+            if (meta.source === 'local') {
+                window.uiManager.showToast('Gemini 暂不可用，已切换本地优化', 'warning', 5000);
+            } else {
+                window.uiManager.showToast('内容优化完成！', 'success');
+            }
+        }
+    }
+
+    /**
+     * 渲染优化后的内容与操作按钮
+     */
+    renderOptimizedContent(optimizedContent, meta = {}) {
         const optimizedContentDiv = document.getElementById('optimizedContent');
         const contentActions = document.querySelector('.content-actions');
         const fallbackNote = meta.source === 'local'
@@ -602,19 +623,8 @@ ${content}
             contentActions.style.display = 'flex';
         }
 
-        // 更新预览系统数据
-        if (window.previewSystem) {
-            window.previewSystem.setStepData({ optimizedContent });
-        }
-
-        // 显示成功提示
-        if (window.uiManager) {
-            if (meta.source === 'local') {
-                window.uiManager.showToast('Gemini 暂不可用，已切换本地优化', 'warning', 5000);
-            } else {
-                window.uiManager.showToast('内容优化完成！', 'success');
-            }
-        }
+        // 高亮优化结果中的违规用语
+        window.complianceChecker?.decorateOptimized(String(optimizedContent || ''));
     }
 
     /**
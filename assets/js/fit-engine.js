@@ -0,0 +1,219 @@
+/**
+ * 文字适配引擎
+ * 在可用区域内按字号档位（模板给出的上下限之间）寻找能放下全部内容的最大字号；
+ * 最小字号仍放不下时，按 Markdown 块 / 行 / 句把正文拆成放得下的前半部分与剩余部分，用于自动分页
+ */
+
+class FitEngine {
+    constructor() {
+        this.defaultBounds = { min: 14, max: 22, step: 1 };
+        // 小红书单篇笔记最多 18 张图
+        this.maxPages = 18;
+        this.sentenceEndPattern = /[。！？!?；;…]+/g;
+    }
+
+    /**
+     * 按字号从大到小尝试排版：layout(fontSize) 返回 { fits, ... }
+     * 返回第一个放得下的结果；都放不下时返回最小字号的结果（fits 为 false）
+     */
+    fit(layout, bounds = {}) {
+        const { min, max, step } = { ...this.defaultBounds, ...bounds };
+        const upper = Math.max(min, max);
+        let result = null;
+
+        for (let fontSize = upper; fontSize >= min; fontSize -= step) {
+            result = { ...layout(fontSize), fontSize };
+            if (result.fits) break;
+        }
+
+        return { ...result, maxFontSize: upper, minFontSize: min, shrunk: result.fontSize < upper };
+    }
+
+    /**
+     * 正文的候选断点（字符偏移）：块之间、块内各行之间、段落内的句末；代码块和表格不拆开
+     */
+    getBreakPoints(text) {
+        const source = String(text || '');
+        const lines = source.split('\n');
+        const lineStarts = [];
+        let offset = 0;
+        lines.forEach((line) => {
+            lineStarts.push(offset);
+            offset += line.length + 1;
+        });
+
+        const points = new Set();
+        window.markdownParser.parse(source).children.forEach((block) => {
+            points.add(lineStarts[block.line]);
+            if (block.type === 'code' || block.type === 'table') return;
+
+            for (let i = block.line; i <= block.endLine; i++) {
+                if (i > block.line) points.add(lineStarts[i]);
+                if (block.type !== 'paragraph') continue;
+
+                for (const match of lines[i].matchAll(this.sentenceEndPattern)) {
+                    points.add(lineStarts[i] + match.index + match[0].length);
+                }
+            }
+        });
+
+        return [...points]
+            .filter(point => point > 0 && point < source.trimEnd().length)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * 拆分正文：fits(text) 判断一段文字能否放进一页，返回 { head, tail }
+     * 前缀越长越难放下，因此二分查找最长的可放下前缀；连第一段都放不下时仍在第一个断点处拆开，保证每页都有进展
+     */
+    split(text, fits) {
+        const source = String(text || '').replace(/\r\n?/g, '\n');
+        const points = this.getBreakPoints(source);
+        if (points.length === 0) {
+            return { head: source.trim(), tail: '' };
+        }
+
+        let low = 0;
+        let high = points.length - 1;
+        let best = -1;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (fits(source.slice(0, points[mid]).trim())) {
+                best = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const cut = points[Math.max(0, best)];
+        return { head: source.slice(0, cut).trim(), tail: source.slice(cut).trim() };
+    }
+
+    /**
+     * 均衡拆分：在两页都放得下的断点中选最接近正文中点的一个，避免最后一页只剩一两句；
+     * 找不到时退回 split 的结果
+     */
+    balance(text, fitsHead, fitsTail) {
+        const source = String(text || '').replace(/\r\n?/g, '\n');
+        const middle = source.length / 2;
+        const points = this.getBreakPoints(source).sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle));
+
+        for (const point of points) {
+            const head = source.slice(0, point).trim();
+            const tail = source.slice(point).trim();
+            if (fitsHead(head) && fitsTail(tail)) {
+                return { head, tail };
+            }
+        }
+
+        return this.split(source, fitsHead);
+    }
+
+    /**
+     * 按条目拆分：count 为条目数，fitsHead(n) 判断前 n 条能否放进一页，fitsTail(n) 判断其余条目能否放进一页；
+     * 返回前一页的条目数。先二分查找放得下的最多条数（至少一条，保证有进展），
+     * 剩余条目一页放得下时再选两页都放得下且最接近一半的位置，让两页篇幅均衡
+     */
+    splitItems(count, fitsHead, fitsTail) {
+        let low = 1;
+        let high = count - 1;
+        let best = 1;
+        while (low <= high) {
+            const mid = Math.floor((low + high) / 2);
+            if (fitsHead(mid)) {
+                best = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        if (!fitsTail(best)) return best;
+        const middle = count / 2;
+        const balanced = Array.from({ length: best }, (_, i) => i + 1)
+            .sort((a, b) => Math.abs(a - middle) - Math.abs(b - middle))
+            .find(n => fitsHead(n) && fitsTail(n));
+        return balanced || best;
+    }
+
+    /**
+     * 自动分页：measure(page) 返回 { fits }（返回 null 表示无法测量，按放得下处理）；
+     * options.canSplit(page) 决定页面能否拆分。放不下的页面按正文拆出续页；
+     * 提供 options.sliceItems(page, start, end) 时，带条目的页面（清单 / 总结）改为按条目拆分。
+     * 返回 { pages, decisions }，decisions 记录每个被拆分页面的原页码与拆分后的页数
+     */
+    paginate(pages, measure, options = {}) {
+        const { canSplit = page => !!page.body, sliceItems = null, maxPages = this.maxPages } = options;
+        const result = [];
+        const decisions = [];
+
+        pages.forEach((page, index) => {
+            const parts = [];
+            let current = page;
+
+            while (true) {
+                const remaining = pages.length - index - 1;
+                const budget = maxPages - result.length - parts.length - remaining;
+                const measured = measure(current);
+                if (!measured || measured.fits || !canSplit(current) || budget <= 1) {
+                    parts.push(current);
+                    break;
+                }
+
+                const continued = {
+                    title: page.title ? `${page.title.replace(/（续）$/, '')}（续）` : '',
+                    continued: true
+                };
+
+                const items = current.items || [];
+                if (sliceItems && items.length > 1) {
+                    const source = current;
+                    const tailPage = n => ({ ...sliceItems(source, n, items.length), ...continued });
+                    const count = this.splitItems(
+                        items.length,
+                        n => !!measure(sliceItems(source, 0, n))?.fits,
+                        n => !!measure(tailPage(n))?.fits
+                    );
+                    parts.push(sliceItems(source, 0, count));
+                    current = tailPage(count);
+                    continue;
+                }
+
+                const fitsHead = body => !!measure({ ...current, body })?.fits;
+                const { head, tail } = this.split(current.body, fitsHead);
+                if (!tail) {
+                    parts.push(current);
+                    break;
+                }
+
+                const next = { ...current, ...continued, body: tail };
+
+                // 剩余内容一页放得下：重新选断点，让最后两页篇幅均衡
+                const fitsTail = body => !!measure({ ...next, body })?.fits;
+                if (fitsTail(tail)) {
+                    const balanced = this.balance(current.body, fitsHead, fitsTail);
+                    parts.push({ ...current, body: balanced.head }, { ...next, body: balanced.tail });
+                    break;
+                }
+
+                parts.push({ ...current, body: head });
+                current = next;
+            }
+
+            if (parts.length > 1) {
+                decisions.push({ pageNumber: page.pageNumber || index + 1, title: page.title || '', parts: parts.length });
+            }
+            parts.forEach((part, partIndex) => {
+                result.push(parts.length > 1
+                    ? { ...part, split: { part: partIndex + 1, parts: parts.length } }
+                    : part);
+            });
+        });
+
+        return { pages: result, decisions };
+    }
+}
+
+// 全局文字适配引擎实例
+window.fitEngine = new FitEngine();
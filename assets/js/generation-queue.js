@@ -0,0 +1,128 @@
+/**
+ * 生成任务队列
+ * 按并发上限调度单张图片的渲染任务，支持失败重试（指数退避）与取消
+ */
+
+class GenerationQueue {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+        this.maxRetries = Math.max(0, parseInt(options.maxRetries) || 0);
+        this.retryDelay = Math.max(0, Number(options.retryDelay) || 1000);
+        this.signal = options.signal || null;
+        this.shouldRetry = typeof options.shouldRetry === 'function' ? options.shouldRetry : () => true;
+        this.onUpdate = typeof options.onUpdate === 'function' ? options.onUpdate : null;
+    }
+
+    /**
+     * 执行队列，返回与 tasks 顺序一致的记录
+     * 记录结构：{ task, status: 'queued'|'rendering'|'done'|'failed'|'cancelled', attempts, result, error }
+     */
+    async run(tasks, worker) {
+        const records = tasks.map(task => ({
+            task,
+            status: 'queued',
+            attempts: 0,
+            result: null,
+            error: null
+        }));
+        records.forEach(record => this.notify(record));
+
+        let cursor = 0;
+        const next = async () => {
+            while (cursor < records.length) {
+                const record = records[cursor++];
+                if (this.signal?.aborted) {
+                    this.update(record, 'cancelled');
+                    continue;
+                }
+                await this.runTask(record, worker);
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(this.concurrency, records.length) }, () => next());
+        await Promise.all(workers);
+        return records;
+    }
+
+    /**
+     * 执行单个任务（含重试）
+     */
+    async runTask(record, worker) {
+        while (true) {
+            record.attempts++;
+            this.update(record, 'rendering');
+
+            try {
+                record.result = await worker(record.task, record.attempts);
+                record.error = null;
+                this.update(record, 'done');
+                return;
+            } catch (error) {
+                record.error = error;
+
+                if (this.signal?.aborted || error?.name === 'AbortError') {
+                    this.update(record, 'cancelled');
+                    return;
+                }
+
+                const canRetry = record.attempts <= this.maxRetries && this.shouldRetry(error, record);
+                if (!canRetry) {
+                    DEBUG.warn(`任务 ${record.task?.index ?? ''} 失败，已放弃:`, error);
+                    this.update(record, 'failed');
+                    return;
+                }
+
+                const delay = this.retryDelay * Math.pow(2, record.attempts - 1);
+                DEBUG.warn(`任务 ${record.task?.index ?? ''} 第 ${record.attempts} 次失败，${delay}ms 后重试:`, error);
+                this.update(record, 'queued');
+
+                const waited = await this.wait(delay);
+                if (!waited) {
+                    this.update(record, 'cancelled');
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * 可被取消的等待，取消时返回 false
+     */
+    wait(ms) {
+        return new Promise(resolve => {
+            if (this.signal?.aborted) {
+                resolve(false);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const timer = setTimeout(() => {
+                this.signal?.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            this.signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * 更新任务状态
+     */
+    update(record, status) {
+        record.status = status;
+        this.notify(record);
+    }
+
+    /**
+     * 通知状态变化
+     */
+    notify(record) {
+        if (!this.onUpdate) return;
+        try {
+            this.onUpdate(record);
+        } catch (error) {
+            DEBUG.warn('任务状态回调执行失败:', error);
+        }
+    }
+}
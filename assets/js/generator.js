@@ -3,10 +3,49 @@
  * 负责调用Google Gemini API生成图片
  */
 
+/**
+ * 生成任务：包装 AbortController，供调用方随时取消
+ */
+class GenerationJob {
+    constructor() {
+        this.id = Utils.generateId('job');
+        this.controller = new AbortController();
+        this.status = 'pending';
+        this.promise = null;
+    }
+
+    /**
+     * 取消信号
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * 是否已取消
+     */
+    get cancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    /**
+     * 取消任务（已完成的图片会被保留）
+     */
+    cancel() {
+        if (this.cancelled || this.status === 'done' || this.status === 'failed') {
+            return;
+        }
+        this.status = 'cancelled';
+        this.controller.abort();
+        DEBUG.log(`生成任务已取消: ${this.id}`);
+    }
+}
+
 class ImageGenerator {
     constructor() {
         this.apiKey = '';
         this.isGenerating = false;
+        this.currentJob = null;
         this.generationQueue = [];
         this.maxRetries = 3;
         this.retryDelay = 2000;
@@ -14,6 +53,8 @@ class ImageGenerator {
         this.apiBase = 'https://generativelanguage.googleapis.com/v1beta/models';
         this.textModels = ['gemini-2.5-flash', 'gemini-2.0-flash', 'gemini-1.5-flash-latest'];
         this.imageModels = ['gemini-2.5-flash-image', 'gemini-2.0-flash-preview-image-generation'];
+
+        this.registerBuiltinRenderers();
     }
 
     /**
@@ -58,6 +99,29 @@ class ImageGenerator {
         }
     }
 
+    /**
+     * 启动生成任务，返回可取消的任务对象（job.promise 为生成结果）
+     */
+    startGeneration(content, options = {}) {
+        const job = new GenerationJob();
+        job.promise = this.generateImages(content, { ...options, job });
+        return job;
+    }
+
+    /**
+     * 取消当前生成任务
+     */
+    cancelCurrentJob() {
+        this.currentJob?.cancel();
+    }
+
+    /**
+     * 判断是否为取消导致的错误
+     */
+    isAbortError(error) {
+        return error?.name === 'AbortError';
+    }
+
     /**
      * 生成图片
      */
@@ -66,11 +130,18 @@ class ImageGenerator {
             throw new Error('正在生成中，请稍候');
         }
 
+        const job = options.job || new GenerationJob();
+
         try {
             this.isGenerating = true;
+            this.currentJob = job;
+            job.status = 'running';
             
             // 验证输入
             this.validateInput(content);
+
+            // 合规检查（批量任务不弹确认框，提醒词仅记录）
+            job.compliance = window.complianceChecker?.guard(content, { interactive: options.interactive !== false }) || null;
             
             // 获取当前模板
             const template = options.template || window.templateManager?.getSelectedTemplate();
@@ -80,6 +151,8 @@ class ImageGenerator {
 
             // 获取生成设置
             const settings = this.getGenerationSettings(options);
+            settings.job = job;
+            settings.signal = job.signal;
 
             // 未配置 API Key 时，自动切换到本地生成（高级生成器/模拟生成）
             if (!this.apiKey && settings.useGeminiApi !== false) {
@@ -91,7 +164,7 @@ class ImageGenerator {
             
             // 显示加载界面
             if (window.uiManager) {
-                window.uiManager.showLoading('AI正在创作中...');
+                window.uiManager.showLoading(options.loadingTitle || 'AI正在创作中...', { onCancel: () => job.cancel() });
                 window.uiManager.updateProgress(10, '正在生成提示词...');
             }
 
@@ -106,6 +179,17 @@ class ImageGenerator {
                 window.uiManager.updateProgress(30, '正在调用AI生成服务...');
             }
 
+            // 收尾页二维码（```qr 围栏或品牌套件的默认二维码）
+            settings.qr = this.getQrBlock(settings, content);
+
+            // 规划轮播页（封面 / 内容页 / 总结页），各渲染器按页面角色选择版式；
+            // 正文在最小字号下仍放不下的页面自动拆出续页。用户在步骤4调整过的页面编排原样沿用
+            settings.pages = await this.planPages(settings, content, template);
+            settings.imageCount = settings.pages.length;
+            job.pages = settings.pages;
+            // 自动分页后的实际页数才是要生成的张数
+            settings.onPlan?.(settings.pages);
+
             // 调用API生成图片
             const results = await this.callImageGenerationAPI(prompt, settings);
 
@@ -117,6 +201,17 @@ class ImageGenerator {
             // 处理生成结果
             const processedImages = await this.processGenerationResults(results, content, template);
 
+            if (job.cancelled) {
+                this.displayResults(processedImages);
+                if (window.uiManager) {
+                    window.uiManager.hideLoading();
+                    window.uiManager.showToast(`已停止生成，保留 ${processedImages.length} 张已完成的图片`, 'warning');
+                }
+                return processedImages;
+            }
+
+            job.status = 'done';
+
             // 更新进度
             if (window.uiManager) {
                 window.uiManager.updateProgress(100, '生成完成！');
@@ -125,10 +220,12 @@ class ImageGenerator {
             // 显示结果
             this.displayResults(processedImages);
 
-            // 隐藏加载界面
+            // 隐藏加载界面（期间若已开始下一次生成，则保留加载层）
             setTimeout(() => {
                 if (window.uiManager) {
-                    window.uiManager.hideLoading();
+                    if (!this.isGenerating) {
+                        window.uiManager.hideLoading();
+                    }
                     window.uiManager.showToast(`成功生成 ${processedImages.length} 张图片`, 'success');
                 }
             }, 1000);
@@ -136,6 +233,9 @@ class ImageGenerator {
             return processedImages;
 
         } catch (error) {
+            if (!job.cancelled) {
+                job.status = 'failed';
+            }
             DEBUG.error('图片生成失败:', error);
             
             if (window.uiManager) {
@@ -146,6 +246,7 @@ class ImageGenerator {
             throw error;
         } finally {
             this.isGenerating = false;
+            this.currentJob = null;
         }
     }
 
@@ -167,7 +268,9 @@ class ImageGenerator {
             imageCount: 3,
             imageStyle: 'illustration',
             aspectRatio: '9:16',
-            quality: 'high'
+            quality: 'high',
+            brandKit: window.brandKitManager?.getActive() || null,
+            photos: window.photoManager?.getPhotos() || []
         };
 
         // 从UI获取设置
@@ -185,105 +288,525 @@ class ImageGenerator {
     }
 
     /**
-     * 调用图片生成API
+     * 注册内置渲染器
+     */
+    registerBuiltinRenderers() {
+        const registry = window.rendererRegistry;
+        if (!registry) {
+            DEBUG.warn('渲染器注册中心未加载，跳过内置渲染器注册');
+            return;
+        }
+
+        registry.register('gemini', {
+            label: 'Gemini 图片服务',
+            priority: 100,
+            concurrency: 2,
+            maxRetries: this.maxRetries,
+            capabilities: { needsNetwork: true },
+            isAvailable: (settings) => settings.useGeminiApi !== false,
+            render: (prompt, settings) => this.generateWithGeminiImageAPI(prompt, settings)
+        });
+
+        // 极简/技术精美/数据展示等模板采用矢量渲染，提供顶级精细度与排版
+        registry.register('svg', {
+            label: 'SVG 精美卡片',
+            priority: 80,
+            capabilities: {
+                templates: ['xiaohongshu-tech-premium', 'xiaohongshu-minimalist', 'xiaohongshu-data-showcase', 'xiaohongshu-tutorial-card', 'xiaohongshu-lifestyle'],
+                aspectRatios: typeof PremiumCardGenerator !== 'undefined' ? Object.keys(PremiumCardGenerator.DIMENSIONS) : null,
+                formats: ['png', 'svg']
+            },
+            isAvailable: (settings) => !!window.premiumCardGenerator && settings.useSvgGenerator !== false,
+            render: (prompt, settings) => this.generateWithSvgGenerator(prompt, settings)
+        });
+
+        // 现代图片生成器 (HTML2Canvas + MD 3.0)，画布固定为 9:16 竖版
+        registry.register('modern', {
+            label: '现代卡片生成器',
+            priority: 60,
+            capabilities: { aspectRatios: ['9:16'] },
+            isAvailable: (settings) => !!window.modernImageGenerator && settings.useModernGenerator !== false,
+            render: (prompt, settings) => this.generateWithModernGenerator(prompt, settings)
+        });
+
+        // 本地视觉生成器（Canvas）：中文排版更稳定，优先于 Fabric 方案
+        registry.register('visual', {
+            label: '本地视觉生成器',
+            priority: 40,
+            capabilities: { aspectRatios: ['9:16', '1:1', '4:5', '16:9'], formats: ['png', 'jpg', 'webp'] },
+            isAvailable: (settings) => !!window.visualGenerator && settings.useVisualGenerator !== false,
+            render: (prompt, settings) => this.generateWithVisualGenerator(prompt, settings)
+        });
+
+        registry.register('advanced', {
+            label: '高级图片生成器',
+            priority: 20,
+            capabilities: { aspectRatios: ['9:16', '1:1', '4:5', '16:9'] },
+            isAvailable: (settings) => !!window.advancedImageGenerator && settings.useAdvancedGenerator !== false,
+            render: (prompt, settings) => this.generateWithAdvancedGenerator(prompt, settings)
+        });
+
+        // 模拟生成：最终兜底，总是可用
+        registry.register('mock', {
+            label: '演示图片',
+            priority: 0,
+            capabilities: { formats: ['png', 'jpg', 'webp', 'svg'] },
+            render: (prompt, settings) => this.generateWithMockRenderer(prompt, settings)
+        });
+    }
+
+    /**
+     * 调用图片生成API：有单页覆盖的页面按覆盖分组，每组按注册中心解析出的渲染器链依次尝试，
+     * 单张失败的图片交给下一个渲染器补齐，并记录回退原因
      */
     async callImageGenerationAPI(prompt, settings) {
-        try {
-            // 优先使用 Gemini 图片 API
-            if (settings.useGeminiApi !== false) {
-                try {
-                    return await this.generateWithGeminiImageAPI(prompt, settings);
-                } catch (apiError) {
-                    DEBUG.warn('Gemini 图片 API 生成失败，回退到本地高级生成器:', apiError);
-                    if (window.uiManager) {
-                        window.uiManager.showToast('Gemini 图片服务暂时不可用，已自动切换本地生成', 'warning', 5000);
+        const report = [];
+        let firstError = null;
+        const results = await this.renderPageGroups(prompt, settings, async (groupSettings, indices) => {
+            try {
+                const group = await this.renderWithFallbacks(prompt, groupSettings, indices);
+                report.push(...group.report);
+                return group.results;
+            } catch (error) {
+                // 某一组没有可用的渲染器时，其余分组照常生成
+                firstError = firstError || error;
+                indices.forEach(index => report.push({ index, status: 'failed', renderer: null, fallbackFrom: [], reason: error.message }));
+                return [];
+            }
+        });
+
+        // 记录每张图片的生成结果：成功与否、最终渲染器、回退原因
+        report.sort((a, b) => a.index - b.index);
+        if (settings.job) {
+            settings.job.report = report;
+        }
+        report
+            .filter(item => item.status !== 'done')
+            .forEach(item => settings.onTaskUpdate?.({ index: item.index, status: item.status, renderer: item.renderer, reason: item.reason }));
+
+        if (results.length === 0 && !settings.signal?.aborted) {
+            if (firstError) throw firstError;
+            throw new Error('图片生成服务暂时不可用，请稍后重试');
+        }
+        return results;
+    }
+
+    /**
+     * 用渲染器链生成指定页面：返回成功的结果与每页的生成记录
+     */
+    async renderWithFallbacks(prompt, settings, requested) {
+        const candidates = window.rendererRegistry?.resolve(settings) || [];
+        if (candidates.length === 0) {
+            throw new Error('没有可用的图片渲染器，请检查模板与画面比例设置');
+        }
+
+        const collected = new Map();
+        const failures = new Map();
+        let pending = requested;
+        let lastError = null;
+
+        for (let i = 0; i < candidates.length && pending.length > 0; i++) {
+            if (settings.signal?.aborted) break;
+
+            const renderer = candidates[i];
+            const taskFailures = [];
+            const runSettings = {
+                ...settings,
+                onlyIndices: pending.length === settings.imageCount ? null : pending,
+                taskFailures
+            };
+
+            try {
+                DEBUG.log(`使用渲染器: ${renderer.name}`, pending);
+                const results = await renderer.render(prompt, runSettings);
+                (results || []).forEach((result, k) => {
+                    const index = Number.isInteger(result?.variation) ? result.variation - 1 : pending[k];
+                    if (pending.includes(index) && !collected.has(index)) {
+                        collected.set(index, { ...result, renderer: result.renderer || renderer.name });
                     }
+                });
+            } catch (error) {
+                // 用户已取消：不再回退到下一个渲染器
+                if (settings.signal?.aborted) {
+                    DEBUG.log('生成已取消，停止尝试其他渲染器');
+                    break;
+                }
+                lastError = error;
+                if (taskFailures.length === 0) {
+                    pending.forEach(index => taskFailures.push({ index, renderer: renderer.name, reason: error.message }));
                 }
             }
 
-            // 优先检测是否为极简/技术精美/数据展示等 SVG 模板，采用矢量渲染提供顶级精细度与排版
-            const isSvgTemplate = ['xiaohongshu-tech-premium', 'xiaohongshu-minimalist', 'xiaohongshu-data-showcase', 'xiaohongshu-tutorial-card', 'xiaohongshu-lifestyle'].includes(settings.template?.id);
-            if (isSvgTemplate && window.premiumCardGenerator && settings.useSvgGenerator !== false) {
-                return await this.generateWithSvgGenerator(prompt, settings);
-            }
+            taskFailures.forEach(failure => {
+                if (!failures.has(failure.index)) failures.set(failure.index, []);
+                failures.get(failure.index).push({ renderer: failure.renderer, reason: failure.reason });
+            });
 
-            // 优先使用现代图片生成器 (HTML2Canvas + MD 3.0)，视觉效果极佳，拒绝单调丑陋
-            if (window.modernImageGenerator && settings.useModernGenerator !== false) {
-                return await this.generateWithModernGenerator(prompt, settings);
+            pending = pending.filter(index => !collected.has(index));
+            const next = candidates[i + 1];
+            if (pending.length > 0 && next && !settings.signal?.aborted) {
+                DEBUG.warn(`渲染器 ${renderer.name} 有 ${pending.length} 张生成失败，回退到 ${next.name}`);
+                pending.forEach(index => settings.onTaskUpdate?.({ index, status: 'queued', renderer: next.name, reason: `${renderer.label}失败` }));
+                if (window.uiManager) {
+                    window.uiManager.showToast(`${renderer.label}有 ${pending.length} 张生成失败，已自动切换${next.label}`, 'warning', 5000);
+                }
             }
+        }
+
+        const report = requested.map(index => {
+            const result = collected.get(index);
+            const history = failures.get(index) || [];
+            return {
+                index,
+                status: result ? 'done' : (settings.signal?.aborted ? 'cancelled' : 'failed'),
+                renderer: result?.renderer || null,
+                fallbackFrom: history.map(item => item.renderer),
+                reason: history.length > 0 ? history[history.length - 1].reason : ''
+            };
+        });
+
+        if (collected.size === 0 && !settings.signal?.aborted) {
+            DEBUG.error('API调用失败:', lastError);
+        }
+
+        const results = requested
+            .filter(index => collected.has(index))
+            .map(index => {
+                const result = collected.get(index);
+                const history = failures.get(index) || [];
+                return history.length > 0
+                    ? { ...result, fallback: { from: history.map(item => item.renderer), reason: history[history.length - 1].reason } }
+                    : result;
+            });
+        return { results, report };
+    }
 
-            // 本地视觉生成器（Canvas）：中文排版更稳定，优先于 Fabric 方案
-            if (window.visualGenerator && settings.useVisualGenerator !== false) {
-                return await this.generateWithVisualGenerator(prompt, settings);
+    /**
+     * 按单页覆盖分组渲染：覆盖相同（模板、画面比例、强调色）的页面共用一组设置，
+     * render(groupSettings, indices) 只渲染本组页面，结果按页序合并；没有覆盖时只有一组
+     */
+    async renderPageGroups(prompt, settings, render) {
+        const groups = new Map();
+        this.getPagePlan(settings, prompt).forEach((page, index) => {
+            const { template = '', aspectRatio = '', accentColor = '' } = page.overrides || {};
+            const key = [template, aspectRatio, accentColor].join('|');
+            if (!groups.has(key)) groups.set(key, { page, indices: [] });
+            groups.get(key).indices.push(index);
+        });
+
+        const results = [];
+        for (const { page, indices } of groups.values()) {
+            if (settings.signal?.aborted) break;
+            const groupSettings = this.getPageSettings(page, settings);
+            results.push(...await render({ ...groupSettings, onlyIndices: groups.size > 1 ? indices : null }, indices));
+        }
+        return results.sort((a, b) => (a.variation || 0) - (b.variation || 0));
+    }
+
+    /**
+     * 单页覆盖后的生成设置：模板、画面比例与强调色（作为品牌主色）按页替换，版式已体现在页面角色中
+     */
+    getPageSettings(page, settings) {
+        const overrides = page?.overrides;
+        if (!overrides) return settings;
+
+        const template = overrides.template ? window.templateManager?.getTemplateById(overrides.template) : null;
+        return {
+            ...settings,
+            ...(template ? { template } : {}),
+            ...(overrides.aspectRatio ? { aspectRatio: overrides.aspectRatio } : {}),
+            ...(overrides.accentColor ? { brandKit: { ...(settings.brandKit || {}), primaryColor: overrides.accentColor } } : {})
+        };
+    }
+
+    /**
+     * 通过生成队列渲染单张图片任务
+     * tasks 需包含 index；settings.onlyIndices 限定只渲染部分任务（回退补齐时使用）
+     */
+    async runRenderQueue(rendererName, tasks, renderTask, settings) {
+        const renderer = window.rendererRegistry?.get(rendererName);
+        const selected = Array.isArray(settings.onlyIndices)
+            ? tasks.filter(task => settings.onlyIndices.includes(task.index))
+            : tasks;
+        let completed = 0;
+
+        const queue = new GenerationQueue({
+            concurrency: renderer?.concurrency || 1,
+            maxRetries: renderer?.maxRetries || 0,
+            retryDelay: this.retryDelay,
+            signal: settings.signal,
+            shouldRetry: (error) => !this.isAbortError(error),
+            onUpdate: (record) => {
+                settings.onTaskUpdate?.({
+                    index: record.task.index,
+                    status: record.status,
+                    renderer: rendererName,
+                    attempt: record.attempts,
+                    reason: record.error?.message || ''
+                });
+
+                if (record.status === 'done' && window.uiManager) {
+                    completed++;
+                    const progress = Math.round((completed / selected.length) * 70) + 10;
+                    window.uiManager.updateProgress(progress, `${renderer?.label || ''}正在生成第 ${completed}/${selected.length} 张图片...`);
+                }
             }
+        });
 
-            // 检查是否有高级图片生成器
-            if (window.advancedImageGenerator && settings.useAdvancedGenerator !== false) {
-                return await this.generateWithAdvancedGenerator(prompt, settings);
+        const records = await queue.run(selected, (task) => renderTask(task));
+        const failed = records.filter(record => record.status === 'failed');
+        failed.forEach(record => {
+            DEBUG.error(`生成第 ${record.task.index + 1} 张图片失败:`, record.error);
+            if (Array.isArray(settings.taskFailures)) {
+                settings.taskFailures.push({
+                    index: record.task.index,
+                    renderer: rendererName,
+                    reason: record.error?.message || '未知错误'
+                });
             }
+        });
+
+        const results = records
+            .filter(record => record.status === 'done')
+            .map(record => ({ ...record.result, renderer: rendererName, attempts: record.attempts }));
+
+        // 全部失败时抛出首个错误，便于直接调用方感知
+        if (results.length === 0 && failed.length > 0) {
+            throw failed[0].error;
+        }
+
+        return results;
+    }
+
+    /**
+     * 获取待渲染的正文：优先使用调用方传入的 sourceContent（如批量生成），否则取当前步骤数据
+     */
+    getSourceContent(settings, prompt) {
+        const stepData = window.previewSystem?.stepData;
+        return settings.sourceContent || stepData?.optimizedContent || stepData?.content || prompt;
+    }
+
+    /**
+     * 获取分段结果：优先使用调用方传入的 sections，否则取当前步骤的内容分析
+     */
+    getSourceSections(settings) {
+        if (Array.isArray(settings.sections)) {
+            return settings.sections;
+        }
+        return window.previewSystem?.stepData?.contentAnalysis?.sections || [];
+    }
+
+    /**
+     * 获取轮播页规划：优先使用已规划的 settings.pages，否则按分段结果与图片数量即时规划
+     */
+    getPagePlan(settings, prompt) {
+        if (Array.isArray(settings.pages) && settings.pages.length === settings.imageCount) {
+            return settings.pages;
+        }
+
+        const pinned = this.getPinnedPages(settings, prompt);
+        if (pinned) {
+            return pinned;
+        }
+
+        // ```qr 围栏只用于生成二维码，不参与分页
+        const sections = this.getSourceSections(settings)
+            .map(section => ({ ...section, content: this.stripQrBlocks(section?.content) }));
+        const content = this.stripQrBlocks(this.getSourceContent(settings, prompt));
+        if (window.carouselPlanner) {
+            return window.carouselPlanner.plan(sections, { imageCount: settings.imageCount, content });
+        }
+
+        // 规划器未加载时按段落顺序生成，每页都使用正文版式
+        return Array.from({ length: settings.imageCount }, (_, index) => ({
+            index,
+            role: 'body',
+            roleName: '正文',
+            title: sections[index]?.title || '',
+            subtitle: '',
+            body: sections[index]?.content || content,
+            items: [],
+            dataPoints: [],
+            quote: '',
+            cta: '',
+            sectionIndex: sections[index] ? index : undefined,
+            pageNumber: index + 1,
+            totalPages: settings.imageCount,
+            indicator: `${index + 1}/${settings.imageCount}`
+        }));
+    }
+
+    /**
+     * 用户调整过的页面编排（顺序、拆分合并与单页覆盖）：优先使用调用方传入的 pagePlan，否则取当前步骤数据；
+     * 编排时的正文或图片数量变了则不再沿用
+     */
+    getPinnedPages(settings, prompt) {
+        const plan = settings.pagePlan !== undefined ? settings.pagePlan : window.previewSystem?.stepData?.pagePlan;
+        if (!Array.isArray(plan?.pages) || plan.pages.length === 0) {
+            return null;
+        }
+        if (plan.content !== this.getSourceContent(settings, prompt) || plan.imageCount !== Number(settings.imageCount)) {
+            return null;
+        }
+        return plan.pages;
+    }
+
+    /**
+     * 规划要绘制的页面（批量生成与步骤4预览共用）：沿用步骤4调整过的页面编排，否则按内容规划并自动分页
+     * options.notify 为 false 时不提示自动分页结果（边写边渲染时使用）
+     */
+    async planPages(settings, prompt, template, options = {}) {
+        return this.getPinnedPages(settings, prompt) ||
+            await this.fitPagePlan(this.getPagePlan(settings, prompt), settings, prompt, template, options);
+    }
 
-            // 回退到模拟生成
-            await this.simulateApiDelay(2000);
+    /**
+     * 自动分页：用视觉生成器测量每页，正文字号缩到模板下限仍放不下时按段落 / 句子拆出续页；
+     * 清单与总结页按条目拆页，金句 / 数据等版式放不下时改用正文版式再分页，文字不会被截断
+     */
+    async fitPagePlan(pages, settings, prompt, template, { notify = true } = {}) {
+        const visual = window.visualGenerator;
+        const planner = window.carouselPlanner;
+        if (!window.fitEngine || !planner || !visual) {
+            return pages;
+        }
 
-            const results = [];
-            for (let i = 0; i < settings.imageCount; i++) {
-                results.push(await this.generateMockImage(prompt, i + 1, settings));
+        try {
+            await visual.init();
+            const tags = this.getCombinedTags(settings, prompt);
+            const measure = page => visual.measureFit(planner.toText(page), template, tags, { ...settings, page, qr: this.getPageQr(page, settings) });
+            // 清单 / 总结页按条目拆页：至少两条，且每条单独一页都放得下（条目或标题过长时拆页无济于事）
+            const itemsSplittable = page => ['list', 'summary'].includes(page.role) && page.items.length > 1 &&
+                page.items.every((_, i) => measure(planner.sliceItems(page, i, i + 1))?.fits !== false);
+
+            // 放不下又不能按条目拆页的内容页（金句、数据、过长的清单）改用正文版式
+            let relaid = false;
+            const prepared = pages.map((page) => {
+                if (!planner.isContentPage(page) || page.role === 'body') return page;
+                if (measure(page)?.fits !== false || itemsSplittable(page)) return page;
+                relaid = true;
+                DEBUG.log(`第 ${page.pageNumber} 页${planner.roles[page.role].name}版式放不下，改用正文版式`);
+                return planner.relayout(page, 'body');
+            });
+
+            const { pages: fitted, decisions } = window.fitEngine.paginate(prepared, measure, {
+                canSplit: page => (visual.roleLayouts[page.role] ? itemsSplittable(page) : !!page.body),
+                sliceItems: (page, start, end) => planner.sliceItems(page, start, end)
+            });
+            if (decisions.length === 0) {
+                return relaid ? planner.renumber(fitted) : pages;
             }
 
-            return results;
+            decisions.forEach((decision) => {
+                DEBUG.log(`第 ${decision.pageNumber} 页内容较长，自动拆分为 ${decision.parts} 页`);
+            });
+            if (window.uiManager && notify) {
+                const summary = decisions.map(decision => `第 ${decision.pageNumber} 页拆分为 ${decision.parts} 页`).join('，');
+                window.uiManager.showToast(`内容较长，已自动分页：${summary}`, 'info', 4500);
+            }
+            return planner.renumber(fitted);
         } catch (error) {
-            DEBUG.error('API调用失败:', error);
-            throw new Error('图片生成服务暂时不可用，请稍后重试');
+            DEBUG.warn('自动分页失败，沿用原页面规划:', error);
+            return pages;
         }
     }
 
+    /**
+     * 将轮播页转换为渲染任务（content 为页面纯文本，供按文本排版的渲染器使用）
+     */
+    buildPageTasks(settings, prompt, template) {
+        return this.getPagePlan(settings, prompt).map(page => ({
+            index: page.index,
+            page,
+            title: page.title || `${template.name} - ${page.pageNumber}`,
+            content: this.stripQrBlocks(window.carouselPlanner ? window.carouselPlanner.toText(page) : page.body),
+            qr: this.getPageQr(page, settings)
+        }));
+    }
+
+    /**
+     * 收尾页二维码：正文中的 ```qr 围栏优先，其次品牌套件的默认二维码
+     */
+    getQrBlock(settings, prompt) {
+        if (!window.qrEncoder) return null;
+        return window.qrEncoder.resolve(this.getSourceContent(settings, prompt), settings.brandKit);
+    }
+
+    /**
+     * 二维码只放在最后一页；自动分页测量时续页尚未重新编号，最后一页拆出的各部分都按带二维码测量
+     */
+    getPageQr(page, settings) {
+        return settings.qr && page.pageNumber === page.totalPages ? settings.qr : null;
+    }
+
+    stripQrBlocks(text) {
+        return window.qrEncoder ? window.qrEncoder.stripBlocks(text) : String(text || '');
+    }
+
+    /**
+     * 渲染结果中的页面信息
+     */
+    getPageMeta(page) {
+        return {
+            sectionTitle: page.title,
+            sectionIndex: page.sectionIndex,
+            page: { role: page.role, roleName: page.roleName, indicator: page.indicator, split: page.split || null, overrides: page.overrides || null },
+            // 完整的页面规划，步骤4调整页面顺序、拆分合并时以此为准
+            sourcePage: page
+        };
+    }
+
+    /**
+     * 卡片标签：用户自定义标签 + 全文中的话题标签（各页共用）
+     */
+    getCombinedTags(settings, prompt) {
+        const customTags = Array.isArray(settings.customTags)
+            ? settings.customTags
+            : (window.previewSystem?.stepData?.customTags || []);
+        const fallbackContent = this.getSourceContent(settings, prompt);
+
+        const inheritedTags = (() => {
+            try {
+                if (typeof window.visualGenerator?.extractHashtags === 'function') {
+                    return window.visualGenerator.extractHashtags(fallbackContent).tags || [];
+                }
+            } catch (error) {
+                DEBUG.warn('提取全局标签失败:', error);
+            }
+            return [];
+        })();
+
+        return [...customTags, ...inheritedTags];
+    }
+
     /**
      * 使用 Gemini 图片 API 生成图片
      */
     async generateWithGeminiImageAPI(prompt, settings) {
-        const results = [];
         const template = settings.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-lifestyle', name: '默认模板', category: 'lifestyle' };
         const tone = settings.tone || 'friendly';
-        const sections = window.previewSystem?.stepData?.contentAnalysis?.sections || [];
+        const tasks = this.buildPageTasks(settings, prompt, template);
 
-        const fallbackContent = window.previewSystem?.stepData?.optimizedContent || window.previewSystem?.stepData?.content || prompt;
-        const tasks = Array.from({ length: settings.imageCount }, (_, index) => {
-            const section = sections[index];
-            return {
-                content: section?.content || fallbackContent,
-                title: section?.title || '',
-                index
-            };
-        });
-
-        for (const task of tasks) {
-            const imagePrompt = this.buildGeminiImagePrompt(prompt, task.content, template, tone, settings, task.index, task.title);
+        return this.runRenderQueue('gemini', tasks, async (task) => {
+            const imagePrompt = this.buildGeminiImagePrompt(prompt, task.content, template, tone, settings, task.index, task.title, task.page);
             const imageData = await this.requestGeminiImage(imagePrompt, settings);
 
-            results.push({
+            return {
                 url: imageData.url,
                 blob: imageData.blob,
                 width: imageData.width,
                 height: imageData.height,
                 prompt: imagePrompt,
-                sectionTitle: task.title,
-                sectionIndex: task.index,
+                ...this.getPageMeta(task.page),
                 variation: task.index + 1
-            });
-
-            if (window.uiManager) {
-                const progress = Math.round(((task.index + 1) / tasks.length) * 70) + 10;
-                window.uiManager.updateProgress(progress, `Gemini 正在生成第 ${task.index + 1} 张图片...`);
-            }
-        }
-
-        return results;
+            };
+        }, settings);
     }
 
     /**
      * 构建 Gemini 图片生成提示词
      */
-    buildGeminiImagePrompt(basePrompt, content, template, tone, settings, index, sectionTitle = '') {
+    buildGeminiImagePrompt(basePrompt, content, template, tone, settings, index, sectionTitle = '', page = null) {
         const toneDescriptions = {
             friendly: '亲切友好',
             professional: '专业权威',
@@ -301,19 +824,34 @@ class ImageGenerator {
             '强调图标点缀与布局平衡'
         ];
 
-        const variationTip = variationTips[index % variationTips.length];
+        // 轮播页按角色给出版式要求，未规划时沿用按序号轮换的变化要求
+        const roleTips = {
+            cover: '这是轮播封面：超大号钩子标题居中，副标题点明看点，画面冲击力强，底部提示“左滑查看”',
+            body: '这是正文页：小标题 + 分段正文，信息层级清晰，留白充足',
+            list: '这是清单页：编号列表逐条排列，每条配序号徽标，便于收藏',
+            data: '这是数据页：关键数字超大号突出显示，配简洁图示与说明',
+            quote: '这是金句页：大引号装饰，一句话居中排版，文艺有质感',
+            summary: '这是总结页：要点打勾回顾，底部醒目的点赞收藏关注引导'
+        };
+        const variationTip = page && roleTips[page.role]
+            ? `${roleTips[page.role]}，右上角标注页码 ${page.indicator}`
+            : variationTips[index % variationTips.length];
         const aspectRatio = settings.aspectRatio || '9:16';
+        const theme = window.themeManager?.resolve(template);
+        const palette = theme?.palette;
 
         return `你是小红书视觉设计师。请输出一张高质量中文图片。
 
 主题内容：${content}
 ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
-模板：${template.name}（${template.category || 'lifestyle'}）
+模板：${template.name}（${template.category || 'lifestyle'}）${theme?.variantName ? `，${theme.variantName}变体` : ''}
 写作口吻：${toneDescriptions[tone] || '亲切友好'}
 画面比例：${aspectRatio}
 画面风格：${settings.imageStyle || 'illustration'}
+${palette ? `主题配色：背景 ${palette.background}，主色 ${palette.primary}，辅助色 ${palette.secondary}，点缀色 ${palette.accent}，文字 ${palette.text}` : ''}
+${theme ? `字体气质：标题${theme.typography.display === 'serif' ? '衬线' : '无衬线'}，正文${theme.typography.body === 'serif' ? '衬线' : '无衬线'}` : ''}
 质量要求：${settings.quality === 'high' ? '高清细节' : '标准清晰度'}
-变化要求：第 ${index + 1} 张图，${variationTip}
+变化要求：第 ${index + 1} 张图${page ? `（共 ${page.totalPages} 张轮播图）` : ''}，${variationTip}
 
 设计要求：
 1. 文字全部使用简体中文，保证可读性。
@@ -340,7 +878,7 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
                     }
                 };
 
-                const response = await this.makeApiRequest(`${this.apiBase}/${model}:generateContent`, payload);
+                const response = await this.makeApiRequest(`${this.apiBase}/${model}:generateContent`, payload, null, settings.signal);
                 const imagePart = this.extractImagePart(response);
 
                 if (!imagePart?.data) {
@@ -359,6 +897,7 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
                     height: size.height
                 };
             } catch (error) {
+                if (this.isAbortError(error)) throw error;
                 lastError = error;
                 DEBUG.warn(`Gemini 图片模型 ${model} 调用失败:`, error);
             }
@@ -476,64 +1015,45 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
      * 使用高级生成器生成图片
      */
     async generateWithAdvancedGenerator(prompt, settings) {
-        const results = [];
         const template = settings.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-lifestyle' };
         const styleOptions = this.getLocalStyleOptions(settings.imageStyle);
+        const tasks = this.buildPageTasks(settings, prompt, template);
 
-        const contentToUse = window.previewSystem?.stepData?.optimizedContent ||
-                           window.previewSystem?.stepData?.content ||
-                           prompt;
-        const sections = window.previewSystem?.stepData?.contentAnalysis?.sections || [];
-
-        for (let i = 0; i < settings.imageCount; i++) {
-            const section = sections[i];
-            const sectionContent = section?.content || contentToUse;
-            const sectionTitle = section?.title || '';
-
-            try {
-                const imageData = await window.advancedImageGenerator.generateImage(
-                    sectionContent,
-                    template,
-                    {
-                        aspectRatio: settings.aspectRatio,
-                        quality: settings.quality,
-                        imageStyle: settings.imageStyle,
-                        backgroundStyle: styleOptions.backgroundStyle,
-                        backgroundPattern: styleOptions.backgroundPattern,
-                        decorationLevel: styleOptions.decorationLevel,
-                        addWatermark: styleOptions.addWatermark
-                    }
-                );
-
-                results.push({
-                    url: imageData.url,
-                    blob: imageData.blob,
-                    width: imageData.width,
-                    height: imageData.height,
-                    prompt: sectionTitle ? `${sectionTitle}: ${sectionContent.substring(0, 100)}...` : prompt,
-                    sectionTitle,
-                    sectionIndex: section ? i : undefined,
-                    variation: i + 1
-                });
-
-                if (window.uiManager) {
-                    const progress = Math.round(((i + 1) / settings.imageCount) * 70) + 10;
-                    window.uiManager.updateProgress(progress, `正在生成第 ${i + 1} 张图片...`);
+        return this.runRenderQueue('advanced', tasks, async (task) => {
+            const imageData = await window.advancedImageGenerator.generateImage(
+                task.content,
+                template,
+                {
+                    aspectRatio: settings.aspectRatio,
+                    quality: settings.quality,
+                    imageStyle: settings.imageStyle,
+                    backgroundStyle: styleOptions.backgroundStyle,
+                    backgroundPattern: styleOptions.backgroundPattern,
+                    decorationLevel: styleOptions.decorationLevel,
+                    addWatermark: styleOptions.addWatermark,
+                    brandKit: settings.brandKit,
+                    photos: settings.photos,
+                    page: task.page
                 }
+            );
 
-            } catch (error) {
-                DEBUG.error(`生成第 ${i + 1} 张图片失败:`, error);
-                results.push(await this.generateMockImage(prompt, i + 1, settings));
-            }
-        }
-
-        return results;
+            return {
+                url: imageData.url,
+                blob: imageData.blob,
+                width: imageData.width,
+                height: imageData.height,
+                prompt: `${task.title}: ${task.content.substring(0, 100)}...`,
+                ...this.getPageMeta(task.page),
+                fit: imageData.fit || null,
+                variation: task.index + 1
+            };
+        }, settings);
     }
 
     /**
-     * 获取 SVG 模板 ID
+     * 获取 SVG 模板 ID（沿模板继承链查找映射）
      */
-    getSvgTemplateId(templateId) {
+    getSvgTemplateId(template) {
         const mapping = {
             'xiaohongshu-minimalist': 'minimalist-svg',
             'xiaohongshu-tech-premium': 'tech-premium',
@@ -541,7 +1061,8 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             'xiaohongshu-tutorial-card': 'editorial-serif-svg',
             'xiaohongshu-lifestyle': 'lifestyle-premium'
         };
-        return mapping[templateId] || 'minimalist-svg';
+        const lineage = template.lineage || [template.id];
+        return mapping[lineage.find(id => mapping[id])] || 'minimalist-svg';
     }
 
     /**
@@ -552,85 +1073,46 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             throw new Error('SVG 卡片生成器未初始化');
         }
 
-        const results = [];
         const template = settings.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-minimalist', name: '极简模板', category: 'minimalist' };
         
-        const customTags = Array.isArray(settings.customTags)
-            ? settings.customTags
-            : (window.previewSystem?.stepData?.customTags || []);
-        const sections = window.previewSystem?.stepData?.contentAnalysis?.sections || [];
-        const fallbackContent = window.previewSystem?.stepData?.optimizedContent || window.previewSystem?.stepData?.content || prompt;
-
-        const cleanSectionTitle = (rawTitle) => {
-            let title = String(rawTitle || '').replace(/\r\n/g, '\n').trim();
-            if (!title) return '';
-            if (title.includes('\n')) {
-                title = title.split('\n')[0].trim();
-            }
-            return title.replace(/^(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→|[-*•·])\s*/, '').trim();
-        };
-
-        const usableSections = Array.isArray(sections)
-            ? sections.filter(s => s?.content && s.content.trim())
-            : [];
-
-        const tasks = [];
-        for (let index = 0; index < settings.imageCount; index++) {
-            const section = usableSections[index] || sections[index];
-            const title = section?.title || '';
-            const raw = section?.content || fallbackContent;
-            
-            tasks.push({
-                index,
-                sectionOriginalIndex: section ? sections.indexOf(section) : undefined,
-                sectionTitle: cleanSectionTitle(title) || `${template.name} - ${index + 1}`,
-                contentToRender: raw
-            });
-        }
+        const tasks = this.buildPageTasks(settings, prompt, template);
 
-        const svgTemplateId = this.getSvgTemplateId(template.id);
+        const svgTemplateId = this.getSvgTemplateId(template);
+        const theme = window.themeManager?.resolve(template);
 
-        for (const task of tasks) {
-            try {
-                // 调用 premiumCardGenerator 生成高质量的 SVG 渲染并转化为 PNG URL/Blob
-                const cardData = await window.premiumCardGenerator.generatePremiumCard(
-                    task.contentToRender,
-                    svgTemplateId,
-                    {
-                        aspectRatio: settings.aspectRatio,
-                        quality: settings.quality,
-                        imageStyle: settings.imageStyle
-                    }
-                );
-
-                results.push({
-                    url: cardData.url,       // 转换后的 PNG Data URL
-                    blob: cardData.blob,     // 转换后的 PNG Blob
-                    width: cardData.width,
-                    height: cardData.height,
-                    prompt: prompt,
-                    sectionTitle: task.sectionTitle,
-                    sectionIndex: typeof task.sectionOriginalIndex === 'number' ? task.sectionOriginalIndex : undefined,
-                    variation: task.index + 1
-                });
-
-                if (window.uiManager) {
-                    const progress = Math.round(((task.index + 1) / tasks.length) * 70) + 10;
-                    window.uiManager.updateProgress(progress, `正在生成第 ${task.index + 1} 张图片...`);
+        return this.runRenderQueue('svg', tasks, async (task) => {
+            // 调用 premiumCardGenerator 生成高质量的 SVG 渲染并转化为 PNG URL/Blob
+            const cardData = await window.premiumCardGenerator.generatePremiumCard(
+                task.content,
+                svgTemplateId,
+                {
+                    aspectRatio: settings.aspectRatio,
+                    quality: settings.quality,
+                    imageStyle: settings.imageStyle,
+                    theme,
+                    brandKit: settings.brandKit,
+                    photos: settings.photos,
+                    page: task.page,
+                    qr: task.qr
                 }
-            } catch (error) {
-                DEBUG.error(`生成第 ${task.index + 1} 张 SVG 图片失败:`, error);
-                results.push(await this.generateMockImage(prompt, task.index + 1, settings));
-            }
-        }
+            );
 
-        return results;
+            return {
+                url: cardData.url,       // 转换后的 PNG Data URL
+                blob: cardData.blob,     // 转换后的 PNG Blob
+                width: cardData.width,
+                height: cardData.height,
+                prompt: prompt,
+                ...this.getPageMeta(task.page),
+                variation: task.index + 1
+            };
+        }, settings);
     }
 
     /**
-     * 获取 Material Design 3.0 模板 ID
+     * 获取 Material Design 3.0 模板 ID（沿模板继承链查找映射）
      */
-    getMaterialTemplateId(templateId) {
+    getMaterialTemplateId(template) {
         const mapping = {
             'xiaohongshu-lifestyle': 'material-lifestyle',
             'xiaohongshu-fashion': 'material-lifestyle',
@@ -644,7 +1126,8 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             'xiaohongshu-data-showcase': 'material-tech-card',
             'xiaohongshu-tutorial-card': 'material-tech-card'
         };
-        return mapping[templateId] || 'material-lifestyle';
+        const lineage = template.lineage || [template.id];
+        return mapping[lineage.find(id => mapping[id])] || 'material-lifestyle';
     }
 
     /**
@@ -655,270 +1138,39 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             throw new Error('现代图片生成器未初始化');
         }
 
-        const results = [];
         const template = settings.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-lifestyle', name: '默认模板', category: 'lifestyle' };
-        const tone = settings.tone || 'friendly';
-        const customTags = Array.isArray(settings.customTags)
-            ? settings.customTags
-            : (window.previewSystem?.stepData?.customTags || []);
-        const sections = window.previewSystem?.stepData?.contentAnalysis?.sections || [];
-        const fallbackContent = window.previewSystem?.stepData?.optimizedContent || window.previewSystem?.stepData?.content || prompt;
-
-        const cleanSectionTitle = (rawTitle) => {
-            let title = String(rawTitle || '').replace(/\r\n/g, '\n').trim();
-            if (!title) return '';
-
-            // 只取首行，避免段落标题带入换行
-            if (title.includes('\n')) {
-                title = title.split('\n')[0].trim();
-            }
-
-            title = title
-                .replace(/^(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→|[-*•·])\s*/, '')
-                .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
-                .replace(/\.\.\.$/, '')
-                .replace(/…$/, '')
-                .replace(/^#{1,6}\s+/, '')
-                .replace(/^[（\(][一二三四五六七八九十\d]+[）\)]\s*/, '')
-                .replace(/^\d{1,2}[\.\)、\)）]\s*/, '')
-                .replace(/^[一二三四五六七八九十]+[\.\、]\s*/, '')
-                .replace(/[：:]$/, '')
-                .trim();
-
-            return title;
-        };
-
-        const buildCleanContent = (rawText, fallbackTitle = '') => {
-            const safeRaw = String(rawText || '').replace(/\r\n/g, '\n').trim();
-            if (!safeRaw) return '';
-
-            const parsed = typeof window.visualGenerator?.parseContent === 'function'
-                ? window.visualGenerator.parseContent(safeRaw)
-                : { title: '', kicker: '', body: safeRaw };
-
-            const title = String(parsed?.title || '').trim() || cleanSectionTitle(fallbackTitle);
-            const kicker = String(parsed?.kicker || '').trim();
-            const body = String(parsed?.body || '').trim();
-
-            // 单行内容时不强行拆标题/正文，避免出现“标题有了但正文空了”的尴尬
-            if (!body && safeRaw.split('\n').filter(l => l.trim()).length <= 1) {
-                return safeRaw;
-            }
-
-            const lines = [];
-            if (title) lines.push(`标题：${title}`);
-            if (kicker) lines.push(kicker);
-            if (body) {
-                if (lines.length > 0) lines.push('');
-                lines.push(body);
-            }
-            return lines.join('\n').trim();
-        };
-
-        const inheritedTags = (() => {
-            try {
-                if (typeof window.visualGenerator?.extractHashtags === 'function') {
-                    return window.visualGenerator.extractHashtags(fallbackContent).tags || [];
-                }
-            } catch (error) {
-                DEBUG.warn('提取全局标签失败:', error);
-            }
-            return [];
-        })();
-
-        const combinedTags = [...customTags, ...inheritedTags];
-
-        const isHashtagOnlyContent = (text) => {
-            const raw = String(text || '').replace(/\r\n/g, '\n').trim();
-            if (!raw) return true;
-
-            if (typeof window.visualGenerator?.extractHashtags === 'function') {
-                const extracted = window.visualGenerator.extractHashtags(raw);
-                const withoutTags = String(extracted?.text || '').replace(/\s+/g, '').trim();
-                const tags = Array.isArray(extracted?.tags) ? extracted.tags : [];
-                return tags.length > 0 && withoutTags.length === 0;
-            }
-
-            const stripped = raw
-                .replace(/#([A-Za-z0-9_\u4e00-\u9fff]+)/g, '')
-                .replace(/\s+/g, '')
-                .trim();
-            return stripped.length === 0 && /#/.test(raw);
-        };
-
-        const usableSections = Array.isArray(sections)
-            ? sections.filter(section => section?.content && !isHashtagOnlyContent(section.content))
-            : [];
-
-        const deriveTitleFromBody = (bodyText) => {
-            const firstLine = String(bodyText || '')
-                .replace(/\r\n/g, '\n')
-                .split('\n')
-                .map(l => l.trim())
-                .find(Boolean) || '';
-            return cleanSectionTitle(firstLine);
-        };
+        const tasks = this.buildPageTasks(settings, prompt, template);
 
-        const buildContentWithHeader = (header, bodyText, maxLines = null) => {
-            const lines = [];
-            const headerTitle = cleanSectionTitle(header?.title) || String(header?.title || '').trim();
-            const headerKicker = String(header?.kicker || '').trim();
+        const materialTemplateId = this.getMaterialTemplateId(template);
+        const theme = window.themeManager?.resolve(template);
 
-            if (headerTitle) lines.push(`标题：${headerTitle}`);
-            if (headerKicker) lines.push(headerKicker);
-
-            let body = String(bodyText || '').replace(/\r\n/g, '\n').trim();
-            if (headerKicker && body.startsWith(headerKicker)) {
-                body = body.split('\n').slice(1).join('\n').trim();
-            }
-
-            if (typeof maxLines === 'number' && maxLines > 0 && body) {
-                const bodyLines = body.split('\n').map(l => l.trim()).filter(Boolean);
-                body = bodyLines.slice(0, maxLines).join('\n').trim();
-            }
-
-            if (body) {
-                if (lines.length > 0) lines.push('');
-                lines.push(body);
-            }
-
-            return lines.join('\n').trim();
-        };
-
-        const buildCoverSummaryBody = (sectionsToSummarize, maxLines = 6) => {
-            const collected = [];
-            const list = Array.isArray(sectionsToSummarize) ? sectionsToSummarize : [];
-
-            for (const section of list) {
-                const raw = String(section?.content || '').replace(/\r\n/g, '\n').trim();
-                if (!raw) continue;
-
-                const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-                for (const line of lines) {
-                    if (collected.length >= maxLines) break;
-                    collected.push(line.length > 46 ? line.slice(0, 46) + '...' : line);
-                }
-
-                if (collected.length >= maxLines) break;
-            }
-
-            return collected.join('\n').trim();
-        };
-
-        // 检测“全局标题区”：第一段只有标题/适合等元信息时，后续卡片复用同一个标题区
-        let globalHeader = null;
-        let contentSections = usableSections;
-        if (usableSections.length > 1 && typeof window.visualGenerator?.parseContent === 'function') {
-            const firstRaw = String(usableSections[0]?.content || '').replace(/\r\n/g, '\n').trim();
-            const normalizedFirstRaw = firstRaw.replace(/^\s*(?:(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→)|[-*•·])\s*/gm, '');
-            const firstParsed = window.visualGenerator.parseContent(firstRaw);
-            const nonEmptyLines = firstRaw.split('\n').map(l => l.trim()).filter(Boolean);
-            const bodyLen = String(firstParsed?.body || '').trim().length;
-            const headerSignals = /(?:^|\n)\s*(?:标题|Title)\s*[:：]/i.test(normalizedFirstRaw) ||
-                /(?:^|\n)\s*(适合|适用|适用人群|人群|对象|场景|适用于)\s*[:：]/.test(normalizedFirstRaw) ||
-                !!String(firstParsed?.kicker || '').trim();
-
-            if (headerSignals && String(firstParsed?.title || '').trim() && bodyLen < 16 && nonEmptyLines.length <= 3) {
-                globalHeader = {
-                    title: String(firstParsed.title || '').trim(),
-                    kicker: String(firstParsed.kicker || '').trim()
-                };
-                contentSections = usableSections.slice(1);
-            }
-        }
-
-        const tasks = [];
-
-        if (globalHeader && contentSections.length > 0) {
-            if (settings.imageCount <= contentSections.length) {
-                for (let index = 0; index < settings.imageCount; index++) {
-                    const section = contentSections[index];
-                    const rawBody = section?.content || fallbackContent;
-                    const sectionTitle = cleanSectionTitle(section?.title) || deriveTitleFromBody(rawBody) || `${template.name} - ${index + 1}`;
-
-                    tasks.push({
-                        index,
-                        sectionOriginalIndex: usableSections.indexOf(section),
-                        sectionTitle,
-                        contentToRender: buildContentWithHeader(globalHeader, rawBody)
-                    });
-                }
-            } else {
-                const coverBody = buildCoverSummaryBody(contentSections.slice(0, 2), 6) ||
-                    contentSections[0]?.content ||
-                    fallbackContent;
-                tasks.push({
-                    index: 0,
-                    sectionOriginalIndex: 0,
-                    sectionTitle: cleanSectionTitle(globalHeader.title) || '封面',
-                    contentToRender: buildContentWithHeader(globalHeader, coverBody)
-                });
-
-                for (let index = 1; index < settings.imageCount; index++) {
-                    const section = contentSections[index - 1];
-                    const rawBody = section?.content || fallbackContent;
-                    const sectionTitle = cleanSectionTitle(section?.title) || deriveTitleFromBody(rawBody) || `${template.name} - ${index + 1}`;
-
-                    tasks.push({
-                        index,
-                        sectionOriginalIndex: section ? usableSections.indexOf(section) : undefined,
-                        sectionTitle,
-                        contentToRender: buildContentWithHeader(globalHeader, rawBody)
-                    });
-                }
-            }
-        } else {
-            for (let index = 0; index < settings.imageCount; index++) {
-                const section = usableSections[index] || sections[index];
-                const title = section?.title || '';
-                const raw = section?.content || fallbackContent;
-                const contentToRender = buildCleanContent(raw, title);
-
-                const parsedMeta = typeof window.visualGenerator?.parseContent === 'function'
-                    ? window.visualGenerator.parseContent(String(contentToRender || '').trim())
-                    : { title: cleanSectionTitle(title) };
-
-                tasks.push({
-                    index,
-                    sectionOriginalIndex: section ? sections.indexOf(section) : undefined,
-                    sectionTitle: String(parsedMeta?.title || '').trim() || cleanSectionTitle(title) || `${template.name} - ${index + 1}`,
-                    contentToRender
-                });
-            }
-        }
-
-        const materialTemplateId = this.getMaterialTemplateId(template.id);
-
-        for (const task of tasks) {
+        return this.runRenderQueue('modern', tasks, async (task) => {
             // 使用 window.modernImageGenerator 渲染 Material Design 3.0 美化卡片
             const imageData = await window.modernImageGenerator.generateModernImage(
-                task.contentToRender,
+                task.content,
                 materialTemplateId,
                 {
                     aspectRatio: settings.aspectRatio,
                     quality: settings.quality,
-                    imageStyle: settings.imageStyle
+                    imageStyle: settings.imageStyle,
+                    signal: settings.signal,
+                    theme,
+                    brandKit: settings.brandKit,
+                    page: task.page,
+                    qr: task.qr
                 }
             );
 
-            results.push({
+            return {
                 url: imageData.url,
                 blob: imageData.blob,
                 width: imageData.width,
                 height: imageData.height,
                 prompt: prompt,
-                sectionTitle: task.sectionTitle,
-                sectionIndex: typeof task.sectionOriginalIndex === 'number' ? task.sectionOriginalIndex : undefined,
+                ...this.getPageMeta(task.page),
                 variation: task.index + 1
-            });
-
-            if (window.uiManager) {
-                const progress = Math.round(((task.index + 1) / tasks.length) * 70) + 10;
-                window.uiManager.updateProgress(progress, `正在生成第 ${task.index + 1} 张图片...`);
-            }
-        }
-
-        return results;
+            };
+        }, settings);
     }
 
     /**
@@ -929,267 +1181,47 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             throw new Error('视觉生成器未初始化');
         }
 
-        const results = [];
         const template = settings.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-lifestyle', name: '默认模板', category: 'lifestyle' };
         const tone = settings.tone || 'friendly';
-        const customTags = Array.isArray(settings.customTags)
-            ? settings.customTags
-            : (window.previewSystem?.stepData?.customTags || []);
-        const sections = window.previewSystem?.stepData?.contentAnalysis?.sections || [];
-        const fallbackContent = window.previewSystem?.stepData?.optimizedContent || window.previewSystem?.stepData?.content || prompt;
-
-        const cleanSectionTitle = (rawTitle) => {
-            let title = String(rawTitle || '').replace(/\r\n/g, '\n').trim();
-            if (!title) return '';
-
-            // 只取首行，避免段落标题带入换行
-            if (title.includes('\n')) {
-                title = title.split('\n')[0].trim();
-            }
-
-            title = title
-                .replace(/^(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→|[-*•·])\s*/, '')
-                .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
-                .replace(/\.\.\.$/, '')
-                .replace(/…$/, '')
-                .replace(/^#{1,6}\s+/, '')
-                .replace(/^[（\(][一二三四五六七八九十\d]+[）\)]\s*/, '')
-                .replace(/^\d{1,2}[\.\)、\)）]\s*/, '')
-                .replace(/^[一二三四五六七八九十]+[\.\、]\s*/, '')
-                .replace(/[：:]$/, '')
-                .trim();
-
-            return title;
-        };
-
-        const buildCleanContent = (rawText, fallbackTitle = '') => {
-            const safeRaw = String(rawText || '').replace(/\r\n/g, '\n').trim();
-            if (!safeRaw) return '';
-
-            const parsed = typeof window.visualGenerator.parseContent === 'function'
-                ? window.visualGenerator.parseContent(safeRaw)
-                : { title: '', kicker: '', body: safeRaw };
-
-            const title = String(parsed?.title || '').trim() || cleanSectionTitle(fallbackTitle);
-            const kicker = String(parsed?.kicker || '').trim();
-            const body = String(parsed?.body || '').trim();
-
-            // 单行内容时不强行拆标题/正文，避免出现“标题有了但正文空了”的尴尬
-            if (!body && safeRaw.split('\n').filter(l => l.trim()).length <= 1) {
-                return safeRaw;
-            }
-
-            const lines = [];
-            if (title) lines.push(`标题：${title}`);
-            if (kicker) lines.push(kicker);
-            if (body) {
-                if (lines.length > 0) lines.push('');
-                lines.push(body);
-            }
-            return lines.join('\n').trim();
-        };
-
-        const inheritedTags = (() => {
-            try {
-                if (typeof window.visualGenerator.extractHashtags === 'function') {
-                    return window.visualGenerator.extractHashtags(fallbackContent).tags || [];
-                }
-            } catch (error) {
-                DEBUG.warn('提取全局标签失败:', error);
-            }
-            return [];
-        })();
-
-        const combinedTags = [...customTags, ...inheritedTags];
-
-        const isHashtagOnlyContent = (text) => {
-            const raw = String(text || '').replace(/\r\n/g, '\n').trim();
-            if (!raw) return true;
-
-            if (typeof window.visualGenerator.extractHashtags === 'function') {
-                const extracted = window.visualGenerator.extractHashtags(raw);
-                const withoutTags = String(extracted?.text || '').replace(/\s+/g, '').trim();
-                const tags = Array.isArray(extracted?.tags) ? extracted.tags : [];
-                return tags.length > 0 && withoutTags.length === 0;
-            }
-
-            const stripped = raw
-                .replace(/#([A-Za-z0-9_\u4e00-\u9fff]+)/g, '')
-                .replace(/\s+/g, '')
-                .trim();
-            return stripped.length === 0 && /#/.test(raw);
-        };
-
-        const usableSections = Array.isArray(sections)
-            ? sections.filter(section => section?.content && !isHashtagOnlyContent(section.content))
-            : [];
-
-        const deriveTitleFromBody = (bodyText) => {
-            const firstLine = String(bodyText || '')
-                .replace(/\r\n/g, '\n')
-                .split('\n')
-                .map(l => l.trim())
-                .find(Boolean) || '';
-            return cleanSectionTitle(firstLine);
-        };
-
-        const buildContentWithHeader = (header, bodyText, maxLines = null) => {
-            const lines = [];
-            const headerTitle = cleanSectionTitle(header?.title) || String(header?.title || '').trim();
-            const headerKicker = String(header?.kicker || '').trim();
-
-            if (headerTitle) lines.push(`标题：${headerTitle}`);
-            if (headerKicker) lines.push(headerKicker);
-
-            let body = String(bodyText || '').replace(/\r\n/g, '\n').trim();
-            if (headerKicker && body.startsWith(headerKicker)) {
-                body = body.split('\n').slice(1).join('\n').trim();
-            }
-
-            if (typeof maxLines === 'number' && maxLines > 0 && body) {
-                const bodyLines = body.split('\n').map(l => l.trim()).filter(Boolean);
-                body = bodyLines.slice(0, maxLines).join('\n').trim();
-            }
-
-            if (body) {
-                if (lines.length > 0) lines.push('');
-                lines.push(body);
-            }
-
-            return lines.join('\n').trim();
-        };
-
-        const buildCoverSummaryBody = (sectionsToSummarize, maxLines = 6) => {
-            const collected = [];
-            const list = Array.isArray(sectionsToSummarize) ? sectionsToSummarize : [];
-
-            for (const section of list) {
-                const raw = String(section?.content || '').replace(/\r\n/g, '\n').trim();
-                if (!raw) continue;
-
-                const lines = raw.split('\n').map(l => l.trim()).filter(Boolean);
-                for (const line of lines) {
-                    if (collected.length >= maxLines) break;
-                    collected.push(line.length > 46 ? line.slice(0, 46) + '...' : line);
-                }
-
-                if (collected.length >= maxLines) break;
-            }
-
-            return collected.join('\n').trim();
-        };
-
-        // 检测“全局标题区”：第一段只有标题/适合等元信息时，后续卡片复用同一个标题区
-        let globalHeader = null;
-        let contentSections = usableSections;
-        if (usableSections.length > 1 && typeof window.visualGenerator.parseContent === 'function') {
-            const firstRaw = String(usableSections[0]?.content || '').replace(/\r\n/g, '\n').trim();
-            const normalizedFirstRaw = firstRaw.replace(/^\s*(?:(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→)|[-*•·])\s*/gm, '');
-            const firstParsed = window.visualGenerator.parseContent(firstRaw);
-            const nonEmptyLines = firstRaw.split('\n').map(l => l.trim()).filter(Boolean);
-            const bodyLen = String(firstParsed?.body || '').trim().length;
-            const headerSignals = /(?:^|\n)\s*(?:标题|Title)\s*[:：]/i.test(normalizedFirstRaw) ||
-                /(?:^|\n)\s*(适合|适用|适用人群|人群|对象|场景|适用于)\s*[:：]/.test(normalizedFirstRaw) ||
-                !!String(firstParsed?.kicker || '').trim();
-
-            if (headerSignals && String(firstParsed?.title || '').trim() && bodyLen < 16 && nonEmptyLines.length <= 3) {
-                globalHeader = {
-                    title: String(firstParsed.title || '').trim(),
-                    kicker: String(firstParsed.kicker || '').trim()
-                };
-                contentSections = usableSections.slice(1);
-            }
-        }
-
-        const tasks = [];
-
-        if (globalHeader && contentSections.length > 0) {
-            // 如果“内容段落”数量足够覆盖 imageCount：每张复用全局标题区，避免封面空白
-            if (settings.imageCount <= contentSections.length) {
-                for (let index = 0; index < settings.imageCount; index++) {
-                    const section = contentSections[index];
-                    const rawBody = section?.content || fallbackContent;
-                    const sectionTitle = cleanSectionTitle(section?.title) || deriveTitleFromBody(rawBody) || `${template.name} - ${index + 1}`;
-
-                    tasks.push({
-                        index,
-                        sectionOriginalIndex: usableSections.indexOf(section),
-                        sectionTitle,
-                        contentToRender: buildContentWithHeader(globalHeader, rawBody)
-                    });
-                }
-            } else {
-                // 不足时：保留一张“封面”（标题区 + 摘要），其余按段落生成
-                const coverBody = buildCoverSummaryBody(contentSections.slice(0, 2), 6) ||
-                    contentSections[0]?.content ||
-                    fallbackContent;
-                tasks.push({
-                    index: 0,
-                    sectionOriginalIndex: 0,
-                    sectionTitle: cleanSectionTitle(globalHeader.title) || '封面',
-                    contentToRender: buildContentWithHeader(globalHeader, coverBody)
-                });
-
-                for (let index = 1; index < settings.imageCount; index++) {
-                    const section = contentSections[index - 1];
-                    const rawBody = section?.content || fallbackContent;
-                    const sectionTitle = cleanSectionTitle(section?.title) || deriveTitleFromBody(rawBody) || `${template.name} - ${index + 1}`;
-
-                    tasks.push({
-                        index,
-                        sectionOriginalIndex: section ? usableSections.indexOf(section) : undefined,
-                        sectionTitle,
-                        contentToRender: buildContentWithHeader(globalHeader, rawBody)
-                    });
-                }
-            }
-        } else {
-            for (let index = 0; index < settings.imageCount; index++) {
-                const section = usableSections[index] || sections[index];
-                const title = section?.title || '';
-                const raw = section?.content || fallbackContent;
-                const contentToRender = buildCleanContent(raw, title);
-
-                const parsedMeta = typeof window.visualGenerator.parseContent === 'function'
-                    ? window.visualGenerator.parseContent(String(contentToRender || '').trim())
-                    : { title: cleanSectionTitle(title) };
-
-                tasks.push({
-                    index,
-                    sectionOriginalIndex: section ? sections.indexOf(section) : undefined,
-                    sectionTitle: String(parsedMeta?.title || '').trim() || cleanSectionTitle(title) || `${template.name} - ${index + 1}`,
-                    contentToRender
-                });
-            }
-        }
-
-        for (const task of tasks) {
-            const imageData = await window.visualGenerator.generateCard(
-                task.contentToRender,
+        const combinedTags = this.getCombinedTags(settings, prompt);
+        const tasks = this.buildPageTasks(settings, prompt, template);
+
+        // 有离屏渲染器时在 Worker 中绘制，不阻塞页面；不支持时它会回退到页面中的视觉生成器
+        const renderer = window.offscreenRenderer || window.visualGenerator;
+        return this.runRenderQueue('visual', tasks, async (task) => {
+            const imageData = await renderer.generateCard(
+                task.content,
                 template,
                 tone,
                 combinedTags,
-                settings
+                { ...settings, page: task.page, qr: task.qr }
             );
 
-            results.push({
+            return {
                 url: imageData.url,
                 blob: imageData.blob,
                 width: imageData.width,
                 height: imageData.height,
                 prompt: prompt,
-                sectionTitle: task.sectionTitle,
-                sectionIndex: typeof task.sectionOriginalIndex === 'number' ? task.sectionOriginalIndex : undefined,
+                ...this.getPageMeta(task.page),
+                fit: imageData.fit || null,
+                hitMap: imageData.hitMap || null,
                 variation: task.index + 1
-            });
-
-            if (window.uiManager) {
-                const progress = Math.round(((task.index + 1) / tasks.length) * 70) + 10;
-                window.uiManager.updateProgress(progress, `正在生成第 ${task.index + 1} 张图片...`);
-            }
-        }
+            };
+        }, settings);
+    }
 
-        return results;
+    /**
+     * 生成演示图片（最终兜底渲染器）
+     */
+    async generateWithMockRenderer(prompt, settings) {
+        await this.simulateApiDelay(2000, settings.signal);
+
+        const tasks = Array.from({ length: settings.imageCount }, (_, index) => ({ index }));
+        return this.runRenderQueue('mock', tasks, async ({ index }) => {
+            const result = await this.generateMockImage(prompt, index + 1, settings);
+            return { ...result, variation: index + 1 };
+        }, settings);
     }
 
     /**
@@ -1291,25 +1323,7 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
      */
     wrapText(ctx, text, maxWidth, fontSize) {
         ctx.font = `${fontSize}px Arial, sans-serif`;
-        const words = text.split(' ');
-        const lines = [];
-        let currentLine = '';
-
-        for (let word of words) {
-            const testLine = currentLine + (currentLine ? ' ' : '') + word;
-            const metrics = ctx.measureText(testLine);
-
-            if (metrics.width > maxWidth && currentLine) {
-                lines.push(currentLine);
-                currentLine = word;
-            } else {
-                currentLine = testLine;
-            }
-        }
-
-        if (currentLine) {
-            lines.push(currentLine);
-        }
+        const lines = window.textLayout.breakLines(text, maxWidth, line => ctx.measureText(line).width, { compress: false });
 
         // 限制最大行数
         return lines.slice(0, 8);
@@ -1318,10 +1332,15 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
     /**
      * 模拟API延迟
      */
-    async simulateApiDelay(ms) {
+    async simulateApiDelay(ms, signal = null) {
         return new Promise(resolve => {
             let progress = 0;
             const interval = setInterval(() => {
+                if (signal?.aborted) {
+                    clearInterval(interval);
+                    resolve();
+                    return;
+                }
                 progress += 10;
                 if (window.uiManager) {
                     window.uiManager.updateProgress(30 + (progress / 100) * 40, '正在生成图片...');
@@ -1346,20 +1365,32 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
             const sectionTitle = String(result.sectionTitle || '').trim();
             const displayTitle = sectionTitle
                 ? sectionTitle
-                : `${template.name} - ${i + 1}`;
+                : `${template.name} - ${result.variation || i + 1}`;
             
             const imageData = {
                 id: Utils.generateId('img'),
                 url: result.url,
                 blob: result.blob,
                 title: displayTitle.length > 32 ? displayTitle.slice(0, 32) + '...' : displayTitle,
+                sectionTitle,
+                sectionIndex: result.sectionIndex,
+                sourcePage: result.sourcePage || null,
+                // 生成时使用的正文，页面规划与当前正文一致时才能在步骤4调整页面
+                sourceContent: content,
                 prompt: result.prompt,
                 template: template.name,
                 content: content.substring(0, 50) + '...',
                 timestamp: new Date().toISOString(),
                 width: result.width,
                 height: result.height,
-                size: result.blob.size
+                size: result.blob.size,
+                variation: result.variation || i + 1,
+                renderer: result.renderer || '',
+                fallback: result.fallback || null,
+                page: result.page || null,
+                fit: result.fit || null,
+                // 卡片上可编辑的文字区域（仅本地 Canvas 渲染器提供）
+                hitMap: result.hitMap || null
             };
 
             processedImages.push(imageData);
@@ -1492,7 +1523,7 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
     /**
      * 发起API请求
      */
-    async makeApiRequest(url, data, apiKey = null) {
+    async makeApiRequest(url, data, apiKey = null, signal = null) {
         const key = apiKey || this.apiKey;
         
         const response = await fetch(url, {
@@ -1501,7 +1532,8 @@ ${sectionTitle ? `小节标题：${sectionTitle}` : ''}
                 'Content-Type': 'application/json',
                 'x-goog-api-key': key
             },
-            body: JSON.stringify(data)
+            body: JSON.stringify(data),
+            signal: signal || undefined
         });
 
         const responseData = await response.json().catch(() => ({}));
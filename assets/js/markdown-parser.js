@@ -0,0 +1,763 @@
+/**
+ * Markdown 子集解析器
+ * 把笔记正文解析为各渲染器共用的内容 AST：
+ * 块级支持标题、段落、有序 / 无序 / 嵌套列表、引用、代码块、表格、分隔线；
+ * 行内支持粗体、斜体、删除线、行内代码、话题标签与 emoji
+ */
+
+class MarkdownParser {
+    constructor() {
+        // 小红书常见的 emoji 项目符号，与 - * + • · 一样视为无序列表标记
+        this.emojiBullets = ['✅', '☑️', '✔️', '👉', '💡', '🔥', '⭐️', '⭐', '🌟', '🟢', '🔸', '🔹', '🔻', '🔺', '▶︎', '▶', '→'];
+        this.orderedMarkerPattern = /^(?:(\d{1,2})[.)）](?!\d)|(\d{1,2})、|([一二三四五六七八九十]+)[.、]|[（(]([一二三四五六七八九十]+|\d{1,2})[）)])\s*/;
+        this.bulletMarkerPattern = /^(?:[-*+](?=\s)|[•·])\s*/;
+        this.headingPattern = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+        this.setextPattern = /^\s{0,3}(=+|-{3,})\s*$/;
+        this.thematicBreakPattern = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+        this.fencePattern = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)(?:\s+([^`]*?))?\s*$/;
+        this.quotePattern = /^\s{0,3}>\s?/;
+        this.tableDelimiterPattern = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+        this.hashtagPattern = /#([A-Za-z0-9_\u4e00-\u9fff]+)#?/g;
+        this.hashtagStickyPattern = /#([A-Za-z0-9_\u4e00-\u9fff]+)#?/y;
+        this.emojiPattern = /(?:\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic}\uFE0F?)*|[\u{1F1E6}-\u{1F1FF}]{2})/uy;
+        this.indentWidth = 2;
+    }
+
+    // ── 块级解析 ──────────────────────────────
+
+    /**
+     * 解析整篇正文，返回 { type: 'document', children, tags }
+     */
+    parse(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const children = this.parseBlocks(lines, 0, lines.length);
+        return { type: 'document', children, tags: this.collectHashtags(children) };
+    }
+
+    /**
+     * 解析 [start, end) 行范围内的块；每个块带 line / endLine（含）行号
+     */
+    parseBlocks(lines, start, end) {
+        const blocks = [];
+        let i = start;
+
+        while (i < end) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const block = this.parseFence(lines, i, end)
+                || this.parseHeading(lines, i, end)
+                || this.parseThematicBreak(lines, i)
+                || this.parseQuote(lines, i, end)
+                || this.parseTable(lines, i, end)
+                || this.parseList(lines, i, end)
+                || this.parseParagraph(lines, i, end);
+
+            blocks.push(block);
+            i = block.endLine + 1;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * 围栏代码块 ``` / ~~~（未闭合时延续到末尾；语言后可带参数，如 ```chart bar）
+     */
+    parseFence(lines, i, end) {
+        const open = lines[i].match(this.fencePattern);
+        if (!open) return null;
+
+        const fence = open[1];
+        const isClosing = (line) => {
+            const trimmed = line.trim();
+            return trimmed.length >= fence.length && [...trimmed].every(ch => ch === fence[0]);
+        };
+        let j = i + 1;
+        while (j < end && !isClosing(lines[j])) {
+            j++;
+        }
+
+        return {
+            type: 'code',
+            lang: open[2] || '',
+            info: open[3] || '',
+            value: lines.slice(i + 1, j).join('\n'),
+            line: i,
+            endLine: Math.min(j, end - 1)
+        };
+    }
+
+    /**
+     * ATX 标题（# 后须有空格，以免与 #话题 混淆）及 Setext 标题（下一行 === / ---）
+     */
+    parseHeading(lines, i, end) {
+        const atx = lines[i].match(this.headingPattern);
+        if (atx) {
+            return { type: 'heading', depth: atx[1].length, children: this.parseInline(atx[2]), line: i, endLine: i };
+        }
+
+        const next = i + 1 < end ? lines[i + 1] : '';
+        const setext = next.match(this.setextPattern);
+        if (setext && !this.isBlockStart(lines[i])) {
+            return {
+                type: 'heading',
+                depth: setext[1][0] === '=' ? 1 : 2,
+                children: this.parseInline(lines[i].trim()),
+                line: i,
+                endLine: i + 1
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 分隔线 --- / *** / ___
+     */
+    parseThematicBreak(lines, i) {
+        return this.thematicBreakPattern.test(lines[i])
+            ? { type: 'thematicBreak', line: i, endLine: i }
+            : null;
+    }
+
+    /**
+     * 引用块：连续的 > 行，内部递归解析
+     */
+    parseQuote(lines, i, end) {
+        if (!this.quotePattern.test(lines[i])) return null;
+
+        let j = i;
+        while (j < end && this.quotePattern.test(lines[j])) {
+            j++;
+        }
+
+        const inner = lines.slice(i, j).map(line => line.replace(this.quotePattern, ''));
+        return { type: 'blockquote', children: this.parseBlocks(inner, 0, inner.length), line: i, endLine: j - 1 };
+    }
+
+    /**
+     * 表格：表头行 + 分隔行（| --- | :---: |）+ 数据行
+     */
+    parseTable(lines, i, end) {
+        if (i + 1 >= end || !lines[i].includes('|') || !this.tableDelimiterPattern.test(lines[i + 1])) {
+            return null;
+        }
+
+        const align = this.splitTableRow(lines[i + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+        });
+
+        let j = i + 2;
+        const rows = [];
+        while (j < end && lines[j].trim() && lines[j].includes('|')) {
+            rows.push(this.splitTableRow(lines[j]).map(cell => this.parseInline(cell)));
+            j++;
+        }
+
+        return {
+            type: 'table',
+            align,
+            header: this.splitTableRow(lines[i]).map(cell => this.parseInline(cell)),
+            rows,
+            line: i,
+            endLine: j - 1
+        };
+    }
+
+    /**
+     * 拆分表格行的单元格
+     */
+    splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    /**
+     * 列表：连续的列表项（含缩进形成的嵌套与缩进续行）
+     */
+    parseList(lines, i, end) {
+        const first = this.parseListMarker(lines[i]);
+        if (!first) return null;
+
+        const entries = [];
+        let j = i;
+        while (j < end && lines[j].trim()) {
+            const marker = this.parseListMarker(lines[j]);
+            // 同一层级上有序 / 无序切换时另起一个列表
+            if (marker && marker.indent <= first.indent && marker.ordered !== first.ordered) {
+                break;
+            }
+            if (marker) {
+                entries.push({ ...marker, text: marker.content });
+            } else if (this.getIndent(lines[j]) > 0 && !this.isBlockStart(lines[j])) {
+                entries[entries.length - 1].text += '\n' + lines[j].trim();
+            } else {
+                break;
+            }
+            j++;
+        }
+
+        return { ...this.buildList(entries, 0, entries.length, first.indent), line: i, endLine: j - 1 };
+    }
+
+    /**
+     * 按缩进把扁平的列表项组装成嵌套结构
+     */
+    buildList(entries, start, end, baseIndent) {
+        const list = { type: 'list', ordered: entries[start].ordered, items: [] };
+        let k = start;
+
+        while (k < end) {
+            const entry = entries[k];
+            let next = k + 1;
+            while (next < end && entries[next].indent >= baseIndent + this.indentWidth) {
+                next++;
+            }
+
+            const item = {
+                type: 'listItem',
+                marker: entry.marker,
+                ordered: entry.ordered,
+                checked: entry.checked,
+                // 列表项原文（不含标记，续行以换行连接），供卡片上直接编辑时定位原文
+                source: entry.text,
+                children: this.parseInline(entry.text),
+                lists: next > k + 1 ? [this.buildList(entries, k + 1, next, entries[k + 1].indent)] : []
+            };
+
+            list.items.push(item);
+            k = next;
+        }
+
+        return list;
+    }
+
+    /**
+     * 段落：直到空行或下一个块开始；保留行内换行
+     */
+    parseParagraph(lines, i, end) {
+        let j = i + 1;
+        while (j < end && lines[j].trim() && !this.isBlockStart(lines[j]) && !this.setextPattern.test(lines[j])) {
+            j++;
+        }
+        // 段落末行后紧跟 Setext 下划线时，末行留给标题
+        if (j < end && j - 1 > i && this.setextPattern.test(lines[j])) {
+            j--;
+        }
+
+        const source = lines.slice(i, j).map(line => line.trim()).join('\n');
+        return { type: 'paragraph', children: this.parseInline(source), line: i, endLine: j - 1 };
+    }
+
+    /**
+     * 判断一行是否开启新的块（段落在此处结束）
+     */
+    isBlockStart(line) {
+        return this.headingPattern.test(line)
+            || this.fencePattern.test(line)
+            || this.thematicBreakPattern.test(line)
+            || this.quotePattern.test(line)
+            || !!this.parseListMarker(line);
+    }
+
+    /**
+     * 解析行首列表标记，返回 { marker, ordered, indent, checked, content }；不是列表项时返回 null
+     */
+    parseListMarker(line) {
+        const raw = String(line || '').replace(/\t/g, '    ');
+        const indent = this.getIndent(raw);
+        const rest = raw.trim();
+
+        let marker = '';
+        let ordered = false;
+        let content = '';
+
+        const orderedMatch = rest.match(this.orderedMarkerPattern);
+        const bulletMatch = orderedMatch ? null : rest.match(this.bulletMarkerPattern);
+        const emoji = orderedMatch || bulletMatch ? '' : this.emojiBullets.find(bullet => rest.startsWith(bullet));
+
+        if (orderedMatch) {
+            marker = orderedMatch[0].trim();
+            ordered = true;
+            content = rest.slice(orderedMatch[0].length);
+        } else if (bulletMatch) {
+            marker = bulletMatch[0].trim();
+            content = rest.slice(bulletMatch[0].length);
+        } else if (emoji) {
+            marker = emoji;
+            content = rest.slice(emoji.length).trim();
+
+            // “🔸1）xxx” 这类双标记：优先保留数字序号
+            const numbered = content.match(this.orderedMarkerPattern);
+            if (numbered && content.length > numbered[0].length) {
+                marker = numbered[0].trim();
+                ordered = true;
+                content = content.slice(numbered[0].length);
+            }
+        } else {
+            return null;
+        }
+
+        content = content.trim();
+        if (!content) return null;
+
+        let checked = null;
+        const task = content.match(/^\[([ xX])\]\s+/);
+        if (task) {
+            checked = task[1] !== ' ';
+            content = content.slice(task[0].length);
+        }
+
+        return { marker, ordered, indent, checked, content };
+    }
+
+    /**
+     * 计算行首缩进（Tab 按 4 个空格）
+     */
+    getIndent(line) {
+        return String(line || '').replace(/\t/g, '    ').match(/^ */)[0].length;
+    }
+
+    // ── 行内解析 ──────────────────────────────
+
+    /**
+     * 解析行内格式，返回节点数组：
+     * text / strong / emphasis / delete / inlineCode / hashtag / emoji / break
+     * 强调定界符按 CommonMark 的左右侧翼（flanking）规则配对，支持嵌套
+     */
+    parseInline(text) {
+        const source = String(text || '');
+        const nodes = [];
+        const delimiters = [];
+        let buffer = '';
+        let i = 0;
+
+        const pushText = (value) => {
+            buffer += value;
+        };
+        const flush = () => {
+            if (buffer) nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        };
+        const pushNode = (node) => {
+            flush();
+            nodes.push(node);
+        };
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (ch === '\\' && i + 1 < source.length && /[\\`*_~#>|[\]-]/.test(source[i + 1])) {
+                pushText(source[i + 1]);
+                i += 2;
+                continue;
+            }
+
+            if (ch === '\n') {
+                pushNode({ type: 'break' });
+                i++;
+                continue;
+            }
+
+            if (ch === '`') {
+                const close = source.indexOf('`', i + 1);
+                if (close > i + 1) {
+                    pushNode({ type: 'inlineCode', value: source.slice(i + 1, close) });
+                    i = close + 1;
+                    continue;
+                }
+            }
+
+            if (ch === '*' || ch === '_' || ch === '~') {
+                let end = i;
+                while (source[end] === ch) end++;
+                const node = { type: 'text', value: source.slice(i, end) };
+                const run = this.classifyDelimiterRun(source, i, end);
+                pushNode(node);
+                // 删除线只认成对的 ~~
+                if ((run.canOpen || run.canClose) && (ch !== '~' || end - i === 2)) {
+                    delimiters.push({ char: ch, node, length: end - i, origin: end - i, ...run });
+                }
+                i = end;
+                continue;
+            }
+
+            if (ch === '#' && !/[A-Za-z0-9_&]/.test(source[i - 1] || '')) {
+                this.hashtagStickyPattern.lastIndex = i;
+                const tag = this.hashtagStickyPattern.exec(source);
+                if (tag) {
+                    pushNode({ type: 'hashtag', value: tag[1] });
+                    i += tag[0].length;
+                    continue;
+                }
+            }
+
+            if (ch.charCodeAt(0) > 0x7F) {
+                this.emojiPattern.lastIndex = i;
+                const emoji = this.emojiPattern.exec(source);
+                if (emoji) {
+                    pushNode({ type: 'emoji', value: emoji[0] });
+                    i += emoji[0].length;
+                    continue;
+                }
+            }
+
+            pushText(ch);
+            i++;
+        }
+
+        flush();
+        this.processEmphasis(nodes, delimiters);
+        return this.mergeTextNodes(nodes);
+    }
+
+    /**
+     * 判断 [start, end) 处的定界符串能否开启 / 关闭强调（CommonMark 左右侧翼规则）
+     * 中文里常见「**注意：**后文」「**“引号”**内容」，所以 ** 及以上的定界符
+     * 紧邻中文时放宽标点限制；单个 * 不放宽，避免把「5*2=10，*注意*」配错
+     */
+    classifyDelimiterRun(source, start, end) {
+        const before = source[start - 1] || ' ';
+        const after = source[end] || ' ';
+        const isSpace = (c) => /\s/.test(c);
+        const isPunct = (c) => /[\p{P}\p{S}]/u.test(c);
+        const isCjk = (c) => /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/.test(c);
+        const relaxed = end - start >= 2;
+
+        const left = !isSpace(after)
+            && (!isPunct(after) || isSpace(before) || isPunct(before) || (relaxed && isCjk(before)));
+        const right = !isSpace(before)
+            && (!isPunct(before) || isSpace(after) || isPunct(after) || (relaxed && isCjk(after)));
+
+        if (source[start] !== '_') return { canOpen: left, canClose: right };
+        // _ 不做词内强调（snake_case），但中文之间照常生效
+        return {
+            canOpen: left && (!right || isPunct(before) || isCjk(before)),
+            canClose: right && (!left || isPunct(after) || isCjk(after))
+        };
+    }
+
+    /**
+     * 按 CommonMark 的 process emphasis 算法配对定界符，
+     * 把开、闭定界符之间的节点收进 strong / emphasis / delete 节点
+     */
+    processEmphasis(nodes, delimiters) {
+        let c = 0;
+        while (c < delimiters.length) {
+            const closer = delimiters[c];
+            if (!closer.canClose) {
+                c++;
+                continue;
+            }
+
+            let o = c - 1;
+            for (; o >= 0; o--) {
+                const opener = delimiters[o];
+                if (opener.char !== closer.char || !opener.canOpen) continue;
+                // 「三的倍数」规则：避免 *foo**bar* 这类写法被错误配对
+                if ((opener.canClose || closer.canOpen)
+                    && (opener.origin + closer.origin) % 3 === 0
+                    && (opener.origin % 3 !== 0 || closer.origin % 3 !== 0)) continue;
+                break;
+            }
+
+            if (o < 0) {
+                if (closer.canOpen) c++;
+                else delimiters.splice(c, 1);
+                continue;
+            }
+
+            const opener = delimiters[o];
+            const use = closer.char === '~' || (opener.length >= 2 && closer.length >= 2) ? 2 : 1;
+            const type = closer.char === '~' ? 'delete' : (use === 2 ? 'strong' : 'emphasis');
+
+            const from = nodes.indexOf(opener.node) + 1;
+            const children = nodes.splice(from, nodes.indexOf(closer.node) - from);
+            nodes.splice(from, 0, { type, children: this.mergeTextNodes(children) });
+
+            opener.length -= use;
+            closer.length -= use;
+            opener.node.value = opener.node.value.slice(use);
+            closer.node.value = closer.node.value.slice(use);
+
+            // 开闭之间剩下的定界符不再参与配对
+            delimiters.splice(o + 1, c - o - 1);
+            c = o + 1;
+            if (opener.length === 0) {
+                nodes.splice(nodes.indexOf(opener.node), 1);
+                delimiters.splice(o, 1);
+                c--;
+            }
+            if (closer.length === 0) {
+                nodes.splice(nodes.indexOf(closer.node), 1);
+                delimiters.splice(c, 1);
+            }
+        }
+    }
+
+    /**
+     * 合并相邻文本节点并去掉空文本
+     */
+    mergeTextNodes(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            if (node.type !== 'text') {
+                merged.push(node);
+            } else if (node.value) {
+                const last = merged[merged.length - 1];
+                if (last && last.type === 'text') last.value += node.value;
+                else merged.push({ type: 'text', value: node.value });
+            }
+        });
+        return merged;
+    }
+
+    // ── 输出工具 ──────────────────────────────
+
+    /**
+     * 节点（行内数组 / 块 / 文档）转纯文本：去掉格式符号，列表项不含标记
+     */
+    toPlainText(node) {
+        if (!node) return '';
+        if (typeof node === 'string') return this.toPlainText(this.parseInline(node));
+        if (Array.isArray(node)) return node.map(child => this.toPlainText(child)).join('');
+
+        switch (node.type) {
+            case 'text':
+            case 'inlineCode':
+            case 'emoji':
+                return node.value;
+            case 'hashtag':
+                return `#${node.value}`;
+            case 'break':
+                return '\n';
+            case 'code':
+                return node.value;
+            case 'thematicBreak':
+                return '';
+            case 'list':
+                return node.items.map(item => this.toPlainText(item)).join('\n');
+            case 'listItem':
+                return [this.toPlainText(node.children), ...node.lists.map(list => this.toPlainText(list))].join('\n');
+            case 'table':
+                return [node.header, ...node.rows].map(row => row.map(cell => this.toPlainText(cell)).join(' | ')).join('\n');
+            case 'document':
+            case 'blockquote':
+                return node.children.map(child => this.toPlainText(child)).join('\n');
+            default:
+                return this.toPlainText(node.children || []);
+        }
+    }
+
+    /**
+     * 行内节点展开为带样式的文本片段：[{ text, bold, italic, strike, code, hashtag, emoji }]
+     */
+    toRuns(nodes, style = {}) {
+        const source = typeof nodes === 'string' ? this.parseInline(nodes) : nodes;
+        const runs = [];
+        const push = (text, extra = {}) => {
+            if (text) runs.push({ text, ...style, ...extra });
+        };
+
+        (source || []).forEach(node => {
+            switch (node.type) {
+                case 'strong':
+                    runs.push(...this.toRuns(node.children, { ...style, bold: true }));
+                    break;
+                case 'emphasis':
+                    runs.push(...this.toRuns(node.children, { ...style, italic: true }));
+                    break;
+                case 'delete':
+                    runs.push(...this.toRuns(node.children, { ...style, strike: true }));
+                    break;
+                case 'inlineCode':
+                    push(node.value, { code: true });
+                    break;
+                case 'hashtag':
+                    push(`#${node.value}`, { hashtag: true });
+                    break;
+                case 'emoji':
+                    push(node.value, { emoji: true });
+                    break;
+                case 'break':
+                    push('\n');
+                    break;
+                default:
+                    push(node.value || '');
+            }
+        });
+
+        return runs;
+    }
+
+    /**
+     * 按折行结果切分片段：lines 为对 runs 纯文本折行后的各行（折行时丢弃的空白会被跳过）
+     */
+    sliceRuns(runs, lines) {
+        const chars = [];
+        runs.forEach((run, index) => {
+            for (const ch of run.text) chars.push({ ch, index });
+        });
+
+        let cursor = 0;
+        return lines.map(line => {
+            const lineRuns = [];
+            for (const ch of String(line || '')) {
+                while (cursor < chars.length && chars[cursor].ch !== ch && /\s/.test(chars[cursor].ch)) {
+                    cursor++;
+                }
+                const source = cursor < chars.length && chars[cursor].ch === ch ? runs[chars[cursor++].index] : null;
+                const last = lineRuns[lineRuns.length - 1];
+                if (last && last.source === source) {
+                    last.text += ch;
+                } else {
+                    lineRuns.push({ ...(source || {}), text: ch, source });
+                }
+            }
+            return lineRuns.map(({ source, ...run }) => run);
+        });
+    }
+
+    /**
+     * 行内节点序列化回 Markdown 文本（用于在字符串字段间传递时保留格式）
+     */
+    toMarkdown(nodes) {
+        return (nodes || []).map(node => {
+            switch (node.type) {
+                case 'strong':
+                    return `**${this.toMarkdown(node.children)}**`;
+                case 'emphasis':
+                    return `*${this.toMarkdown(node.children)}*`;
+                case 'delete':
+                    return `~~${this.toMarkdown(node.children)}~~`;
+                case 'inlineCode':
+                    return `\`${node.value}\``;
+                case 'hashtag':
+                    return `#${node.value}`;
+                case 'break':
+                    return '\n';
+                default:
+                    return node.value || '';
+            }
+        }).join('');
+    }
+
+    /**
+     * 行内节点转 HTML（已转义），供 DOM 渲染使用
+     */
+    toHTML(nodes) {
+        const source = typeof nodes === 'string' ? this.parseInline(nodes) : nodes;
+        return (source || []).map(node => {
+            switch (node.type) {
+                case 'strong':
+                    return `<strong>${this.toHTML(node.children)}</strong>`;
+                case 'emphasis':
+                    return `<em>${this.toHTML(node.children)}</em>`;
+                case 'delete':
+                    return `<del>${this.toHTML(node.children)}</del>`;
+                case 'inlineCode':
+                    return `<code>${this.escapeHTML(node.value)}</code>`;
+                case 'hashtag':
+                    return `<span class="md-hashtag">#${this.escapeHTML(node.value)}</span>`;
+                case 'break':
+                    return '<br>';
+                default:
+                    return this.escapeHTML(node.value || '');
+            }
+        }).join('');
+    }
+
+    /**
+     * 把段落的行内节点按换行拆成多行
+     */
+    splitLines(nodes) {
+        const lines = [[]];
+        (nodes || []).forEach(node => {
+            if (node.type === 'break') {
+                lines.push([]);
+            } else {
+                lines[lines.length - 1].push(node);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * 遍历块树（含引用内部与嵌套列表），回调 (node, depth)
+     */
+    walk(node, callback, depth = 0) {
+        const children = node.type === 'list'
+            ? node.items
+            : node.type === 'listItem'
+                ? node.lists
+                : ['document', 'blockquote'].includes(node.type) ? node.children : [];
+
+        callback(node, depth);
+        children.forEach(child => this.walk(child, callback, node.type === 'list' ? depth + 1 : depth));
+    }
+
+    /**
+     * 收集全部话题标签（去重、保持出现顺序）
+     */
+    collectHashtags(blocks) {
+        const tags = [];
+        const visitInline = (nodes) => (nodes || []).forEach(node => {
+            if (node.type === 'hashtag' && !tags.includes(node.value)) tags.push(node.value);
+            if (node.children) visitInline(node.children);
+        });
+
+        blocks.forEach(block => this.walk(block, (node) => {
+            if (node.type === 'table') {
+                [node.header, ...node.rows].forEach(row => row.forEach(visitInline));
+            } else if (['heading', 'paragraph', 'listItem'].includes(node.type)) {
+                visitInline(node.children);
+            }
+        }));
+
+        return tags;
+    }
+
+    /**
+     * 从文本中提取话题标签，返回去掉标签后的文本与标签列表
+     */
+    extractHashtags(text) {
+        const tags = [];
+        const source = String(text || '');
+        const cleaned = source
+            .replace(this.hashtagPattern, (match, tag, offset) => {
+                if (/[A-Za-z0-9_&]/.test(source[offset - 1] || '')) return match;
+                tags.push(tag);
+                return '';
+            })
+            .replace(/(\S)[ \t]{2,}/g, '$1 ')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        return { text: cleaned, tags };
+    }
+
+    /**
+     * 转义 HTML
+     */
+    escapeHTML(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// 全局 Markdown 解析器实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.markdownParser = new MarkdownParser();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownParser;
+}
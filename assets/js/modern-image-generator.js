@@ -13,6 +13,14 @@ class ModernImageGenerator {
         this.dynamicColors = new Map();
         this.renderContainer = null;
         this.observer = null;
+        this.defaultFontFamily = '"PingFang SC", "Microsoft YaHei", "Noto Sans SC", "Segoe UI", "Helvetica Neue", Arial, sans-serif';
+        this.roleLayouts = {
+            cover: 'createCoverContent',
+            list: 'createListContent',
+            data: 'createDataContent',
+            quote: 'createQuoteContent',
+            summary: 'createSummaryContent'
+        };
         
         this.init();
     }
@@ -121,7 +129,7 @@ class ModernImageGenerator {
             width: 540px;
             height: 960px;
             background: white;
-            font-family: "PingFang SC", "Microsoft YaHei", "Noto Sans SC", "Segoe UI", "Helvetica Neue", Arial, sans-serif;
+            font-family: ${this.defaultFontFamily};
             overflow: hidden;
             z-index: -1000;
             transform: scale(1);
@@ -284,6 +292,45 @@ class ModernImageGenerator {
         });
     }
 
+    /**
+     * 将主题令牌映射到 Material Design 3.0 颜色角色与字体
+     */
+    applyTheme(baseTemplate, theme) {
+        const { palette } = theme;
+        const displayFont = window.themeManager.getFont(theme, 'display');
+        const bodyFont = window.themeManager.getFont(theme, 'body');
+        const typography = {};
+        Object.entries(baseTemplate.typography).forEach(([key, value]) => {
+            const isDisplay = key.startsWith('display') || key.startsWith('headline');
+            typography[key] = { ...value, fontFamily: isDisplay ? displayFont : bodyFont };
+        });
+
+        return {
+            ...baseTemplate,
+            themeId: theme.id,
+            primaryColor: palette.primary,
+            onPrimary: palette.onPrimary,
+            primaryContainer: palette.primaryContainer,
+            onPrimaryContainer: palette.text,
+            secondary: palette.secondary,
+            onSecondary: palette.onPrimary,
+            secondaryContainer: palette.surfaceVariant,
+            onSecondaryContainer: palette.text,
+            tertiary: palette.accent,
+            surface: palette.background,
+            onSurface: palette.text,
+            surfaceVariant: palette.surfaceVariant,
+            onSurfaceVariant: palette.textMuted,
+            outline: palette.border,
+            typography,
+            fontFamily: bodyFont,
+            radii: theme.radii,
+            qrSlot: theme.slots?.qr || baseTemplate.qrSlot,
+            spacingUnit: theme.spacing.unit,
+            icon: theme.decorations.icon
+        };
+    }
+
     /**
      * 设置动态颜色系统
      */
@@ -348,17 +395,27 @@ class ModernImageGenerator {
         try {
             this.isGenerating = true;
             
-            // 获取模板
-            const template = this.templates.get(templateId);
-            if (!template) {
+            // 获取模板（传入主题令牌时以主题配色 / 字体 / 圆角覆盖 Material 基础模板，品牌套件再覆盖强调色与字体）
+            const baseTemplate = this.templates.get(templateId);
+            if (!baseTemplate) {
                 throw new Error(`Template ${templateId} not found`);
             }
+            const theme = options.theme && options.brandKit
+                ? window.themeManager.applyBrandKit(options.theme, options.brandKit)
+                : options.theme;
+            const template = theme ? this.applyTheme(baseTemplate, theme) : baseTemplate;
+
+            // 二维码：生成器传入的收尾页二维码，或正文中的 ```qr 围栏（围栏本身不作为正文显示）
+            const encoder = window.qrEncoder;
+            const qrBlock = encoder ? options.qr || encoder.findBlock(content) : null;
+            const qrCode = qrBlock ? encoder.prepare(qrBlock, template.qrSlot, options.brandKit) : null;
+            if (encoder) content = encoder.stripBlocks(content);
 
             // 分析内容
             const contentAnalysis = this.analyzeContent(content);
             
             // 创建DOM结构
-            const domElement = await this.createModernDOM(content, template, contentAnalysis, options);
+            const domElement = await this.createModernDOM(content, template, contentAnalysis, { ...options, qrCode });
             
             // 应用动画效果
             await this.applyAnimations(domElement);
@@ -478,21 +535,109 @@ class ModernImageGenerator {
         this.addBackgroundDecorations(mainContainer, template);
 
         // 创建头部
-        const header = this.createHeader(content, template, analysis);
+        const page = options.page || null;
+        const header = this.createHeader(content, template, analysis, page?.title);
+        if (page?.totalPages > 1) {
+            header.insertBefore(this.createPageIndicator(page), header.lastChild);
+        }
         mainContainer.appendChild(header);
 
-        // 创建内容区域
-        const contentArea = this.createContentArea(content, template, analysis);
+        // 创建内容区域（轮播角色页使用对应版式，正文页沿用段落卡片）
+        const contentArea = this.roleLayouts[page?.role]
+            ? this[this.roleLayouts[page.role]](page, template)
+            : this.createContentArea(content, template, analysis);
         mainContainer.appendChild(contentArea);
 
+        // 二维码卡片排在内容与底部之间
+        if (options.qrCode) {
+            mainContainer.style.gridTemplateRows = 'auto 1fr auto auto';
+            mainContainer.appendChild(await this.createQrBlock(options.qrCode, template));
+        }
+
         // 创建底部
-        const footer = this.createFooter(template);
+        const footer = this.createFooter(template, options.brandKit);
         mainContainer.appendChild(footer);
 
+        // 品牌水印
+        if (options.brandKit) {
+            const watermark = this.createBrandWatermark(options.brandKit);
+            if (watermark) mainContainer.appendChild(watermark);
+        }
+
         this.renderContainer.appendChild(mainContainer);
         return mainContainer;
     }
 
+    /**
+     * 创建二维码卡片：白底卡片 + 模板色模块（Canvas 绘制）+ 可选中心 Logo + 说明文字，按槽位左 / 中 / 右对齐
+     */
+    async createQrBlock(qrCode, template) {
+        const encoder = window.qrEncoder;
+        const { qr, slot, caption, logo, logoArea } = qrCode;
+        const color = encoder.getModuleColor([template.primaryColor, template.onSurface]);
+
+        const row = document.createElement('div');
+        row.style.cssText = `
+            display: flex;
+            justify-content: ${{ 'bottom-left': 'flex-start', 'bottom-center': 'center', 'bottom-right': 'flex-end' }[slot.position]};
+            position: relative;
+            z-index: 2;
+        `;
+
+        const card = document.createElement('div');
+        card.style.cssText = `
+            width: ${Math.round(slot.size * 100)}%;
+            padding: var(--spacing-sm);
+            background: #FFFFFF;
+            border-radius: var(--radius-md);
+            box-shadow: var(--shadow-sm);
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: var(--spacing-xs);
+        `;
+
+        // 按整数像素绘制模块，显示时等比缩放
+        const moduleSize = 8;
+        const canvas = document.createElement('canvas');
+        canvas.width = qr.size * moduleSize;
+        canvas.height = qr.size * moduleSize;
+        canvas.style.cssText = 'display: block; width: 100%; height: auto; image-rendering: pixelated;';
+        const ctx = canvas.getContext('2d');
+        encoder.drawToCanvas(ctx, qr, 0, 0, moduleSize, color, logoArea);
+
+        if (logoArea) {
+            const image = await new Promise((resolve) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => resolve(null);
+                img.src = logo;
+            });
+            if (image) {
+                // Logo 四周留出一个模块宽的白边
+                const offset = (logoArea.start + 1) * moduleSize;
+                const size = (logoArea.end - logoArea.start - 2) * moduleSize;
+                ctx.drawImage(image, offset, offset, size, size);
+            }
+        }
+        card.appendChild(canvas);
+
+        if (caption) {
+            card.appendChild(this.createTextElement('div', caption, `
+                max-width: 100%;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                font-size: var(--font-body-small-size);
+                font-weight: 600;
+                color: ${color};
+            `));
+        }
+
+        row.appendChild(card);
+        return row;
+    }
+
     /**
      * 设置CSS变量
      */
@@ -514,9 +659,10 @@ class ModernImageGenerator {
         root.style.setProperty('--surface-variant', template.surfaceVariant);
         root.style.setProperty('--on-surface-variant', template.onSurfaceVariant);
         root.style.setProperty('--outline', template.outline);
+        root.style.fontFamily = template.fontFamily || this.defaultFontFamily;
 
         // 动态间距
-        const baseSpacing = 8;
+        const baseSpacing = template.spacingUnit || 8;
         root.style.setProperty('--spacing-xs', `${baseSpacing * 0.5}px`);
         root.style.setProperty('--spacing-sm', `${baseSpacing}px`);
         root.style.setProperty('--spacing-md', `${baseSpacing * 1.5}px`);
@@ -536,11 +682,10 @@ class ModernImageGenerator {
         });
 
         // 圆角
-        root.style.setProperty('--radius-xs', '4px');
-        root.style.setProperty('--radius-sm', '8px');
-        root.style.setProperty('--radius-md', '12px');
-        root.style.setProperty('--radius-lg', '16px');
-        root.style.setProperty('--radius-xl', '24px');
+        const radii = { xs: 4, sm: 8, md: 12, lg: 16, xl: 24, ...(template.radii || {}) };
+        Object.entries(radii).forEach(([key, value]) => {
+            root.style.setProperty(`--radius-${key}`, `${value}px`);
+        });
 
         // 阴影
         root.style.setProperty('--shadow-sm', '0 1px 3px rgba(0,0,0,0.12), 0 1px 2px rgba(0,0,0,0.24)');
@@ -587,7 +732,7 @@ class ModernImageGenerator {
     /**
      * 创建头部
      */
-    createHeader(content, template, analysis) {
+    createHeader(content, template, analysis, pageTitle = '') {
         const header = document.createElement('header');
         header.style.cssText = `
             display: flex;
@@ -598,7 +743,7 @@ class ModernImageGenerator {
         `;
 
         // 提取标题
-        const title = this.extractTitle(content);
+        const title = pageTitle || this.extractTitle(content);
 
         const titleElement = document.createElement('h1');
         titleElement.textContent = title;
@@ -670,43 +815,529 @@ class ModernImageGenerator {
     }
 
     /**
-     * 解析内容段落
+     * 创建页码角标（“2/6”）
+     */
+    createPageIndicator(page) {
+        const indicator = document.createElement('div');
+        indicator.className = 'modern-page-indicator';
+        indicator.textContent = page.indicator || `${page.pageNumber}/${page.totalPages}`;
+        indicator.style.cssText = `
+            margin-left: auto;
+            margin-right: var(--spacing-md);
+            padding: var(--spacing-xs) var(--spacing-md);
+            border-radius: 999px;
+            background: var(--primary);
+            color: var(--on-primary);
+            font-size: var(--font-title-small-size);
+            font-weight: 700;
+            letter-spacing: 0.04em;
+            flex-shrink: 0;
+        `;
+        return indicator;
+    }
+
+    /**
+     * 创建角色页内容容器
+     */
+    createRoleArea(justify = 'start') {
+        const area = document.createElement('main');
+        area.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            justify-content: ${justify};
+            gap: var(--spacing-lg);
+            z-index: 2;
+            position: relative;
+            min-height: 0;
+        `;
+        return area;
+    }
+
+    /**
+     * 创建带样式的文本元素
+     */
+    createTextElement(tag, text, cssText) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        element.style.cssText = cssText;
+        return element;
+    }
+
+    /**
+     * 封面：副标题 + 本篇看点 + 左滑提示
+     */
+    createCoverContent(page, template) {
+        const area = this.createRoleArea('center');
+
+        area.appendChild(this.createTextElement('div', '', `
+            width: 64px;
+            height: 6px;
+            border-radius: 3px;
+            background: var(--primary);
+        `));
+
+        if (page.subtitle) {
+            area.appendChild(this.createTextElement('p', page.subtitle, `
+                margin: 0;
+                font-size: var(--font-title-large-size);
+                line-height: var(--font-title-large-line-height);
+                color: var(--on-surface-variant);
+            `));
+        }
+
+        if (page.items.length > 0) {
+            const outline = document.createElement('section');
+            outline.style.cssText = `
+                background: var(--surface);
+                border-radius: var(--radius-lg);
+                padding: var(--spacing-lg);
+                box-shadow: var(--shadow-sm);
+                display: grid;
+                gap: var(--spacing-md);
+            `;
+            outline.appendChild(this.createTextElement('div', '本篇看点', `
+                font-size: var(--font-title-small-size);
+                font-weight: 700;
+                color: var(--primary);
+            `));
+            page.items.forEach((item, index) => {
+                outline.appendChild(this.createTextElement('div', `${String(index + 1).padStart(2, '0')}  ${item}`, `
+                    font-size: var(--font-body-large-size);
+                    line-height: var(--font-body-large-line-height);
+                    color: var(--on-surface);
+                `));
+            });
+            area.appendChild(outline);
+        }
+
+        area.appendChild(this.createTextElement('div', '左滑查看 →', `
+            align-self: flex-end;
+            font-size: var(--font-title-medium-size);
+            font-weight: 700;
+            color: var(--primary);
+        `));
+        return area;
+    }
+
+    /**
+     * 清单：编号卡片逐条排列
+     */
+    createListContent(page, template) {
+        const area = this.createRoleArea();
+        page.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: var(--spacing-md);
+                padding: var(--spacing-md) var(--spacing-lg);
+                background: var(--surface);
+                border-radius: var(--radius-md);
+                box-shadow: var(--shadow-sm);
+            `;
+            row.appendChild(this.createTextElement('span', String(index + 1), `
+                width: 32px;
+                height: 32px;
+                border-radius: 50%;
+                background: var(--primary);
+                color: var(--on-primary);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-weight: 700;
+                flex-shrink: 0;
+            `));
+            row.appendChild(this.setInlineContent(this.createTextElement('span', '', `
+                flex: 1;
+                font-size: var(--font-body-large-size);
+                line-height: var(--font-body-large-line-height);
+                color: var(--on-surface);
+            `), item));
+            area.appendChild(row);
+        });
+        return area;
+    }
+
+    /**
+     * 数据：大号数字网格 + 补充说明
+     */
+    createDataContent(page, template) {
+        const area = this.createRoleArea();
+        const grid = document.createElement('div');
+        grid.style.cssText = `
+            display: grid;
+            grid-template-columns: repeat(${page.dataPoints.length <= 2 ? 1 : 2}, 1fr);
+            gap: var(--spacing-md);
+        `;
+        page.dataPoints.forEach(point => {
+            const card = document.createElement('div');
+            card.style.cssText = `
+                background: var(--primary-container);
+                color: var(--on-primary-container);
+                border-radius: var(--radius-lg);
+                padding: var(--spacing-lg);
+            `;
+            const value = this.createTextElement('div', point.value, `
+                font-size: var(--font-display-medium-size);
+                line-height: var(--font-display-medium-line-height);
+                font-weight: 800;
+                color: var(--primary);
+            `);
+            value.appendChild(this.createTextElement('span', point.unit, `
+                font-size: var(--font-title-large-size);
+                margin-left: var(--spacing-xs);
+            `));
+            card.appendChild(value);
+            card.appendChild(this.createTextElement('div', point.label, `
+                margin-top: var(--spacing-sm);
+                font-size: var(--font-body-medium-size);
+                line-height: var(--font-body-medium-line-height);
+            `));
+            grid.appendChild(card);
+        });
+        area.appendChild(grid);
+
+        const note = page.body.split('\n').slice(0, 3).join(' ');
+        if (note) {
+            area.appendChild(this.setInlineContent(this.createTextElement('p', '', `
+                margin: 0;
+                padding-top: var(--spacing-md);
+                border-top: 1px dashed var(--outline);
+                font-size: var(--font-body-medium-size);
+                line-height: var(--font-body-medium-line-height);
+                color: var(--on-surface-variant);
+            `), note));
+        }
+        return area;
+    }
+
+    /**
+     * 金句：大引号 + 大字居中
+     */
+    createQuoteContent(page, template) {
+        const area = this.createRoleArea('center');
+        area.appendChild(this.createTextElement('div', '“', `
+            font-size: 96px;
+            line-height: 1;
+            height: 48px;
+            color: var(--primary);
+            opacity: 0.3;
+        `));
+        area.appendChild(this.setInlineContent(this.createTextElement('blockquote', '', `
+            margin: 0;
+            font-size: var(--font-headline-medium-size);
+            line-height: 1.6;
+            font-weight: 700;
+            color: var(--on-surface);
+        `), page.quote || page.body || page.title));
+        area.appendChild(this.createTextElement('div', '', `
+            width: 48px;
+            height: 4px;
+            background: var(--primary);
+        `));
+        return area;
+    }
+
+    /**
+     * 总结：打勾回顾 + 互动引导
+     */
+    createSummaryContent(page, template) {
+        const area = this.createRoleArea();
+        const list = document.createElement('div');
+        list.style.cssText = `
+            display: grid;
+            gap: var(--spacing-md);
+        `;
+        page.items.forEach(item => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: flex-start;
+                gap: var(--spacing-md);
+                font-size: var(--font-body-large-size);
+                line-height: var(--font-body-large-line-height);
+                color: var(--on-surface);
+            `;
+            row.appendChild(this.createTextElement('span', '✓', `
+                width: 24px;
+                height: 24px;
+                border-radius: 50%;
+                border: 2px solid var(--primary);
+                color: var(--primary);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 14px;
+                font-weight: 700;
+                flex-shrink: 0;
+            `));
+            row.appendChild(this.setInlineContent(this.createTextElement('span', '', 'flex: 1;'), item));
+            list.appendChild(row);
+        });
+        area.appendChild(list);
+
+        if (page.cta) {
+            area.appendChild(this.createTextElement('div', page.cta, `
+                margin-top: auto;
+                padding: var(--spacing-md) var(--spacing-lg);
+                border-radius: 999px;
+                background: var(--primary);
+                color: var(--on-primary);
+                text-align: center;
+                font-size: var(--font-title-medium-size);
+                font-weight: 700;
+            `));
+        }
+        return area;
+    }
+
+    /**
+     * 解析内容段落：基于共用的 Markdown AST，相邻段落合并为一个文本卡片
      */
     parseContentSections(content) {
-        const lines = content.split('\n').filter(line => line.trim());
+        const parser = window.markdownParser;
         const sections = [];
-        let currentSection = { type: 'text', content: '', items: [] };
-
-        lines.forEach(line => {
-            const trimmedLine = line.trim();
 
-            // 检测列表项
-            if (/^[\d+\.\)]\s/.test(trimmedLine) || /^[•\-\*]\s/.test(trimmedLine)) {
-                if (currentSection.type !== 'list') {
-                    if (currentSection.content) sections.push(currentSection);
-                    currentSection = { type: 'list', content: '', items: [] };
+        parser.parse(content).children.forEach(block => {
+            const last = sections[sections.length - 1];
+            switch (block.type) {
+                case 'paragraph': {
+                    const text = parser.toMarkdown(block.children);
+                    if (last?.type === 'text') {
+                        last.content += '\n' + text;
+                    } else {
+                        sections.push({ type: 'text', content: text, items: [] });
+                    }
+                    break;
                 }
-                currentSection.items.push(trimmedLine.replace(/^[\d+\.\)\-\*•]\s*/, ''));
-            } else if (trimmedLine.length > 0) {
-                if (currentSection.type !== 'text') {
-                    if (currentSection.items.length > 0) sections.push(currentSection);
-                    currentSection = { type: 'text', content: '', items: [] };
+                case 'list': {
+                    const items = [];
+                    const levels = [];
+                    const collect = (list, level) => list.items.forEach(item => {
+                        items.push(parser.toMarkdown(item.children));
+                        levels.push(level);
+                        item.lists.forEach(sub => collect(sub, level + 1));
+                    });
+                    collect(block, 0);
+                    sections.push({ type: 'list', content: '', items, levels, ordered: block.ordered });
+                    break;
                 }
-                currentSection.content += (currentSection.content ? '\n' : '') + trimmedLine;
+                case 'heading':
+                    sections.push({ type: 'heading', content: parser.toMarkdown(block.children), items: [] });
+                    break;
+                case 'blockquote':
+                    sections.push({
+                        type: 'quote',
+                        content: block.children
+                            .map(child => child.type === 'paragraph' ? parser.toMarkdown(child.children) : parser.toPlainText(child))
+                            .join('\n'),
+                        items: []
+                    });
+                    break;
+                case 'code':
+                    sections.push({ type: 'code', content: block.value, lang: block.lang, info: block.info, items: [] });
+                    break;
+                case 'table':
+                    sections.push({ type: 'table', content: '', items: [], header: block.header, rows: block.rows, align: block.align });
+                    break;
             }
         });
 
-        if (currentSection.content || currentSection.items.length > 0) {
-            sections.push(currentSection);
+        return sections;
+    }
+
+    /**
+     * 将含行内 Markdown 的文本写入元素（粗体 / 斜体 / 代码 / 话题标签）
+     */
+    setInlineContent(element, text) {
+        element.innerHTML = window.markdownParser.toHTML(text);
+        element.querySelectorAll('code').forEach(code => {
+            code.style.cssText = `
+                font-family: "SF Mono", Menlo, Consolas, monospace;
+                font-size: 0.9em;
+                padding: 0 4px;
+                border-radius: var(--radius-xs);
+                background: var(--surface-variant);
+            `;
+        });
+        element.querySelectorAll('.md-hashtag').forEach(tag => {
+            tag.style.color = 'var(--primary)';
+        });
+        return element;
+    }
+
+    /**
+     * 创建标题 / 引用 / 代码 / 表格段落
+     */
+    createBlockSection(section, template) {
+        if (section.type === 'heading') {
+            return this.setInlineContent(this.createTextElement('h2', '', `
+                margin: 0;
+                font-size: var(--font-title-large-size);
+                line-height: var(--font-title-large-line-height);
+                font-weight: 700;
+                color: var(--primary);
+            `), section.content);
         }
 
-        return sections;
+        if (section.type === 'quote') {
+            return this.setInlineContent(this.createTextElement('blockquote', '', `
+                margin: 0;
+                padding: var(--spacing-sm) var(--spacing-lg);
+                border-left: 4px solid var(--primary);
+                background: var(--primary-container);
+                color: var(--on-primary-container);
+                border-radius: 0 var(--radius-md) var(--radius-md) 0;
+                font-size: var(--font-body-large-size);
+                line-height: var(--font-body-large-line-height);
+            `), section.content);
+        }
+
+        if (section.type === 'code') {
+            return this.createCodeSection(section, template);
+        }
+
+        const table = document.createElement('table');
+        table.style.cssText = `
+            width: 100%;
+            border-collapse: collapse;
+            background: var(--surface);
+            border-radius: var(--radius-md);
+            overflow: hidden;
+            font-size: var(--font-body-medium-size);
+            line-height: var(--font-body-medium-line-height);
+            color: var(--on-surface);
+        `;
+        [section.header, ...section.rows].forEach((row, rowIndex) => {
+            const tr = document.createElement('tr');
+            row.forEach((cell, cellIndex) => {
+                const td = document.createElement(rowIndex === 0 ? 'th' : 'td');
+                td.innerHTML = window.markdownParser.toHTML(cell);
+                td.style.cssText = `
+                    padding: var(--spacing-sm) var(--spacing-md);
+                    text-align: ${section.align[cellIndex] || 'left'};
+                    border-bottom: 1px solid var(--surface-variant);
+                    ${rowIndex === 0 ? 'background: var(--primary-container); color: var(--on-primary-container);' : ''}
+                `;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+        return table;
+    }
+
+    /**
+     * 创建代码块：终端窗口标题栏 + 行号 + 语法高亮，配色由模板颜色派生
+     */
+    createCodeSection(section, template) {
+        const highlighter = window.codeHighlighter;
+        const lang = highlighter.resolveLanguage(section.lang, section.content);
+        // 技术卡片用深色代码窗口，其余模板沿用正文色作为代码底色
+        const theme = highlighter.createTheme({
+            background: template.techColors ? template.onPrimaryContainer : template.onSurface,
+            text: template.surface,
+            accents: [template.primaryColor, template.tertiary, template.secondary, template.primaryContainer]
+        });
+        const mono = '"SF Mono", Menlo, Consolas, monospace';
+        const maxLines = 24;
+
+        const frame = document.createElement('div');
+        frame.style.cssText = `
+            border-radius: var(--radius-md);
+            background: ${theme.background};
+            box-shadow: var(--shadow-md);
+            overflow: hidden;
+            font-family: ${mono};
+        `;
+
+        const titleBar = document.createElement('div');
+        titleBar.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 10px var(--spacing-md);
+            background: ${theme.titleBar};
+            border-bottom: 1px solid rgba(127, 127, 127, 0.2);
+            font-size: var(--font-body-small-size);
+            color: ${theme.lineNumber};
+        `;
+        ['#FF5F56', '#FFBD2E', '#27C93F'].forEach((color) => {
+            const dot = document.createElement('span');
+            dot.style.cssText = `width: 12px; height: 12px; border-radius: 50%; background: ${color}; flex-shrink: 0;`;
+            titleBar.appendChild(dot);
+        });
+        const fileName = this.createTextElement('span', section.info || highlighter.getFileName(lang), `
+            flex: 1;
+            text-align: center;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        `);
+        const langLabel = this.createTextElement('span', highlighter.getLanguageLabel(lang, section.lang).toUpperCase(), `
+            color: ${theme.keyword};
+            font-weight: 700;
+            letter-spacing: 1px;
+        `);
+        titleBar.append(fileName, langLabel);
+        frame.appendChild(titleBar);
+
+        const lines = highlighter.tokenize(section.content, lang);
+        while (lines.length > 1 && lines[lines.length - 1].length === 0) lines.pop();
+        const overflow = lines.length > maxLines;
+        const shown = overflow ? lines.slice(0, maxLines - 1) : lines;
+        const gutter = `${String(shown.length).length + 1}ch`;
+
+        const body = document.createElement('div');
+        body.style.cssText = `
+            padding: var(--spacing-md) var(--spacing-md) var(--spacing-md) 0;
+            font-size: var(--font-body-medium-size);
+            line-height: var(--font-body-medium-line-height);
+            color: ${theme.plain};
+        `;
+        shown.forEach((tokens, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: var(--spacing-md);';
+            row.appendChild(this.createTextElement('span', String(index + 1), `
+                flex: 0 0 ${gutter};
+                text-align: right;
+                color: ${theme.lineNumber};
+                user-select: none;
+            `));
+
+            const code = document.createElement('span');
+            code.style.cssText = 'flex: 1; min-width: 0; white-space: pre-wrap; word-break: break-all;';
+            tokens.forEach((token) => {
+                const span = document.createElement('span');
+                span.textContent = token.text;
+                span.style.color = theme[token.type] || theme.plain;
+                if (token.type === 'comment') span.style.fontStyle = 'italic';
+                code.appendChild(span);
+            });
+            // 空行保留行高
+            if (tokens.length === 0) code.textContent = ' ';
+            row.appendChild(code);
+            body.appendChild(row);
+        });
+        if (overflow) {
+            body.appendChild(this.createTextElement('div', `// … 还有 ${lines.length - shown.length} 行`, `
+                padding-left: calc(${gutter} + var(--spacing-md));
+                color: ${theme.comment};
+                font-style: italic;
+            `));
+        }
+        frame.appendChild(body);
+
+        return frame;
     }
 
     /**
      * 创建段落
      */
     createSection(section, template, index) {
+        if (!['text', 'list'].includes(section.type)) {
+            return this.createBlockSection(section, template);
+        }
+
         const sectionElement = document.createElement('section');
 
         // 技术卡片模板的特殊样式
@@ -754,19 +1385,23 @@ class ModernImageGenerator {
                 gap: var(--spacing-md);
             `;
 
+            let number = 0;
             section.items.forEach((item, itemIndex) => {
+                const level = section.levels?.[itemIndex] || 0;
                 const listItem = document.createElement('li');
                 listItem.style.cssText = `
                     display: flex;
                     align-items: flex-start;
                     gap: var(--spacing-md);
+                    padding-left: calc(${level} * var(--spacing-xl));
                     font-size: var(--font-body-large-size);
                     line-height: var(--font-body-large-line-height);
                     color: var(--on-surface);
                 `;
 
+                // 顶层项显示序号，嵌套项显示圆点
                 const bullet = document.createElement('span');
-                bullet.textContent = (itemIndex + 1).toString();
+                bullet.textContent = level === 0 ? String(++number) : '•';
                 bullet.style.cssText = `
                     background: var(--primary);
                     color: var(--on-primary);
@@ -783,7 +1418,7 @@ class ModernImageGenerator {
                 `;
 
                 const text = document.createElement('span');
-                text.textContent = item;
+                this.setInlineContent(text, item);
                 text.style.cssText = `
                     flex: 1;
                 `;
@@ -796,7 +1431,7 @@ class ModernImageGenerator {
             contentWrapper.appendChild(listElement);
         } else {
             const textElement = document.createElement('p');
-            textElement.textContent = section.content;
+            this.setInlineContent(textElement, section.content);
             textElement.style.cssText = `
                 font-size: var(--font-body-large-size);
                 line-height: var(--font-body-large-line-height);
@@ -816,7 +1451,7 @@ class ModernImageGenerator {
     /**
      * 创建底部
      */
-    createFooter(template) {
+    createFooter(template, brandKit = null) {
         const footer = document.createElement('footer');
         footer.style.cssText = `
             display: flex;
@@ -827,7 +1462,7 @@ class ModernImageGenerator {
         `;
 
         const brandElement = document.createElement('div');
-        brandElement.textContent = 'AI Generated';
+        brandElement.textContent = brandKit ? '' : 'AI Generated';
         brandElement.style.cssText = `
             font-size: var(--font-body-small-size);
             color: var(--on-surface-variant);
@@ -855,14 +1490,64 @@ class ModernImageGenerator {
         const lines = content.split('\n').filter(line => line.trim());
         if (lines.length === 0) return '小红书分享';
 
-        const firstLine = lines[0].trim();
+        // 去掉“标题：”前缀、Markdown 标题符号与行内格式符号
+        const firstLine = window.markdownParser.toPlainText(lines[0].trim()
+            .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
+            .replace(/^#{1,6}\s+/, ''));
         return firstLine.length > 30 ? firstLine.substring(0, 30) + '...' : firstLine;
     }
 
+    /**
+     * 创建品牌水印（Logo + 账号名，按套件配置的位置绝对定位）
+     */
+    createBrandWatermark(brandKit) {
+        if (!brandKit.logo && !brandKit.handle) return null;
+
+        const positions = {
+            'top-left': 'top: 20px; left: 20px;',
+            'top-right': 'top: 20px; right: 20px;',
+            'bottom-left': 'bottom: 20px; left: 20px;',
+            'bottom-center': 'bottom: 20px; left: 50%; transform: translateX(-50%);',
+            'bottom-right': 'bottom: 20px; right: 20px;'
+        };
+
+        const watermark = document.createElement('div');
+        watermark.className = 'modern-brand-watermark';
+        watermark.style.cssText = `
+            position: absolute;
+            ${positions[brandKit.watermarkPosition] || positions['bottom-right']}
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            z-index: 3;
+            font-size: 14px;
+            font-weight: 600;
+            color: var(--on-surface);
+            opacity: 0.72;
+        `;
+
+        if (brandKit.logo) {
+            const logo = document.createElement('img');
+            logo.src = brandKit.logo;
+            logo.alt = '';
+            logo.style.cssText = 'height: 28px; width: auto; display: block;';
+            watermark.appendChild(logo);
+        }
+        if (brandKit.handle) {
+            const handle = document.createElement('span');
+            handle.textContent = brandKit.handle;
+            watermark.appendChild(handle);
+        }
+
+        return watermark;
+    }
+
     /**
      * 获取模板图标
      */
     getTemplateIcon(template) {
+        if (template.icon) return template.icon;
+
         const icons = {
             'material-lifestyle': '🌟',
             'material-tech': '🚀',
@@ -900,7 +1585,12 @@ class ModernImageGenerator {
             throw new Error('html2canvas library not loaded');
         }
 
-        const canvas = await html2canvas(domElement, {
+        const signal = options.signal;
+        if (signal?.aborted) {
+            throw new DOMException('Capture aborted', 'AbortError');
+        }
+
+        const capture = html2canvas(domElement, {
             backgroundColor: null,
             scale: options.quality === 'ultra' ? 3 : options.quality === 'high' ? 2 : 1,
             useCORS: true,
@@ -912,6 +1602,15 @@ class ModernImageGenerator {
             scrollY: 0
         });
 
+        // html2canvas 本身无法中断，取消时直接放弃等待其结果
+        const canvas = signal
+            ? await new Promise((resolve, reject) => {
+                const onAbort = () => reject(new DOMException('Capture aborted', 'AbortError'));
+                signal.addEventListener('abort', onAbort, { once: true });
+                capture.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+            })
+            : await capture;
+
         return new Promise((resolve) => {
             canvas.toBlob((blob) => {
                 resolve({
@@ -1103,7 +1802,7 @@ class ModernImageGenerator {
             `;
 
             const text = document.createElement('span');
-            text.textContent = item;
+            this.setInlineContent(text, item);
             text.style.cssText = `
                 flex: 1;
                 font-weight: 500;
@@ -1122,7 +1821,7 @@ class ModernImageGenerator {
      */
     createTechCardText(section, template, contentType) {
         const textElement = document.createElement('p');
-        textElement.textContent = section.content;
+        this.setInlineContent(textElement, section.content);
         textElement.style.cssText = `
             font-size: var(--font-body-large-size);
             line-height: var(--font-body-large-line-height);
@@ -0,0 +1,177 @@
+/**
+ * 离屏渲染器
+ * 把本地视觉生成器（Canvas）的卡片绘制交给渲染 Worker（OffscreenCanvas），页面只投递内容 / 模板任务并接收图片 Blob；
+ * 浏览器不支持 OffscreenCanvas、Worker 启动失败或单张绘制出错时，自动回退到页面中的视觉生成器，调用方无需区分
+ */
+
+class OffscreenRenderer {
+    constructor() {
+        this.workerUrl = 'assets/js/render-worker.js';
+        // 与 index.html 中脚本的版本号一致，Worker 内部按此加载共用模块
+        this.version = '20261019';
+        this.worker = null;
+        this.disabled = false;
+        this.pending = new Map();
+        this.nextId = 1;
+        this._startPromise = null;
+    }
+
+    /**
+     * 当前环境能否使用渲染 Worker
+     */
+    isAvailable() {
+        return !this.disabled &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof OffscreenCanvas.prototype.convertToBlob === 'function';
+    }
+
+    /**
+     * 启动渲染 Worker：传入当前主题令牌，等待 Worker 就绪
+     */
+    start() {
+        if (this._startPromise) {
+            return this._startPromise;
+        }
+
+        this._startPromise = (async () => {
+            await window.themeManager?.load();
+
+            const debug = DEBUG.enabled() ? '&debug=1' : '';
+            const worker = new Worker(`${this.workerUrl}?v=${this.version}${debug}`);
+
+            await new Promise((resolve, reject) => {
+                const onMessage = (event) => {
+                    if (event.data?.type === 'ready') {
+                        cleanup();
+                        resolve();
+                    } else if (event.data?.type === 'failed') {
+                        cleanup();
+                        reject(new Error(event.data.message));
+                    }
+                };
+                const onError = (event) => {
+                    cleanup();
+                    reject(new Error(event.message || '渲染 Worker 加载失败'));
+                };
+                const cleanup = () => {
+                    worker.removeEventListener('message', onMessage);
+                    worker.removeEventListener('error', onError);
+                };
+
+                worker.addEventListener('message', onMessage);
+                worker.addEventListener('error', onError);
+                worker.postMessage({ type: 'init', themes: window.themeManager?.data || null });
+            });
+
+            worker.addEventListener('message', event => this.handleMessage(event.data || {}));
+            worker.addEventListener('error', (event) => {
+                this.disable(new Error(event.message || '渲染 Worker 异常退出'));
+            });
+            this.worker = worker;
+            DEBUG.log('渲染 Worker 已就绪');
+        })();
+
+        this._startPromise.catch(error => this.disable(error));
+        return this._startPromise;
+    }
+
+    /**
+     * 停用渲染 Worker，之后的卡片都在页面中绘制；未完成的任务交由回退处理
+     */
+    disable(error) {
+        if (this.disabled) return;
+        this.disabled = true;
+        DEBUG.warn('渲染 Worker 不可用，改为在页面中绘制卡片:', error);
+
+        this.worker?.terminate();
+        this.worker = null;
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+
+    /**
+     * 处理 Worker 返回的绘制结果
+     */
+    handleMessage(message) {
+        const task = this.pending.get(message.id);
+        if (!task) return;
+        this.pending.delete(message.id);
+
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.message || '卡片绘制失败'));
+        }
+    }
+
+    /**
+     * 生成卡片：参数与返回值同 VisualGenerator.generateCard（{ blob, url, width, height, format, fit, hitMap }）
+     */
+    async generateCard(content, template, tone, customTags = [], options = {}) {
+        if (this.isAvailable()) {
+            try {
+                const result = await this.renderInWorker({ content, template, tone, customTags, options });
+                return { ...result, url: URL.createObjectURL(result.blob) };
+            } catch (error) {
+                if (error?.name === 'AbortError') throw error;
+                DEBUG.warn('Worker 绘制失败，回退到页面绘制:', error);
+            }
+        }
+
+        if (!window.visualGenerator) {
+            throw new Error('视觉生成器未初始化');
+        }
+        return window.visualGenerator.generateCard(content, template, tone, customTags, options);
+    }
+
+    /**
+     * 投递一张卡片到 Worker；取消信号留在页面中处理，Worker 中已开始的绘制结果会被丢弃
+     */
+    async renderInWorker({ content, template, tone, customTags, options }) {
+        const signal = options.signal;
+        if (signal?.aborted) {
+            throw new DOMException('Render aborted', 'AbortError');
+        }
+
+        await this.start();
+        if (!this.worker) {
+            throw new Error('渲染 Worker 不可用');
+        }
+
+        // 函数与取消信号无法传给 Worker
+        const jobOptions = Object.fromEntries(
+            Object.entries(options).filter(([key, value]) => key !== 'signal' && typeof value !== 'function')
+        );
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.pending.delete(id);
+                reject(new DOMException('Render aborted', 'AbortError'));
+            };
+            const settle = callback => (value) => {
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+
+            this.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            try {
+                this.worker.postMessage({
+                    type: 'render',
+                    id,
+                    job: { content, template, tone, customTags, options: jobOptions }
+                });
+            } catch (error) {
+                // 选项中含有无法复制的数据（DataCloneError）时交给页面绘制
+                this.pending.delete(id);
+                settle(reject)(error);
+            }
+        });
+    }
+}
+
+// 全局离屏渲染器实例
+window.offscreenRenderer = new OffscreenRenderer();
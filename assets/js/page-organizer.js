@@ -0,0 +1,335 @@
+/**
+ * 页面编排器
+ * 步骤4图片网格中调整轮播页：拖动排序、拆分 / 合并内容页，以及单页覆盖模板、强调色、画面比例与版式。
+ * 调整结果作为页面编排（pagePlan）保存在步骤数据与项目中，预览、批量生成与导出都按它分页；
+ * 正文或图片数量变化后编排失效，重新按内容自动分页
+ */
+
+class PageOrganizer {
+    constructor() {
+        this.busy = false;
+        this.dragIndex = null;
+        this.layoutRoles = ['body', 'list', 'data', 'quote'];
+    }
+
+    /**
+     * 初始化页面编排器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.bindEvents();
+        DEBUG.log('页面编排器初始化完成');
+    }
+
+    /**
+     * 绑定事件（网格会整体重新渲染，事件委托到网格容器）
+     */
+    bindEvents() {
+        const grid = document.getElementById('previewImagesGrid');
+        if (!grid) return;
+
+        grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.preview-image-item[data-preview-index]');
+            if (!item) return;
+            const index = Number(item.dataset.previewIndex);
+
+            const action = e.target.closest('[data-page-action]')?.dataset.pageAction;
+            if (action === 'split') this.split(index);
+            if (action === 'merge') this.merge(index);
+            if (action === 'settings') this.toggleOverridePanel(item, index);
+
+            const panelAction = e.target.closest('[data-override-action]')?.dataset.overrideAction;
+            if (panelAction === 'apply') this.applyOverrides(item, index);
+            if (panelAction === 'cancel') item.querySelector('.page-override-panel')?.remove();
+        });
+
+        grid.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.preview-image-item[data-preview-index]');
+            if (!item || this.busy || e.target.closest('.page-override-panel')) return;
+            this.dragIndex = Number(item.dataset.previewIndex);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(this.dragIndex));
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.preview-image-item[data-preview-index]');
+            if (!item || this.dragIndex === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            grid.querySelectorAll('.drag-over').forEach(el => el !== item && el.classList.remove('drag-over'));
+            item.classList.add('drag-over');
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const item = e.target.closest('.preview-image-item[data-preview-index]');
+            if (!item || this.dragIndex === null) return;
+            e.preventDefault();
+            const from = this.dragIndex;
+            this.endDrag(grid);
+            this.move(from, Number(item.dataset.previewIndex));
+        });
+
+        grid.addEventListener('dragend', () => this.endDrag(grid));
+
+        document.getElementById('resetPagePlanBtn')?.addEventListener('click', () => this.reset());
+    }
+
+    /**
+     * 结束拖动，清除拖动样式
+     */
+    endDrag(grid) {
+        this.dragIndex = null;
+        grid.querySelectorAll('.dragging, .drag-over').forEach(el => el.classList.remove('dragging', 'drag-over'));
+    }
+
+    /**
+     * 当前预览对应的页面：沿用已保存的编排，否则取各张预览图生成时的页面规划；
+     * 与预览的页数对不上或正文已修改时返回 null
+     */
+    getPages() {
+        const previewSystem = window.previewSystem;
+        const images = previewSystem?.previewImages || [];
+        const content = previewSystem?.stepData.optimizedContent || previewSystem?.stepData.content || '';
+
+        const pinned = window.imageGenerator?.getPinnedPages(previewSystem.readGenerationSettings(), content);
+        if (pinned && pinned.length === images.length) {
+            return pinned.map(page => ({ ...page }));
+        }
+        if (images.length > 0 && images.every(image => image.sourcePage && image.sourceContent === content)) {
+            return images.map(image => ({ ...image.sourcePage }));
+        }
+        return null;
+    }
+
+    /**
+     * 读取页面，失败时提示重新生成预览
+     */
+    requirePages() {
+        if (this.busy) return null;
+        const pages = this.getPages();
+        if (!pages) {
+            window.uiManager?.showToast('预览与当前内容不一致，请先重新生成预览再调整页面', 'warning');
+        }
+        return pages;
+    }
+
+    /**
+     * 保存页面编排（记入撤销历史）并增量重绘
+     */
+    async commit(pages, label) {
+        const previewSystem = window.previewSystem;
+        const pagePlan = {
+            content: previewSystem.stepData.optimizedContent || previewSystem.stepData.content,
+            imageCount: previewSystem.readGenerationSettings().imageCount,
+            pages: window.carouselPlanner.renumber(pages)
+        };
+
+        this.busy = true;
+        try {
+            await previewSystem.applyStepEdit({ pagePlan }, label);
+        } catch (error) {
+            DEBUG.error('调整页面失败:', error);
+            window.uiManager?.showToast(`调整页面失败：${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * 恢复自动分页：清除页面编排
+     */
+    async reset() {
+        if (this.busy) return;
+        if (!window.previewSystem?.stepData.pagePlan) {
+            window.uiManager?.showToast('当前已按内容自动分页', 'info');
+            return;
+        }
+
+        this.busy = true;
+        try {
+            await window.previewSystem.applyStepEdit({ pagePlan: null }, '恢复自动分页');
+        } catch (error) {
+            DEBUG.error('恢复自动分页失败:', error);
+            window.uiManager?.showToast(`恢复自动分页失败：${error.message}`, 'error');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * 移动页面到新位置
+     */
+    move(from, to) {
+        const pages = this.requirePages();
+        if (!pages || from === to || !pages[from] || !pages[to]) return;
+
+        const [page] = pages.splice(from, 1);
+        pages.splice(to, 0, page);
+        this.commit(pages, '调整页面顺序');
+    }
+
+    /**
+     * 拆分内容页：按行（单行时按句）一分为二，两页沿用原页的单页设置（版式按内容重新判断）
+     */
+    split(index) {
+        const pages = this.requirePages();
+        if (!pages) return;
+
+        const page = pages[index];
+        const parts = window.carouselPlanner.splitPage(page);
+        if (!parts) {
+            const reason = window.carouselPlanner.isContentPage(page) ? '这一页内容太短，无法拆分' : '封面与总结页不能拆分';
+            window.uiManager?.showToast(reason, 'warning');
+            return;
+        }
+
+        pages.splice(index, 1, ...parts.map(part => this.withOverrides(part, page.overrides)));
+        this.commit(pages, '拆分页面');
+    }
+
+    /**
+     * 与下一页合并：沿用前一页的单页设置（版式按内容重新判断）
+     */
+    merge(index) {
+        const pages = this.requirePages();
+        if (!pages) return;
+
+        const first = pages[index];
+        const second = pages[index + 1];
+        const merged = second ? window.carouselPlanner.mergePages(first, second) : null;
+        if (!merged) {
+            window.uiManager?.showToast(second ? '只有相邻的两个内容页可以合并' : '这已经是最后一页', 'warning');
+            return;
+        }
+
+        pages.splice(index, 2, this.withOverrides(merged, first.overrides));
+        this.commit(pages, '合并页面');
+    }
+
+    /**
+     * 附加单页设置（去掉只对原页面内容有效的版式）
+     */
+    withOverrides(page, overrides) {
+        const { layout, ...rest } = overrides || {};
+        return Object.keys(rest).length > 0 ? { ...page, overrides: rest } : page;
+    }
+
+    /**
+     * 打开 / 收起单页设置面板
+     */
+    toggleOverridePanel(item, index) {
+        const existing = item.querySelector('.page-override-panel');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+
+        const pages = this.requirePages();
+        if (!pages) return;
+
+        const page = pages[index];
+        const overrides = page.overrides || {};
+        const option = (value, label, selected) => `<option value="${Utils.escapeHtml(value)}"${value === selected ? ' selected' : ''}>${Utils.escapeHtml(label)}</option>`;
+        const templates = (window.templateManager?.templates || []).map(template => option(template.id, template.name, overrides.template || ''));
+        const ratios = Array.from(document.querySelectorAll('#aspectRatio option')).map(ratio => option(ratio.value, ratio.textContent.trim(), overrides.aspectRatio || ''));
+        const layouts = this.layoutRoles.map(role => option(role, window.carouselPlanner.roles[role].name, overrides.layout || ''));
+        const canRelayout = window.carouselPlanner.isContentPage(page);
+
+        const panel = document.createElement('div');
+        panel.className = 'page-override-panel';
+        panel.innerHTML = `
+            <label class="page-override-field">
+                <span>模板</span>
+                <select class="select-input" data-override="template">${option('', '跟随全局', overrides.template || '')}${templates.join('')}</select>
+            </label>
+            <label class="page-override-field">
+                <span>画面比例</span>
+                <select class="select-input" data-override="aspectRatio">${option('', '跟随全局', overrides.aspectRatio || '')}${ratios.join('')}</select>
+            </label>
+            <label class="page-override-field">
+                <span>版式</span>
+                <select class="select-input" data-override="layout"${canRelayout ? '' : ' disabled title="封面与总结页的版式固定"'}>${option('', '自动', overrides.layout || '')}${layouts.join('')}</select>
+            </label>
+            <div class="page-override-field">
+                <span>强调色</span>
+                <label class="page-override-color">
+                    <input type="checkbox" data-override-enabled${overrides.accentColor ? ' checked' : ''}>
+                    <input type="color" data-override="accentColor" value="${Utils.escapeHtml(overrides.accentColor || '#FF2442')}">
+                </label>
+            </div>
+            <div class="page-override-actions">
+                <button type="button" class="secondary-button" data-override-action="cancel">取消</button>
+                <button type="button" class="primary-button" data-override-action="apply">应用</button>
+            </div>
+        `;
+        item.querySelector('.preview-image-info')?.appendChild(panel);
+    }
+
+    /**
+     * 应用单页设置：切换版式时按新版式重建该页
+     */
+    applyOverrides(item, index) {
+        const panel = item.querySelector('.page-override-panel');
+        const pages = this.requirePages();
+        if (!panel || !pages) return;
+
+        const value = key => panel.querySelector(`[data-override="${key}"]`)?.value || '';
+        const overrides = {
+            template: value('template'),
+            aspectRatio: value('aspectRatio'),
+            accentColor: panel.querySelector('[data-override-enabled]')?.checked ? value('accentColor').toUpperCase() : '',
+            layout: value('layout')
+        };
+        Object.keys(overrides).forEach(key => !overrides[key] && delete overrides[key]);
+
+        let page = pages[index];
+        try {
+            if ((overrides.layout || '') !== (page.overrides?.layout || '')) {
+                page = window.carouselPlanner.relayout(page, overrides.layout);
+            }
+        } catch (error) {
+            window.uiManager?.showToast(error.message, 'warning');
+            return;
+        }
+
+        const { overrides: previous, ...rest } = page;
+        pages[index] = Object.keys(overrides).length > 0 ? { ...rest, overrides } : rest;
+        this.commit(pages, '修改单页设置');
+    }
+
+    /**
+     * 卡片上改字时同步已保存的编排：把同一处修改（按原文、显示文字的顺序查找）应用到该页的页面规划，
+     * 并改记新的正文，调整过的顺序与单页设置不会因改字失效
+     */
+    carryTextEdit(changes, { pageIndex, search, value }) {
+        const previewSystem = window.previewSystem;
+        const field = changes.optimizedContent !== undefined ? 'optimizedContent' : (changes.content !== undefined ? 'content' : '');
+        const plan = previewSystem?.stepData.pagePlan;
+        // 此时步骤数据仍是修改前的正文，编排按修改前的正文校验
+        const pinned = field ? window.imageGenerator?.getPinnedPages(previewSystem.readGenerationSettings(), '') : null;
+        if (!pinned) return changes;
+
+        // 只改第一处匹配（标题、副标题、列表项、正文、金句的顺序），避免同样的文字在别处被一并替换
+        const page = pinned[pageIndex] ? { ...pinned[pageIndex], items: pinned[pageIndex].items?.slice() } : null;
+        const targets = page ? [
+            ...['title', 'subtitle'].map(key => [page, key]),
+            ...(page.items || []).map((item, index) => [page.items, index]),
+            ...['body', 'quote'].map(key => [page, key])
+        ] : [];
+        targets.some(([owner, key]) => {
+            const text = owner[key];
+            const match = typeof text === 'string' ? search.find(part => text.includes(part)) : null;
+            if (match) owner[key] = text.replace(match, () => value);
+            return Boolean(match);
+        });
+
+        const pages = pinned.map((item, index) => (index === pageIndex && page ? page : item));
+        return { ...changes, pagePlan: { ...plan, content: changes[field], pages } };
+    }
+}
+
+// 全局页面编排器实例
+window.pageOrganizer = new PageOrganizer();
@@ -178,31 +178,34 @@ class PerformanceOptimizer {
                         const dataTransfer = new DataTransfer();
                         dataTransfer.items.add(compressedFile);
                         e.target.files = dataTransfer.files;
-                    });
+                    }).catch(error => DEBUG.warn('图片压缩失败:', error));
                 }
             }
         });
     }
 
     /**
-     * 压缩图片
+     * 压缩图片（options 可指定 maxWidth / maxHeight 与输出格式 type）
      */
-    async compressImage(file, quality = 0.8) {
-        return new Promise((resolve) => {
+    async compressImage(file, quality = 0.8, options = {}) {
+        return new Promise((resolve, reject) => {
             const canvas = document.createElement('canvas');
             const ctx = canvas.getContext('2d');
             const img = new Image();
+            const url = URL.createObjectURL(file);
 
             img.onload = () => {
+                URL.revokeObjectURL(url);
+
                 // 计算新尺寸
-                const maxWidth = 1920;
-                const maxHeight = 1080;
+                const maxWidth = options.maxWidth || 1920;
+                const maxHeight = options.maxHeight || 1080;
                 let { width, height } = img;
 
                 if (width > maxWidth || height > maxHeight) {
                     const ratio = Math.min(maxWidth / width, maxHeight / height);
-                    width *= ratio;
-                    height *= ratio;
+                    width = Math.round(width * ratio);
+                    height = Math.round(height * ratio);
                 }
 
                 canvas.width = width;
@@ -210,10 +213,14 @@ class PerformanceOptimizer {
 
                 // 绘制并压缩
                 ctx.drawImage(img, 0, 0, width, height);
-                canvas.toBlob(resolve, file.type, quality);
+                canvas.toBlob(resolve, options.type || file.type, quality);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('图片无法解析'));
             };
 
-            img.src = URL.createObjectURL(file);
+            img.src = url;
         });
     }
 
@@ -375,14 +382,40 @@ class PerformanceOptimizer {
             
             // 快捷键支持
             if (e.ctrlKey || e.metaKey) {
+                // 其他输入框保留浏览器自带的撤销，正文输入框的修改由步骤历史统一撤销
+                const target = e.target;
+                const nativeUndo = target?.matches?.('input, textarea, [contenteditable="true"]') && target.id !== 'contentInput';
+
                 switch (e.key) {
+                    case 'z':
+                    case 'Z':
+                        if (!nativeUndo && window.stepHistory) {
+                            e.preventDefault();
+                            if (e.shiftKey) {
+                                window.stepHistory.redo();
+                            } else {
+                                window.stepHistory.undo();
+                            }
+                        }
+                        break;
+                    case 'y':
+                        if (!nativeUndo && window.stepHistory) {
+                            e.preventDefault();
+                            window.stepHistory.redo();
+                        }
+                        break;
                     case 'Enter':
                         e.preventDefault();
                         this.triggerMainAction();
                         break;
                     case 's':
                         e.preventDefault();
-                        this.saveCurrentState();
+                        if (window.projectLibrary) {
+                            window.projectLibrary.saveCurrent()
+                                .catch(error => window.uiManager?.showToast(error.message, 'warning'));
+                        } else {
+                            this.saveCurrentState();
+                        }
                         break;
                 }
             }
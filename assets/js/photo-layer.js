@@ -0,0 +1,231 @@
+/**
+ * 照片图层
+ * 用户上传照片的共用几何与绘制：全幅背景（模糊 + 模板底色遮罩）与模板图片位（画面顶部 / 底部带相框的照片区）。
+ * 裁切按焦点与缩放计算，Canvas、Fabric 与 SVG 渲染器取景一致
+ */
+
+class PhotoLayer {
+    constructor() {
+        this.modes = { background: '全幅背景', slot: '图片位' };
+        this.scopes = { all: '全部页面', cover: '封面', body: '内容页', last: '收尾页' };
+        this.frames = ['rounded', 'polaroid', 'plain'];
+
+        // 模板未定义图片位时的默认值：位置、高度（占画面高度的比例）、相框样式
+        this.defaultSlot = { position: 'top', height: 0.36, frame: 'rounded' };
+        // 遮罩默认值：背景照片需要压暗 / 提亮才能保证正文可读，图片位默认不加遮罩
+        this.defaultDim = { background: 0.55, slot: 0 };
+        this.maxZoom = 3;
+        this.maxBlur = 10;
+        this.maxDim = 0.9;
+
+        this.imageCache = new Map();
+    }
+
+    // ── 照片参数 ──────────────────────────────
+
+    /**
+     * 规范化照片参数：焦点 0–1、缩放 1–3、模糊档位 0–10、遮罩不透明度 0–0.9
+     */
+    normalize(photo = {}) {
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return value !== '' && value !== null && Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+        };
+        const mode = this.modes[photo.mode] ? photo.mode : 'background';
+
+        return {
+            id: photo.id || `photo_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+            name: String(photo.name || '').slice(0, 60),
+            src: typeof photo.src === 'string' && photo.src.startsWith('data:image/') ? photo.src : '',
+            width: Math.max(1, Math.round(Number(photo.width) || 1)),
+            height: Math.max(1, Math.round(Number(photo.height) || 1)),
+            mode,
+            scope: this.scopes[photo.scope] ? photo.scope : 'all',
+            focusX: clamp(photo.focusX, 0, 1, 0.5),
+            focusY: clamp(photo.focusY, 0, 1, 0.5),
+            zoom: clamp(photo.zoom, 1, this.maxZoom, 1),
+            blur: clamp(photo.blur, 0, this.maxBlur, 0),
+            dim: clamp(photo.dim, 0, this.maxDim, this.defaultDim[mode])
+        };
+    }
+
+    /**
+     * 照片是否用于该页：封面为第 1 页、收尾页为最后一页、其余为内容页；
+     * 单张预览（没有页面信息）按只有一页处理
+     */
+    matchesPage(photo, page) {
+        const pageNumber = page?.pageNumber || 1;
+        const totalPages = page?.totalPages || 1;
+        switch (photo.scope) {
+            case 'cover': return pageNumber === 1;
+            case 'last': return pageNumber === totalPages;
+            case 'body': return pageNumber > 1 && pageNumber < totalPages;
+            default: return true;
+        }
+    }
+
+    /**
+     * 该页使用的照片：全幅背景与图片位各取第一张适用的照片
+     */
+    forPage(photos, page) {
+        const list = (Array.isArray(photos) ? photos : [])
+            .map(photo => this.normalize(photo))
+            .filter(photo => photo.src);
+        const pick = mode => list.find(photo => photo.mode === mode && this.matchesPage(photo, page)) || null;
+        return { background: pick('background'), slot: pick('slot') };
+    }
+
+    // ── 几何 ──────────────────────────────
+
+    /**
+     * 图片位布局：照片区占画面顶部或底部，正文排在其余区域。
+     * avoidBottom 为 true 时（收尾页有二维码）底部图片位改放顶部；
+     * 返回相框与照片区域，以及正文区域的偏移（contentOffset）与高度（contentHeight）
+     */
+    getSlotLayout(slot, width, height, options = {}) {
+        const config = { ...this.defaultSlot, ...(slot || {}) };
+        const position = config.position === 'bottom' && !options.avoidBottom ? 'bottom' : 'top';
+        const frame = this.frames.includes(config.frame) ? config.frame : this.defaultSlot.frame;
+        const bandHeight = Math.round(height * Math.min(0.6, Math.max(0.15, Number(config.height) || this.defaultSlot.height)));
+        const bandTop = position === 'top' ? 0 : height - bandHeight;
+
+        // 相框尺寸按画面宽度取比例，各渲染器的坐标系宽度不同时外观一致
+        const unit = width / 100;
+        const inset = frame === 'plain' ? 0 : Math.round(unit * 6);
+        const outer = {
+            x: inset,
+            y: position === 'top' ? bandTop + inset : bandTop,
+            width: width - inset * 2,
+            height: bandHeight - inset,
+            radius: frame === 'rounded' ? Math.round(unit * 3) : (frame === 'polaroid' ? Math.round(unit) : 0)
+        };
+        if (frame === 'plain') {
+            outer.y = bandTop;
+            outer.height = bandHeight;
+        }
+
+        // 拍立得相框：三边窄白边，底边加宽
+        const border = frame === 'polaroid' ? { side: Math.round(unit * 2.4), bottom: Math.round(unit * 9) } : { side: 0, bottom: 0 };
+        const image = {
+            x: outer.x + border.side,
+            y: outer.y + border.side,
+            width: outer.width - border.side * 2,
+            height: outer.height - border.side - border.bottom,
+            radius: frame === 'rounded' ? outer.radius : 0
+        };
+
+        return {
+            position,
+            frame,
+            band: { y: bandTop, height: bandHeight },
+            outer,
+            image,
+            contentOffset: position === 'top' ? bandHeight : 0,
+            contentHeight: height - bandHeight
+        };
+    }
+
+    /**
+     * 铺满目标区域（cover）的源图裁切：缩放越大取景越小，取景中心尽量落在焦点上
+     */
+    getCrop(photo, boxWidth, boxHeight) {
+        const scale = Math.max(boxWidth / photo.width, boxHeight / photo.height) * photo.zoom;
+        const sw = Math.min(photo.width, boxWidth / scale);
+        const sh = Math.min(photo.height, boxHeight / scale);
+        return {
+            sx: Math.min(photo.width - sw, Math.max(0, photo.focusX * photo.width - sw / 2)),
+            sy: Math.min(photo.height - sh, Math.max(0, photo.focusY * photo.height - sh / 2)),
+            sw,
+            sh,
+            scale
+        };
+    }
+
+    /**
+     * 模糊半径：档位按画面宽度换算（1080 宽时每档 4px）
+     */
+    getBlurRadius(photo, referenceWidth) {
+        return photo.blur * referenceWidth / 270;
+    }
+
+    // ── Canvas / Fabric ──────────────────────────────
+
+    /**
+     * 加载照片（按来源缓存，同一批生成只解码一次）
+     */
+    loadImage(src) {
+        if (!this.imageCache.has(src)) {
+            this.imageCache.set(src, Utils.loadImage(src).catch(() => {
+                this.imageCache.delete(src);
+                throw new Error('照片加载失败');
+            }));
+        }
+        return this.imageCache.get(src);
+    }
+
+    /**
+     * 移除照片的解码缓存
+     */
+    forget(src) {
+        this.imageCache.delete(src);
+    }
+
+    /**
+     * 把照片按裁切与模糊绘制到离屏 Canvas（像素尺寸 width × height，Worker 中为 OffscreenCanvas）；
+     * referenceWidth 为同一像素密度下的画面宽度，用于换算模糊半径。
+     * 模糊时四周外扩取景，避免边缘发虚透明
+     */
+    async renderToCanvas(photo, width, height, referenceWidth = width) {
+        const image = await this.loadImage(photo.src);
+        // Worker 中解码得到的 ImageBitmap 没有 naturalWidth
+        const source = {
+            ...photo,
+            width: image.naturalWidth || image.width || photo.width,
+            height: image.naturalHeight || image.height || photo.height
+        };
+        const canvas = Utils.createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+
+        const ctx = canvas.getContext('2d');
+        const blur = this.getBlurRadius(photo, referenceWidth);
+        const bleed = blur * 2;
+        const crop = this.getCrop(source, canvas.width + bleed * 2, canvas.height + bleed * 2);
+        if (blur > 0) {
+            ctx.filter = `blur(${blur}px)`;
+        }
+        ctx.drawImage(image, crop.sx, crop.sy, crop.sw, crop.sh, -bleed, -bleed, canvas.width + bleed * 2, canvas.height + bleed * 2);
+        return canvas;
+    }
+
+    // ── SVG ──────────────────────────────
+
+    /**
+     * SVG 照片：按裁切放置整张图片并裁剪到目标区域（可带圆角），模糊使用 feGaussianBlur
+     */
+    toSvg(photo, box, options = {}) {
+        const id = options.id || 'photo';
+        const round = value => Math.round(value * 100) / 100;
+        const blur = this.getBlurRadius(photo, options.referenceWidth || box.width);
+        const bleed = blur * 2;
+        const crop = this.getCrop(photo, box.width + bleed * 2, box.height + bleed * 2);
+        const x = box.x - bleed - crop.sx * crop.scale;
+        const y = box.y - bleed - crop.sy * crop.scale;
+
+        const defs = [`<clipPath id="${id}-clip"><rect x="${round(box.x)}" y="${round(box.y)}" width="${round(box.width)}" height="${round(box.height)}" rx="${box.radius || 0}" /></clipPath>`];
+        if (blur > 0) {
+            defs.push(`<filter id="${id}-blur" x="-10%" y="-10%" width="120%" height="120%"><feGaussianBlur stdDeviation="${round(blur)}" /></filter>`);
+        }
+
+        return `<defs>${defs.join('')}</defs>` +
+            `<g clip-path="url(#${id}-clip)"><image href="${photo.src}" x="${round(x)}" y="${round(y)}" width="${round(photo.width * crop.scale)}" height="${round(photo.height * crop.scale)}" preserveAspectRatio="none"${blur > 0 ? ` filter="url(#${id}-blur)"` : ''} /></g>`;
+    }
+}
+
+// 全局照片图层实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.photoLayer = new PhotoLayer();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhotoLayer;
+}
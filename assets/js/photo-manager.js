@@ -0,0 +1,260 @@
+/**
+ * 照片素材管理器
+ * 管理当前笔记上传的照片（拖放或选择文件，经性能优化器压缩）：用途（全幅背景 / 图片位）、适用页面、
+ * 焦点、缩放、模糊与遮罩。照片只保留在当前会话中，生成时随设置传给 Canvas、Fabric 与 SVG 渲染器
+ */
+
+class PhotoManager {
+    constructor() {
+        this.photos = [];
+        this.maxPhotos = 6;
+        // 压缩后的最长边，足够 1080 宽的卡片全幅使用
+        this.maxSize = 1600;
+    }
+
+    /**
+     * 初始化照片素材管理器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.bindEvents();
+        this.renderList();
+        DEBUG.log('照片素材管理器初始化完成');
+    }
+
+    /**
+     * 当前照片（副本，供生成设置使用）
+     */
+    getPhotos() {
+        return this.photos.map(photo => ({ ...photo }));
+    }
+
+    /**
+     * 获取照片
+     */
+    get(id) {
+        return this.photos.find(photo => photo.id === id) || null;
+    }
+
+    /**
+     * 添加照片文件：第一张默认作为全幅背景，之后的作为图片位
+     */
+    async addFiles(files) {
+        const images = Array.from(files || []).filter(file => file.type.startsWith('image/'));
+        if (images.length === 0) {
+            throw new Error('请选择图片文件');
+        }
+
+        const room = this.maxPhotos - this.photos.length;
+        if (room <= 0) {
+            throw new Error(`最多添加 ${this.maxPhotos} 张照片`);
+        }
+
+        const added = [];
+        for (const file of images.slice(0, room)) {
+            const photo = await this.readPhoto(file);
+            this.photos.push(window.photoLayer.normalize({
+                ...photo,
+                mode: this.photos.some(item => item.mode === 'background') ? 'slot' : 'background'
+            }));
+            added.push(photo);
+        }
+        this.renderList();
+        return { added: added.length, skipped: images.length - added.length };
+    }
+
+    /**
+     * 读取照片：压缩后转为 Data URL（SVG 渲染与导出需要内嵌图片），并记录像素尺寸
+     */
+    async readPhoto(file) {
+        let blob = file;
+        if (window.performanceOptimizer) {
+            blob = await window.performanceOptimizer.compressImage(file, 0.85, {
+                maxWidth: this.maxSize,
+                maxHeight: this.maxSize,
+                type: 'image/jpeg'
+            }) || file;
+        }
+
+        const src = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(new Error(`照片「${file.name}」读取失败`));
+            reader.onload = () => resolve(reader.result);
+            reader.readAsDataURL(blob);
+        });
+        const image = await window.photoLayer.loadImage(src);
+
+        return { name: file.name, src, width: image.naturalWidth, height: image.naturalHeight };
+    }
+
+    /**
+     * 更新照片参数（切换用途时遮罩恢复为该用途的默认值）
+     */
+    update(id, changes) {
+        const index = this.photos.findIndex(photo => photo.id === id);
+        if (index < 0) return null;
+
+        const next = { ...this.photos[index], ...changes };
+        if (changes.mode && changes.mode !== this.photos[index].mode) {
+            next.dim = window.photoLayer.defaultDim[changes.mode];
+        }
+        this.photos[index] = window.photoLayer.normalize(next);
+        return this.photos[index];
+    }
+
+    /**
+     * 删除照片
+     */
+    remove(id) {
+        const photo = this.get(id);
+        if (!photo) return;
+        window.photoLayer.forget(photo.src);
+        this.photos = this.photos.filter(item => item.id !== id);
+        this.renderList();
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const dropzone = document.getElementById('photoDropzone');
+        const input = document.getElementById('photoInput');
+        const list = document.getElementById('photoList');
+
+        const addFiles = async (files) => {
+            try {
+                const { added, skipped } = await this.addFiles(files);
+                const note = skipped > 0 ? `，已达上限，另有 ${skipped} 张未添加` : '';
+                window.uiManager?.showToast(`已添加 ${added} 张照片${note}`, skipped > 0 ? 'warning' : 'success');
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'error');
+            }
+        };
+
+        input?.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            e.target.value = '';
+            if (files.length > 0) addFiles(files);
+        });
+
+        dropzone?.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+        dropzone?.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+        dropzone?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            addFiles(e.dataTransfer?.files);
+        });
+
+        // 点击缩略图设置焦点
+        list?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-photo-id]');
+            if (!item) return;
+
+            if (e.target.closest('.photo-remove')) {
+                this.remove(item.dataset.photoId);
+                return;
+            }
+
+            const focus = e.target.closest('.photo-focus');
+            if (focus) {
+                const rect = focus.getBoundingClientRect();
+                const photo = this.update(item.dataset.photoId, {
+                    focusX: (e.clientX - rect.left) / rect.width,
+                    focusY: (e.clientY - rect.top) / rect.height
+                });
+                if (photo) this.renderFocus(item, photo);
+            }
+        });
+
+        list?.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            const item = e.target.closest('[data-photo-id]');
+            if (!field || !item || e.target.tagName === 'SELECT') return;
+
+            const photo = this.update(item.dataset.photoId, { [field]: Number(e.target.value) });
+            if (photo) this.renderFocus(item, photo);
+        });
+
+        list?.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            const item = e.target.closest('[data-photo-id]');
+            if (!field || !item || e.target.tagName !== 'SELECT') return;
+
+            this.update(item.dataset.photoId, { [field]: e.target.value });
+            this.renderList();
+        });
+    }
+
+    /**
+     * 渲染照片列表
+     */
+    renderList() {
+        const list = document.getElementById('photoList');
+        if (!list) return;
+
+        const layer = window.photoLayer;
+        const options = (labels, value) => Object.entries(labels)
+            .map(([key, label]) => `<option value="${key}"${key === value ? ' selected' : ''}>${label}</option>`)
+            .join('');
+        const range = (field, label, min, max, step, value) => `
+            <label class="photo-range">
+                <span>${label}</span>
+                <input type="range" data-field="${field}" min="${min}" max="${max}" step="${step}" value="${value}">
+            </label>
+        `;
+
+        list.innerHTML = this.photos.map(photo => `
+            <div class="photo-item" data-photo-id="${photo.id}">
+                <div class="photo-focus" title="点击照片设置焦点（裁切时保留的中心）">
+                    <img src="${photo.src}" alt="${Utils.escapeHtml(photo.name)}">
+                    <span class="photo-crop"></span>
+                    <span class="photo-focus-marker"></span>
+                </div>
+                <div class="photo-controls">
+                    <div class="photo-row">
+                        <select class="select-input" data-field="mode" aria-label="用途">${options(layer.modes, photo.mode)}</select>
+                        <select class="select-input" data-field="scope" aria-label="适用页面">${options(layer.scopes, photo.scope)}</select>
+                        <button type="button" class="icon-button photo-remove" title="删除照片">
+                            <span class="material-icons">delete</span>
+                        </button>
+                    </div>
+                    ${range('zoom', '缩放', 1, layer.maxZoom, 0.1, photo.zoom)}
+                    ${range('blur', '模糊', 0, layer.maxBlur, 1, photo.blur)}
+                    ${range('dim', '遮罩', 0, layer.maxDim, 0.05, photo.dim)}
+                </div>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('[data-photo-id]').forEach((item) => {
+            const photo = this.get(item.dataset.photoId);
+            if (photo) this.renderFocus(item, photo);
+        });
+    }
+
+    /**
+     * 在缩略图上标出焦点与缩放后的取景范围
+     */
+    renderFocus(item, photo) {
+        const marker = item.querySelector('.photo-focus-marker');
+        const crop = item.querySelector('.photo-crop');
+        if (marker) {
+            marker.style.left = `${photo.focusX * 100}%`;
+            marker.style.top = `${photo.focusY * 100}%`;
+        }
+        if (crop) {
+            // 取景框示意：按缩放比例缩小，中心尽量落在焦点上（实际宽高比随背景或图片位而定）
+            const size = 100 / photo.zoom;
+            const left = Math.min(100 - size, Math.max(0, photo.focusX * 100 - size / 2));
+            const top = Math.min(100 - size, Math.max(0, photo.focusY * 100 - size / 2));
+            crop.style.cssText = `left: ${left}%; top: ${top}%; width: ${size}%; height: ${size}%;`;
+        }
+    }
+}
+
+// 全局照片素材管理实例
+window.photoManager = new PhotoManager();
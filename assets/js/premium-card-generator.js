@@ -14,12 +14,43 @@ class PremiumCardGenerator {
         this.fontSerif = "'Songti SC', SimSun, 'Noto Serif SC', Georgia, serif";
         this.fontMono = "ui-monospace, 'SF Mono', Consolas, Menlo, Monaco, monospace";
 
+        // 共用的 Markdown 解析器（Node 环境下直接加载模块）
+        this.markdownParser = typeof window !== 'undefined'
+            ? window.markdownParser
+            : new (require('./markdown-parser.js'))();
+
+        // 共用的中文折行（禁则、单词与数字单位不拆分、标点挤压）
+        this.textLayout = typeof window !== 'undefined'
+            ? window.textLayout
+            : new (require('./text-layout.js'))();
+
+        // 共用的 SVG 图表原语（数据看板模板使用）
+        this.charts = typeof window !== 'undefined'
+            ? window.svgCharts
+            : new (require('./svg-charts.js'))();
+
+        // 共用的二维码编码（收尾页二维码卡片使用）
+        this.qrEncoder = typeof window !== 'undefined'
+            ? window.qrEncoder
+            : new (require('./qr-encoder.js'))();
+
+        // 共用的代码高亮（科技模板的代码窗口使用）
+        this.codeHighlighter = typeof window !== 'undefined'
+            ? window.codeHighlighter
+            : new (require('./code-highlighter.js'))();
+
+        // 共用的照片图层（全幅背景与模板图片位）
+        this.photoLayer = typeof window !== 'undefined'
+            ? window.photoLayer
+            : new (require('./photo-layer.js'))();
+
         this.initializeTemplates();
     }
 
     // ── 小红书标准尺寸 ──────────────────────────────
     static DIMENSIONS = {
         '3:4': { width: 1080, height: 1440 },
+        '4:5': { width: 1080, height: 1350 },
         '1:1': { width: 1080, height: 1080 },
         '9:16': { width: 1080, height: 1920 },
         '4:3': { width: 1080, height: 810 },
@@ -142,16 +173,33 @@ class PremiumCardGenerator {
 
     // ── 内容分析 ──────────────────────────────
     analyzeContent(content) {
-        const lines = content.split('\n').filter(l => l.trim());
-        const title = this.extractTitle(lines);
-        const dataPoints = this.extractDataPoints(content);
-        const keyPoints = this.extractKeyPoints(content);
-        const contentType = this.analyzeContentType(content);
+        const parser = this.markdownParser;
+        const parsed = parser.parse(content);
+        // ```chart 围栏单独解析为图表，```qr 围栏解析为二维码，其余代码块留给代码窗口；都不参与标题、数据点与要点提取
+        const chartBlocks = parsed.children.filter(block => block.type === 'code' && block.lang === 'chart');
+        const qrBlocks = this.qrEncoder.getBlocks(content);
+        const codeBlocks = parsed.children.filter(block => block.type === 'code' && block.lang !== 'chart' && !qrBlocks.some(qr => qr.line === block.line));
+        const doc = { ...parsed, children: parsed.children.filter(block => block.type !== 'code') };
+        const plainText = parser.toPlainText(doc);
+        const lines = plainText.split('\n').filter(l => l.trim());
+        // 以 Markdown 标题开头时直接用作卡片标题
+        const title = doc.children[0]?.type === 'heading'
+            ? parser.toPlainText(doc.children[0].children).trim() || this.extractTitle(lines)
+            : this.extractTitle(lines);
+        const dataPoints = this.extractDataPoints(plainText);
+        const keyPoints = this.extractKeyPoints(doc, plainText);
+        const contentType = this.analyzeContentType(plainText);
+        // 围栏中指定的图表优先，否则按数据点形态自动选择（不适合可视化时为 null）
+        const chart = chartBlocks.map(block => this.charts.parseChartBlock(block.value, block.info)).find(Boolean)
+            || this.charts.fromDataPoints(dataPoints);
 
         return {
             title,
             dataPoints,
             keyPoints,
+            chart,
+            codeBlocks,
+            qr: qrBlocks.length > 0 ? this.qrEncoder.parseBlock(qrBlocks[0].value, qrBlocks[0].info) : null,
             contentType,
             originalContent: content,
             processedContent: content.length > 300 ? content.substring(0, 300) + '...' : content
@@ -177,12 +225,15 @@ class PremiumCardGenerator {
 
         for (const pattern of patterns) {
             let m;
+            let from = 0;
             while ((m = pattern.exec(content)) !== null && points.length < 4) {
                 points.push({
                     value: m[1],
                     unit: m[2] || '',
-                    label: this.guessLabel(m[0], m[2] || '')
+                    label: this.guessLabel(m[0], m[2] || ''),
+                    context: this.getContextLabel(content.slice(from, m.index))
                 });
+                from = m.index + m[0].length;
             }
         }
         return points;
@@ -199,18 +250,28 @@ class PremiumCardGenerator {
         return map[unit] || '技术指标';
     }
 
-    extractKeyPoints(content) {
+    // 数值前同一分句内的文字（如“满意度达到 92%”中的“满意度”），用作图表标签
+    getContextLabel(before) {
+        const clause = before.split(/[。！？；，,;:：\n]/).pop();
+        const text = clause.replace(/[^\u4e00-\u9fffA-Za-z0-9]/g, '').replace(/(?<=.{2})(?:达到|提升到|降到|涨到|从|由|为|是|达|约|占|了)+$/, '');
+        // 只有“涨到”“降至”之类的连接词时不作标签
+        if (/^(?:[涨增升降减跌提]\S?)?[到至成为]$/.test(text)) return '';
+        return Array.from(text).slice(-6).join('');
+    }
+
+    // 要点取顶层列表项（保留行内 Markdown，由 wrapText 渲染粗体等），没有列表时取前几句
+    extractKeyPoints(doc, plainText) {
+        const parser = this.markdownParser;
         const points = [];
-        const lines = content.split('\n');
-        for (const line of lines) {
-            const cleaned = line.trim();
-            const match = cleaned.match(/^(?:\d+[.、)）]\s*|[•·\-*→►]\s*)(.+)/);
-            if (match && match[1].trim().length > 2 && points.length < 6) {
-                points.push(match[1].trim());
+        doc.children.forEach(block => parser.walk(block, (node, depth) => {
+            if (node.type !== 'listItem' || depth !== 1 || points.length >= 6) return;
+            const text = parser.toMarkdown(node.children).trim();
+            if (parser.toPlainText(node.children).trim().length > 2) {
+                points.push(text);
             }
-        }
+        }));
         if (points.length === 0) {
-            const sentences = content.split(/[。！？\n]/).filter(s => s.trim().length > 8);
+            const sentences = plainText.split(/[。！？\n]/).filter(s => s.trim().length > 8);
             points.push(...sentences.slice(0, 5));
         }
         return points;
@@ -231,62 +292,281 @@ class PremiumCardGenerator {
             lineHeight = 1.55,
             letterSpacing = 0,
             maxLines = 20,
-            fontFamily = "sans-serif"
+            fontFamily = "sans-serif",
+            align = 'left'
         } = options;
 
         if (!text) return '';
 
-        const avgCharWidth = fontSize * 0.55;
-        const charsPerLine = Math.floor(maxWidth / avgCharWidth);
-
-        const wrappedLines = [];
-        let remaining = text;
-        while (remaining.length > 0 && wrappedLines.length < maxLines) {
-            if (remaining.length <= charsPerLine) {
-                wrappedLines.push(remaining);
-                remaining = '';
-            } else {
-                let breakIdx = charsPerLine;
-                const searchStart = Math.max(0, charsPerLine - 8);
-                for (let i = charsPerLine; i >= searchStart; i--) {
-                    const ch = remaining[i];
-                    if ('，。！？；：、 ,.:;!?\n'.includes(ch)) {
-                        breakIdx = i + 1;
-                        break;
-                    }
-                }
-                wrappedLines.push(remaining.substring(0, breakIdx));
-                remaining = remaining.substring(breakIdx);
-            }
-        }
+        // 行内 Markdown（**粗体**、*斜体*、`代码`）拆成带样式的片段，按纯文本折行
+        const runs = this.markdownParser.toRuns(String(text));
+        const plain = runs.map(run => run.text).join('');
+
+        // SVG 无法测量字形，按字符类别估算宽度后折行；SVG 按原宽度逐字输出，不做标点挤压
+        const measure = line => this.textLayout.estimateWidth(line, fontSize, letterSpacing);
+        const wrappedLines = this.textLayout.layoutLines(plain, maxWidth, measure, { compress: false }).slice(0, maxLines);
 
         const dy = fontSize * lineHeight;
-        return wrappedLines.map((line, i) => {
-            const escapedLine = this.escapeXML(line);
+        const lineRuns = this.markdownParser.sliceRuns(runs, wrappedLines.map(line => line.text));
+        return lineRuns.map((segments, i) => {
             const yPos = startY + i * dy;
-            return `<text x="${x}" y="${yPos}" font-size="${fontSize}" fill="${fill}" font-weight="${fontWeight}" font-family="${fontFamily}" letter-spacing="${letterSpacing}">${escapedLine}</text>`;
+            const body = segments.map(run => this.renderRun(run, options)).join('');
+            // 两端对齐：段落末行以外、且接近满行的行拉伸到整行宽度
+            const line = wrappedLines[i];
+            const justify = align === 'justify' && !line.last && measure(line.text) >= maxWidth * 0.85
+                ? ` textLength="${maxWidth}" lengthAdjust="spacing"`
+                : '';
+            return `<text x="${x}" y="${yPos}" font-size="${fontSize}" fill="${fill}" font-weight="${fontWeight}" font-family="${fontFamily}" letter-spacing="${letterSpacing}"${justify}>${body}</text>`;
         }).join('\n        ');
     }
 
+    // 单个文本片段：无样式时直接输出文字，否则包一层 tspan
+    renderRun(run, options = {}) {
+        const text = this.escapeXML(run.text.replace(/\n/g, ''));
+        const attrs = [];
+        if (run.bold) attrs.push('font-weight="800"');
+        if (run.italic) attrs.push('font-style="italic"');
+        if (run.strike) attrs.push('text-decoration="line-through"');
+        if (run.code) attrs.push(`font-family="${this.fontMono}"`);
+        if (run.hashtag && options.accentColor) attrs.push(`fill="${options.accentColor}"`);
+        return attrs.length > 0 ? `<tspan ${attrs.join(' ')}>${text}</tspan>` : text;
+    }
+
+    // ── 主题令牌：覆盖配色与字体，保留版式 ──────────────────────────────
+    applyTheme(template, theme) {
+        const { palette } = theme;
+        // SVG 属性使用双引号包裹，字体栈内的引号统一改为单引号
+        const toAttr = (stack) => String(stack || '').replace(/"/g, "'");
+
+        return {
+            ...template,
+            themeId: theme.id,
+            colors: {
+                ...template.colors,
+                background: palette.background,
+                cardBg: palette.surface,
+                primary: palette.primary,
+                secondary: palette.secondary,
+                text: palette.text,
+                textLight: palette.textMuted,
+                border: palette.border,
+                accent: palette.surfaceVariant,
+                gridLine: palette.border
+            },
+            fonts: {
+                sans: toAttr(theme.fonts?.sans) || this.fontSans,
+                serif: toAttr(theme.fonts?.serif) || this.fontSerif,
+                mono: toAttr(theme.fonts?.mono) || this.fontMono
+            },
+            textAlign: theme.typography?.align || template.textAlign,
+            qrSlot: theme.slots?.qr || template.qrSlot,
+            imageSlot: theme.slots?.image || template.imageSlot
+        };
+    }
+
+    // ── 品牌套件：覆盖强调色与字体 ──────────────────────────────
+    applyBrandKit(template, brandKit) {
+        const colors = { ...template.colors };
+        if (brandKit.primaryColor) colors.primary = brandKit.primaryColor;
+        if (brandKit.secondaryColor) colors.secondary = brandKit.secondaryColor;
+
+        const fonts = { ...this.getFonts(template) };
+        if (brandKit.fontFamily) {
+            const stack = String(brandKit.fontFamily).replace(/"/g, "'");
+            fonts.sans = stack;
+            fonts.serif = stack;
+        }
+
+        return { ...template, colors, fonts };
+    }
+
+    // 品牌水印：Logo + 账号名，按套件配置的位置摆放（坐标系为 1080 宽）
+    renderBrandWatermark(brandKit, template, w, h) {
+        const handle = brandKit.handle || '';
+        const logo = typeof brandKit.logo === 'string' && brandKit.logo.startsWith('data:image/') ? brandKit.logo : '';
+        if (!logo && !handle) return '';
+
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const fontSize = 28;
+        const logoSize = 56;
+        const margin = 40;
+        const gap = logo && handle ? 16 : 0;
+        const textWidth = this.textLayout.estimateWidth(handle, fontSize);
+        const boxWidth = (logo ? logoSize : 0) + gap + textWidth;
+        const boxHeight = logo ? logoSize : fontSize;
+
+        const position = brandKit.watermarkPosition || 'bottom-right';
+        const x = position.endsWith('left') ? margin
+            : position === 'bottom-center' ? (w - boxWidth) / 2
+                : w - margin - boxWidth;
+        const y = position.startsWith('top') ? margin : h - margin - boxHeight;
+
+        const parts = [];
+        if (logo) {
+            parts.push(`<image href="${logo}" x="${x}" y="${y}" width="${logoSize}" height="${logoSize}" preserveAspectRatio="xMidYMid meet" />`);
+        }
+        if (handle) {
+            parts.push(`<text x="${x + (logo ? logoSize : 0) + gap}" y="${y + boxHeight / 2}" dominant-baseline="central" font-size="${fontSize}" font-weight="600" fill="${c.text}" fill-opacity="0.72" font-family="${f.sans}">${this.escapeXML(handle)}</text>`);
+        }
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 二维码卡片位置：角色版式贴齐内容框底部，模板版式放在页脚上方
+    getQrLayout(qrCode, template, w, h, roleLayout) {
+        const frame = this.getRoleFrame(template, w, h);
+        const area = roleLayout
+            ? { left: frame.padX, right: w - frame.padX, bottom: frame.bottom, width: w }
+            : { left: 100, right: w - 100, bottom: h - 140, width: w };
+        return this.qrEncoder.layoutBlock(qrCode, area, 24);
+    }
+
+    // 二维码卡片：白底圆角卡片 + 模板色模块 + 可选中心 Logo + 说明文字
+    renderQrCode(qrCode, layout, template) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const color = this.qrEncoder.getModuleColor([c.primary, c.text]);
+        const parts = [];
+
+        parts.push(`<rect x="${layout.x}" y="${layout.y}" width="${layout.width}" height="${layout.height}" rx="20" fill="#FFFFFF" stroke="${c.border || color}" stroke-width="1.5" />`);
+        parts.push(`<path d="${this.qrEncoder.toPathData(qrCode.qr, layout.qrX, layout.qrY, layout.moduleSize, qrCode.logoArea)}" fill="${color}" shape-rendering="crispEdges" />`);
+
+        if (qrCode.logoArea) {
+            // Logo 四周留出一个模块宽的白边
+            const offset = (qrCode.logoArea.start + 1) * layout.moduleSize;
+            const size = (qrCode.logoArea.end - qrCode.logoArea.start - 2) * layout.moduleSize;
+            parts.push(`<image href="${qrCode.logo}" x="${layout.qrX + offset}" y="${layout.qrY + offset}" width="${size}" height="${size}" preserveAspectRatio="xMidYMid meet" />`);
+        }
+
+        if (qrCode.caption) {
+            const caption = this.charts.fitLabel(qrCode.caption, layout.width - layout.padding * 2, 24);
+            parts.push(`<text x="${layout.x + layout.width / 2}" y="${layout.captionY}" dominant-baseline="central" font-size="24" font-weight="600" fill="${color}" font-family="${f.sans}" text-anchor="middle">${this.escapeXML(caption)}</text>`);
+        }
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 版式底色：使用全幅照片背景时由照片图层代替
+    renderBase(template, w, h) {
+        return template.photoBackdrop ? '' : `<rect width="${w}" height="${h}" fill="${template.colors.background}" />`;
+    }
+
+    // 全幅照片背景：裁切 + 模糊，再叠一层模板底色遮罩，保证原有配色下的正文可读
+    renderPhotoBackground(photo, template, w, h) {
+        const parts = [this.photoLayer.toSvg(photo, { x: 0, y: 0, width: w, height: h }, { id: 'photo-bg', referenceWidth: w })];
+        if (photo.dim > 0) {
+            parts.push(`<rect width="${w}" height="${h}" fill="${template.colors.background}" fill-opacity="${photo.dim}" />`);
+        }
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 图片位：圆角卡片 / 拍立得白边 / 通栏照片
+    renderPhotoSlot(photo, layout, template, w) {
+        const c = template.colors;
+        const { outer, image } = layout;
+        const parts = [];
+
+        if (layout.frame !== 'plain') {
+            parts.push(`<rect x="${outer.x}" y="${outer.y + 8}" width="${outer.width}" height="${outer.height}" rx="${outer.radius}" fill="#0F172A" fill-opacity="0.12" />`);
+        }
+        if (layout.frame === 'polaroid') {
+            parts.push(`<rect x="${outer.x}" y="${outer.y}" width="${outer.width}" height="${outer.height}" rx="${outer.radius}" fill="#FFFFFF" stroke="${c.border}" stroke-width="1.5" />`);
+        }
+        parts.push(this.photoLayer.toSvg(photo, image, { id: 'photo-slot', referenceWidth: w }));
+        if (photo.dim > 0) {
+            parts.push(`<rect x="${image.x}" y="${image.y}" width="${image.width}" height="${image.height}" rx="${image.radius}" fill="${c.background}" fill-opacity="${photo.dim}" />`);
+        }
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 未套用主题时使用默认字体栈
+    getFonts(template) {
+        return template.fonts || { sans: this.fontSans, serif: this.fontSerif, mono: this.fontMono };
+    }
+
     // ── SVG 路由 ──────────────────────────────
     createPremiumSVG(analysis, template, width, height, options = {}) {
+        if (options.theme) {
+            template = this.applyTheme(template, options.theme);
+        }
+        if (options.brandKit) {
+            template = this.applyBrandKit(template, options.brandKit);
+        }
+
         let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">`;
 
         // 彻底移除 defs 中的 @font-face，避免 Chromium 因 local() 指令污染 Canvas
         svg += `<defs></defs>`;
 
-        if (template.id === 'minimalist-svg') {
-            svg += this.renderMinimalistSVG(analysis, template, width, height, options);
+        // 轮播页角色版式：封面 / 清单 / 数据 / 金句 / 总结，正文页沿用模板版式
+        const roleLayouts = {
+            cover: 'renderCoverSVG',
+            list: 'renderListSVG',
+            data: 'renderDataSVG',
+            quote: 'renderQuoteSVG',
+            summary: 'renderSummarySVG'
+        };
+        const page = options.page;
+        const roleLayout = page && roleLayouts[page.role];
+
+        // 二维码：生成器传入的收尾页二维码，或正文中的 ```qr 围栏；角色版式的内容只排到二维码卡片上方
+        const qrBlock = options.qr || analysis.qr;
+        const qrCode = qrBlock ? this.qrEncoder.prepare(qrBlock, template.qrSlot, options.brandKit) : null;
+        const qrLayout = qrCode ? this.getQrLayout(qrCode, template, width, height, !!roleLayout) : null;
+
+        // 用户照片：全幅背景时模板版式不再绘制底色；图片位占画面顶部或底部，版式排在其余区域
+        const photos = this.photoLayer.forPage(options.photos, page);
+        const slotLayout = photos.slot
+            ? this.photoLayer.getSlotLayout(template.imageSlot, width, height, { avoidBottom: !!qrCode })
+            : null;
+        if (photos.background || slotLayout) {
+            svg += `\n        <rect width="${width}" height="${height}" fill="${template.colors.background}" />`;
+        }
+        if (photos.background) {
+            svg += this.renderPhotoBackground(photos.background, template, width, height);
+            template = { ...template, photoBackdrop: true };
+        }
+        if (slotLayout) {
+            svg += this.renderPhotoSlot(photos.slot, slotLayout, template, width);
+        }
+
+        const bodyHeight = slotLayout ? slotLayout.contentHeight : height;
+        const offset = slotLayout ? slotLayout.contentOffset : 0;
+        if (offset) {
+            svg += `\n        <g transform="translate(0 ${offset})">`;
+        }
+
+        if (roleLayout) {
+            svg += this[roleLayout](page, analysis, template, width, bodyHeight, qrLayout ? qrLayout.y - 30 - offset : null);
+        } else if (template.id === 'minimalist-svg') {
+            svg += this.renderMinimalistSVG(analysis, template, width, bodyHeight, options);
         } else if (template.id === 'tech-premium') {
-            svg += this.renderTechPremiumSVG(analysis, template, width, height, options);
+            svg += this.renderTechPremiumSVG(analysis, template, width, bodyHeight, options);
         } else if (template.id === 'lifestyle-premium') {
-            svg += this.renderLifestylePremiumSVG(analysis, template, width, height, options);
+            svg += this.renderLifestylePremiumSVG(analysis, template, width, bodyHeight, options);
         } else if (template.id === 'data-showcase-svg') {
-            svg += this.renderDataShowcaseSVG(analysis, template, width, height, options);
+            svg += this.renderDataShowcaseSVG(analysis, template, width, bodyHeight, options);
         } else if (template.id === 'editorial-serif-svg') {
-            svg += this.renderEditorialSerifSVG(analysis, template, width, height, options);
+            svg += this.renderEditorialSerifSVG(analysis, template, width, bodyHeight, options);
         } else {
-            svg += this.renderMinimalistSVG(analysis, template, width, height, options);
+            svg += this.renderMinimalistSVG(analysis, template, width, bodyHeight, options);
+        }
+
+        if (page?.totalPages > 1) {
+            const frame = roleLayout ? this.getRoleFrame(template, width, bodyHeight) : null;
+            svg += this.renderPageIndicator(page, template, frame ? width - frame.padX : width - 24, frame ? frame.top : 24);
+        }
+
+        if (offset) {
+            svg += '\n        </g>';
+        }
+
+        if (qrCode) {
+            svg += this.renderQrCode(qrCode, qrLayout, template);
+        }
+
+        if (options.brandKit) {
+            svg += this.renderBrandWatermark(options.brandKit, template, width, height);
         }
 
         svg += '</svg>';
@@ -298,26 +578,27 @@ class PremiumCardGenerator {
     // ═══════════════════════════════════════════════════════════
     renderMinimalistSVG(analysis, template, w, h) {
         const c = template.colors;
+        const f = this.getFonts(template);
         const padX = 100;
         const contentW = w - padX * 2;
         let parts = [];
 
-        parts.push(`<rect width="${w}" height="${h}" fill="${c.background}" />`);
+        parts.push(this.renderBase(template, w, h));
         parts.push(`<line x1="${padX - 20}" y1="${Math.round(h * 0.14)}" x2="${padX - 20}" y2="${Math.round(h * 0.86)}" stroke="${c.primary}" stroke-width="5" stroke-linecap="round" />`);
 
         const tagY = Math.round(h * 0.10);
-        parts.push(`<text x="${padX}" y="${tagY}" font-size="18" fill="${c.textLight}" font-family="${this.fontMono}" letter-spacing="3" font-weight="600">MINIMALIST · AESTHETIC</text>`);
+        parts.push(`<text x="${padX}" y="${tagY}" font-size="18" fill="${c.textLight}" font-family="${f.mono}" letter-spacing="3" font-weight="600">MINIMALIST · AESTHETIC</text>`);
 
         const titleY = Math.round(h * 0.18);
         const titleFontSize = analysis.title.length > 18 ? 42 : 52;
         parts.push(this.wrapText(analysis.title, padX, titleY, titleFontSize, contentW, c.text, {
             fontWeight: '700',
             lineHeight: 1.35,
-            fontFamily: this.fontSans,
+            fontFamily: f.sans,
             maxLines: 3
         }));
 
-        const sepY = titleY + titleFontSize * 1.35 * Math.min(3, Math.ceil(analysis.title.length / Math.floor(contentW / (titleFontSize * 0.55)))) + 30;
+        const sepY = titleY + titleFontSize * 1.35 * this.estimateLines(analysis.title, titleFontSize, contentW, 3) + 30;
         parts.push(`<line x1="${padX}" y1="${sepY}" x2="${padX + 120}" y2="${sepY}" stroke="${c.primary}" stroke-width="3" stroke-linecap="round" />`);
 
         let currentY = sepY + 50;
@@ -329,35 +610,36 @@ class PremiumCardGenerator {
                 const dpX = padX + col * (dpW + 30);
                 const dpY = currentY + row * 100;
 
-                parts.push(`<text x="${dpX}" y="${dpY}" font-size="16" fill="${c.textLight}" font-family="${this.fontSans}" font-weight="600" letter-spacing="1">${this.escapeXML(dp.label)}</text>`);
-                parts.push(`<text x="${dpX}" y="${dpY + 38}" font-size="38" fill="${c.primary}" font-family="${this.fontMono}" font-weight="800">${dp.value} <tspan font-size="22" font-weight="400">${dp.unit}</tspan></text>`);
+                parts.push(`<text x="${dpX}" y="${dpY}" font-size="16" fill="${c.textLight}" font-family="${f.sans}" font-weight="600" letter-spacing="1">${this.escapeXML(dp.label)}</text>`);
+                parts.push(`<text x="${dpX}" y="${dpY + 38}" font-size="38" fill="${c.primary}" font-family="${f.mono}" font-weight="800">${dp.value} <tspan font-size="22" font-weight="400">${dp.unit}</tspan></text>`);
                 parts.push(`<line x1="${dpX}" y1="${dpY + 50}" x2="${dpX + dpW}" y2="${dpY + 50}" stroke="${c.border}" stroke-width="1" />`);
             });
             currentY += Math.ceil(analysis.dataPoints.length / 2) * 100 + 30;
         }
 
         if (analysis.keyPoints.length > 0) {
-            parts.push(`<text x="${padX}" y="${currentY}" font-size="18" fill="${c.textLight}" font-family="${this.fontMono}" letter-spacing="2" font-weight="600">KEY POINTS</text>`);
+            parts.push(`<text x="${padX}" y="${currentY}" font-size="18" fill="${c.textLight}" font-family="${f.mono}" letter-spacing="2" font-weight="600">KEY POINTS</text>`);
             currentY += 40;
 
             analysis.keyPoints.forEach((point, i) => {
                 const idx = String(i + 1).padStart(2, '0');
-                parts.push(`<text x="${padX}" y="${currentY}" font-size="20" fill="${c.primary}" font-family="${this.fontMono}" font-weight="700">[${idx}]</text>`);
+                parts.push(`<text x="${padX}" y="${currentY}" font-size="20" fill="${c.primary}" font-family="${f.mono}" font-weight="700">[${idx}]</text>`);
                 const textX = padX + 65;
                 const textW = contentW - 65;
                 const pointLines = this.wrapText(point, textX, currentY, 22, textW, c.text, {
                     fontWeight: '400',
                     lineHeight: 1.5,
-                    fontFamily: this.fontSans,
+                    fontFamily: f.sans,
+                    align: template.textAlign,
                     maxLines: 3
                 });
                 parts.push(pointLines);
-                const lineCount = Math.min(3, Math.ceil(point.length / Math.floor(textW / (22 * 0.55))));
+                const lineCount = this.estimateLines(point, 22, textW, 3);
                 currentY += 22 * 1.5 * lineCount + 20;
             });
         }
 
-        parts.push(`<text x="${padX}" y="${h - 80}" font-size="14" fill="${c.textLight}" font-family="${this.fontMono}" letter-spacing="2">SVG · XIAOHONGSHU · ${w}×${h}</text>`);
+        parts.push(`<text x="${padX}" y="${h - 80}" font-size="14" fill="${c.textLight}" font-family="${f.mono}" letter-spacing="2">SVG · XIAOHONGSHU · ${w}×${h}</text>`);
 
         return '\n        ' + parts.join('\n        ');
     }
@@ -367,11 +649,12 @@ class PremiumCardGenerator {
     // ═══════════════════════════════════════════════════════════
     renderTechPremiumSVG(analysis, template, w, h) {
         const c = template.colors;
+        const f = this.getFonts(template);
         const padX = 60;
         const contentW = w - padX * 2;
         let parts = [];
 
-        parts.push(`<rect width="${w}" height="${h}" fill="${c.background}" />`);
+        parts.push(this.renderBase(template, w, h));
 
         for (let y = 0; y <= h; y += 60) {
             parts.push(`<line x1="0" y1="${y}" x2="${w}" y2="${y}" stroke="${c.gridLine}" stroke-width="0.5" opacity="0.3" />`);
@@ -385,13 +668,13 @@ class PremiumCardGenerator {
         parts.push(`<circle cx="${padX + 30}" cy="100" r="7" fill="#FF5F56" />`);
         parts.push(`<circle cx="${padX + 52}" cy="100" r="7" fill="#FFBD2E" />`);
         parts.push(`<circle cx="${padX + 74}" cy="100" r="7" fill="#27C93F" />`);
-        parts.push(`<text x="${w - padX - 30}" y="107" font-size="13" fill="${c.textLight}" font-family="${this.fontMono}" text-anchor="end">terminal.sh</text>`);
+        parts.push(`<text x="${w - padX - 30}" y="107" font-size="13" fill="${c.textLight}" font-family="${f.mono}" text-anchor="end">terminal.sh</text>`);
 
         const titleFontSize = analysis.title.length > 20 ? 30 : 36;
         parts.push(this.wrapText(analysis.title, padX + 30, 145, titleFontSize, contentW - 60, c.text, {
             fontWeight: '700',
             lineHeight: 1.3,
-            fontFamily: this.fontSans,
+            fontFamily: f.sans,
             maxLines: 2
         }));
 
@@ -410,8 +693,8 @@ class PremiumCardGenerator {
 
                 parts.push(`<rect x="${cx}" y="${cy}" width="${cardW}" height="${cardH}" rx="12" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
                 parts.push(`<rect x="${cx}" y="${cy}" width="${cardW}" height="4" rx="2" fill="${c.primary}" />`);
-                parts.push(`<text x="${cx + 18}" y="${cy + 32}" font-size="14" fill="${c.textLight}" font-family="${this.fontMono}" letter-spacing="1">${this.escapeXML(dp.label).toUpperCase()}</text>`);
-                parts.push(`<text x="${cx + 18}" y="${cy + 72}" font-size="34" fill="${c.text}" font-family="${this.fontMono}" font-weight="800">${dp.value} <tspan font-size="20" fill="${c.primary}" font-weight="400">${dp.unit}</tspan></text>`);
+                parts.push(`<text x="${cx + 18}" y="${cy + 32}" font-size="14" fill="${c.textLight}" font-family="${f.mono}" letter-spacing="1">${this.escapeXML(dp.label).toUpperCase()}</text>`);
+                parts.push(`<text x="${cx + 18}" y="${cy + 72}" font-size="34" fill="${c.text}" font-family="${f.mono}" font-weight="800">${dp.value} <tspan font-size="20" fill="${c.primary}" font-weight="400">${dp.unit}</tspan></text>`);
                 const barW = cardW - 36;
                 const fillPct = Math.min(100, parseInt(dp.value) || 65);
                 parts.push(`<rect x="${cx + 18}" y="${cy + 90}" width="${barW}" height="6" rx="3" fill="rgba(255,255,255,0.05)" />`);
@@ -420,28 +703,43 @@ class PremiumCardGenerator {
             currentY += Math.ceil(analysis.dataPoints.length / cols) * (cardH + cardGap) + 10;
         }
 
-        if (analysis.keyPoints.length > 0) {
-            const kpH = Math.min(h - currentY - 100, 50 + analysis.keyPoints.length * 65);
+        // 代码窗口排在要点之前；有要点时为其保留至少两条的高度
+        const kpReserve = analysis.keyPoints.length > 0 ? 205 : 0;
+        analysis.codeBlocks.forEach((block) => {
+            const maxHeight = h - currentY - 100 - kpReserve;
+            const code = this.renderCodeWindow(block, template, { x: padX, y: currentY, width: contentW, maxHeight });
+            if (!code) return;
+            parts.push(code.svg);
+            currentY += code.height + 25;
+        });
+
+        const kpH = Math.min(h - currentY - 100, 50 + analysis.keyPoints.length * 65);
+        if (analysis.keyPoints.length > 0 && kpH >= 120) {
             parts.push(`<rect x="${padX}" y="${currentY}" width="${contentW}" height="${kpH}" rx="14" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
-            parts.push(`<text x="${padX + 25}" y="${currentY + 35}" font-size="15" fill="${c.primary}" font-family="${this.fontMono}" font-weight="700" letter-spacing="2">SYSTEM_LOG // KEY_POINTS</text>`);
+            parts.push(`<text x="${padX + 25}" y="${currentY + 35}" font-size="15" fill="${c.primary}" font-family="${f.mono}" font-weight="700" letter-spacing="2">SYSTEM_LOG // KEY_POINTS</text>`);
 
             let kpY = currentY + 65;
+            let full = false;
             analysis.keyPoints.forEach((point, i) => {
-                parts.push(`<text x="${padX + 25}" y="${kpY}" font-size="15" fill="${c.secondary}" font-family="${this.fontMono}" font-weight="700">[${i + 1}]</text>`);
                 const textX = padX + 75;
                 const textW = contentW - 100;
+                const lineCount = this.estimateLines(point, 19, textW, 2);
+                full = full || kpY + 19 * 1.45 * (lineCount - 1) > currentY + kpH - 20;
+                if (full) return;
+
+                parts.push(`<text x="${padX + 25}" y="${kpY}" font-size="15" fill="${c.secondary}" font-family="${f.mono}" font-weight="700">[${i + 1}]</text>`);
                 parts.push(this.wrapText(point, textX, kpY, 19, textW, '#E2E8F0', {
                     fontWeight: '400',
                     lineHeight: 1.45,
-                    fontFamily: this.fontSans,
+                    fontFamily: f.sans,
+                    align: template.textAlign,
                     maxLines: 2
                 }));
-                const lineCount = Math.min(2, Math.ceil(point.length / Math.floor(textW / (19 * 0.55))));
                 kpY += 19 * 1.45 * lineCount + 12;
             });
         }
 
-        parts.push(`<text x="${padX}" y="${h - 60}" font-size="13" fill="${c.textLight}" font-family="${this.fontMono}">// RENDER: SVG_PURE · ${w}×${h} · ACCENT: ${c.primary}</text>`);
+        parts.push(`<text x="${padX}" y="${h - 60}" font-size="13" fill="${c.textLight}" font-family="${f.mono}">// RENDER: SVG_PURE · ${w}×${h} · ACCENT: ${c.primary}</text>`);
 
         return '\n        ' + parts.join('\n        ');
     }
@@ -449,11 +747,12 @@ class PremiumCardGenerator {
     // ── 3. 暖风生活 (Lifestyle Premium) ──────────────────
     renderLifestylePremiumSVG(analysis, template, w, h) {
         const c = template.colors;
+        const f = this.getFonts(template);
         const padX = 70;
         const contentW = w - padX * 2;
         let parts = [];
 
-        parts.push(`<rect width="${w}" height="${h}" fill="${c.background}" />`);
+        parts.push(this.renderBase(template, w, h));
         parts.push(`<circle cx="${w - 150}" cy="200" r="180" fill="${c.primary}" opacity="0.04" />`);
         parts.push(`<circle cx="120" cy="${h - 250}" r="220" fill="${c.textLight}" opacity="0.03" />`);
 
@@ -466,19 +765,19 @@ class PremiumCardGenerator {
         const badgeW = 160;
         const badgeX = Math.round(w / 2 - badgeW / 2);
         parts.push(`<rect x="${badgeX}" y="${cardY + 40}" width="${badgeW}" height="34" rx="17" fill="${c.accent}" />`);
-        parts.push(`<text x="${w / 2}" y="${cardY + 62}" font-size="15" fill="${c.primary}" font-family="${this.fontSans}" font-weight="700" text-anchor="middle" letter-spacing="2">LIFE STYLE</text>`);
+        parts.push(`<text x="${w / 2}" y="${cardY + 62}" font-size="15" fill="${c.primary}" font-family="${f.sans}" font-weight="700" text-anchor="middle" letter-spacing="2">LIFE STYLE</text>`);
 
         const titleY = cardY + 115;
         const titleFontSize = analysis.title.length > 16 ? 36 : 44;
         parts.push(this.wrapText(analysis.title, cardX + 40, titleY, titleFontSize, cardW - 80, c.text, {
             fontWeight: '700',
             lineHeight: 1.35,
-            fontFamily: this.fontSans,
+            fontFamily: f.sans,
             maxLines: 3
         }));
 
-        const subTitleY = titleY + titleFontSize * 1.35 * Math.min(3, Math.ceil(analysis.title.length / Math.floor((cardW - 80) / (titleFontSize * 0.55)))) + 15;
-        parts.push(`<text x="${w / 2}" y="${subTitleY}" font-size="16" fill="${c.textLight}" font-family="${this.fontSans}" text-anchor="middle" letter-spacing="2">Daily Share · Content &amp; Life</text>`);
+        const subTitleY = titleY + titleFontSize * 1.35 * this.estimateLines(analysis.title, titleFontSize, cardW - 80, 3) + 15;
+        parts.push(`<text x="${w / 2}" y="${subTitleY}" font-size="16" fill="${c.textLight}" font-family="${f.sans}" text-anchor="middle" letter-spacing="2">Daily Share · Content &amp; Life</text>`);
 
         let currentY = subTitleY + 40;
         if (analysis.keyPoints.length > 0) {
@@ -490,21 +789,22 @@ class PremiumCardGenerator {
             let kpY = currentY + 40;
             analysis.keyPoints.forEach((point, i) => {
                 parts.push(`<circle cx="${insetX + 25}" cy="${kpY - 5}" r="14" fill="${c.primary}" />`);
-                parts.push(`<text x="${insetX + 25}" y="${kpY}" font-size="14" fill="white" font-family="${this.fontSans}" font-weight="700" text-anchor="middle">${i + 1}</text>`);
+                parts.push(`<text x="${insetX + 25}" y="${kpY}" font-size="14" fill="white" font-family="${f.sans}" font-weight="700" text-anchor="middle">${i + 1}</text>`);
                 const textX = insetX + 50;
                 const textW = insetW - 70;
                 parts.push(this.wrapText(point, textX, kpY, 20, textW, '#3F4238', {
                     fontWeight: '500',
                     lineHeight: 1.45,
-                    fontFamily: this.fontSans,
+                    fontFamily: f.sans,
+                    align: template.textAlign,
                     maxLines: 2
                 }));
-                const lineCount = Math.min(2, Math.ceil(point.length / Math.floor(textW / (20 * 0.55))));
+                const lineCount = this.estimateLines(point, 20, textW, 2);
                 kpY += 20 * 1.45 * lineCount + 16;
             });
         }
 
-        parts.push(`<text x="${w / 2}" y="${h - 110}" font-size="15" fill="${c.primary}" font-family="${this.fontSans}" font-weight="700" text-anchor="middle" letter-spacing="3">✦ LIFESTYLE SELECTION ✦</text>`);
+        parts.push(`<text x="${w / 2}" y="${h - 110}" font-size="15" fill="${c.primary}" font-family="${f.sans}" font-weight="700" text-anchor="middle" letter-spacing="3">✦ LIFESTYLE SELECTION ✦</text>`);
 
         return '\n        ' + parts.join('\n        ');
     }
@@ -512,27 +812,28 @@ class PremiumCardGenerator {
     // ── 4. 数据看板 (Data Showcase - Bento) ─────────────
     renderDataShowcaseSVG(analysis, template, w, h) {
         const c = template.colors;
+        const f = this.getFonts(template);
         const padX = 50;
         const contentW = w - padX * 2;
         const gap = 20;
         let parts = [];
 
-        parts.push(`<rect width="${w}" height="${h}" fill="${c.background}" />`);
+        parts.push(this.renderBase(template, w, h));
 
         const headerH = 180;
         parts.push(`<rect x="${padX}" y="70" width="${contentW}" height="${headerH}" rx="18" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
 
         const badgeW = 150;
         parts.push(`<rect x="${padX + 25}" y="95" width="${badgeW}" height="28" rx="14" fill="${c.primary}" opacity="0.15" />`);
-        parts.push(`<text x="${padX + 25 + badgeW / 2}" y="114" font-size="12" fill="${c.secondary}" font-family="${this.fontMono}" font-weight="700" text-anchor="middle" letter-spacing="2">DATA_MONITOR</text>`);
+        parts.push(`<text x="${padX + 25 + badgeW / 2}" y="114" font-size="12" fill="${c.secondary}" font-family="${f.mono}" font-weight="700" text-anchor="middle" letter-spacing="2">DATA_MONITOR</text>`);
 
         parts.push(this.wrapText(analysis.title, padX + 25, 160, 32, contentW - 50, c.text, {
             fontWeight: '700',
             lineHeight: 1.3,
-            fontFamily: this.fontSans,
+            fontFamily: f.sans,
             maxLines: 2
         }));
-        parts.push(`<text x="${padX + 25}" y="215" font-size="15" fill="${c.textLight}" font-family="${this.fontSans}">基于真实指标分析的数据看板</text>`);
+        parts.push(`<text x="${padX + 25}" y="215" font-size="15" fill="${c.textLight}" font-family="${f.sans}">基于真实指标分析的数据看板</text>`);
 
         let currentY = 70 + headerH + gap;
         if (analysis.dataPoints.length > 0) {
@@ -547,8 +848,8 @@ class PremiumCardGenerator {
                 const cy = currentY + row * (cardH + gap);
 
                 parts.push(`<rect x="${cx}" y="${cy}" width="${cardW}" height="${cardH}" rx="18" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
-                parts.push(`<text x="${cx + 20}" y="${cy + 30}" font-size="14" fill="${c.textLight}" font-family="${this.fontMono}">${this.escapeXML(dp.label)}</text>`);
-                parts.push(`<text x="${cx + 20}" y="${cy + 75}" font-size="38" fill="${c.secondary}" font-family="${this.fontMono}" font-weight="800">${dp.value} <tspan font-size="20" font-weight="400" fill="${c.textLight}">${dp.unit}</tspan></text>`);
+                parts.push(`<text x="${cx + 20}" y="${cy + 30}" font-size="14" fill="${c.textLight}" font-family="${f.mono}">${this.escapeXML(dp.label)}</text>`);
+                parts.push(`<text x="${cx + 20}" y="${cy + 75}" font-size="38" fill="${c.secondary}" font-family="${f.mono}" font-weight="800">${dp.value} <tspan font-size="20" font-weight="400" fill="${c.textLight}">${dp.unit}</tspan></text>`);
 
                 const barW = cardW - 40;
                 const pct = Math.min(100, parseInt(dp.value) || 50);
@@ -559,19 +860,28 @@ class PremiumCardGenerator {
             currentY += Math.ceil(analysis.dataPoints.length / cols) * (cardH + gap) + 5;
         }
 
-        if (analysis.keyPoints.length > 0) {
+        // 图表面板：要点区至少保留两行的高度
+        const insightsReserve = analysis.keyPoints.length > 0 ? 170 : 0;
+        const chartH = Math.min(420, h - currentY - 80 - insightsReserve);
+        if (analysis.chart && chartH >= 260) {
+            parts.push(this.renderChartPanel(analysis.chart, template, { x: padX, y: currentY, width: contentW, height: chartH }));
+            currentY += chartH + gap;
+        }
+
+        if (analysis.keyPoints.length > 0 && h - currentY - 80 >= 110) {
             const insH = Math.min(h - currentY - 80, analysis.keyPoints.length * 55 + 60);
             parts.push(`<rect x="${padX}" y="${currentY}" width="${contentW}" height="${insH}" rx="18" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
-            parts.push(`<text x="${padX + 25}" y="${currentY + 35}" font-size="14" fill="${c.secondary}" font-family="${this.fontMono}" font-weight="700" letter-spacing="2">CORE_INSIGHTS_LOG</text>`);
+            parts.push(`<text x="${padX + 25}" y="${currentY + 35}" font-size="14" fill="${c.secondary}" font-family="${f.mono}" font-weight="700" letter-spacing="2">CORE_INSIGHTS_LOG</text>`);
             parts.push(`<line x1="${padX + 25}" y1="${currentY + 45}" x2="${padX + contentW - 25}" y2="${currentY + 45}" stroke="${c.border}" stroke-width="1" />`);
 
             let ky = currentY + 70;
             analysis.keyPoints.slice(0, 4).forEach((p, i) => {
-                parts.push(`<text x="${padX + 25}" y="${ky}" font-size="14" fill="${c.secondary}" font-family="${this.fontMono}" font-weight="700">INDEX_0${i + 1}</text>`);
+                parts.push(`<text x="${padX + 25}" y="${ky}" font-size="14" fill="${c.secondary}" font-family="${f.mono}" font-weight="700">INDEX_0${i + 1}</text>`);
                 parts.push(this.wrapText(p, padX + 115, ky, 17, contentW - 140, '#E2E8F0', {
                     fontWeight: '400',
                     lineHeight: 1.4,
-                    fontFamily: this.fontSans,
+                    fontFamily: f.sans,
+                    align: template.textAlign,
                     maxLines: 2
                 }));
                 ky += 50;
@@ -581,29 +891,116 @@ class PremiumCardGenerator {
         return '\n        ' + parts.join('\n        ');
     }
 
+    // 图表卡片：标题行（图表类型 + 标题）+ SVG 图表
+    renderChartPanel(chart, template, panel) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const parts = [];
+
+        parts.push(`<rect x="${panel.x}" y="${panel.y}" width="${panel.width}" height="${panel.height}" rx="18" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
+        parts.push(`<text x="${panel.x + 25}" y="${panel.y + 35}" font-size="14" fill="${c.secondary}" font-family="${f.mono}" font-weight="700" letter-spacing="2">CHART_${chart.type.toUpperCase()}</text>`);
+        if (chart.title) {
+            parts.push(`<text x="${panel.x + panel.width - 25}" y="${panel.y + 35}" font-size="18" fill="${c.text}" font-family="${f.sans}" font-weight="600" text-anchor="end">${this.escapeXML(this.charts.fitLabel(chart.title, panel.width - 260, 18))}</text>`);
+        }
+        parts.push(`<line x1="${panel.x + 25}" y1="${panel.y + 45}" x2="${panel.x + panel.width - 25}" y2="${panel.y + 45}" stroke="${c.border}" stroke-width="1" />`);
+
+        parts.push(this.charts.render(chart, {
+            x: panel.x + 30,
+            y: panel.y + 70,
+            width: panel.width - 60,
+            height: panel.height - 95
+        }, { colors: c, fonts: f }));
+
+        return parts.join('\n        ');
+    }
+
+    // 代码窗口：终端标题栏（三色圆点 + 文件名 / 语言）+ 行号 + 语法高亮；
+    // 放不下的行折叠为「还有 N 行」，可用高度连三行都放不下时返回 null
+    renderCodeWindow(block, template, panel) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const highlighter = this.codeHighlighter;
+        const lang = highlighter.resolveLanguage(block.lang, block.value);
+        const theme = highlighter.createTheme({
+            background: c.cardBg,
+            text: c.text,
+            muted: c.textLight,
+            accents: [c.primary, c.secondary]
+        });
+
+        const fontSize = 20;
+        const lineH = 32;
+        const barH = 46;
+        const padY = 22;
+        const lines = highlighter.tokenize(block.value, lang);
+        while (lines.length > 1 && lines[lines.length - 1].length === 0) lines.pop();
+
+        const available = Math.floor((panel.maxHeight - barH - padY * 2) / lineH);
+        if (available < 3) return null;
+        const overflow = lines.length > available;
+        const shown = overflow ? lines.slice(0, available - 1) : lines;
+        const height = barH + padY * 2 + (shown.length + (overflow ? 1 : 0)) * lineH;
+
+        const gutterW = String(shown.length).length * fontSize * 0.6 + 36;
+        const codeX = panel.x + gutterW + 12;
+        const columns = Math.floor((panel.x + panel.width - 24 - codeX) / (fontSize * 0.6));
+        const title = block.info || highlighter.getFileName(lang);
+
+        const parts = [];
+        parts.push(`<rect x="${panel.x}" y="${panel.y}" width="${panel.width}" height="${height}" rx="14" fill="${theme.background}" stroke="${c.border}" stroke-width="1.5" />`);
+        parts.push(`<path d="M${panel.x} ${panel.y + barH} V${panel.y + 14} a14 14 0 0 1 14 -14 H${panel.x + panel.width - 14} a14 14 0 0 1 14 14 V${panel.y + barH} Z" fill="${theme.titleBar}" />`);
+        parts.push(`<line x1="${panel.x}" y1="${panel.y + barH}" x2="${panel.x + panel.width}" y2="${panel.y + barH}" stroke="${c.border}" stroke-width="1" />`);
+        ['#FF5F56', '#FFBD2E', '#27C93F'].forEach((color, i) => {
+            parts.push(`<circle cx="${panel.x + 26 + i * 22}" cy="${panel.y + barH / 2}" r="7" fill="${color}" />`);
+        });
+        parts.push(`<text x="${panel.x + panel.width / 2}" y="${panel.y + barH / 2 + 5}" font-size="14" fill="${theme.lineNumber}" font-family="${f.mono}" text-anchor="middle">${this.escapeXML(title)}</text>`);
+        parts.push(`<text x="${panel.x + panel.width - 22}" y="${panel.y + barH / 2 + 5}" font-size="12" fill="${c.primary}" font-family="${f.mono}" font-weight="700" text-anchor="end" letter-spacing="1">${this.escapeXML(highlighter.getLanguageLabel(lang, block.lang)).toUpperCase()}</text>`);
+        parts.push(`<line x1="${panel.x + gutterW}" y1="${panel.y + barH}" x2="${panel.x + gutterW}" y2="${panel.y + height}" stroke="${c.border}" stroke-width="1" />`);
+
+        // 空格替换为不折叠的空格，保留缩进
+        const preserve = text => this.escapeXML(text).replace(/ /g, '\u00A0');
+        shown.forEach((tokens, i) => {
+            const y = panel.y + barH + padY + i * lineH + fontSize;
+            parts.push(`<text x="${panel.x + gutterW - 14}" y="${y}" font-size="${fontSize - 4}" fill="${theme.lineNumber}" font-family="${f.mono}" text-anchor="end">${i + 1}</text>`);
+            const spans = highlighter.clipLine(tokens, columns)
+                .map(token => `<tspan fill="${theme[token.type] || theme.plain}"${token.type === 'comment' ? ' font-style="italic"' : ''}>${preserve(token.text)}</tspan>`)
+                .join('');
+            if (spans) {
+                parts.push(`<text x="${codeX}" y="${y}" font-size="${fontSize}" fill="${theme.plain}" font-family="${f.mono}">${spans}</text>`);
+            }
+        });
+        if (overflow) {
+            const y = panel.y + barH + padY + shown.length * lineH + fontSize;
+            parts.push(`<text x="${codeX}" y="${y}" font-size="${fontSize - 4}" fill="${theme.comment}" font-family="${f.mono}" font-style="italic">// … 还有 ${lines.length - shown.length} 行</text>`);
+        }
+
+        return { svg: parts.join('\n        '), height };
+    }
+
     // ── 5. 经典人文画册 (Editorial Serif) ──────────────────
     renderEditorialSerifSVG(analysis, template, w, h) {
         const c = template.colors;
+        const f = this.getFonts(template);
         const padX = 90;
         const contentW = w - padX * 2;
         let parts = [];
 
-        parts.push(`<rect width="${w}" height="${h}" fill="${c.background}" />`);
+        parts.push(this.renderBase(template, w, h));
         parts.push(`<rect x="30" y="30" width="${w - 60}" height="${h - 60}" fill="none" stroke="${c.border}" stroke-width="1" />`);
 
-        parts.push(`<text x="60" y="250" font-size="200" fill="${c.primary}" opacity="0.08" font-family="${this.fontSerif}">\u201C</text>`);
-        parts.push(`<text x="${w - 200}" y="${h - 150}" font-size="200" fill="${c.primary}" opacity="0.08" font-family="${this.fontSerif}">\u201D</text>`);
+        parts.push(`<text x="60" y="250" font-size="200" fill="${c.primary}" opacity="0.08" font-family="${f.serif}">\u201C</text>`);
+        parts.push(`<text x="${w - 200}" y="${h - 150}" font-size="200" fill="${c.primary}" opacity="0.08" font-family="${f.serif}">\u201D</text>`);
 
         const titleY = 240;
         const titleFontSize = analysis.title.length > 16 ? 38 : 48;
         parts.push(this.wrapText(analysis.title, padX, titleY, titleFontSize, contentW, c.text, {
             fontWeight: '700',
             lineHeight: 1.4,
-            fontFamily: this.fontSerif,
+            fontFamily: f.serif,
             maxLines: 3
         }));
 
-        const sepY = titleY + titleFontSize * 1.4 * Math.min(3, Math.ceil(analysis.title.length / Math.floor(contentW / (titleFontSize * 0.55)))) + 25;
+        const sepY = titleY + titleFontSize * 1.4 * this.estimateLines(analysis.title, titleFontSize, contentW, 3) + 25;
         parts.push(`<line x1="${padX}" y1="${sepY}" x2="${padX + 80}" y2="${sepY}" stroke="${c.primary}" stroke-width="3" stroke-linecap="round" />`);
 
         let currentY = sepY + 50;
@@ -613,10 +1010,11 @@ class PremiumCardGenerator {
                 parts.push(this.wrapText(indented, padX, currentY, 23, contentW, '#2C2C2C', {
                     fontWeight: '400',
                     lineHeight: 1.8,
-                    fontFamily: this.fontSerif,
+                    fontFamily: f.serif,
+                    align: template.textAlign,
                     maxLines: 4
                 }));
-                const lineCount = Math.min(4, Math.ceil(indented.length / Math.floor(contentW / (23 * 0.55))));
+                const lineCount = this.estimateLines(indented, 23, contentW, 4);
                 currentY += 23 * 1.8 * lineCount + 20;
             });
         } else {
@@ -624,7 +1022,8 @@ class PremiumCardGenerator {
             parts.push(this.wrapText(indented, padX, currentY, 23, contentW, '#2C2C2C', {
                 fontWeight: '400',
                 lineHeight: 1.8,
-                fontFamily: this.fontSerif,
+                fontFamily: f.serif,
+                align: template.textAlign,
                 maxLines: 15
             }));
         }
@@ -636,12 +1035,303 @@ class PremiumCardGenerator {
             const dpGap = Math.floor(contentW / Math.min(3, analysis.dataPoints.length));
             analysis.dataPoints.slice(0, 3).forEach((dp, i) => {
                 const dx = padX + i * dpGap;
-                parts.push(`<text x="${dx}" y="${currentY}" font-size="14" fill="${c.textLight}" font-family="${this.fontSans}">${this.escapeXML(dp.label)}</text>`);
-                parts.push(`<text x="${dx}" y="${currentY + 30}" font-size="24" fill="${c.primary}" font-family="${this.fontSerif}" font-weight="700">${dp.value} ${dp.unit}</text>`);
+                parts.push(`<text x="${dx}" y="${currentY}" font-size="14" fill="${c.textLight}" font-family="${f.sans}">${this.escapeXML(dp.label)}</text>`);
+                parts.push(`<text x="${dx}" y="${currentY + 30}" font-size="24" fill="${c.primary}" font-family="${f.serif}" font-weight="700">${dp.value} ${dp.unit}</text>`);
+            });
+        }
+
+        parts.push(`<text x="${padX}" y="${h - 80}" font-size="14" fill="${c.textLight}" font-family="${f.serif}" font-style="italic" letter-spacing="1">\u2014\u2014 \u9009\u81EA\u00B7\u4EBA\u6587\u4E13\u680F\u7CFB\u5217 \u00B7 SVG\u5448\u73B0 \u00B7 ${w}\u00D7${h}</text>`);
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    //  轮播页角色版式
+    // ═══════════════════════════════════════════════════════════
+
+    // 角色版式的排版区域（外边距、内容宽度与上下边界）
+    getRoleFrame(template, w, h, contentLimit = null) {
+        const margin = Math.round(Math.min(w, h) * 0.06);
+        const padX = margin + 60;
+        return {
+            margin,
+            padX,
+            contentW: w - padX * 2,
+            top: margin + Math.round(Math.min(h * 0.06, 80)),
+            bottom: Math.min(h - margin - Math.round(Math.min(h * 0.06, 80)), contentLimit ?? Infinity),
+            scale: Math.min(1, h / 1440)
+        };
+    }
+
+    // 角色版式背景：模板带卡片底色时再绘制一张内容卡片
+    renderRoleBackground(template, frame, w, h) {
+        const c = template.colors;
+        const parts = [this.renderBase(template, w, h)];
+        if (c.cardBg) {
+            parts.push(`<rect x="${frame.margin}" y="${frame.margin}" width="${w - frame.margin * 2}" height="${h - frame.margin * 2}" rx="28" fill="${c.cardBg}" stroke="${c.border}" stroke-width="1.5" />`);
+        }
+        return parts;
+    }
+
+    // 标题字体：人文画册模板使用衬线体
+    getDisplayFont(template) {
+        const f = this.getFonts(template);
+        return template.id === 'editorial-serif-svg' ? f.serif : f.sans;
+    }
+
+    // 与 wrapText 一致的行数估算
+    estimateLines(text, fontSize, maxWidth, maxLines) {
+        const plain = this.markdownParser.toPlainText(String(text || ''));
+        const lines = this.textLayout.breakLines(plain, maxWidth, line => this.textLayout.estimateWidth(line, fontSize), { compress: false });
+        return Math.min(maxLines, Math.max(1, lines.length));
+    }
+
+    // 页码角标（右上角 “2/6”）
+    renderPageIndicator(page, template, right, top) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const label = page.indicator || `${page.pageNumber}/${page.totalPages}`;
+        const pillW = 36 + label.length * 15;
+        const x = right - pillW;
+        return `
+        <rect x="${x}" y="${top}" width="${pillW}" height="44" rx="22" fill="${c.primary}" fill-opacity="0.14" />
+        <text x="${x + pillW / 2}" y="${top + 30}" font-size="24" fill="${c.primary}" font-family="${f.mono}" font-weight="700" text-anchor="middle">${this.escapeXML(label)}</text>`;
+    }
+
+    // 封面：超大钩子标题 + 副标题 + 本篇看点 + 左滑提示
+    renderCoverSVG(page, analysis, template, w, h, contentLimit = null) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const frame = this.getRoleFrame(template, w, h, contentLimit);
+        const { padX, contentW, scale } = frame;
+        const parts = this.renderRoleBackground(template, frame, w, h);
+
+        parts.push(`<text x="${padX}" y="${frame.top + 30}" font-size="20" fill="${c.textLight}" font-family="${f.mono}" font-weight="600" letter-spacing="3">CAROUSEL · ${page.totalPages} PAGES</text>`);
+
+        const title = page.title || analysis.title;
+        const titleSize = Math.round((title.length > 14 ? 72 : 88) * Math.max(scale, 0.7));
+        const titleLines = this.estimateLines(title, titleSize, contentW, 4);
+        let y = frame.top + Math.round(h * 0.16);
+        parts.push(this.wrapText(title, padX, y, titleSize, contentW, c.text, {
+            fontWeight: '800',
+            lineHeight: 1.25,
+            fontFamily: this.getDisplayFont(template),
+            maxLines: 4
+        }));
+        y += Math.round(titleSize * 1.25 * (titleLines - 1)) + 50;
+        parts.push(`<rect x="${padX}" y="${y}" width="140" height="10" rx="5" fill="${c.primary}" />`);
+        y += 70;
+
+        if (page.subtitle) {
+            parts.push(this.wrapText(page.subtitle, padX, y, 32, contentW, c.textLight, {
+                fontWeight: '500',
+                fontFamily: f.sans,
+                maxLines: 2
+            }));
+            y += Math.round(32 * 1.55 * this.estimateLines(page.subtitle, 32, contentW, 2)) + 40;
+        }
+
+        const items = page.items || [];
+        const rowH = Math.round(64 * Math.max(scale, 0.8));
+        const fitCount = Math.max(0, Math.floor((frame.bottom - 80 - y) / rowH) - 1);
+        if (items.length > 0 && fitCount > 0) {
+            parts.push(`<text x="${padX}" y="${y}" font-size="22" fill="${c.primary}" font-family="${f.sans}" font-weight="700" letter-spacing="2">本篇看点</text>`);
+            y += rowH;
+            items.slice(0, fitCount).forEach((item, i) => {
+                parts.push(`<text x="${padX}" y="${y}" font-size="28" fill="${c.primary}" font-family="${f.mono}" font-weight="800">${String(i + 1).padStart(2, '0')}</text>`);
+                parts.push(this.wrapText(item, padX + 70, y, 30, contentW - 70, c.text, {
+                    fontWeight: '500',
+                    fontFamily: f.sans,
+                    maxLines: 1
+                }));
+                y += rowH;
             });
         }
 
-        parts.push(`<text x="${padX}" y="${h - 80}" font-size="14" fill="${c.textLight}" font-family="${this.fontSerif}" font-style="italic" letter-spacing="1">\u2014\u2014 \u9009\u81EA\u00B7\u4EBA\u6587\u4E13\u680F\u7CFB\u5217 \u00B7 SVG\u5448\u73B0 \u00B7 ${w}\u00D7${h}</text>`);
+        parts.push(`<text x="${w - padX}" y="${frame.bottom}" font-size="26" fill="${c.primary}" font-family="${f.sans}" font-weight="700" text-anchor="end">左滑查看 →</text>`);
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 清单：编号徽标 + 逐条卡片
+    renderListSVG(page, analysis, template, w, h, contentLimit = null) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const frame = this.getRoleFrame(template, w, h, contentLimit);
+        const { padX, contentW } = frame;
+        const parts = this.renderRoleBackground(template, frame, w, h);
+
+        const title = page.title || analysis.title;
+        let y = frame.top + 30;
+        parts.push(`<text x="${padX}" y="${y}" font-size="20" fill="${c.textLight}" font-family="${f.mono}" font-weight="600" letter-spacing="3">CHECKLIST · ${page.items.length}</text>`);
+        y += 80;
+        parts.push(this.wrapText(title, padX, y, 52, contentW, c.text, {
+            fontWeight: '800',
+            lineHeight: 1.3,
+            fontFamily: this.getDisplayFont(template),
+            maxLines: 2
+        }));
+        y += Math.round(52 * 1.3 * (this.estimateLines(title, 52, contentW, 2) - 1)) + 60;
+
+        const items = page.items.length > 0 ? page.items : analysis.keyPoints;
+        const textX = padX + 100;
+        const textW = contentW - 130;
+        for (let i = 0; i < items.length; i++) {
+            const lines = this.estimateLines(items[i], 30, textW, 2);
+            const rowH = Math.max(104, Math.round(30 * 1.5 * lines) + 56);
+            if (y + rowH > frame.bottom) break;
+
+            parts.push(`<rect x="${padX}" y="${y}" width="${contentW}" height="${rowH}" rx="20" fill="${c.primary}" fill-opacity="0.06" stroke="${c.border}" stroke-width="1.5" />`);
+            parts.push(`<circle cx="${padX + 50}" cy="${y + rowH / 2}" r="26" fill="${c.primary}" />`);
+            parts.push(`<text x="${padX + 50}" y="${y + rowH / 2 + 10}" font-size="28" fill="#FFFFFF" font-family="${f.mono}" font-weight="800" text-anchor="middle">${i + 1}</text>`);
+            parts.push(this.wrapText(items[i], textX, y + rowH / 2 + 10 - Math.round(30 * 1.5 * (lines - 1) / 2), 30, textW, c.text, {
+                fontWeight: '500',
+                lineHeight: 1.5,
+                fontFamily: f.sans,
+                align: template.textAlign,
+                maxLines: 2
+            }));
+            y += rowH + 20;
+        }
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 数据：超大号数字卡片 + 补充说明
+    renderDataSVG(page, analysis, template, w, h, contentLimit = null) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const frame = this.getRoleFrame(template, w, h, contentLimit);
+        const { padX, contentW, scale } = frame;
+        const parts = this.renderRoleBackground(template, frame, w, h);
+
+        const title = page.title || analysis.title;
+        let y = frame.top + 30;
+        parts.push(`<text x="${padX}" y="${y}" font-size="20" fill="${c.textLight}" font-family="${f.mono}" font-weight="600" letter-spacing="3">BY THE NUMBERS</text>`);
+        y += 80;
+        parts.push(this.wrapText(title, padX, y, 48, contentW, c.text, {
+            fontWeight: '800',
+            lineHeight: 1.3,
+            fontFamily: this.getDisplayFont(template),
+            maxLines: 2
+        }));
+        y += Math.round(48 * 1.3 * (this.estimateLines(title, 48, contentW, 2) - 1)) + 50;
+
+        const points = (page.dataPoints.length > 0 ? page.dataPoints : analysis.dataPoints).slice(0, 4);
+        const cols = points.length <= 2 ? 1 : 2;
+        const gap = 24;
+        const cardW = Math.floor((contentW - gap * (cols - 1)) / cols);
+        const valueSize = Math.round((cols === 1 ? 120 : 88) * Math.max(scale, 0.6));
+        const cardH = valueSize + 110;
+
+        points.forEach((dp, i) => {
+            const cx = padX + (i % cols) * (cardW + gap);
+            const cy = y + Math.floor(i / cols) * (cardH + gap);
+            if (cy + cardH > frame.bottom) return;
+
+            parts.push(`<rect x="${cx}" y="${cy}" width="${cardW}" height="${cardH}" rx="24" fill="${c.primary}" fill-opacity="0.07" stroke="${c.border}" stroke-width="1.5" />`);
+            parts.push(`<text x="${cx + 32}" y="${cy + 30 + valueSize}" font-size="${valueSize}" fill="${c.primary}" font-family="${f.mono}" font-weight="800">${this.escapeXML(dp.value)}<tspan font-size="${Math.round(valueSize * 0.36)}" fill="${c.textLight}" font-weight="600" dx="8">${this.escapeXML(dp.unit)}</tspan></text>`);
+            parts.push(`<text x="${cx + 32}" y="${cy + cardH - 30}" font-size="26" fill="${c.textLight}" font-family="${f.sans}" font-weight="500">${this.escapeXML(dp.label)}</text>`);
+        });
+        y += Math.ceil(points.length / cols) * (cardH + gap) + 30;
+
+        // 数据看板模板在数字卡片下方追加图表
+        const chartH = Math.min(420, frame.bottom - y - 40);
+        if (template.id === 'data-showcase-svg' && analysis.chart && chartH >= 260) {
+            parts.push(this.renderChartPanel(analysis.chart, template, { x: padX, y, width: contentW, height: chartH }));
+            y += chartH + 30;
+        }
+
+        const note = page.body.split('\n').slice(0, 3).join(' ');
+        if (note && y + 60 < frame.bottom) {
+            parts.push(`<line x1="${padX}" y1="${y}" x2="${padX + contentW}" y2="${y}" stroke="${c.border}" stroke-width="1.5" stroke-dasharray="8 6" />`);
+            parts.push(this.wrapText(note, padX, y + 60, 26, contentW, c.textLight, {
+                fontWeight: '400',
+                lineHeight: 1.6,
+                fontFamily: f.sans,
+                align: template.textAlign,
+                maxLines: Math.max(1, Math.min(4, Math.floor((frame.bottom - y - 60) / (26 * 1.6))))
+            }));
+        }
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 金句：大引号 + 居中大字
+    renderQuoteSVG(page, analysis, template, w, h, contentLimit = null) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const frame = this.getRoleFrame(template, w, h, contentLimit);
+        const { padX, contentW } = frame;
+        const parts = this.renderRoleBackground(template, frame, w, h);
+
+        const quote = page.quote || page.body || analysis.title;
+        const fontSize = quote.length > 24 ? 48 : 58;
+        const lines = this.estimateLines(quote, fontSize, contentW, 7);
+        const blockH = Math.round(fontSize * 1.6 * lines);
+        const startY = Math.round(h / 2 - blockH / 2 + fontSize * 0.4);
+
+        parts.push(`<text x="${padX - 20}" y="${startY - fontSize + 40}" font-size="260" fill="${c.primary}" opacity="0.16" font-family="${f.serif}">“</text>`);
+        parts.push(this.wrapText(quote, padX, startY, fontSize, contentW, c.text, {
+            fontWeight: '700',
+            lineHeight: 1.6,
+            fontFamily: f.serif,
+            maxLines: 7
+        }));
+
+        const lineY = startY + blockH + 10;
+        parts.push(`<rect x="${padX}" y="${lineY}" width="80" height="6" rx="3" fill="${c.primary}" />`);
+        if (page.title) {
+            parts.push(`<text x="${padX}" y="${lineY + 60}" font-size="26" fill="${c.textLight}" font-family="${f.sans}">—— ${this.escapeXML(page.title)}</text>`);
+        }
+
+        return '\n        ' + parts.join('\n        ');
+    }
+
+    // 总结：打勾回顾 + 互动引导
+    renderSummarySVG(page, analysis, template, w, h, contentLimit = null) {
+        const c = template.colors;
+        const f = this.getFonts(template);
+        const frame = this.getRoleFrame(template, w, h, contentLimit);
+        const { padX, contentW } = frame;
+        const parts = this.renderRoleBackground(template, frame, w, h);
+
+        let y = frame.top + 30;
+        parts.push(`<text x="${padX}" y="${y}" font-size="20" fill="${c.textLight}" font-family="${f.mono}" font-weight="600" letter-spacing="3">SUMMARY</text>`);
+        y += 80;
+        parts.push(this.wrapText(page.title, padX, y, 52, contentW, c.text, {
+            fontWeight: '800',
+            lineHeight: 1.3,
+            fontFamily: this.getDisplayFont(template),
+            maxLines: 2
+        }));
+        y += Math.round(52 * 1.3 * (this.estimateLines(page.title, 52, contentW, 2) - 1)) + 70;
+
+        const ctaH = page.cta ? 120 : 0;
+        const itemsBottom = frame.bottom - ctaH - 40;
+        const textW = contentW - 70;
+        for (const item of page.items) {
+            const lines = this.estimateLines(item, 30, textW, 2);
+            const rowH = Math.round(30 * 1.5 * lines) + 36;
+            if (y + rowH > itemsBottom) break;
+
+            parts.push(`<circle cx="${padX + 20}" cy="${y - 10}" r="20" fill="none" stroke="${c.primary}" stroke-width="3" />`);
+            parts.push(`<path d="M ${padX + 10} ${y - 10} l 7 7 l 13 -14" fill="none" stroke="${c.primary}" stroke-width="4" stroke-linecap="round" stroke-linejoin="round" />`);
+            parts.push(this.wrapText(item, padX + 70, y, 30, textW, c.text, {
+                fontWeight: '500',
+                lineHeight: 1.5,
+                fontFamily: f.sans,
+                align: template.textAlign,
+                maxLines: 2
+            }));
+            y += rowH;
+        }
+
+        if (page.cta) {
+            const ctaY = frame.bottom - ctaH;
+            parts.push(`<rect x="${padX}" y="${ctaY}" width="${contentW}" height="${ctaH}" rx="28" fill="${c.primary}" />`);
+            parts.push(`<text x="${w / 2}" y="${ctaY + ctaH / 2 + 11}" font-size="30" fill="#FFFFFF" font-family="${f.sans}" font-weight="700" text-anchor="middle">${this.escapeXML(page.cta)}</text>`);
+        }
 
         return '\n        ' + parts.join('\n        ');
     }
@@ -693,5 +1383,12 @@ class PremiumCardGenerator {
     }
 }
 
-// 全局实例
-window.premiumCardGenerator = new PremiumCardGenerator();
+// 全局实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.premiumCardGenerator = new PremiumCardGenerator();
+}
+
+// Node 环境导出类，供 bin/xhs-card.js 命令行工具使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PremiumCardGenerator;
+}
@@ -13,13 +13,41 @@ class PreviewSystem {
             template: null,
             customTags: [],
             optimizedContent: '',
-            generationSettings: {}
+            generationSettings: {},
+            // 步骤4调整过的页面编排：{ content, imageCount, pages }，正文或图片数量变化后不再沿用
+            pagePlan: null
         };
 
         // Step4 preview state
         this.previewImages = [];
         this.previewIndex = 0;
         this.previewUpdateTimeout = null;
+
+        // 边写边渲染：按页缓存渲染结果（缓存键由页面内容与样式设置组成），只重绘有变化的页面
+        this.liveRender = {
+            enabled: false,
+            storageKey: 'live_render_enabled',
+            delay: 600,
+            timer: null,
+            running: false,
+            queued: false,
+            cache: new Map(),
+            // 被替换的旧图片 URL，界面换上新图片后再释放
+            stale: [],
+            analysis: null,
+            // 自动分页结果：{ key, pages }
+            fit: null,
+            images: null
+        };
+
+        // 真机预览：把生成的卡片放进模拟的小红书发现页（双列信息流）与笔记详情页，浅色 / 深色两种外观
+        this.mockup = {
+            view: 'feed',
+            theme: 'light',
+            storageKey: 'mockup_theme',
+            index: 0,
+            drag: null
+        };
         this._initialized = false;
         this._step2EventsBound = false;
         this.init();
@@ -41,6 +69,7 @@ class PreviewSystem {
         this.bindTagSystem();
         this.bindOptimizationControls();
         this.bindPreviewControls();
+        this.bindMockupControls();
         this.updateStepDisplay();
         DEBUG.log('实时预览系统初始化完成');
     }
@@ -91,7 +120,7 @@ class PreviewSystem {
             DEBUG.log('初始化内容:', this.stepData.content);
 
             contentInput.addEventListener('input', (e) => {
-                this.stepData.content = e.target.value;
+                this.commitStepData({ content: e.target.value }, '编辑正文', { mergeKey: 'content' });
                 DEBUG.log('输入内容更新:', this.stepData.content);
                 this.updateInputStats(e.target.value);
                 this.validateStep1();
@@ -100,7 +129,7 @@ class PreviewSystem {
 
             contentInput.addEventListener('paste', (e) => {
                 setTimeout(() => {
-                    this.stepData.content = e.target.value;
+                    this.commitStepData({ content: e.target.value }, '粘贴内容', { mergeKey: 'content' });
                     DEBUG.log('粘贴内容更新:', this.stepData.content);
                     this.updateInputStats(e.target.value);
                     this.validateStep1();
@@ -115,7 +144,7 @@ class PreviewSystem {
             clearBtn.addEventListener('click', () => {
                 if (contentInput) {
                     contentInput.value = '';
-                    this.stepData.content = '';
+                    this.commitStepData({ content: '' }, '清空正文');
                     this.updateInputStats('');
                     this.validateStep1();
                     this.updateContentPreview();
@@ -139,7 +168,7 @@ class PreviewSystem {
         // 监听模板管理器的模板选择事件
         document.addEventListener('templateSelected', (e) => {
             DEBUG.log('收到模板选择事件:', e.detail);
-            this.stepData.template = e.detail.template;
+            this.commitStepData({ template: e.detail.template }, '选择模板');
             this.validateStep2();
             this.updatePreview();
             DEBUG.log('预览系统：选择模板:', this.stepData.template.name);
@@ -161,7 +190,7 @@ class PreviewSystem {
         const addTag = () => {
             const tagText = customTagInput.value.trim();
             if (tagText && !this.stepData.customTags.includes(tagText)) {
-                this.stepData.customTags.push(tagText);
+                this.commitStepData({ customTags: [...this.stepData.customTags, tagText] }, '添加标签');
                 this.renderTags();
                 customTagInput.value = '';
                 this.updatePreview();
@@ -187,7 +216,7 @@ class PreviewSystem {
             tag.addEventListener('click', () => {
                 const tagText = tag.dataset.tag;
                 if (!this.stepData.customTags.includes(tagText)) {
-                    this.stepData.customTags.push(tagText);
+                    this.commitStepData({ customTags: [...this.stepData.customTags, tagText] }, '添加标签');
                     this.renderTags();
                     this.updatePreview();
                 }
@@ -257,7 +286,7 @@ class PreviewSystem {
         // 网格点击：切换大预览
         if (previewImagesGrid) {
             previewImagesGrid.addEventListener('click', (event) => {
-                if (event.target.closest?.('.preview-download-btn')) {
+                if (event.target.closest?.('.preview-download-btn, .page-tools, .page-override-panel')) {
                     return;
                 }
                 const item = event.target.closest?.('.preview-image-item');
@@ -269,6 +298,13 @@ class PreviewSystem {
             });
         }
 
+        // 边写边渲染开关（步骤1与步骤4各一个，状态同步）
+        this.liveRender.enabled = Utils.storage.get(this.liveRender.storageKey, false) === true;
+        document.querySelectorAll('[data-live-render]').forEach((input) => {
+            input.checked = this.liveRender.enabled;
+            input.addEventListener('change', () => this.setLiveRender(input.checked));
+        });
+
         // 生成设置变化时更新预览
         const settingsInputs = ['imageCount', 'imageStyle', 'aspectRatio', 'quality'];
         settingsInputs.forEach(id => {
@@ -277,6 +313,9 @@ class PreviewSystem {
                 element.addEventListener('change', () => {
                     this.stepData.generationSettings[id] = element.value;
                     this.updatePreview();
+                    if (id === 'imageCount') {
+                        this.renderPagePlan();
+                    }
                 });
             }
         });
@@ -315,6 +354,7 @@ class PreviewSystem {
         if (!image) {
             previewCard.classList.remove('has-image');
             previewCard.innerHTML = '<div class="preview-placeholder">点击生成预览查看效果</div>';
+            window.cardEditor?.refresh();
             return;
         }
 
@@ -339,6 +379,7 @@ class PreviewSystem {
                 </div>
             ` : ''}
         `;
+        window.cardEditor?.refresh();
     }
 
     /**
@@ -532,6 +573,8 @@ class PreviewSystem {
             validationStatus.className = `validation-status ${validation.valid ? 'valid' : 'invalid'}`;
             validationStatus.textContent = validation.valid ? '✓ 格式正确' : validation.message;
         }
+
+        window.complianceChecker?.refreshEditor();
     }
 
     /**
@@ -590,6 +633,13 @@ class PreviewSystem {
      */
     updateContentPreview() {
         clearTimeout(this.previewUpdateTimeout);
+
+        // 边写边渲染时预览区显示渲染好的卡片，由增量渲染负责更新
+        if (this.liveRender.enabled && this.stepData.content.trim()) {
+            this.scheduleLiveRender();
+            return;
+        }
+
         this.previewUpdateTimeout = setTimeout(() => {
             const contentPreview = document.getElementById('contentPreview');
             if (contentPreview) {
@@ -635,7 +685,7 @@ class PreviewSystem {
         tagsContainer.querySelectorAll('.tag-remove').forEach(btn => {
             btn.addEventListener('click', () => {
                 const tagToRemove = btn.dataset.tag;
-                this.stepData.customTags = this.stepData.customTags.filter(tag => tag !== tagToRemove);
+                this.commitStepData({ customTags: this.stepData.customTags.filter(tag => tag !== tagToRemove) }, '删除标签');
                 this.renderTags();
                 this.updatePreview();
             });
@@ -655,8 +705,8 @@ class PreviewSystem {
      * 更新预览
      */
     updatePreview() {
-        // 这里可以添加实时预览更新逻辑
         DEBUG.log('更新预览:', this.stepData);
+        this.scheduleLiveRender();
     }
 
     /**
@@ -665,7 +715,25 @@ class PreviewSystem {
     initializeStep3() {
         DEBUG.log('初始化步骤3 - 内容优化');
 
-        // 显示原始内容
+        this.renderOriginalContent();
+        this.renderOptimizedState();
+
+        // 禁用下一步按钮
+        const nextBtn = document.getElementById('nextStep3');
+        if (nextBtn) {
+            nextBtn.disabled = true;
+        }
+
+        // 如果已经有优化内容（例如返回到步骤3），同步按钮状态
+        this.validateStep3();
+
+        DEBUG.log('步骤3初始化完成');
+    }
+
+    /**
+     * 显示步骤3的原始内容
+     */
+    renderOriginalContent() {
         const originalContentElement = document.getElementById('originalContent');
         if (originalContentElement && this.stepData.content) {
             const safeOriginal = Utils.escapeHtml(String(this.stepData.content || '')).replace(/\n/g, '<br>');
@@ -684,28 +752,24 @@ class PreviewSystem {
             }
         }
 
-        // 清空优化后的内容显示
-        const optimizedContentElement = document.getElementById('optimizedContent');
-        if (optimizedContentElement) {
-            optimizedContentElement.innerHTML = '<div class="optimization-placeholder">点击"AI智能优化"按钮开始优化</div>';
-        }
+    }
 
-        // 隐藏内容操作按钮
+    /**
+     * 显示步骤3的优化结果：已有优化内容（返回步骤3、撤销或从项目库打开）时直接显示，否则显示占位
+     */
+    renderOptimizedState() {
+        const optimizedContentElement = document.getElementById('optimizedContent');
         const contentActions = document.querySelector('.content-actions');
-        if (contentActions) {
-            contentActions.style.display = 'none';
-        }
-
-        // 禁用下一步按钮
-        const nextBtn = document.getElementById('nextStep3');
-        if (nextBtn) {
-            nextBtn.disabled = true;
+        if (this.stepData.optimizedContent && window.contentOptimizer) {
+            window.contentOptimizer.renderOptimizedContent(this.stepData.optimizedContent);
+        } else {
+            if (optimizedContentElement) {
+                optimizedContentElement.innerHTML = '<div class="optimization-placeholder">点击"AI智能优化"按钮开始优化</div>';
+            }
+            if (contentActions) {
+                contentActions.style.display = 'none';
+            }
         }
-
-        // 如果已经有优化内容（例如返回到步骤3），同步按钮状态
-        this.validateStep3();
-
-        DEBUG.log('步骤3初始化完成');
     }
 
     /**
@@ -814,6 +878,15 @@ class PreviewSystem {
             `;
         }
 
+        if (window.carouselPlanner && analysis.sections.length > 0) {
+            resultHTML += `
+                <div class="carousel-plan">
+                    <h4>轮播规划:</h4>
+                    <div class="carousel-plan-list" id="carouselPlanList"></div>
+                </div>
+            `;
+        }
+
         if (analysis.suggestions.length > 0) {
             resultHTML += `
                 <div class="analysis-suggestions">
@@ -832,6 +905,29 @@ class PreviewSystem {
         }
 
         analysisResult.innerHTML = resultHTML;
+        this.renderPagePlan();
+    }
+
+    /**
+     * 按当前图片数量渲染轮播规划（封面 / 内容页 / 总结页）
+     */
+    renderPagePlan() {
+        const planList = document.getElementById('carouselPlanList');
+        const analysis = this.stepData.contentAnalysis;
+        if (!planList || !analysis || !window.carouselPlanner) return;
+
+        const imageCount = parseInt(document.getElementById('imageCount')?.value) || analysis.imageCount;
+        const pages = window.carouselPlanner.plan(analysis.sections, { imageCount, content: analysis.cleanContent });
+        planList.innerHTML = pages.map(page => `
+            <div class="carousel-plan-page" data-role="${page.role}">
+                <span class="carousel-plan-indicator">${page.indicator}</span>
+                <span class="carousel-plan-role">
+                    <span class="material-icons">${window.carouselPlanner.roles[page.role].icon}</span>
+                    ${page.roleName}
+                </span>
+                <span class="carousel-plan-title">${Utils.escapeHtml(page.title)}</span>
+            </div>
+        `).join('');
     }
 
     /**
@@ -966,6 +1062,13 @@ class PreviewSystem {
         if (nextBtn) {
             nextBtn.disabled = false;
         }
+
+        // 用优化内容替换原文（可撤销恢复原文）
+        const optimizedContent = this.stepData.optimizedContent;
+        if (optimizedContent && optimizedContent !== this.stepData.content) {
+            this.commitStepData({ content: optimizedContent }, '使用优化内容', { sync: true });
+            window.uiManager?.showToast('已使用优化内容替换原文，可按 Ctrl+Z 恢复', 'success');
+        }
         DEBUG.log('接受优化后的内容');
     }
 
@@ -989,7 +1092,6 @@ class PreviewSystem {
             const previewCard = document.getElementById('livePreviewCard');
             const generateBtn = document.getElementById('generatePreviewBtn');
             const refreshBtn = document.getElementById('refreshPreviewBtn');
-            const previewImagesGrid = document.getElementById('previewImagesGrid');
             const generatedImagesPreview = document.getElementById('generatedImagesPreview');
 
             // 显示加载状态
@@ -1004,12 +1106,7 @@ class PreviewSystem {
             }
 
             // 获取生成设置
-            this.stepData.generationSettings = {
-                imageCount: parseInt(document.getElementById('imageCount')?.value) || 1,
-                imageStyle: document.getElementById('imageStyle')?.value || 'illustration',
-                aspectRatio: document.getElementById('aspectRatio')?.value || '9:16',
-                quality: document.getElementById('quality')?.value || 'high'
-            };
+            this.stepData.generationSettings = this.readGenerationSettings();
 
             const contentToUse = this.stepData.optimizedContent || this.stepData.content;
             const startTime = Date.now();
@@ -1022,6 +1119,8 @@ class PreviewSystem {
             }
 
             let generatedImages = [];
+            const brandKit = window.brandKitManager?.getActive() || null;
+            const photos = window.photoManager?.getPhotos() || [];
             // 优先使用 ImageGenerator 的本地 Canvas 渲染（可复用分段/数量逻辑）
             if (window.imageGenerator?.generateWithVisualGenerator && window.imageGenerator?.processGenerationResults) {
                 const settings = {
@@ -1030,21 +1129,30 @@ class PreviewSystem {
                     tone: this.stepData.tone,
                     customTags: this.stepData.customTags,
                     useGeminiApi: false,
-                    useVisualGenerator: true
+                    useVisualGenerator: true,
+                    brandKit,
+                    photos
                 };
                 const prompt = window.promptEngine?.generatePrompt(contentToUse, this.stepData.template, settings) ||
                     `创建一个小红书风格的图片，内容：${contentToUse}`;
 
-                const rawResults = await window.imageGenerator.generateWithVisualGenerator(prompt, settings);
+                // 与批量生成相同的页面规划：收尾页二维码、自动分页（调整过的页面编排原样沿用）
+                settings.qr = window.imageGenerator.getQrBlock(settings, contentToUse);
+                settings.pages = await window.imageGenerator.planPages(settings, contentToUse, this.stepData.template);
+                settings.imageCount = settings.pages.length;
+
+                // 有单页覆盖（模板、画面比例、强调色）的页面分组绘制
+                const rawResults = await window.imageGenerator.renderPageGroups(prompt, settings,
+                    groupSettings => window.imageGenerator.generateWithVisualGenerator(prompt, groupSettings));
                 generatedImages = await window.imageGenerator.processGenerationResults(rawResults, contentToUse, this.stepData.template);
             } else {
                 // 后备：仅生成 1 张
-                const imageData = await window.visualGenerator.generateCard(
+                const imageData = await (window.offscreenRenderer || window.visualGenerator).generateCard(
                     contentToUse,
                     this.stepData.template,
                     this.stepData.tone,
                     this.stepData.customTags,
-                    this.stepData.generationSettings
+                    { ...this.stepData.generationSettings, brandKit, photos }
                 );
 
                 const parsedMeta = window.visualGenerator?.parseContent
@@ -1064,6 +1172,7 @@ class PreviewSystem {
                     width: imageData.width || 800,
                     height: imageData.height || 1200,
                     size: imageData.blob?.size || 0,
+                    hitMap: imageData.hitMap || null,
                     timestamp: new Date().toISOString()
                 };
 
@@ -1081,17 +1190,7 @@ class PreviewSystem {
             this.setPreviewImages(generatedImages, 0);
 
             // 同步到网格视图（与“批量生成”一致）
-            if (previewImagesGrid) {
-                previewImagesGrid.innerHTML = '';
-                generatedImages.forEach((image, index) => {
-                    const imageItem = this.createPreviewImageItem(image, index);
-                    previewImagesGrid.appendChild(imageItem);
-                });
-            }
-
-            if (generatedImagesPreview) {
-                generatedImagesPreview.style.display = 'block';
-            }
+            this.renderPreviewGrid(generatedImages);
 
             // 更新统计信息
             const generationTime = Math.round((Date.now() - startTime) / 1000);
@@ -1149,6 +1248,699 @@ class PreviewSystem {
         }
     }
 
+    /**
+     * 读取步骤4的生成设置
+     */
+    readGenerationSettings() {
+        return {
+            imageCount: parseInt(document.getElementById('imageCount')?.value) || 1,
+            imageStyle: document.getElementById('imageStyle')?.value || 'illustration',
+            aspectRatio: document.getElementById('aspectRatio')?.value || '9:16',
+            quality: document.getElementById('quality')?.value || 'high'
+        };
+    }
+
+    /**
+     * 渲染步骤4的图片网格
+     */
+    renderPreviewGrid(images) {
+        const previewImagesGrid = document.getElementById('previewImagesGrid');
+        if (previewImagesGrid) {
+            previewImagesGrid.innerHTML = '';
+            images.forEach((image, index) => previewImagesGrid.appendChild(this.createPreviewImageItem(image, index)));
+        }
+        const generatedImagesPreview = document.getElementById('generatedImagesPreview');
+        if (generatedImagesPreview) {
+            generatedImagesPreview.style.display = images.length > 0 ? 'block' : 'none';
+        }
+        // 真机预览打开时换上新图片（旧图片的 URL 随后会被释放）
+        if (this.isMockupOpen()) {
+            this.renderMockup();
+        }
+    }
+
+    /**
+     * 开启 / 关闭边写边渲染（同步两个开关并记住选择）
+     */
+    setLiveRender(enabled) {
+        this.liveRender.enabled = !!enabled;
+        Utils.storage.set(this.liveRender.storageKey, this.liveRender.enabled);
+        document.querySelectorAll('[data-live-render]').forEach((input) => {
+            input.checked = this.liveRender.enabled;
+        });
+
+        if (this.liveRender.enabled) {
+            this.scheduleLiveRender(0);
+        } else {
+            clearTimeout(this.liveRender.timer);
+            this.updateContentPreview();
+        }
+    }
+
+    /**
+     * 安排一次增量渲染：输入停顿 delay 毫秒后再绘制
+     */
+    scheduleLiveRender(delay = this.liveRender.delay) {
+        if (!this.liveRender.enabled) return;
+        clearTimeout(this.liveRender.timer);
+        this.liveRender.timer = setTimeout(() => this.runLiveRender(), delay);
+    }
+
+    /**
+     * 增量渲染所需的页面规划：与“生成预览”相同的设置与自动分页，正文变化时重新分段
+     */
+    async getLiveRenderPlan(content) {
+        const generator = window.imageGenerator;
+        const state = this.liveRender;
+        if (state.analysis?.content !== content) {
+            const sections = window.contentAnalyzer?.getSectionSuggestions(content)?.sections || [];
+            state.analysis = { content, sections };
+        }
+
+        const template = this.stepData.template || window.templateManager?.getSelectedTemplate() || { id: 'xiaohongshu-lifestyle', name: '默认模板', category: 'lifestyle' };
+        const settings = {
+            ...this.readGenerationSettings(),
+            template,
+            tone: this.stepData.tone || 'friendly',
+            customTags: this.stepData.customTags,
+            brandKit: window.brandKitManager?.getActive() || null,
+            photos: window.photoManager?.getPhotos() || [],
+            sourceContent: content,
+            sections: state.analysis.sections
+        };
+        settings.qr = generator.getQrBlock(settings, content);
+        const tags = generator.getCombinedTags(settings, content);
+
+        // 自动分页需要逐页测量，页面规划与样式都没变时沿用上次的结果
+        const fitKey = JSON.stringify({
+            pages: generator.getPagePlan(settings, content),
+            shared: this.getLiveRenderSharedKey({ template, settings, tags }),
+            qr: settings.qr
+        });
+        if (state.fit?.key !== fitKey) {
+            state.fit = { key: fitKey, pages: await generator.planPages(settings, content, template, { notify: false }) };
+        }
+        settings.pages = state.fit.pages;
+        settings.imageCount = settings.pages.length;
+
+        return {
+            template,
+            settings,
+            tags,
+            tasks: generator.buildPageTasks(settings, content, template)
+        };
+    }
+
+    /**
+     * 各页共用部分的缓存键：模板、口吻、标签、生成设置、品牌套件与照片（图片数据只取长度 / ID，避免每次序列化整张图）
+     */
+    getLiveRenderSharedKey({ template, settings, tags }) {
+        const { brandKit, photos } = settings;
+        return JSON.stringify({
+            template: [template.id, template.variant || ''],
+            tone: settings.tone,
+            tags,
+            style: [settings.imageStyle, settings.aspectRatio, settings.quality],
+            brandKit: brandKit ? { ...brandKit, logo: brandKit.logo ? brandKit.logo.length : 0 } : null,
+            photos: photos.map(({ src, ...photo }) => photo)
+        });
+    }
+
+    /**
+     * 用当前显示的卡片填充增量缓存：页面规划与显示的页数一致时，按各页的缓存键记下现有图片，
+     * 之后的增量渲染只重绘内容有变化的页面（未开启边写边渲染时缓存可能为空或已过期）
+     */
+    async seedLiveRenderCache() {
+        const state = this.liveRender;
+        const images = this.previewImages;
+        const content = this.stepData.optimizedContent || this.stepData.content;
+        if (!window.imageGenerator?.buildPageTasks || !content?.trim() || state.images === images) return;
+
+        const plan = await this.getLiveRenderPlan(content);
+        if (images.length === 0 || images.length !== plan.tasks.length) return;
+
+        const sharedKey = this.getLiveRenderSharedKey(plan);
+        plan.tasks.forEach((task, i) => {
+            const image = images[i];
+            const cached = state.cache.get(task.index);
+            if (cached && cached.result.url !== image.url) {
+                state.stale.push(cached.result.url);
+            }
+            state.cache.set(task.index, {
+                key: `${sharedKey}|${JSON.stringify({ content: task.content, page: task.page, qr: task.qr })}`,
+                result: {
+                    url: image.url,
+                    blob: image.blob,
+                    width: image.width,
+                    height: image.height,
+                    prompt: image.prompt,
+                    sectionTitle: image.sectionTitle || image.title,
+                    sectionIndex: image.sectionIndex,
+                    page: image.page,
+                    fit: image.fit || null,
+                    hitMap: image.hitMap || null,
+                    sourcePage: image.sourcePage || null,
+                    renderer: image.renderer || '',
+                    variation: image.variation || task.index + 1
+                }
+            });
+        });
+        state.images = images;
+    }
+
+    /**
+     * 应用步骤4 / 5 中的就地修改（卡片上改字、调整页面编排）：记录撤销历史并同步界面，
+     * 然后增量重绘，只有内容或设置变化的页面会重新绘制。
+     * 重绘统一使用本地 Canvas 渲染器，其余页面来自其他渲染器时提示用户风格可能不一致
+     */
+    async applyStepEdit(changes, label) {
+        await this.seedLiveRenderCache();
+        this.commitStepData(changes, label, { sync: true });
+        await this.runLiveRender();
+
+        const renderers = new Set(this.previewImages.map(image => image.renderer).filter(Boolean));
+        if (renderers.size > 1) {
+            const visualLabel = window.rendererRegistry?.get('visual')?.label || '本地视觉生成器';
+            window.uiManager?.showToast(`修改过的页面已用${visualLabel}重绘，可能与其他页面风格不同；如需统一请重新生成图片`, 'info', 5000);
+        }
+    }
+
+    /**
+     * 增量渲染：重新规划页面后逐页比较缓存键，只重绘有变化的页面；
+     * 绘制期间又有修改时立即停下，结束后按最新内容再渲染一次
+     */
+    async runLiveRender() {
+        const state = this.liveRender;
+        const generator = window.imageGenerator;
+        const renderer = window.offscreenRenderer || window.visualGenerator;
+        const content = this.stepData.optimizedContent || this.stepData.content;
+        if (!generator?.buildPageTasks || !renderer || !content.trim()) return;
+
+        if (state.running) {
+            state.queued = true;
+            return;
+        }
+        state.running = true;
+
+        try {
+            const plan = await this.getLiveRenderPlan(content);
+            const sharedKey = this.getLiveRenderSharedKey(plan);
+            const results = [];
+            const changed = [];
+
+            for (const task of plan.tasks) {
+                const key = `${sharedKey}|${JSON.stringify({ content: task.content, page: task.page, qr: task.qr })}`;
+                const cached = state.cache.get(task.index);
+                if (cached?.key === key) {
+                    results.push(cached.result);
+                    continue;
+                }
+
+                const pageSettings = generator.getPageSettings(task.page, plan.settings);
+                const imageData = await renderer.generateCard(task.content, pageSettings.template, pageSettings.tone, plan.tags, {
+                    ...pageSettings,
+                    page: task.page,
+                    qr: task.qr
+                });
+                if (cached) {
+                    state.stale.push(cached.result.url);
+                }
+                const result = {
+                    url: imageData.url,
+                    blob: imageData.blob,
+                    width: imageData.width,
+                    height: imageData.height,
+                    prompt: content,
+                    ...generator.getPageMeta(task.page),
+                    fit: imageData.fit || null,
+                    hitMap: imageData.hitMap || null,
+                    renderer: 'visual',
+                    variation: task.index + 1
+                };
+                state.cache.set(task.index, { key, result });
+                results.push(result);
+                changed.push(task.index);
+
+                if (state.queued) return;
+            }
+
+            // 页数减少时丢弃多出的缓存页
+            Array.from(state.cache.keys()).filter(index => index >= plan.tasks.length).forEach((index) => {
+                state.stale.push(state.cache.get(index).result.url);
+                state.cache.delete(index);
+            });
+
+            const unchanged = changed.length === 0 && state.images === this.previewImages && state.images?.length === results.length;
+            if (unchanged) return;
+
+            window.app?.clearGeneratedImages();
+            const images = await generator.processGenerationResults(results, content, plan.template);
+            state.images = images;
+
+            // 预览切到第一张有变化的页面
+            const focusIndex = changed.length > 0 ? changed[0] : this.previewIndex;
+            this.setPreviewImages(images, focusIndex);
+            this.renderPreviewGrid(images);
+            if (state.enabled) {
+                this.renderLiveContentPreview(images[this.previewIndex]);
+            }
+            if (this.currentStep === 5) {
+                this.updateExportStats();
+                this.renderImagesGrid();
+            }
+            state.stale.forEach(url => URL.revokeObjectURL(url));
+            state.stale = [];
+
+            const nextBtn = document.getElementById('nextStep4');
+            if (nextBtn) {
+                nextBtn.disabled = false;
+            }
+            DEBUG.log(`边写边渲染：重绘 ${changed.length}/${plan.tasks.length} 页`);
+        } catch (error) {
+            DEBUG.warn('边写边渲染失败:', error);
+        } finally {
+            state.running = false;
+            if (state.queued) {
+                // 绘制期间的修改可能来自卡片上的编辑（未开启边写边渲染），这里不再检查开关
+                state.queued = false;
+                clearTimeout(state.timer);
+                state.timer = setTimeout(() => this.runLiveRender(), state.delay);
+            }
+        }
+    }
+
+    /**
+     * 步骤1预览区显示刚更新的卡片，方便边写边看换行与分页
+     */
+    renderLiveContentPreview(image) {
+        const contentPreview = document.getElementById('contentPreview');
+        if (!contentPreview || !image) return;
+
+        const total = this.previewImages.length;
+        const label = total > 1 ? `第 ${this.previewIndex + 1}/${total} 页` : '卡片预览';
+        const role = image.page?.roleName ? ` · ${Utils.escapeHtml(image.page.roleName)}` : '';
+        contentPreview.innerHTML = `
+            <div class="live-render-preview">
+                <img src="${image.url}" alt="卡片预览" class="live-render-image">
+                <div class="live-render-caption">${label}${role}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 绑定真机预览事件：切换发现页 / 笔记详情、浅色 / 深色，详情页轮播支持滑动、拖动、圆点与方向键
+     */
+    bindMockupControls() {
+        this.mockup.theme = Utils.storage.get(this.mockup.storageKey, 'light') === 'dark' ? 'dark' : 'light';
+
+        document.querySelectorAll('[data-mockup-open]').forEach((button) => {
+            button.addEventListener('click', () => this.openMockup());
+        });
+
+        const modal = document.getElementById('mockupModal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const view = e.target.closest('[data-mockup-view]')?.dataset.mockupView;
+            const theme = e.target.closest('[data-mockup-theme]')?.dataset.mockupTheme;
+            const dot = e.target.closest('[data-mockup-dot]');
+
+            if (view) {
+                this.mockup.view = view;
+                this.mockup.index = 0;
+                this.renderMockup();
+            } else if (theme) {
+                this.mockup.theme = theme;
+                Utils.storage.set(this.mockup.storageKey, theme);
+                this.renderMockup();
+            } else if (dot) {
+                this.scrollMockupCarousel(Number(dot.dataset.mockupDot));
+            } else if (e.target.closest('.mockup-feed-card.is-own')) {
+                // 像在 App 里一样点开自己的笔记
+                this.mockup.view = 'note';
+                this.mockup.index = 0;
+                this.renderMockup();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.isMockupOpen() || this.mockup.view !== 'note') return;
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.scrollMockupCarousel(this.mockup.index + (e.key === 'ArrowRight' ? 1 : -1));
+            }
+        });
+    }
+
+    /**
+     * 真机预览是否打开
+     */
+    isMockupOpen() {
+        return document.getElementById('mockupModal')?.style.display === 'flex';
+    }
+
+    /**
+     * 打开真机预览：步骤5优先使用最终生成的图片，其余步骤使用步骤4的预览图
+     */
+    openMockup() {
+        if (this.getMockupImages().length === 0) {
+            window.uiManager?.showToast('请先生成预览图片', 'warning');
+            return;
+        }
+
+        this.mockup.index = 0;
+        this.renderMockup();
+        window.uiManager?.openModal('mockup');
+    }
+
+    /**
+     * 真机预览使用的图片
+     */
+    getMockupImages() {
+        const generated = window.app?.generatedImages || [];
+        if (this.currentStep === 5 && generated.length > 0) {
+            return generated;
+        }
+        return this.previewImages.length > 0 ? this.previewImages : generated;
+    }
+
+    /**
+     * 笔记信息：标题、正文（去掉标题行、代码块与二维码块，话题单独列出）、话题与作者
+     */
+    getMockupNote() {
+        const parser = window.markdownParser;
+        const raw = this.stepData.optimizedContent || this.stepData.content || '';
+        const content = window.imageGenerator ? window.imageGenerator.stripQrBlocks(raw) : raw;
+        const { text, tags } = parser.extractHashtags(content);
+        const title = window.contentAnalyzer?.generateTitle(text) || text.trim().slice(0, 20);
+
+        const blocks = parser.parse(text).children.filter(block => block.type !== 'code');
+        const first = blocks[0];
+        const firstText = first ? parser.toPlainText(first).replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '').trim() : '';
+        if (first && (first.type === 'heading' || firstText === title)) {
+            blocks.shift();
+        }
+        // 正文按纯文本显示，列表保留序号 / 圆点，和在 App 中手打的效果一致
+        const caption = blocks.map(block => (block.type === 'list'
+            ? block.items.map((item, i) => `${block.ordered ? `${i + 1}. ` : '• '}${parser.toPlainText(item).trim()}`).join('\n')
+            : parser.toPlainText(block).trim())).filter(Boolean).join('\n');
+
+        const allTags = [...(this.stepData.customTags || []), ...tags]
+            .map(tag => String(tag || '').replace(/^#/, '').trim())
+            .filter(Boolean);
+
+        const brandKit = window.brandKitManager?.getActive();
+        const author = brandKit?.name || brandKit?.handle || '我的小红书';
+        const now = new Date();
+
+        return {
+            title,
+            caption,
+            tags: [...new Set(allTags)],
+            author,
+            avatar: brandKit?.logo || '',
+            date: `${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`,
+            likes: 1314,
+            collects: 520,
+            comments: 66
+        };
+    }
+
+    /**
+     * 发现页中与自己的笔记排在一起的示例笔记（封面为渐变色块）
+     */
+    getMockupFeedSamples() {
+        return [
+            { title: '周末去哪儿｜城市里的 8 个小众公园，人少景美还免费', author: '小鹿爱生活', likes: 2341, ratio: 3 / 4, hue: 152 },
+            { title: '打工人早餐｜10 分钟搞定，一周不重样', author: '早餐研究所', likes: 15800, ratio: 1, hue: 32 },
+            { title: '秋冬穿搭｜一件大衣的五种搭法', author: '穿搭日记', likes: 864, ratio: 3 / 4, hue: 12 },
+            { title: '出租屋改造｜花 500 块让房间焕然一新，房东看了都说好', author: '收纳小能手', likes: 32100, ratio: 4 / 3, hue: 205 },
+            { title: '今年读过最值得推荐的 5 本书', author: '慢读书', likes: 1203, ratio: 3 / 4, hue: 268 }
+        ];
+    }
+
+    /**
+     * 点赞数显示：过万显示为 “1.2万”
+     */
+    formatMockupCount(count) {
+        return count >= 10000 ? `${(count / 10000).toFixed(1).replace(/\.0$/, '')}万` : String(count);
+    }
+
+    /**
+     * 封面在信息流 / 详情页中的显示比例：限制在 3:4 与 4:3 之间，超出部分裁切
+     */
+    getMockupRatio(image) {
+        const ratio = image?.width && image?.height ? image.width / image.height : 3 / 4;
+        return Math.min(4 / 3, Math.max(3 / 4, ratio));
+    }
+
+    /**
+     * 作者头像：有品牌 Logo 时显示 Logo，否则显示名字首字
+     */
+    renderMockupAvatar(name, avatar, hue = 350) {
+        return avatar
+            ? `<img class="mockup-avatar" src="${avatar}" alt="">`
+            : `<span class="mockup-avatar" style="background-color: hsl(${hue}, 60%, 62%);">${Utils.escapeHtml(Array.from(name)[0] || '我')}</span>`;
+    }
+
+    /**
+     * 渲染真机预览
+     */
+    renderMockup() {
+        const stage = document.getElementById('mockupStage');
+        if (!stage) return;
+
+        const images = this.getMockupImages();
+        const note = this.getMockupNote();
+        const { view, theme } = this.mockup;
+
+        document.querySelectorAll('[data-mockup-view]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.mockupView === view);
+        });
+        document.querySelectorAll('[data-mockup-theme]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.mockupTheme === theme);
+        });
+
+        if (images.length === 0) {
+            stage.innerHTML = '<div class="mockup-empty">暂无图片</div>';
+            return;
+        }
+
+        stage.innerHTML = `
+            <div class="mockup-phone mockup-${theme}">
+                <div class="mockup-statusbar">
+                    <span>9:41</span>
+                    <span class="mockup-statusbar-icons">
+                        <span class="material-icons">signal_cellular_alt</span>
+                        <span class="material-icons">wifi</span>
+                        <span class="material-icons">battery_full</span>
+                    </span>
+                </div>
+                ${view === 'note' ? this.renderNoteMockup(images, note) : this.renderFeedMockup(images, note)}
+            </div>
+        `;
+
+        if (view === 'note') {
+            this.bindMockupCarousel(stage.querySelector('.mockup-carousel'));
+        }
+    }
+
+    /**
+     * 发现页：顶部频道、双列瀑布流（自己的笔记排在左上）、底部标签栏
+     */
+    renderFeedMockup(images, note) {
+        const cover = images[0];
+        const cards = [
+            {
+                own: true,
+                title: note.title,
+                author: note.author,
+                avatar: note.avatar,
+                likes: note.likes,
+                ratio: this.getMockupRatio(cover),
+                url: cover.url
+            },
+            ...this.getMockupFeedSamples()
+        ];
+
+        // 按累计高度放入较短的一列，标题与作者栏约占半张卡片宽度
+        const columns = [{ height: 0, cards: [] }, { height: 0, cards: [] }];
+        cards.forEach((card) => {
+            const column = columns[0].height <= columns[1].height ? columns[0] : columns[1];
+            column.cards.push(card);
+            column.height += 1 / card.ratio + 0.5;
+        });
+
+        const renderCard = card => `
+            <div class="mockup-feed-card${card.own ? ' is-own' : ''}"${card.own ? ' title="点击查看笔记详情"' : ''}>
+                <div class="mockup-feed-cover" style="aspect-ratio: ${card.ratio.toFixed(4)};${card.url ? '' : ` background: linear-gradient(160deg, hsl(${card.hue}, 55%, 78%), hsl(${card.hue + 30}, 50%, 58%));`}">
+                    ${card.url ? `<img src="${card.url}" alt="${Utils.escapeHtml(card.title)}">` : ''}
+                    ${card.own && images.length > 1 ? '<span class="material-icons mockup-feed-multi">collections</span>' : ''}
+                </div>
+                <div class="mockup-feed-title">${Utils.escapeHtml(card.title)}</div>
+                <div class="mockup-feed-meta">
+                    ${this.renderMockupAvatar(card.author, card.avatar, card.hue)}
+                    <span class="mockup-feed-author">${Utils.escapeHtml(card.author)}</span>
+                    <span class="mockup-feed-likes">
+                        <span class="material-icons">favorite_border</span>${this.formatMockupCount(card.likes)}
+                    </span>
+                </div>
+            </div>
+        `;
+
+        return `
+            <div class="mockup-feed-nav">
+                <span class="material-icons">menu</span>
+                <div class="mockup-feed-tabs">
+                    <span>关注</span>
+                    <span class="active">发现</span>
+                    <span>附近</span>
+                </div>
+                <span class="material-icons">search</span>
+            </div>
+            <div class="mockup-feed-channels">
+                ${['推荐', '穿搭', '美食', '彩妆', '影视', '职场', '情感'].map((name, index) => `<span${index === 0 ? ' class="active"' : ''}>${name}</span>`).join('')}
+            </div>
+            <div class="mockup-scroll mockup-feed">
+                ${columns.map(column => `<div class="mockup-feed-column">${column.cards.map(renderCard).join('')}</div>`).join('')}
+            </div>
+            <div class="mockup-tabbar">
+                <span class="active">首页</span>
+                <span>购物</span>
+                <span class="mockup-tabbar-add"><span class="material-icons">add</span></span>
+                <span>消息</span>
+                <span>我</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 笔记详情：作者栏、可滑动的图片轮播（页码与圆点）、标题正文与话题、底部互动栏
+     */
+    renderNoteMockup(images, note) {
+        const total = images.length;
+        const index = Math.min(this.mockup.index, total - 1);
+        const caption = note.caption
+            .split('\n')
+            .map(line => `<p>${Utils.escapeHtml(line)}</p>`)
+            .join('');
+        const tags = note.tags.length > 0
+            ? `<p class="mockup-note-tags">${note.tags.map(tag => `<span>#${Utils.escapeHtml(tag)}</span>`).join(' ')}</p>`
+            : '';
+
+        return `
+            <div class="mockup-note-header">
+                <span class="material-icons">arrow_back_ios</span>
+                ${this.renderMockupAvatar(note.author, note.avatar)}
+                <span class="mockup-note-author">${Utils.escapeHtml(note.author)}</span>
+                <span class="mockup-follow">关注</span>
+                <span class="material-icons">share</span>
+            </div>
+            <div class="mockup-scroll mockup-note">
+                <div class="mockup-carousel-wrap" style="aspect-ratio: ${this.getMockupRatio(images[0]).toFixed(4)};">
+                    <div class="mockup-carousel">
+                        ${images.map((image, i) => `
+                            <div class="mockup-slide">
+                                <img src="${image.url}" alt="第 ${i + 1} 张" draggable="false">
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${total > 1 ? `<span class="mockup-counter">${index + 1}/${total}</span>` : ''}
+                </div>
+                ${total > 1 ? `
+                    <div class="mockup-dots">
+                        ${images.map((_, i) => `<button type="button" class="mockup-dot${i === index ? ' active' : ''}" data-mockup-dot="${i}" aria-label="第 ${i + 1} 张"></button>`).join('')}
+                    </div>
+                ` : ''}
+                <div class="mockup-note-body">
+                    <div class="mockup-note-title">${Utils.escapeHtml(note.title)}</div>
+                    <div class="mockup-note-caption">${caption}${tags}</div>
+                    <div class="mockup-note-date">编辑于 ${note.date}</div>
+                </div>
+                <div class="mockup-note-comments">共 ${note.comments} 条评论</div>
+            </div>
+            <div class="mockup-note-bar">
+                <span class="mockup-note-input"><span class="material-icons">edit</span>说点什么...</span>
+                <span><span class="material-icons">favorite_border</span>${this.formatMockupCount(note.likes)}</span>
+                <span><span class="material-icons">star_border</span>${this.formatMockupCount(note.collects)}</span>
+                <span><span class="material-icons">chat_bubble_outline</span>${this.formatMockupCount(note.comments)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 详情页轮播：滚动吸附到整页，滚动时同步页码与圆点；鼠标可按住拖动翻页
+     */
+    bindMockupCarousel(carousel) {
+        if (!carousel) return;
+
+        if (this.mockup.index > 0) {
+            carousel.scrollLeft = carousel.clientWidth * this.mockup.index;
+        }
+
+        carousel.addEventListener('scroll', () => {
+            const width = carousel.clientWidth;
+            const index = width ? Math.round(carousel.scrollLeft / width) : 0;
+            if (index !== this.mockup.index) {
+                this.mockup.index = index;
+                this.updateMockupIndicators(carousel);
+            }
+        }, { passive: true });
+
+        carousel.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'mouse' || e.button !== 0) return;
+            this.mockup.drag = { x: e.clientX, scrollLeft: carousel.scrollLeft };
+            carousel.classList.add('is-dragging');
+            carousel.setPointerCapture(e.pointerId);
+        });
+        carousel.addEventListener('pointermove', (e) => {
+            if (!this.mockup.drag) return;
+            carousel.scrollLeft = this.mockup.drag.scrollLeft - (e.clientX - this.mockup.drag.x);
+        });
+        const endDrag = (e) => {
+            if (!this.mockup.drag) return;
+            // 拖过四分之一页即翻页
+            const offset = (this.mockup.drag.scrollLeft - carousel.scrollLeft) / (carousel.clientWidth || 1);
+            const start = Math.round(this.mockup.drag.scrollLeft / (carousel.clientWidth || 1));
+            const target = offset > 0.25 ? start - 1 : (offset < -0.25 ? start + 1 : start);
+            this.mockup.drag = null;
+            carousel.classList.remove('is-dragging');
+            carousel.releasePointerCapture?.(e.pointerId);
+            this.scrollMockupCarousel(target);
+        };
+        carousel.addEventListener('pointerup', endDrag);
+        carousel.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * 轮播翻到指定页
+     */
+    scrollMockupCarousel(index) {
+        const carousel = document.querySelector('#mockupStage .mockup-carousel');
+        if (!carousel) return;
+
+        const total = carousel.children.length;
+        const target = Math.max(0, Math.min(total - 1, index));
+        carousel.scrollTo({ left: carousel.clientWidth * target, behavior: 'smooth' });
+        this.mockup.index = target;
+        this.updateMockupIndicators(carousel);
+    }
+
+    /**
+     * 同步页码与圆点
+     */
+    updateMockupIndicators(carousel) {
+        const wrap = carousel.closest('.mockup-note');
+        const total = carousel.children.length;
+        const counter = wrap?.querySelector('.mockup-counter');
+        if (counter) {
+            counter.textContent = `${this.mockup.index + 1}/${total}`;
+        }
+        wrap?.querySelectorAll('.mockup-dot').forEach((dot, i) => {
+            dot.classList.toggle('active', i === this.mockup.index);
+        });
+    }
+
     /**
      * 批量生成图片
      */
@@ -1192,13 +1984,20 @@ class PreviewSystem {
             // 使用优化后的内容或原始内容
             const contentToUse = this.stepData.optimizedContent || this.stepData.content;
 
-            // 调用图片生成器
-            const generatedImages = await window.imageGenerator.generateImages(contentToUse, {
+            // 上一轮的逐张状态不再沿用，规划出页数后再重新建立
+            this.generationStatus = [];
+
+            // 调用图片生成器（任务可在加载层中停止，停止后返回已完成的图片）
+            const job = window.imageGenerator.startGeneration(contentToUse, {
                 template: this.stepData.template,
                 tone: this.stepData.tone,
                 customTags: this.stepData.customTags,
-                ...this.stepData.generationSettings
+                ...this.stepData.generationSettings,
+                // 页面规划与自动分页完成后按实际页数逐张显示排队/渲染/失败/完成状态
+                onPlan: (pages) => this.initGenerationStatus(pages.length),
+                onTaskUpdate: (update) => this.updateGenerationTaskStatus(update)
             });
+            const generatedImages = await job.promise;
 
             // 计算生成时间
             const generationTime = Math.round((Date.now() - startTime) / 1000);
@@ -1212,6 +2011,11 @@ class PreviewSystem {
                     previewImagesGrid.appendChild(imageItem);
                 });
 
+                // 未生成成功的图片保留状态卡片，展示失败原因
+                (job.report || [])
+                    .filter(entry => entry.status !== 'done')
+                    .forEach(entry => previewImagesGrid.appendChild(this.createGenerationStatusItem(entry)));
+
                 // 显示图片网格
                 if (generatedImagesPreview) {
                     generatedImagesPreview.style.display = 'block';
@@ -1234,15 +2038,22 @@ class PreviewSystem {
                 // 启用下一步按钮
                 const nextBtn = document.getElementById('nextStep4');
                 if (nextBtn) {
-                    nextBtn.disabled = false;
+                    nextBtn.disabled = generatedImages.length === 0;
                 }
 
-                DEBUG.log(`成功生成 ${generatedImages.length} 张图片`);
+                DEBUG.log(`${job.cancelled ? '已停止，保留' : '成功生成'} ${generatedImages.length} 张图片`);
+            }
+
+            // 自动保存到项目库
+            if (generatedImages?.length > 0 && window.projectLibrary) {
+                window.projectLibrary.saveCurrent({ silent: true })
+                    .catch(error => DEBUG.warn('自动保存项目失败:', error));
             }
 
         } catch (error) {
             DEBUG.error('批量生成失败:', error);
             this.showStepError(error.message || '批量生成失败');
+            this.renderGenerationStatus();
         } finally {
             // 恢复按钮状态
             const generateAllBtn = document.getElementById('generateAllBtn');
@@ -1253,6 +2064,81 @@ class PreviewSystem {
         }
     }
 
+    /**
+     * 初始化逐张生成状态
+     */
+    initGenerationStatus(count) {
+        this.generationStatus = Array.from({ length: count }, (_, index) => ({
+            index,
+            status: 'queued',
+            renderer: '',
+            reason: ''
+        }));
+        this.renderGenerationStatus();
+
+        const generatedImagesPreview = document.getElementById('generatedImagesPreview');
+        if (generatedImagesPreview) {
+            generatedImagesPreview.style.display = 'block';
+        }
+    }
+
+    /**
+     * 更新单张图片的生成状态
+     */
+    updateGenerationTaskStatus(update) {
+        const entry = this.generationStatus?.[update?.index];
+        if (!entry) return;
+
+        entry.status = update.status;
+        entry.renderer = update.renderer || entry.renderer;
+        entry.reason = update.reason || '';
+        this.renderGenerationStatus();
+    }
+
+    /**
+     * 渲染生成状态（预览网格 + 加载层）
+     */
+    renderGenerationStatus() {
+        const statusList = this.generationStatus || [];
+        const previewImagesGrid = document.getElementById('previewImagesGrid');
+
+        if (previewImagesGrid) {
+            previewImagesGrid.innerHTML = '';
+            statusList.forEach(entry => previewImagesGrid.appendChild(this.createGenerationStatusItem(entry)));
+        }
+
+        window.uiManager?.renderTaskStatus?.(statusList);
+    }
+
+    /**
+     * 创建生成状态卡片
+     */
+    createGenerationStatusItem(entry) {
+        const statusLabels = {
+            queued: '排队中',
+            rendering: '渲染中',
+            failed: '生成失败',
+            cancelled: '已取消',
+            done: '已完成'
+        };
+        const statusIcons = {
+            queued: 'schedule',
+            rendering: 'autorenew',
+            failed: 'error_outline',
+            cancelled: 'block',
+            done: 'check_circle'
+        };
+
+        const item = document.createElement('div');
+        item.className = `preview-status-item status-${entry.status}`;
+        item.innerHTML = `
+            <span class="material-icons">${statusIcons[entry.status] || 'schedule'}</span>
+            <div class="preview-image-title">第 ${entry.index + 1} 张 · ${statusLabels[entry.status] || entry.status}</div>
+            <div class="preview-image-meta">${Utils.escapeHtml(entry.reason || entry.renderer || '')}</div>
+        `;
+        return item;
+    }
+
     /**
      * 创建预览图片项
      */
@@ -1260,6 +2146,8 @@ class PreviewSystem {
         const item = document.createElement('div');
         item.className = 'preview-image-item fade-in';
         item.dataset.previewIndex = index;
+        // 拖动调整页面顺序（页面编排器处理拖放）
+        item.draggable = true;
 
         const safeTitle = Utils.escapeHtml(String(image.title || ''));
         item.innerHTML = `
@@ -1274,6 +2162,21 @@ class PreviewSystem {
             <div class="preview-image-info">
                 <div class="preview-image-title">${safeTitle}</div>
                 <div class="preview-image-meta">${image.width}x${image.height}</div>
+                ${image.fallback ? `<div class="preview-image-fallback" title="${Utils.escapeHtml(image.fallback.reason || '')}">已回退至 ${Utils.escapeHtml(image.renderer)}</div>` : ''}
+                ${this.renderFitBadges(image)}
+                ${this.renderOverrideBadges(image)}
+                <div class="page-tools">
+                    <span class="material-icons page-drag-handle" title="拖动调整页面顺序">drag_indicator</span>
+                    <button type="button" class="icon-button" data-page-action="split" title="拆分此页">
+                        <span class="material-icons">call_split</span>
+                    </button>
+                    <button type="button" class="icon-button" data-page-action="merge" title="与下一页合并">
+                        <span class="material-icons">call_merge</span>
+                    </button>
+                    <button type="button" class="icon-button" data-page-action="settings" title="单页设置：模板、强调色、画面比例与版式">
+                        <span class="material-icons">tune</span>
+                    </button>
+                </div>
             </div>
         `;
 
@@ -1288,6 +2191,52 @@ class PreviewSystem {
         return item;
     }
 
+    /**
+     * 单页覆盖提示：该页单独设置的模板、画面比例、强调色与版式
+     */
+    renderOverrideBadges(image) {
+        const overrides = image.page?.overrides;
+        if (!overrides) return '';
+
+        const labels = [];
+        if (overrides.template) {
+            labels.push(window.templateManager?.getTemplateById(overrides.template)?.name || overrides.template);
+        }
+        if (overrides.aspectRatio) {
+            labels.push(overrides.aspectRatio);
+        }
+        if (overrides.layout) {
+            labels.push(`${window.carouselPlanner?.roles[overrides.layout]?.name || overrides.layout}版式`);
+        }
+        const swatch = overrides.accentColor
+            ? `<span class="page-override-swatch" style="background: ${Utils.escapeHtml(overrides.accentColor)}"></span>`
+            : '';
+        const text = labels.length > 0 ? `单页设置：${Utils.escapeHtml(labels.join(' · '))}` : '单页设置';
+        return `<div class="preview-image-fit"><span class="preview-fit-badge page-override-badge" title="此页使用单独的设置">${swatch}${text}</span></div>`;
+    }
+
+    /**
+     * 文字适配结果提示：自动分页、缩小字号，以及最小字号下仍溢出的警告
+     */
+    renderFitBadges(image) {
+        const badges = [];
+        const split = image.page?.split;
+        const fit = image.fit;
+
+        if (split) {
+            badges.push(`<span class="preview-fit-badge" title="内容较长，已自动拆分到多页">自动分页 ${split.part}/${split.parts}</span>`);
+        }
+        if (fit?.shrunk) {
+            badges.push(`<span class="preview-fit-badge" title="已在模板允许范围内缩小正文字号">字号 ${fit.maxFontSize}→${fit.fontSize}</span>`);
+        }
+        if (fit?.overflow) {
+            const detail = fit.hiddenLines ? `，${fit.hiddenLines} 行未显示` : '';
+            badges.push(`<span class="preview-fit-badge is-overflow" title="建议精简内容或增加图片数量">内容溢出${detail}</span>`);
+        }
+
+        return badges.length > 0 ? `<div class="preview-image-fit">${badges.join('')}</div>` : '';
+    }
+
     /**
      * 初始化导出页面（第五步）
      */
@@ -1378,6 +2327,8 @@ class PreviewSystem {
                 this.downloadSingleImage(imageId);
             });
         });
+
+        window.cardEditor?.refresh();
     }
 
     /**
@@ -1562,7 +2513,7 @@ class PreviewSystem {
 
                     // 添加新的选中状态
                     toneCard.classList.add('selected');
-                    this.stepData.tone = toneCard.dataset.tone;
+                    this.commitStepData({ tone: toneCard.dataset.tone }, '选择口吻');
 
                     this.validateStep2();
                     this.updatePreview();
@@ -1626,7 +2577,8 @@ class PreviewSystem {
             template: selectedTemplate,
             customTags: [],
             optimizedContent: '',
-            generationSettings: {}
+            generationSettings: {},
+            pagePlan: null
         };
         
         // 清空输入
@@ -1642,12 +2594,49 @@ class PreviewSystem {
         
         this.renderTags();
         this.goToStep(1);
+        window.projectLibrary?.startNew();
+        window.stepHistory?.clear();
         
         if (window.uiManager) {
             window.uiManager.showToast('已重新开始', 'info');
         }
     }
 
+    /**
+     * 恢复项目（从项目库重新打开），同步各步骤界面后跳转到指定步骤
+     */
+    restoreProject(data, images = [], step = 1) {
+        this.applyStepData({
+            content: data.content || '',
+            tone: data.tone || '',
+            template: data.template || null,
+            customTags: [...(data.customTags || [])],
+            optimizedContent: data.optimizedContent || '',
+            generationSettings: { ...(data.generationSettings || {}) },
+            pagePlan: data.pagePlan || null
+        });
+
+        // 已生成的图片
+        window.app?.clearGeneratedImages();
+        images.forEach(image => window.app?.addGeneratedImage(image));
+
+        // 打开的项目保留已保存的图片，不触发边写边渲染
+        clearTimeout(this.liveRender.timer);
+        this.renderPreviewGrid(images);
+        const imageCountElement = document.getElementById('previewImageCount');
+        if (imageCountElement) {
+            imageCountElement.textContent = images.length;
+        }
+        this.setPreviewImages(images, 0);
+        const nextBtn = document.getElementById('nextStep4');
+        if (nextBtn) {
+            nextBtn.disabled = images.length === 0;
+        }
+
+        window.stepHistory?.clear();
+        this.goToStep(step);
+    }
+
     /**
      * 获取当前步骤数据
      */
@@ -1655,6 +2644,95 @@ class PreviewSystem {
         return { ...this.stepData };
     }
 
+    /**
+     * 修改步骤数据并记入撤销历史（sync 为 true 时同步界面）
+     */
+    commitStepData(changes, label, { mergeKey = null, sync = false } = {}) {
+        // 数组与生成设置按值保存，模板对象本身不可变，保留引用即可
+        const copy = (key, value) => Array.isArray(value) ? [...value] : (key === 'generationSettings' ? { ...value } : value);
+        const before = {};
+        const after = {};
+        Object.keys(changes).forEach(key => {
+            before[key] = copy(key, this.stepData[key]);
+            after[key] = copy(key, changes[key]);
+        });
+
+        if (sync) {
+            this.applyStepData(changes);
+        } else {
+            this.stepData = { ...this.stepData, ...changes };
+        }
+        window.stepHistory?.record({ label, before, after, mergeKey });
+    }
+
+    /**
+     * 撤销 / 重做的字段是否影响已显示的卡片：页面编排、正文与标签决定各页内容，
+     * 包括卡片上改字写回的正文和标签（不受边写边渲染开关影响）
+     */
+    affectsRenderedCards(values) {
+        return this.previewImages.length > 0 &&
+            ['pagePlan', 'optimizedContent', 'content', 'customTags'].some(key => Object.prototype.hasOwnProperty.call(values, key));
+    }
+
+    /**
+     * 写入步骤数据并同步各步骤界面（撤销 / 重做、打开项目时使用）
+     */
+    applyStepData(values) {
+        this.stepData = { ...this.stepData, ...values };
+        const has = (key) => Object.prototype.hasOwnProperty.call(values, key);
+
+        if (has('content')) {
+            const contentInput = document.getElementById('contentInput');
+            if (contentInput && contentInput.value !== this.stepData.content) {
+                contentInput.value = this.stepData.content;
+            }
+            this.updateInputStats(this.stepData.content);
+            this.updateContentPreview();
+            this.validateStep1();
+            this.renderOriginalContent();
+        }
+
+        if (has('tone')) {
+            document.querySelectorAll('.tone-card').forEach(card => {
+                card.classList.toggle('selected', card.dataset.tone === this.stepData.tone);
+            });
+        }
+
+        if (has('template')) {
+            const template = this.stepData.template;
+            if (template && window.templateManager?.getTemplateById(template.id)) {
+                window.templateManager.selectTemplate(template.id, template.variant || '');
+                this.stepData.template = window.templateManager.getSelectedTemplate() || template;
+            } else if (!template) {
+                document.querySelectorAll('#templateGrid .template-card.selected').forEach(card => card.classList.remove('selected'));
+            }
+        }
+
+        if (has('customTags')) {
+            this.renderTags();
+        }
+
+        if (has('optimizedContent')) {
+            this.renderOptimizedState();
+            this.validateStep3();
+        }
+
+        if (has('generationSettings')) {
+            ['imageCount', 'imageStyle', 'aspectRatio', 'quality'].forEach(key => {
+                const select = document.getElementById(key);
+                const value = this.stepData.generationSettings?.[key];
+                if (select && value !== undefined) {
+                    select.value = String(value);
+                }
+            });
+        }
+
+        if (has('tone') || has('template')) {
+            this.validateStep2();
+        }
+        this.updatePreview();
+    }
+
     /**
      * 设置步骤数据
      */
@@ -0,0 +1,420 @@
+/**
+ * 项目库
+ * 将每篇笔记（正文、口吻、模板、标签、优化内容、生成设置与图片 Blob）保存到 IndexedDB，
+ * 支持缩略图列表、搜索、删除，并可重新打开到任意步骤。图片体积远超 localStorage 配额，因此不再依赖 auto_save_state
+ */
+
+class ProjectLibrary {
+    constructor() {
+        this.dbName = 'xiaohongshu_projects';
+        this.dbVersion = 1;
+        this._dbPromise = null;
+        this.currentProjectId = null;
+        this.thumbnailUrls = [];
+        this.thumbnailSize = 240;
+
+        this.stepNames = ['输入', '风格', '优化', '预览', '导出'];
+    }
+
+    /**
+     * 初始化项目库
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        if (!window.indexedDB) {
+            DEBUG.warn('浏览器不支持 IndexedDB，项目库不可用');
+        }
+        this.bindEvents();
+        DEBUG.log('项目库初始化完成');
+    }
+
+    /**
+     * 打开数据库（首次打开时创建 projects / images 两个仓库）
+     */
+    open() {
+        if (this._dbPromise) {
+            return this._dbPromise;
+        }
+
+        this._dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('当前浏览器不支持 IndexedDB，无法使用项目库'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains('images')) {
+                    db.createObjectStore('images', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('项目库被其他标签页占用，请关闭其他页面后重试'));
+        }).catch(error => {
+            this._dbPromise = null;
+            DEBUG.error('打开项目库失败:', error);
+            throw error;
+        });
+
+        return this._dbPromise;
+    }
+
+    /**
+     * 在事务中执行操作，事务完成后返回 work 的结果
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('项目库事务已中止'));
+            result = work(tx);
+        });
+    }
+
+    /**
+     * 将 IDBRequest 包装为 Promise
+     */
+    request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * 列出项目（按更新时间倒序，可按标题 / 正文 / 标签 / 模板搜索）
+     */
+    async list(query = '') {
+        const projects = await this.transaction('projects', 'readonly', tx => this.request(tx.objectStore('projects').getAll()));
+        const keyword = String(query || '').trim().toLowerCase();
+
+        return projects
+            .filter(project => !keyword || [
+                project.title,
+                project.content,
+                project.optimizedContent,
+                project.template?.name,
+                ...(project.customTags || [])
+            ].some(value => String(value || '').toLowerCase().includes(keyword)))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * 获取项目及其图片（图片按序号排列）
+     */
+    async get(id) {
+        const [project, images] = await this.transaction(['projects', 'images'], 'readonly', tx => Promise.all([
+            this.request(tx.objectStore('projects').get(id)),
+            this.request(tx.objectStore('images').index('projectId').getAll(id))
+        ]));
+
+        if (!project) return null;
+        return { project, images: images.sort((a, b) => a.index - b.index) };
+    }
+
+    /**
+     * 保存当前工作为项目（已从项目库打开的项目会被覆盖更新）
+     */
+    async saveCurrent({ silent = false } = {}) {
+        const stepData = window.previewSystem?.getStepData();
+        if (!stepData?.content?.trim()) {
+            throw new Error('当前没有可保存的内容');
+        }
+
+        const images = (window.app?.generatedImages || []).filter(image => image.blob);
+        const now = new Date().toISOString();
+        const id = this.currentProjectId || Utils.generateId('project');
+        const existing = this.currentProjectId ? (await this.get(id))?.project : null;
+
+        let thumbnail = existing?.thumbnail || null;
+        if (images.length > 0) {
+            try {
+                thumbnail = await this.createThumbnail(images[0].blob);
+            } catch (error) {
+                DEBUG.warn('生成项目缩略图失败:', error);
+            }
+        }
+
+        const project = {
+            id,
+            title: window.contentAnalyzer?.generateTitle(stepData.content) || stepData.content.trim().slice(0, 20),
+            content: stepData.content,
+            tone: stepData.tone || '',
+            template: stepData.template ? JSON.parse(JSON.stringify(stepData.template)) : null,
+            customTags: [...(stepData.customTags || [])],
+            optimizedContent: stepData.optimizedContent || '',
+            generationSettings: { ...(stepData.generationSettings || {}) },
+            pagePlan: stepData.pagePlan ? JSON.parse(JSON.stringify(stepData.pagePlan)) : null,
+            currentStep: window.previewSystem.currentStep || 1,
+            imageCount: images.length,
+            thumbnail,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        try {
+            await this.transaction(['projects', 'images'], 'readwrite', tx => {
+                const imageStore = tx.objectStore('images');
+                tx.objectStore('projects').put(project);
+                imageStore.index('projectId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor) {
+                        imageStore.delete(cursor.primaryKey);
+                        cursor.continue();
+                    } else {
+                        images.forEach((image, index) => imageStore.put(this.toStoredImage(image, id, index)));
+                    }
+                };
+            });
+        } catch (error) {
+            DEBUG.error('保存项目失败:', error);
+            throw new Error(error?.name === 'QuotaExceededError' ? '项目保存失败：浏览器存储空间不足' : '项目保存失败，请重试');
+        }
+
+        this.currentProjectId = id;
+        if (!silent) {
+            window.uiManager?.showToast(`项目「${project.title}」已保存${images.length ? `（${images.length} 张图片）` : ''}`, 'success');
+        }
+        this.renderList();
+        return project;
+    }
+
+    /**
+     * 转换为存储用的图片记录（去掉只在当前页面有效的 blob: 地址）
+     */
+    toStoredImage(image, projectId, index) {
+        return {
+            id: `${projectId}_${index}`,
+            projectId,
+            index,
+            blob: image.blob,
+            title: image.title || '',
+            prompt: image.prompt || '',
+            template: image.template || '',
+            width: image.width,
+            height: image.height,
+            size: image.size || image.blob.size,
+            variation: image.variation || index + 1,
+            renderer: image.renderer || '',
+            fallback: image.fallback || null,
+            timestamp: image.timestamp || new Date().toISOString()
+        };
+    }
+
+    /**
+     * 删除项目及其图片
+     */
+    async remove(id) {
+        await this.transaction(['projects', 'images'], 'readwrite', tx => {
+            const imageStore = tx.objectStore('images');
+            tx.objectStore('projects').delete(id);
+            imageStore.index('projectId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (cursor) {
+                    imageStore.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+
+        if (this.currentProjectId === id) {
+            this.currentProjectId = null;
+        }
+    }
+
+    /**
+     * 重新打开项目到指定步骤（超出项目进度时停在可到达的最后一步）
+     */
+    async openProject(id, step = null) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error('项目不存在或已被删除');
+        }
+
+        const { project, images } = record;
+        const target = Math.min(step || project.currentStep || 1, this.getMaxStep(project));
+        const template = this.resolveTemplate(project.template);
+
+        window.previewSystem.restoreProject({ ...project, template }, images.map(image => ({
+            ...image,
+            id: Utils.generateId('img'),
+            url: URL.createObjectURL(image.blob)
+        })), target);
+
+        this.currentProjectId = project.id;
+        return project;
+    }
+
+    /**
+     * 优先使用模板库中的最新模板，模板已删除时回退到保存时的快照
+     */
+    resolveTemplate(snapshot) {
+        if (!snapshot) return null;
+        const template = window.templateManager?.getTemplateById(snapshot.id);
+        if (!template) return snapshot;
+        return (snapshot.variant || null) !== (template.variant || null)
+            ? { ...template, variant: snapshot.variant || null }
+            : template;
+    }
+
+    /**
+     * 项目当前可以打开到的最大步骤
+     */
+    getMaxStep(project) {
+        if (!project.content?.trim()) return 1;
+        if (!project.tone || !project.template) return 2;
+        if (!project.optimizedContent) return 3;
+        return project.imageCount > 0 ? 5 : 4;
+    }
+
+    /**
+     * 开始新项目（后续保存不再覆盖已打开的项目）
+     */
+    startNew() {
+        this.currentProjectId = null;
+    }
+
+    /**
+     * 由第一张图片生成 JPEG 缩略图
+     */
+    async createThumbnail(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('图片加载失败'));
+                img.src = url;
+            });
+            const scale = Math.min(1, this.thumbnailSize / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const openBtn = document.getElementById('projectLibraryBtn');
+        const saveBtn = document.getElementById('saveProjectBtn');
+        const searchInput = document.getElementById('projectSearchInput');
+        const list = document.getElementById('projectList');
+
+        openBtn?.addEventListener('click', () => {
+            this.renderList();
+            window.uiManager?.openModal('projectLibrary');
+        });
+
+        saveBtn?.addEventListener('click', async () => {
+            try {
+                await this.saveCurrent();
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'warning');
+            }
+        });
+
+        searchInput?.addEventListener('input', Utils.debounce(() => this.renderList(), 200));
+
+        list?.addEventListener('click', async (e) => {
+            const card = e.target.closest('[data-project-id]');
+            if (!card) return;
+            const projectId = card.dataset.projectId;
+
+            try {
+                if (e.target.closest('.project-delete')) {
+                    const title = card.querySelector('.project-title')?.textContent || '';
+                    if (!confirm(`确定删除项目「${title}」吗？图片将一并删除`)) return;
+                    await this.remove(projectId);
+                    this.renderList();
+                    window.uiManager?.showToast('项目已删除', 'info');
+                    return;
+                }
+
+                const stepBtn = e.target.closest('.project-step');
+                const project = await this.openProject(projectId, stepBtn ? Number(stepBtn.dataset.step) : null);
+                window.uiManager?.closeModal('projectLibrary');
+                window.uiManager?.showToast(`已打开项目「${project.title}」`, 'success');
+            } catch (error) {
+                DEBUG.error('项目操作失败:', error);
+                window.uiManager?.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * 渲染项目列表
+     */
+    async renderList() {
+        const list = document.getElementById('projectList');
+        if (!list) return;
+
+        let projects;
+        try {
+            projects = await this.list(document.getElementById('projectSearchInput')?.value);
+        } catch (error) {
+            list.innerHTML = `<div class="preview-placeholder">${Utils.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        this.thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        if (projects.length === 0) {
+            const searching = Boolean(document.getElementById('projectSearchInput')?.value.trim());
+            list.innerHTML = `<div class="preview-placeholder">${searching ? '没有匹配的项目' : '还没有保存的项目，生成图片后会自动保存，也可点击「保存当前项目」'}</div>`;
+            return;
+        }
+
+        list.innerHTML = projects.map(project => {
+            let thumbnail = '<span class="material-icons">image</span>';
+            if (project.thumbnail) {
+                const url = URL.createObjectURL(project.thumbnail);
+                this.thumbnailUrls.push(url);
+                thumbnail = `<img src="${url}" alt="">`;
+            }
+            const maxStep = this.getMaxStep(project);
+            const isCurrent = project.id === this.currentProjectId;
+            return `
+                <div class="project-card${isCurrent ? ' current' : ''}" data-project-id="${project.id}">
+                    <div class="project-thumbnail">${thumbnail}</div>
+                    <div class="project-info">
+                        <div class="project-title">${Utils.escapeHtml(project.title)}</div>
+                        <div class="project-meta">
+                            ${Utils.escapeHtml(project.template?.name || '未选择模板')} · ${project.imageCount} 张 · ${Utils.formatDateTime(new Date(project.updatedAt))}
+                        </div>
+                        <div class="project-steps">
+                            ${this.stepNames.map((name, index) => `
+                                <button type="button" class="project-step${index + 1 === project.currentStep ? ' saved' : ''}" data-step="${index + 1}" ${index + 1 > maxStep ? 'disabled' : ''} title="打开到步骤${index + 1}">${name}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <button type="button" class="icon-button project-delete" title="删除项目">
+                        <span class="material-icons">delete</span>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+}
+
+// 全局项目库实例
+window.projectLibrary = new ProjectLibrary();
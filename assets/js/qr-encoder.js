@@ -0,0 +1,602 @@
+/**
+ * 二维码编码
+ * 纯 JS 实现的 QR Code 编码器（字节模式、版本 1–40、L / M / Q / H 纠错、自动选择掩码），不依赖网络；
+ * 内容可由 ```qr 围栏指定，或使用品牌套件中的默认链接，按模板的二维码槽位绘制在收尾页
+ */
+
+class QrEncoder {
+    constructor() {
+        // 纠错等级：序号用于查表，formatBits 为格式信息中的编码
+        this.levels = {
+            L: { ordinal: 0, formatBits: 1, name: '低（7%）' },
+            M: { ordinal: 1, formatBits: 0, name: '中（15%）' },
+            Q: { ordinal: 2, formatBits: 3, name: '较高（25%）' },
+            H: { ordinal: 3, formatBits: 2, name: '高（30%）' }
+        };
+        // 每块纠错码字数、纠错块数（按纠错等级、版本查表）
+        this.eccCodewordsPerBlock = [
+            [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+        ];
+        this.numErrorCorrectionBlocks = [
+            [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+            [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+            [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+            [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+        ];
+
+        // 模板未定义二维码槽位时的默认值：位置、边长（占画面宽度的比例）、纠错等级
+        this.defaultSlot = { position: 'bottom-right', size: 0.2, ecLevel: 'M' };
+        this.positions = ['bottom-right', 'bottom-left', 'bottom-center'];
+        // 中心 Logo 的边长（占二维码边长的比例），只在 Q / H 纠错下绘制
+        this.logoRatio = 0.22;
+    }
+
+    // ── 内容来源 ──────────────────────────────
+
+    /**
+     * 解析 ```qr 围栏：第一行非选项内容为二维码内容（链接或文字），
+     * 可选「说明 / 纠错 / 位置 / logo」选项；info 中也可直接写纠错等级与位置（如 ```qr H bottom-left）
+     */
+    parseBlock(source, info = '') {
+        const block = { text: '', caption: '', ecLevel: '', position: '', logo: '' };
+
+        String(info || '').split(/\s+/).filter(Boolean).forEach((word) => {
+            if (this.levels[word.toUpperCase()]) block.ecLevel = word.toUpperCase();
+            if (this.positions.includes(word)) block.position = word;
+        });
+
+        String(source || '').split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+            const option = line.match(/^(caption|label|说明|文字|ec|level|纠错|position|位置|logo|图标)\s*[:：]\s*(.*)$/i);
+            if (!option) {
+                if (!block.text) block.text = line;
+                return;
+            }
+
+            const key = option[1].toLowerCase();
+            const value = option[2].trim();
+            if (['caption', 'label', '说明', '文字'].includes(key)) block.caption = value;
+            if (['ec', 'level', '纠错'].includes(key) && this.levels[value.toUpperCase()]) block.ecLevel = value.toUpperCase();
+            if (['position', '位置'].includes(key) && this.positions.includes(value)) block.position = value;
+            if (['logo', '图标'].includes(key)) block.logo = value;
+        });
+
+        return block.text ? block : null;
+    }
+
+    /**
+     * 在正文中查找第一个 ```qr 围栏，没有时返回 null
+     */
+    findBlock(content) {
+        const block = this.getBlocks(content)[0];
+        return block ? this.parseBlock(block.value, block.info) : null;
+    }
+
+    /**
+     * 去掉正文中的 ```qr 围栏（二维码单独绘制，不作为代码块显示）
+     */
+    stripBlocks(content) {
+        const source = String(content || '');
+        const blocks = this.getBlocks(source);
+        if (blocks.length === 0) return source;
+
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        return lines
+            .filter((line, index) => !blocks.some(block => index >= block.line && index <= block.endLine))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    getBlocks(content) {
+        if (!/(`{3,}|~{3,})\s*(?:qr|二维码)\b/i.test(String(content || ''))) return [];
+        const parser = typeof window !== 'undefined'
+            ? window.markdownParser
+            : new (require('./markdown-parser.js'))();
+        return parser.parse(String(content || '')).children
+            .filter(block => block.type === 'code' && /^(?:qr|二维码)$/i.test(block.lang));
+    }
+
+    /**
+     * 由 ```qr 围栏或品牌套件的默认二维码确定内容；围栏优先
+     */
+    resolve(content, brandKit = null) {
+        const block = this.findBlock(content);
+        if (block) return block;
+        if (!brandKit?.qrText) return null;
+        return { text: brandKit.qrText, caption: brandKit.qrCaption || '', ecLevel: '', position: '', logo: brandKit.qrLogo ? 'brand' : '' };
+    }
+
+    /**
+     * 准备绘制：合并槽位设置（围栏优先，其次模板槽位，最后默认值）、解析 Logo 并编码；
+     * 带 Logo 时纠错等级至少为 Q，保证遮挡中心后仍可扫描。编码失败时返回 null
+     */
+    prepare(block, templateSlot = null, brandKit = null) {
+        if (!block?.text) return null;
+
+        const slot = { ...this.defaultSlot, ...(templateSlot || {}) };
+        if (block.position) slot.position = block.position;
+        if (block.ecLevel) slot.ecLevel = block.ecLevel;
+        if (!this.positions.includes(slot.position)) slot.position = this.defaultSlot.position;
+        if (!this.levels[slot.ecLevel]) slot.ecLevel = this.defaultSlot.ecLevel;
+
+        const logo = this.getLogoSource(block.logo, brandKit);
+        if (logo && ['L', 'M'].includes(slot.ecLevel)) slot.ecLevel = 'H';
+
+        try {
+            const qr = this.encode(block.text, slot.ecLevel);
+            return { qr, slot, caption: block.caption || '', logo, logoArea: this.getLogoArea(qr, !!logo) };
+        } catch (error) {
+            if (typeof DEBUG !== 'undefined') DEBUG.warn('二维码编码失败:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Logo 来源：brand 表示使用品牌套件的 Logo，也可直接给出 data:image 图片；其余写法不绘制
+     */
+    getLogoSource(logo, brandKit = null) {
+        const value = String(logo || '').trim();
+        if (['brand', '品牌'].includes(value.toLowerCase())) return brandKit?.logo || '';
+        return value.startsWith('data:image/') ? value : '';
+    }
+
+    /**
+     * 二维码卡片的位置与尺寸：area 为 { left, right, bottom, width }（可用区域与画面宽度），
+     * captionSize 为说明文字字号；卡片底边贴齐 area.bottom，水平位置由槽位决定
+     */
+    layoutBlock(prepared, area, captionSize = 0) {
+        const qrSize = Math.round(area.width * prepared.slot.size);
+        const padding = Math.round(qrSize * 0.1);
+        const captionH = prepared.caption ? Math.round(captionSize * 1.8) : 0;
+        const width = qrSize + padding * 2;
+        const height = qrSize + padding * 2 + captionH;
+        const x = {
+            'bottom-left': area.left,
+            'bottom-center': Math.round((area.left + area.right - width) / 2),
+            'bottom-right': area.right - width
+        }[prepared.slot.position];
+        const y = area.bottom - height;
+
+        return {
+            x,
+            y,
+            width,
+            height,
+            padding,
+            qrX: x + padding,
+            qrY: y + padding,
+            qrSize,
+            moduleSize: qrSize / prepared.qr.size,
+            captionY: y + padding + qrSize + captionH / 2
+        };
+    }
+
+    // ── 编码 ──────────────────────────────
+
+    /**
+     * 编码为模块矩阵：返回 { version, ecLevel, size, modules }，modules[y][x] 为 true 表示深色模块
+     */
+    encode(text, ecLevel = 'M') {
+        const level = this.levels[ecLevel] ? ecLevel : 'M';
+        const ordinal = this.levels[level].ordinal;
+        const bytes = this.toUtf8(text);
+        if (bytes.length === 0) {
+            throw new Error('二维码内容不能为空');
+        }
+
+        let version = 1;
+        while (version <= 40 && 4 + this.getCountBits(version) + bytes.length * 8 > this.getNumDataCodewords(version, ordinal) * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new Error('二维码内容过长，请缩短链接或降低纠错等级');
+        }
+
+        const data = this.buildDataCodewords(bytes, version, ordinal);
+        const codewords = this.addEccAndInterleave(data, version, ordinal);
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => Array(size).fill(false));
+        const qr = { version, ecLevel: level, size, modules, isFunction };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, codewords);
+
+        // 逐个尝试 8 种掩码，取罚分最低的一种
+        let bestMask = 0;
+        let minPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenaltyScore(qr);
+            if (penalty < minPenalty) {
+                bestMask = mask;
+                minPenalty = penalty;
+            }
+            this.applyMask(qr, mask);
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return { version, ecLevel: level, size, modules, mask: bestMask };
+    }
+
+    toUtf8(text) {
+        const source = String(text || '');
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(source));
+        }
+        return Array.from(unescape(encodeURIComponent(source)), ch => ch.charCodeAt(0));
+    }
+
+    // 字节模式下字符计数的位数
+    getCountBits(version) {
+        return version <= 9 ? 8 : 16;
+    }
+
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    getNumDataCodewords(version, ordinal) {
+        return Math.floor(this.getNumRawDataModules(version) / 8)
+            - this.eccCodewordsPerBlock[ordinal][version] * this.numErrorCorrectionBlocks[ordinal][version];
+    }
+
+    // 模式指示 + 字符计数 + 数据 + 终止符，再以 0xEC / 0x11 交替填充到数据码字容量
+    buildDataCodewords(bytes, version, ordinal) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4);
+        append(bytes.length, this.getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = this.getNumDataCodewords(version, ordinal) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const result = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            result.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return result;
+    }
+
+    // ── 纠错（Reed-Solomon） ──────────────────────────────
+
+    addEccAndInterleave(data, version, ordinal) {
+        const numBlocks = this.numErrorCorrectionBlocks[ordinal][version];
+        const blockEccLen = this.eccCodewordsPerBlock[ordinal][version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const divisor = this.getReedSolomonDivisor(blockEccLen);
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = this.getReedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // 短块末尾的占位字节不输出
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    getReedSolomonDivisor(degree) {
+        const result = Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    getReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach((byte) => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this.multiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    // GF(2^8) 乘法，本原多项式 0x11D
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // ── 模块绘制 ──────────────────────────────
+
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    }
+
+    // 定位图形、时序图形、校正图形、格式与版本信息
+    drawFunctionPatterns(qr) {
+        const { size } = qr;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions(qr.version, size);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // 与定位图形重叠的三个角不画
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // 先以掩码 0 占位，选定掩码后重写
+        this.drawFormatBits(qr, 0);
+        this.drawVersionBits(qr);
+    }
+
+    getAlignmentPositions(version, size) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = (this.levels[qr.ecLevel].formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true);
+    }
+
+    drawVersionBits(qr) {
+        if (qr.version < 7) return;
+        let rem = qr.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (qr.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = qr.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(qr, a, b, dark);
+            this.setFunctionModule(qr, b, a, dark);
+        }
+    }
+
+    // 按之字形从右下角开始逐列（两列一组）放置数据位
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!qr.isFunction[y][x] && i < codewords.length * 8) {
+                        qr.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // 掩码是异或操作，再调用一次即可撤销
+    applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => x * y % 2 + x * y % 3 === 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+        ];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && patterns[mask](x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // 罚分规则：连续同色、2×2 同色块、类定位图形、深浅比例
+    getPenaltyScore(qr) {
+        const { size, modules } = qr;
+        const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+        let result = 0;
+        let dark = 0;
+
+        const scanLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                const color = i < size ? get(i) : !runColor;
+                if (i < size && color === runColor) {
+                    runLength++;
+                    continue;
+                }
+                if (runLength >= 5) result += 3 + runLength - 5;
+                runColor = color;
+                runLength = 1;
+            }
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((bit, k) => get(i + k) === (bit === 1)))) result += 40;
+            }
+        };
+
+        for (let i = 0; i < size; i++) {
+            scanLine(x => modules[i][x]);
+            scanLine(y => modules[y][i]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) result += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return result;
+    }
+
+    // ── 输出 ──────────────────────────────
+
+    /**
+     * 中心 Logo 区域（模块坐标，含一圈留白），未启用 Logo 时返回 null
+     */
+    getLogoArea(qr, withLogo) {
+        if (!withLogo || !['Q', 'H'].includes(qr.ecLevel)) return null;
+        let span = Math.round(qr.size * this.logoRatio);
+        if (span % 2 !== qr.size % 2) span++;
+        const start = (qr.size - span) / 2;
+        return { start, end: start + span };
+    }
+
+    /**
+     * SVG 路径数据：同一行相邻的深色模块合并为一个矩形；logoArea 内的模块跳过
+     */
+    toPathData(qr, x, y, moduleSize, logoArea = null) {
+        const round = value => Math.round(value * 100) / 100;
+        const inLogo = (mx, my) => logoArea && mx >= logoArea.start && mx < logoArea.end && my >= logoArea.start && my < logoArea.end;
+        const parts = [];
+
+        for (let my = 0; my < qr.size; my++) {
+            let mx = 0;
+            while (mx < qr.size) {
+                if (!qr.modules[my][mx] || inLogo(mx, my)) {
+                    mx++;
+                    continue;
+                }
+                const start = mx;
+                while (mx < qr.size && qr.modules[my][mx] && !inLogo(mx, my)) mx++;
+                parts.push(`M${round(x + start * moduleSize)} ${round(y + my * moduleSize)}h${round((mx - start) * moduleSize)}v${round(moduleSize)}h${round(-(mx - start) * moduleSize)}z`);
+            }
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * 在 Canvas 上绘制模块（不含背景与留白）
+     */
+    drawToCanvas(ctx, qr, x, y, moduleSize, color, logoArea = null) {
+        ctx.save();
+        ctx.fillStyle = color;
+        for (let my = 0; my < qr.size; my++) {
+            for (let mx = 0; mx < qr.size; mx++) {
+                if (!qr.modules[my][mx]) continue;
+                if (logoArea && mx >= logoArea.start && mx < logoArea.end && my >= logoArea.start && my < logoArea.end) continue;
+                // 稍微外扩，避免缩放后相邻模块之间出现细缝
+                ctx.fillRect(x + mx * moduleSize, y + my * moduleSize, moduleSize + 0.3, moduleSize + 0.3);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * 深色模块颜色：取模板强调色 / 正文色中与浅色底对比足够的一个，保证可扫描
+     */
+    getModuleColor(candidates, background = '#FFFFFF') {
+        const luminance = (color) => {
+            const hex = String(color || '').replace('#', '');
+            if (!/^[\da-f]{6}$/i.test(hex)) return 1;
+            const [r, g, b] = [0, 2, 4].map((offset) => {
+                const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+                return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        };
+        const contrast = color => (luminance(background) + 0.05) / (luminance(color) + 0.05);
+        return candidates.find(color => color && contrast(color) >= 4.5) || '#111111';
+    }
+}
+
+// 全局二维码编码实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.qrEncoder = new QrEncoder();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QrEncoder;
+}
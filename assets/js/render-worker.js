@@ -0,0 +1,71 @@
+/**
+ * 卡片渲染 Worker
+ * 在后台线程中用 OffscreenCanvas 运行视觉生成器的完整绘制流程（背景、照片、正文、装饰、二维码、导出），
+ * 页面通过离屏渲染器投递内容 / 模板任务并接收图片 Blob，生成多张大尺寸卡片时界面保持响应
+ */
+
+// 共用模块以 window.xxx 注册全局实例，Worker 中让 window 指向全局作用域
+self.window = self;
+
+const version = new URLSearchParams(self.location.search).get('v');
+importScripts(...[
+    'utils.js',
+    'markdown-parser.js',
+    'text-layout.js',
+    'fit-engine.js',
+    'theme-manager.js',
+    'qr-encoder.js',
+    'photo-layer.js',
+    'brand-kit-manager.js',
+    'visual-generator.js'
+].map(file => (version ? `${file}?v=${version}` : file)));
+
+// 视觉生成器一次只绘制一张，任务按到达顺序排队
+let queue = Promise.resolve();
+
+/**
+ * 绘制一张卡片，返回图片 Blob 与尺寸、适配信息、文字区域
+ */
+async function renderJob({ content, template, tone, customTags, options }) {
+    const imageData = await window.visualGenerator.generateCard(content, template, tone, customTags, options);
+    return {
+        blob: imageData.blob,
+        width: imageData.width,
+        height: imageData.height,
+        format: imageData.format,
+        fit: imageData.fit || null,
+        hitMap: imageData.hitMap || null
+    };
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'init':
+            // 主题令牌由页面传入，与页面中的主题管理器保持一致
+            try {
+                if (message.themes) {
+                    window.themeManager.loadFromData(message.themes);
+                }
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'failed', message: error.message });
+            }
+            break;
+
+        case 'render':
+            queue = queue.then(async () => {
+                try {
+                    const result = await renderJob(message.job);
+                    self.postMessage({ type: 'result', id: message.id, result });
+                } catch (error) {
+                    self.postMessage({ type: 'error', id: message.id, message: error.message });
+                }
+            });
+            break;
+
+        default:
+            DEBUG.warn('渲染 Worker 收到未知消息:', message.type);
+    }
+});
@@ -0,0 +1,149 @@
+/**
+ * 渲染器注册中心
+ * 统一管理各图片渲染后端（Gemini / SVG / Modern / Visual / Advanced / 模拟），
+ * 按能力声明与优先级解析出候选链，并支持按模板配置回退顺序
+ */
+
+class RendererRegistry {
+    constructor() {
+        this.renderers = new Map();
+        this.fallbackOrders = new Map();
+    }
+
+    /**
+     * 注册渲染器
+     * definition: { label, priority, concurrency, maxRetries, capabilities: { templates, aspectRatios, formats, needsNetwork }, isAvailable(settings), render(prompt, settings) }
+     * capabilities 中 templates / aspectRatios 为 null 时表示不限；concurrency / maxRetries 供生成队列调度单张图片
+     */
+    register(name, definition = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('渲染器名称不能为空');
+        }
+        if (typeof definition.render !== 'function') {
+            throw new Error(`渲染器 ${name} 缺少 render 方法`);
+        }
+
+        const capabilities = definition.capabilities || {};
+        const renderer = {
+            name,
+            label: definition.label || name,
+            priority: Number.isFinite(definition.priority) ? definition.priority : 0,
+            concurrency: Math.max(1, parseInt(definition.concurrency) || 1),
+            maxRetries: Math.max(0, parseInt(definition.maxRetries) || 0),
+            capabilities: {
+                templates: Array.isArray(capabilities.templates) ? [...capabilities.templates] : null,
+                aspectRatios: Array.isArray(capabilities.aspectRatios) ? [...capabilities.aspectRatios] : null,
+                formats: Array.isArray(capabilities.formats) && capabilities.formats.length > 0
+                    ? [...capabilities.formats]
+                    : ['png'],
+                needsNetwork: capabilities.needsNetwork === true
+            },
+            isAvailable: typeof definition.isAvailable === 'function' ? definition.isAvailable : () => true,
+            render: definition.render
+        };
+
+        if (this.renderers.has(name)) {
+            DEBUG.warn(`渲染器 ${name} 已存在，将被覆盖`);
+        }
+        this.renderers.set(name, renderer);
+        DEBUG.log(`渲染器已注册: ${name} (优先级 ${renderer.priority})`);
+        return renderer;
+    }
+
+    /**
+     * 注销渲染器
+     */
+    unregister(name) {
+        return this.renderers.delete(name);
+    }
+
+    /**
+     * 获取渲染器
+     */
+    get(name) {
+        return this.renderers.get(name) || null;
+    }
+
+    /**
+     * 按优先级列出全部渲染器
+     */
+    list() {
+        return Array.from(this.renderers.values()).sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * 设置模板的回退顺序（传入空值则清除）
+     */
+    setFallbackOrder(templateId, order) {
+        if (!templateId) return;
+        if (!Array.isArray(order) || order.length === 0) {
+            this.fallbackOrders.delete(templateId);
+            return;
+        }
+        this.fallbackOrders.set(templateId, order.filter(name => typeof name === 'string'));
+    }
+
+    /**
+     * 获取模板的回退顺序：运行时配置优先，其次读取模板自身的 renderer_order
+     */
+    getFallbackOrder(template) {
+        if (!template) return [];
+        const configured = this.fallbackOrders.get(template.id);
+        if (configured) return configured;
+        return Array.isArray(template.renderer_order) ? template.renderer_order : [];
+    }
+
+    /**
+     * 判断渲染器是否满足当前生成设置
+     */
+    supports(renderer, settings = {}) {
+        const { templates, aspectRatios, formats, needsNetwork } = renderer.capabilities;
+        const templateId = settings.template?.id;
+        const aspectRatio = settings.aspectRatio || '9:16';
+        const format = settings.format || 'png';
+
+        if (templates && !templates.includes(templateId)) return false;
+        if (aspectRatios && !aspectRatios.includes(aspectRatio)) return false;
+        if (!formats.includes(format)) return false;
+        if (needsNetwork && typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+        return true;
+    }
+
+    /**
+     * 解析候选渲染器链：模板指定的顺序在前，其余按优先级补齐
+     */
+    resolve(settings = {}) {
+        const ordered = [];
+        const seen = new Set();
+
+        this.getFallbackOrder(settings.template).forEach(name => {
+            const renderer = this.renderers.get(name);
+            if (renderer && !seen.has(name)) {
+                ordered.push(renderer);
+                seen.add(name);
+            } else if (!renderer) {
+                DEBUG.warn(`模板回退顺序中的渲染器不存在: ${name}`);
+            }
+        });
+
+        this.list().forEach(renderer => {
+            if (!seen.has(renderer.name)) {
+                ordered.push(renderer);
+                seen.add(renderer.name);
+            }
+        });
+
+        return ordered.filter(renderer => {
+            try {
+                return renderer.isAvailable(settings) && this.supports(renderer, settings);
+            } catch (error) {
+                DEBUG.warn(`检测渲染器 ${renderer.name} 可用性失败:`, error);
+                return false;
+            }
+        });
+    }
+}
+
+// 全局渲染器注册中心实例
+window.rendererRegistry = new RendererRegistry();
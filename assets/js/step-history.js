@@ -0,0 +1,164 @@
+/**
+ * 步骤数据历史
+ * 记录 PreviewSystem.stepData 的每次修改（命令含修改前后的字段值），支持撤销 / 重做；
+ * 连续输入同一字段时在短时间内合并为一条记录
+ */
+
+class StepHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = 100;
+        this.mergeWindow = 1000;
+        this.applying = false;
+    }
+
+    /**
+     * 初始化历史记录
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.bindEvents();
+        this.updateButtons();
+        DEBUG.log('步骤历史初始化完成');
+    }
+
+    /**
+     * 绑定撤销 / 重做按钮
+     */
+    bindEvents() {
+        document.getElementById('undoBtn')?.addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn')?.addEventListener('click', () => this.redo());
+    }
+
+    /**
+     * 记录一条修改命令 { label, before, after, mergeKey }（撤销 / 重做过程中的修改不记录）
+     */
+    record(command) {
+        if (this.applying) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (command.mergeKey && last?.mergeKey === command.mergeKey && now - last.time < this.mergeWindow) {
+            last.after = command.after;
+            last.time = now;
+            if (this.isSame(last.before, last.after)) {
+                this.undoStack.pop();
+            }
+        } else {
+            if (this.isSame(command.before, command.after)) return;
+            this.undoStack.push({ ...command, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.updateButtons();
+    }
+
+    /**
+     * 撤销
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+
+        this.apply(command.before);
+        this.redoStack.push(command);
+        this.updateButtons();
+        window.uiManager?.showToast(`已撤销：${command.label}`, 'info', 2000);
+        return true;
+    }
+
+    /**
+     * 重做
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+
+        this.apply(command.after);
+        this.undoStack.push({ ...command, time: 0 });
+        this.updateButtons();
+        window.uiManager?.showToast(`已重做：${command.label}`, 'info', 2000);
+        return true;
+    }
+
+    /**
+     * 将字段值写回预览系统并同步界面；已显示的卡片受影响时（如撤销拆分页面）只重绘有变化的页面
+     */
+    async apply(values) {
+        const previewSystem = window.previewSystem;
+        if (!previewSystem) return;
+
+        const redraw = previewSystem.affectsRenderedCards(values);
+        try {
+            if (redraw) {
+                // 先按修改前的数据记下现有卡片，写回后增量重绘
+                await previewSystem.seedLiveRenderCache();
+            }
+
+            this.applying = true;
+            try {
+                previewSystem.applyStepData(values);
+            } finally {
+                this.applying = false;
+            }
+
+            if (redraw) {
+                await previewSystem.runLiveRender();
+            }
+        } catch (error) {
+            DEBUG.error('撤销 / 重做后重绘卡片失败:', error);
+        }
+    }
+
+    /**
+     * 清空历史（重新开始或打开其他项目时）
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateButtons();
+    }
+
+    /**
+     * 比较两组字段值是否相同
+     */
+    isSame(a, b) {
+        return Object.keys({ ...a, ...b }).every(key => {
+            const left = a?.[key];
+            const right = b?.[key];
+            if (left === right) return true;
+            if (key === 'template') {
+                return left?.id === right?.id && (left?.variant || null) === (right?.variant || null);
+            }
+            return JSON.stringify(left) === JSON.stringify(right);
+        });
+    }
+
+    /**
+     * 更新撤销 / 重做按钮状态
+     */
+    updateButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+        if (undoBtn) {
+            undoBtn.disabled = !lastUndo;
+            undoBtn.title = lastUndo ? `撤销：${lastUndo.label}（Ctrl+Z）` : '撤销（Ctrl+Z）';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !lastRedo;
+            redoBtn.title = lastRedo ? `重做：${lastRedo.label}（Ctrl+Shift+Z）` : '重做（Ctrl+Shift+Z）';
+        }
+    }
+}
+
+// 全局步骤历史实例
+window.stepHistory = new StepHistory();
@@ -0,0 +1,441 @@
+/**
+ * SVG 图表原语
+ * 柱状图、条形图、环形图、折线 / 迷你趋势图、进度环、前后对比，全部输出原生 SVG 元素（无 foreignObject、无外部资源），
+ * 缩放不失真且不会污染 Canvas；图表类型可在 ```chart 围栏中指定，或按提取到的数据形态自动选择
+ */
+
+class SvgCharts {
+    constructor() {
+        // 共用的字宽估算（Node 环境下直接加载模块）
+        this.textLayout = typeof window !== 'undefined'
+            ? window.textLayout
+            : new (require('./text-layout.js'))();
+
+        this.types = {
+            bar: '柱状图',
+            hbar: '条形图',
+            donut: '环形图',
+            line: '折线图',
+            sparkline: '趋势图',
+            ring: '进度环',
+            compare: '前后对比'
+        };
+        this.typeAliases = {
+            column: 'bar', '柱状图': 'bar', '柱状': 'bar',
+            '条形图': 'hbar', '条形': 'hbar',
+            pie: 'donut', '环形图': 'donut', '饼图': 'donut',
+            '折线图': 'line', '折线': 'line',
+            spark: 'sparkline', '趋势图': 'sparkline', '趋势': 'sparkline',
+            progress: 'ring', '进度环': 'ring', '进度': 'ring',
+            comparison: 'compare', '对比': 'compare', '前后对比': 'compare'
+        };
+        this.maxSeries = 8;
+        // 时间序列标签（1月、2024、Q3、第2周、周一、5日）适合画成折线
+        this.sequencePattern = /^(?:\d{1,2}月|\d{4}年?|Q[1-4]|第.{1,3}[天周月年期季]|周[一二三四五六日天]|\d{1,2}[日号])$/i;
+    }
+
+    // ── 数据来源 ──────────────────────────────
+
+    /**
+     * 解析 ```chart 围栏：info 为围栏参数（图表类型），每行“标签: 数值 单位”，
+     * 另可写 type / 类型、title / 标题、unit / 单位 行；没有数据时返回 null
+     */
+    parseChartBlock(source, info = '') {
+        const chart = { type: this.normalizeType(info), title: '', unit: '', series: [], source: 'fence' };
+
+        String(source || '').split('\n').map(line => line.trim()).filter(Boolean).forEach((line) => {
+            const option = line.match(/^(type|类型|title|标题|unit|单位)\s*[:：]\s*(.+)$/i);
+            if (option) {
+                const key = option[1].toLowerCase();
+                if (key === 'type' || key === '类型') chart.type = this.normalizeType(option[2]);
+                if (key === 'title' || key === '标题') chart.title = option[2].trim();
+                if (key === 'unit' || key === '单位') chart.unit = option[2].trim();
+                return;
+            }
+
+            const row = line.match(/^[-*•]?\s*(.+?)\s*[:：|,，]\s*(-?\d+(?:\.\d+)?)\s*(\S*)$/);
+            if (row && chart.series.length < this.maxSeries) {
+                chart.series.push({ label: row[1], value: parseFloat(row[2]), unit: row[3] || chart.unit });
+            }
+        });
+
+        if (chart.series.length === 0) return null;
+        if (!chart.unit) chart.unit = chart.series[0].unit;
+        chart.type = chart.type || this.chooseType(chart.series);
+        return chart;
+    }
+
+    /**
+     * 由正文中提取的数据点生成图表；数据形态不适合可视化时返回 null
+     */
+    fromDataPoints(points) {
+        const valid = (points || []).filter(dp => Number.isFinite(parseFloat(dp.value)));
+        const series = valid.map(dp => ({ label: dp.context || '', value: parseFloat(dp.value), unit: dp.unit || '' }));
+        const type = this.chooseType(series);
+        if (!type) return null;
+
+        // 没有上下文标签时：对比图标为“之前 / 之后”，其余沿用数据点的类别名
+        series.forEach((item, i) => {
+            if (!item.label) item.label = type === 'compare' ? ['之前', '之后'][i] : valid[i].label;
+        });
+        return { type, title: '', unit: series[0].unit, series, source: 'auto' };
+    }
+
+    /**
+     * 按数据形态选择图表：单个百分比 → 进度环；合计约 100% → 环形图；其余百分比 → 条形图；
+     * 两个同单位数值 → 前后对比；时间序列 → 折线（数据多时用迷你趋势图）；三个以上同单位数值 → 柱状图；单位不一致时不画图
+     */
+    chooseType(series) {
+        if (!series || series.length === 0) return null;
+        const unit = series[0].unit;
+        if (series.some(item => item.unit !== unit)) return null;
+
+        if (unit === '%') {
+            if (series.length === 1) return 'ring';
+            const total = series.reduce((sum, item) => sum + item.value, 0);
+            return Math.abs(total - 100) <= 2 ? 'donut' : 'hbar';
+        }
+        if (series.length === 1) return null;
+        if (series.length === 2) return 'compare';
+        if (series.every(item => this.sequencePattern.test(item.label))) {
+            return series.length > 6 ? 'sparkline' : 'line';
+        }
+        return 'bar';
+    }
+
+    normalizeType(type) {
+        const key = String(type || '').trim().toLowerCase();
+        if (this.types[key]) return key;
+        return this.typeAliases[key] || '';
+    }
+
+    // ── 渲染入口 ──────────────────────────────
+
+    /**
+     * 在 box（{ x, y, width, height }）内绘制图表；style: { colors: { primary, secondary, text, textLight, border }, fonts: { sans, mono } }
+     */
+    render(chart, box, style) {
+        if (!chart || !chart.series?.length) return '';
+        const renderers = {
+            bar: 'renderBar',
+            hbar: 'renderHorizontalBar',
+            donut: 'renderDonut',
+            line: 'renderLine',
+            sparkline: 'renderSparkline',
+            ring: 'renderProgressRing',
+            compare: 'renderComparison'
+        };
+        const method = renderers[chart.type] || 'renderBar';
+        return this[method](chart, box, style).join('\n        ');
+    }
+
+    // ── 图表原语 ──────────────────────────────
+
+    // 柱状图：数值标在柱顶，最大值用主色高亮
+    renderBar(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series;
+        const labelH = 44;
+        const valueH = 36;
+        const plotTop = box.y + valueH;
+        const plotH = box.height - labelH - valueH;
+        const baseline = plotTop + plotH;
+        const max = this.niceMax(Math.max(...series.map(item => item.value)));
+        const slot = box.width / series.length;
+        const barW = Math.min(96, slot * 0.56);
+        const peak = Math.max(...series.map(item => item.value));
+        const parts = this.renderGridLines(box.x, plotTop, box.width, plotH, c);
+
+        series.forEach((item, i) => {
+            const barH = Math.max(4, plotH * Math.max(0, item.value) / max);
+            const cx = box.x + slot * i + slot / 2;
+            const opacity = item.value === peak ? 1 : 0.5;
+            parts.push(`<rect x="${this.round(cx - barW / 2)}" y="${this.round(baseline - barH)}" width="${this.round(barW)}" height="${this.round(barH)}" rx="8" fill="${c.primary}" fill-opacity="${opacity}" />`);
+            parts.push(`<text x="${this.round(cx)}" y="${this.round(baseline - barH - 12)}" font-size="22" fill="${c.text}" font-family="${f.mono}" font-weight="700" text-anchor="middle">${this.escapeXML(this.formatValue(item.value, item.unit))}</text>`);
+            parts.push(`<text x="${this.round(cx)}" y="${baseline + 32}" font-size="18" fill="${c.textLight}" font-family="${f.sans}" text-anchor="middle">${this.escapeXML(this.fitLabel(item.label, slot - 8, 18))}</text>`);
+        });
+
+        return parts;
+    }
+
+    // 条形图：左侧标签、中间进度条、右侧数值（百分比以 100% 为满格）
+    renderHorizontalBar(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series;
+        const labelW = Math.round(box.width * 0.28);
+        const valueW = 120;
+        const trackW = box.width - labelW - valueW;
+        const rowH = Math.min(72, box.height / series.length);
+        const barH = Math.min(24, rowH * 0.42);
+        const max = chart.unit === '%' ? 100 : this.niceMax(Math.max(...series.map(item => item.value)));
+        const top = box.y + (box.height - rowH * series.length) / 2;
+        const parts = [];
+
+        series.forEach((item, i) => {
+            const cy = top + rowH * i + rowH / 2;
+            const barW = Math.max(barH, trackW * Math.min(1, Math.max(0, item.value) / max));
+            parts.push(`<text x="${box.x}" y="${this.round(cy)}" font-size="20" fill="${c.text}" font-family="${f.sans}" dominant-baseline="central">${this.escapeXML(this.fitLabel(item.label, labelW - 16, 20))}</text>`);
+            parts.push(`<rect x="${box.x + labelW}" y="${this.round(cy - barH / 2)}" width="${trackW}" height="${this.round(barH)}" rx="${this.round(barH / 2)}" fill="${c.border}" fill-opacity="0.5" />`);
+            parts.push(`<rect x="${box.x + labelW}" y="${this.round(cy - barH / 2)}" width="${this.round(barW)}" height="${this.round(barH)}" rx="${this.round(barH / 2)}" fill="${i === 0 ? c.primary : c.secondary}" />`);
+            parts.push(`<text x="${box.x + box.width}" y="${this.round(cy)}" font-size="22" fill="${c.text}" font-family="${f.mono}" font-weight="700" text-anchor="end" dominant-baseline="central">${this.escapeXML(this.formatValue(item.value, item.unit))}</text>`);
+        });
+
+        return parts;
+    }
+
+    // 环形图：用描边虚线分段（圆周按占比切分），右侧图例标注数值与占比
+    renderDonut(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series.filter(item => item.value > 0);
+        const total = series.reduce((sum, item) => sum + item.value, 0) || 1;
+        const size = Math.min(box.height, box.width * 0.46);
+        const thickness = Math.round(size * 0.16);
+        const r = (size - thickness) / 2;
+        const cx = box.x + size / 2;
+        const cy = box.y + box.height / 2;
+        const circumference = 2 * Math.PI * r;
+        const palette = this.getPalette(c, series.length);
+        const parts = [];
+
+        let offset = 0;
+        series.forEach((item, i) => {
+            const length = circumference * item.value / total;
+            parts.push(`<circle cx="${this.round(cx)}" cy="${this.round(cy)}" r="${this.round(r)}" fill="none" stroke="${palette[i].color}" stroke-opacity="${palette[i].opacity}" stroke-width="${thickness}" stroke-dasharray="${this.round(length)} ${this.round(circumference - length)}" stroke-dashoffset="${this.round(-offset)}" transform="rotate(-90 ${this.round(cx)} ${this.round(cy)})" />`);
+            offset += length;
+        });
+
+        const lead = series[0];
+        parts.push(`<text x="${this.round(cx)}" y="${this.round(cy - 6)}" font-size="${Math.round(size * 0.16)}" fill="${c.text}" font-family="${f.mono}" font-weight="800" text-anchor="middle">${this.formatPercent(lead.value / total)}</text>`);
+        parts.push(`<text x="${this.round(cx)}" y="${this.round(cy + size * 0.12)}" font-size="18" fill="${c.textLight}" font-family="${f.sans}" text-anchor="middle">${this.escapeXML(this.fitLabel(lead.label, r * 1.3, 18))}</text>`);
+
+        const legendX = box.x + size + 48;
+        const legendW = box.x + box.width - legendX;
+        const rowH = Math.min(56, box.height / series.length);
+        const legendTop = cy - rowH * series.length / 2;
+        series.forEach((item, i) => {
+            const ly = legendTop + rowH * i + rowH / 2;
+            parts.push(`<rect x="${this.round(legendX)}" y="${this.round(ly - 8)}" width="16" height="16" rx="4" fill="${palette[i].color}" fill-opacity="${palette[i].opacity}" />`);
+            parts.push(`<text x="${this.round(legendX + 28)}" y="${this.round(ly)}" font-size="20" fill="${c.text}" font-family="${f.sans}" dominant-baseline="central">${this.escapeXML(this.fitLabel(item.label, legendW - 150, 20))}</text>`);
+            parts.push(`<text x="${box.x + box.width}" y="${this.round(ly)}" font-size="20" fill="${c.textLight}" font-family="${f.mono}" font-weight="700" text-anchor="end" dominant-baseline="central">${this.escapeXML(this.formatValue(item.value, item.unit))}</text>`);
+        });
+
+        return parts;
+    }
+
+    // 折线图：面积渐隐 + 折线 + 数据点，末点标注数值
+    renderLine(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series;
+        const axisW = 64;
+        const labelH = 40;
+        const plot = { x: box.x + axisW, y: box.y + 24, width: box.width - axisW - 24, height: box.height - labelH - 24 };
+        const max = this.niceMax(Math.max(...series.map(item => item.value)));
+        const points = this.getLinePoints(series, plot, max);
+        const parts = this.renderGridLines(plot.x, plot.y, plot.width, plot.height, c);
+
+        [0, 0.5, 1].forEach((ratio) => {
+            const y = plot.y + plot.height * (1 - ratio);
+            parts.push(`<text x="${plot.x - 12}" y="${this.round(y)}" font-size="16" fill="${c.textLight}" font-family="${f.mono}" text-anchor="end" dominant-baseline="central">${this.formatValue(max * ratio, '')}</text>`);
+        });
+        parts.push(...this.renderLinePath(points, plot, c, 4));
+
+        const labelStep = Math.ceil(series.length / 6);
+        series.forEach((item, i) => {
+            const [px, py] = points[i];
+            parts.push(`<circle cx="${px}" cy="${py}" r="6" fill="${c.cardBg || '#FFFFFF'}" stroke="${c.primary}" stroke-width="3" />`);
+            if (i % labelStep === 0 || i === series.length - 1) {
+                parts.push(`<text x="${px}" y="${plot.y + plot.height + 30}" font-size="16" fill="${c.textLight}" font-family="${f.sans}" text-anchor="middle">${this.escapeXML(this.fitLabel(item.label, plot.width / Math.min(series.length, 6), 16))}</text>`);
+            }
+        });
+
+        const last = series[series.length - 1];
+        const [lx, ly] = points[points.length - 1];
+        parts.push(`<text x="${lx}" y="${this.round(ly - 18)}" font-size="22" fill="${c.primary}" font-family="${f.mono}" font-weight="800" text-anchor="end">${this.escapeXML(this.formatValue(last.value, last.unit))}</text>`);
+
+        return parts;
+    }
+
+    // 迷你趋势图：无坐标轴，右侧大号显示最新值与相对首个值的变化
+    renderSparkline(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series;
+        const summaryW = Math.min(240, box.width * 0.32);
+        const plot = { x: box.x, y: box.y + 12, width: box.width - summaryW - 24, height: box.height - 24 };
+        const values = series.map(item => item.value);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const points = this.getLinePoints(series, plot, max - min || 1, min);
+        const parts = this.renderLinePath(points, plot, c, 3);
+
+        const [lx, ly] = points[points.length - 1];
+        parts.push(`<circle cx="${lx}" cy="${ly}" r="7" fill="${c.primary}" />`);
+
+        const last = series[series.length - 1];
+        const sx = box.x + box.width;
+        parts.push(`<text x="${sx}" y="${this.round(box.y + box.height / 2)}" font-size="44" fill="${c.text}" font-family="${f.mono}" font-weight="800" text-anchor="end">${this.escapeXML(this.formatValue(last.value, last.unit))}</text>`);
+        parts.push(`<text x="${sx}" y="${this.round(box.y + box.height / 2 + 36)}" font-size="18" fill="${c.textLight}" font-family="${f.sans}" text-anchor="end">${this.escapeXML(this.formatChange(series[0].value, last.value))} · ${this.escapeXML(this.fitLabel(last.label, summaryW - 90, 18))}</text>`);
+
+        return parts;
+    }
+
+    // 进度环：每个数值一个环（最多 3 个），百分比居中
+    renderProgressRing(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const series = chart.series.slice(0, 3);
+        const slot = box.width / series.length;
+        const size = Math.min(box.height - 48, slot - 32);
+        const thickness = Math.round(size * 0.11);
+        const r = (size - thickness) / 2;
+        const circumference = 2 * Math.PI * r;
+        const parts = [];
+
+        series.forEach((item, i) => {
+            const cx = box.x + slot * i + slot / 2;
+            const cy = box.y + size / 2;
+            const ratio = Math.min(1, Math.max(0, item.unit === '%' ? item.value / 100 : item.value / (chart.max || 100)));
+            const length = circumference * ratio;
+            parts.push(`<circle cx="${this.round(cx)}" cy="${this.round(cy)}" r="${this.round(r)}" fill="none" stroke="${c.border}" stroke-opacity="0.6" stroke-width="${thickness}" />`);
+            parts.push(`<circle cx="${this.round(cx)}" cy="${this.round(cy)}" r="${this.round(r)}" fill="none" stroke="${i === 0 ? c.primary : c.secondary}" stroke-width="${thickness}" stroke-linecap="round" stroke-dasharray="${this.round(length)} ${this.round(circumference)}" transform="rotate(-90 ${this.round(cx)} ${this.round(cy)})" />`);
+            parts.push(`<text x="${this.round(cx)}" y="${this.round(cy)}" font-size="${Math.round(size * 0.2)}" fill="${c.text}" font-family="${f.mono}" font-weight="800" text-anchor="middle" dominant-baseline="central">${this.escapeXML(this.formatValue(item.value, item.unit))}</text>`);
+            parts.push(`<text x="${this.round(cx)}" y="${this.round(box.y + size + 36)}" font-size="20" fill="${c.textLight}" font-family="${f.sans}" text-anchor="middle">${this.escapeXML(this.fitLabel(item.label, slot - 16, 20))}</text>`);
+        });
+
+        return parts;
+    }
+
+    // 前后对比：两根横条按同一刻度，右上角标注变化幅度
+    renderComparison(chart, box, style) {
+        const { colors: c, fonts: f } = style;
+        const [before, after] = chart.series;
+        const max = Math.max(before.value, after.value) || 1;
+        const labelW = Math.round(box.width * 0.22);
+        const valueW = 140;
+        const trackW = box.width - labelW - valueW;
+        const badgeH = 44;
+        const rowH = Math.min(88, (box.height - badgeH - 16) / 2);
+        const barH = Math.min(40, rowH * 0.5);
+        const change = this.formatChange(before.value, after.value);
+        const top = this.round(box.y + (box.height - badgeH - 16 - rowH * 2) / 2);
+        const parts = [];
+
+        const badgeW = this.textLayout.estimateWidth(change, 22) + 40;
+        parts.push(`<rect x="${this.round(box.x + box.width - badgeW)}" y="${top}" width="${this.round(badgeW)}" height="${badgeH}" rx="${badgeH / 2}" fill="${c.primary}" fill-opacity="0.14" />`);
+        parts.push(`<text x="${this.round(box.x + box.width - badgeW / 2)}" y="${top + badgeH / 2}" font-size="22" fill="${c.primary}" font-family="${f.mono}" font-weight="800" text-anchor="middle" dominant-baseline="central">${this.escapeXML(change)}</text>`);
+
+        [before, after].forEach((item, i) => {
+            const cy = top + badgeH + 16 + rowH * i + rowH / 2;
+            const barW = Math.max(barH, trackW * Math.max(0, item.value) / max);
+            parts.push(`<text x="${box.x}" y="${this.round(cy)}" font-size="22" fill="${c.text}" font-family="${f.sans}" font-weight="600" dominant-baseline="central">${this.escapeXML(this.fitLabel(item.label, labelW - 16, 22))}</text>`);
+            parts.push(`<rect x="${box.x + labelW}" y="${this.round(cy - barH / 2)}" width="${this.round(barW)}" height="${this.round(barH)}" rx="10" fill="${i === 0 ? c.textLight : c.primary}" fill-opacity="${i === 0 ? 0.35 : 1}" />`);
+            parts.push(`<text x="${box.x + box.width}" y="${this.round(cy)}" font-size="26" fill="${i === 0 ? c.textLight : c.text}" font-family="${f.mono}" font-weight="800" text-anchor="end" dominant-baseline="central">${this.escapeXML(this.formatValue(item.value, item.unit))}</text>`);
+        });
+
+        return parts;
+    }
+
+    // ── 绘制工具 ──────────────────────────────
+
+    // 横向虚线网格（顶部、中部、底部）
+    renderGridLines(x, y, width, height, colors) {
+        return [0, 0.5, 1].map((ratio) => {
+            const gy = this.round(y + height * ratio);
+            const dash = ratio === 1 ? '' : ' stroke-dasharray="6 6"';
+            return `<line x1="${x}" y1="${gy}" x2="${this.round(x + width)}" y2="${gy}" stroke="${colors.border}" stroke-width="1.5"${dash} />`;
+        });
+    }
+
+    getLinePoints(series, plot, range, min = 0) {
+        const step = series.length > 1 ? plot.width / (series.length - 1) : 0;
+        return series.map((item, i) => [
+            this.round(plot.x + (series.length > 1 ? step * i : plot.width / 2)),
+            this.round(plot.y + plot.height * (1 - (item.value - min) / range))
+        ]);
+    }
+
+    // 折线与下方半透明面积
+    renderLinePath(points, plot, colors, strokeWidth) {
+        const line = points.map(([x, y]) => `${x},${y}`).join(' ');
+        const bottom = this.round(plot.y + plot.height);
+        const area = `M${points[0][0]},${bottom} L${line.replace(/ /g, ' L')} L${points[points.length - 1][0]},${bottom} Z`;
+        return [
+            `<path d="${area}" fill="${colors.primary}" fill-opacity="0.12" />`,
+            `<polyline points="${line}" fill="none" stroke="${colors.primary}" stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round" />`
+        ];
+    }
+
+    // 分段配色：主色、辅色及其浅色版本交替
+    getPalette(colors, count) {
+        const base = [
+            { color: colors.primary, opacity: 1 },
+            { color: colors.secondary, opacity: 1 },
+            { color: colors.primary, opacity: 0.5 },
+            { color: colors.secondary, opacity: 0.5 },
+            { color: colors.primary, opacity: 0.25 },
+            { color: colors.textLight, opacity: 0.5 }
+        ];
+        return Array.from({ length: count }, (_, i) => base[i % base.length]);
+    }
+
+    // 坐标轴上限取整到 1 / 2 / 2.5 / 5 × 10ⁿ
+    niceMax(value) {
+        if (!(value > 0)) return 1;
+        const power = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 2.5, 5, 10].find(m => m * power >= value);
+        return step * power;
+    }
+
+    // 标签超出宽度时截断并加省略号
+    fitLabel(label, maxWidth, fontSize) {
+        const text = String(label || '');
+        if (this.textLayout.estimateWidth(text, fontSize) <= maxWidth) return text;
+
+        const clusters = this.textLayout.segment(text);
+        let result = '';
+        for (const cluster of clusters) {
+            if (this.textLayout.estimateWidth(result + cluster + '…', fontSize) > maxWidth) break;
+            result += cluster;
+        }
+        return result + '…';
+    }
+
+    formatValue(value, unit = '') {
+        const number = Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(2)));
+        return `${number}${unit || ''}`;
+    }
+
+    formatPercent(ratio) {
+        return `${Math.round(ratio * 100)}%`;
+    }
+
+    // 变化幅度：↑ 167% / ↓ 73%（起始值为 0 时只标方向）
+    formatChange(from, to) {
+        if (from === to) return '持平';
+        const arrow = to > from ? '↑' : '↓';
+        if (!from) return arrow;
+        return `${arrow} ${Math.round(Math.abs(to - from) / Math.abs(from) * 100)}%`;
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    escapeXML(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// 全局图表实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.svgCharts = new SvgCharts();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgCharts;
+}
@@ -0,0 +1,246 @@
+/**
+ * 自定义模板编辑器
+ * 在界面中新建、复制、编辑和删除自定义模板，并负责模板包（.json）的导入导出
+ */
+
+class TemplateEditor {
+    constructor() {
+        this.editingId = null;
+        this.isNew = true;
+        this.originalGradient = '';
+        this.inherited = {};
+        this.defaultGradient = ['#FF2442', '#FFB3C0'];
+    }
+
+    /**
+     * 初始化模板编辑器
+     */
+    init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.bindEvents();
+        DEBUG.log('模板编辑器初始化完成');
+    }
+
+    /**
+     * 绑定事件
+     */
+    bindEvents() {
+        const newBtn = document.getElementById('newTemplateBtn');
+        const importBtn = document.getElementById('importTemplatePackBtn');
+        const exportBtn = document.getElementById('exportTemplatePackBtn');
+        const packInput = document.getElementById('templatePackInput');
+        const saveBtn = document.getElementById('saveTemplateBtn');
+        const deleteBtn = document.getElementById('deleteTemplateBtn');
+
+        newBtn?.addEventListener('click', () => this.open(null, { isNew: true }));
+        importBtn?.addEventListener('click', () => packInput?.click());
+
+        packInput?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const count = await window.templateManager.importTemplatePack(await file.text());
+                window.uiManager?.showToast(`已导入 ${count} 个模板`, 'success');
+            } catch (error) {
+                DEBUG.error('导入模板包失败:', error);
+                window.uiManager?.showToast(`导入失败：${error.message}`, 'error', 8000);
+            }
+        });
+
+        exportBtn?.addEventListener('click', () => {
+            try {
+                const count = window.templateManager.exportTemplatePack();
+                window.uiManager?.showToast(`已导出 ${count} 个自定义模板`, 'success');
+            } catch (error) {
+                window.uiManager?.showToast(error.message, 'warning');
+            }
+        });
+
+        saveBtn?.addEventListener('click', () => this.save());
+        deleteBtn?.addEventListener('click', () => this.remove());
+    }
+
+    /**
+     * 打开编辑器（template 为空时新建；isNew 表示保存为新模板）
+     */
+    open(template = null, { isNew = !template } = {}) {
+        this.isNew = isNew;
+        this.editingId = isNew ? null : template.id;
+
+        this.populateOptions();
+        this.fillForm(template || this.getBlankTemplate());
+        this.showErrors('');
+
+        const title = document.getElementById('templateEditorTitle');
+        if (title) title.textContent = isNew ? '新建模板' : '编辑模板';
+        const deleteBtn = document.getElementById('deleteTemplateBtn');
+        if (deleteBtn) deleteBtn.style.display = isNew ? 'none' : '';
+
+        window.uiManager?.openModal('templateEditor');
+    }
+
+    /**
+     * 空白模板
+     */
+    getBlankTemplate() {
+        return {
+            id: '',
+            name: '',
+            description: '',
+            category: 'lifestyle',
+            style: {
+                layout: 'vertical',
+                colorScheme: 'warm',
+                typography: 'modern',
+                elements: ['title', 'content', 'tags']
+            },
+            prompt_template: '创建一个小红书风格的图片，内容：{content}，风格：'
+        };
+    }
+
+    /**
+     * 填充分类 / 布局候选项与主题下拉框
+     */
+    populateOptions() {
+        const templates = window.templateManager?.templates || [];
+        const fillDatalist = (id, values) => {
+            const list = document.getElementById(id);
+            if (!list) return;
+            list.innerHTML = [...new Set(values.filter(Boolean))]
+                .map(value => `<option value="${Utils.escapeHtml(value)}"></option>`)
+                .join('');
+        };
+        fillDatalist('templateCategoryOptions', templates.map(t => t.category));
+        fillDatalist('templateLayoutOptions', templates.map(t => t.style?.layout));
+
+        const themeSelect = document.getElementById('templateThemeSelect');
+        if (themeSelect) {
+            const themes = window.themeManager?.list() || [];
+            themeSelect.innerHTML = '<option value="">按分类自动匹配</option>' + themes
+                .map(theme => `<option value="${theme.id}">${Utils.escapeHtml(theme.name || theme.id)}</option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * 将模板填入表单
+     */
+    fillForm(template) {
+        const setValue = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        };
+        const [startColor, endColor] = this.parseGradientColors(template.preview_gradient);
+        this.originalGradient = template.preview_gradient || '';
+        // 表单不展示的继承关系与默认变体原样保留
+        this.inherited = { extends: template.extends, variant: template.variant };
+
+        setValue('templateIdInput', this.isNew ? (template.id || '') : template.id);
+        setValue('templateNameInput', template.name || '');
+        setValue('templateDescriptionInput', template.description || '');
+        setValue('templateCategoryInput', template.category || '');
+        setValue('templateThemeSelect', template.theme || '');
+        setValue('templateLayoutInput', template.style?.layout || '');
+        setValue('templateColorSchemeInput', template.style?.colorScheme || '');
+        setValue('templateTypographyInput', template.style?.typography || '');
+        setValue('templateElementsInput', (template.style?.elements || []).join(', '));
+        setValue('templateGradientStart', startColor);
+        setValue('templateGradientEnd', endColor);
+        setValue('templatePromptInput', template.prompt_template || '');
+
+        const idInput = document.getElementById('templateIdInput');
+        if (idInput) idInput.disabled = !this.isNew;
+    }
+
+    /**
+     * 读取表单为模板对象
+     */
+    readForm() {
+        const getValue = (id) => (document.getElementById(id)?.value || '').trim();
+        const startColor = getValue('templateGradientStart') || this.defaultGradient[0];
+        const endColor = getValue('templateGradientEnd') || this.defaultGradient[1];
+        const [originalStart, originalEnd] = this.parseGradientColors(this.originalGradient);
+
+        const template = {
+            id: this.isNew ? getValue('templateIdInput') : this.editingId,
+            name: getValue('templateNameInput'),
+            description: getValue('templateDescriptionInput'),
+            category: getValue('templateCategoryInput'),
+            // 颜色未改动时保留原渐变（可能包含多个色标）
+            preview_gradient: this.originalGradient && startColor === originalStart && endColor === originalEnd
+                ? this.originalGradient
+                : `linear-gradient(135deg, ${startColor} 0%, ${endColor} 100%)`,
+            style: {
+                layout: getValue('templateLayoutInput'),
+                colorScheme: getValue('templateColorSchemeInput'),
+                typography: getValue('templateTypographyInput'),
+                elements: getValue('templateElementsInput').split(/[,，\s]+/).filter(Boolean)
+            },
+            prompt_template: getValue('templatePromptInput')
+        };
+
+        const theme = getValue('templateThemeSelect');
+        if (theme) template.theme = theme;
+        if (this.inherited.extends) template.extends = this.inherited.extends;
+        if (this.inherited.variant) template.variant = this.inherited.variant;
+        if (!template.id) delete template.id;
+        return template;
+    }
+
+    /**
+     * 从渐变字符串中提取前两个十六进制颜色
+     */
+    parseGradientColors(gradient) {
+        const colors = String(gradient || '').match(/#[0-9a-f]{6}\b/gi) || [];
+        return [
+            (colors[0] || this.defaultGradient[0]).toUpperCase(),
+            (colors[colors.length - 1] || colors[0] || this.defaultGradient[1]).toUpperCase()
+        ];
+    }
+
+    /**
+     * 显示校验错误
+     */
+    showErrors(message) {
+        const box = document.getElementById('templateEditorErrors');
+        if (!box) return;
+        box.textContent = message;
+        box.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * 保存模板
+     */
+    async save() {
+        try {
+            const saved = await window.templateManager.saveCustomTemplate(this.readForm());
+            this.showErrors('');
+            window.uiManager?.closeModal('templateEditor');
+            window.uiManager?.showToast(`模板「${saved.name}」已保存`, 'success');
+        } catch (error) {
+            this.showErrors(error.message);
+        }
+    }
+
+    /**
+     * 删除正在编辑的模板
+     */
+    remove() {
+        const template = window.templateManager.getTemplateById(this.editingId);
+        if (!template || !confirm(`确定删除模板「${template.name}」吗？`)) return;
+
+        try {
+            window.templateManager.deleteCustomTemplate(template.id);
+            window.uiManager?.closeModal('templateEditor');
+            window.uiManager?.showToast('模板已删除', 'info');
+        } catch (error) {
+            this.showErrors(error.message);
+        }
+    }
+}
+
+// 全局模板编辑器实例
+window.templateEditor = new TemplateEditor();
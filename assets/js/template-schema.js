@@ -0,0 +1,181 @@
+/**
+ * 模板包校验器
+ * 按 templates/template-pack.schema.json（JSON Schema draft-07 子集）校验用户模板与导入的模板包，
+ * 输出带字段路径的中文错误信息，例如「templates[0].style.layout（布局）：缺少必填字段」
+ */
+
+class TemplateSchemaValidator {
+    constructor() {
+        this.source = './templates/template-pack.schema.json';
+        this.schema = null;
+        this._loadPromise = null;
+
+        this.typeNames = {
+            object: '对象',
+            array: '数组',
+            string: '字符串',
+            integer: '整数',
+            number: '数字',
+            boolean: '布尔值'
+        };
+    }
+
+    /**
+     * 初始化校验器
+     */
+    async init() {
+        await this.load();
+        DEBUG.log('模板校验器初始化完成');
+    }
+
+    /**
+     * 加载模板包 Schema
+     */
+    load() {
+        if (this._loadPromise) {
+            return this._loadPromise;
+        }
+
+        this._loadPromise = (async () => {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.schema = await response.json();
+            return this.schema;
+        })().catch(error => {
+            this._loadPromise = null;
+            DEBUG.error('加载模板 Schema 失败:', error);
+            throw new Error('模板校验规则加载失败，请通过 npm run start 启动后重试');
+        });
+
+        return this._loadPromise;
+    }
+
+    /**
+     * 校验模板包，返回 { valid, errors }
+     */
+    async validatePack(pack) {
+        const schema = await this.load();
+        const errors = [];
+        this.validateNode(pack, schema, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 校验单个模板，返回 { valid, errors }
+     */
+    async validateTemplate(template) {
+        const schema = await this.load();
+        const errors = [];
+        this.validateNode(template, this.resolveRef('#/definitions/template', schema), '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * 递归校验节点
+     */
+    validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            schema = this.resolveRef(schema.$ref);
+        }
+
+        const report = (message) => {
+            const label = schema.title && path ? `${path}（${schema.title}）` : (path || schema.title || '根节点');
+            errors.push({ path, message: `${label}：${message}` });
+        };
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            report(`应为${this.typeNames[schema.type] || schema.type}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            report(`只能是 ${schema.enum.join(' / ')}`);
+            return;
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength && value.trim().length < schema.minLength) {
+                report(schema.minLength === 1 ? '不能为空' : `长度不能少于 ${schema.minLength}`);
+                return;
+            }
+            if (schema.maxLength && value.length > schema.maxLength) {
+                report(`长度不能超过 ${schema.maxLength}`);
+                return;
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                report(schema.errorMessage || '格式不正确');
+                return;
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems && value.length < schema.minItems) {
+                report(`至少需要 ${schema.minItems} 项`);
+            }
+            if (schema.maxItems && value.length > schema.maxItems) {
+                report(`最多 ${schema.maxItems} 项`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    const child = schema.properties?.[key] || {};
+                    const childPath = path ? `${path}.${key}` : key;
+                    errors.push({ path: childPath, message: `${childPath}${child.title ? `（${child.title}）` : ''}：缺少必填字段` });
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, child]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    this.validateNode(value[key], child, path ? `${path}.${key}` : key, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * 判断值是否符合 JSON Schema 类型
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * 解析文档内 $ref（仅支持 #/ 开头的本地引用）
+     */
+    resolveRef(ref, schema = this.schema) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`不支持的 Schema 引用: ${ref}`);
+        }
+        const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], schema);
+        if (!target) {
+            throw new Error(`Schema 引用不存在: ${ref}`);
+        }
+        return target;
+    }
+
+    /**
+     * 将错误列表格式化为提示文本
+     */
+    formatErrors(errors, limit = 5) {
+        const lines = errors.slice(0, limit).map(error => error.message);
+        if (errors.length > limit) {
+            lines.push(`……另有 ${errors.length - limit} 处错误`);
+        }
+        return lines.join('\n');
+    }
+}
+
+// 全局模板校验实例
+window.templateSchemaValidator = new TemplateSchemaValidator();
@@ -6,6 +6,10 @@
 class TemplateManager {
     constructor() {
         this.templates = [];
+        this.builtinTemplates = [];
+        this.customTemplates = [];
+        this.customStorageKey = 'custom_templates';
+        this.schemaUrl = 'https://yuuqq.github.io/xiaohongshu-ai-generator/templates/template-pack.schema.json';
         this.selectedTemplate = null;
         this.templateGrid = null;
     }
@@ -81,14 +85,267 @@ class TemplateManager {
             }
 
             const data = await response.json();
-            this.templates = data.templates;
-            DEBUG.log(`成功加载 ${this.templates.length} 个模板:`, this.templates.map(t => t.name));
+            this.builtinTemplates = data.templates;
+            DEBUG.log(`成功加载 ${this.builtinTemplates.length} 个模板:`, this.builtinTemplates.map(t => t.name));
         } catch (error) {
             DEBUG.error('加载模板失败:', error);
             DEBUG.log('使用默认模板作为后备');
             // 使用默认模板作为后备
-            this.templates = this.getDefaultTemplates();
-            DEBUG.log(`加载了 ${this.templates.length} 个默认模板`);
+            this.builtinTemplates = this.getDefaultTemplates();
+            DEBUG.log(`加载了 ${this.builtinTemplates.length} 个默认模板`);
+        }
+
+        this.loadCustomTemplates();
+        this.mergeTemplates();
+    }
+
+    /**
+     * 从本地存储读取自定义模板
+     */
+    loadCustomTemplates() {
+        const stored = Utils.storage.get(this.customStorageKey, []);
+        this.customTemplates = Array.isArray(stored)
+            ? stored.filter(t => t && typeof t === 'object' && t.id)
+            : [];
+        DEBUG.log(`加载了 ${this.customTemplates.length} 个自定义模板`);
+    }
+
+    /**
+     * 合并内置模板与自定义模板（自定义模板排在后面），并展开 extends 继承链
+     */
+    mergeTemplates() {
+        const raw = [
+            ...this.builtinTemplates,
+            ...this.customTemplates.map(t => ({ ...t, source: 'custom' }))
+        ];
+        const lookup = new Map(raw.map(t => [t.id, t]));
+
+        this.templates = raw.reduce((list, template) => {
+            try {
+                list.push(this.resolveTemplate(template, lookup));
+            } catch (error) {
+                DEBUG.warn(`模板 ${template.id} 解析失败，已跳过:`, error.message);
+            }
+            return list;
+        }, []);
+    }
+
+    /**
+     * 展开模板继承链：基础模板的字段被子模板逐层覆盖（对象深合并，数组整体替换），
+     * lineage 记录从自身到最顶层基础模板的 ID，供主题解析与渲染器映射使用
+     */
+    resolveTemplate(template, lookup, stack = []) {
+        if (stack.includes(template.id)) {
+            throw new Error(`模板继承出现循环：${[...stack, template.id].join(' → ')}`);
+        }
+        if (!template.extends) {
+            return { ...template, lineage: [template.id] };
+        }
+
+        const base = lookup.get(template.extends);
+        if (!base) {
+            throw new Error(`模板 ${template.id} 继承的模板 ${template.extends} 不存在`);
+        }
+
+        const { source, lineage, extends: baseId, ...parent } = this.resolveTemplate(base, lookup, [...stack, template.id]);
+        return {
+            ...window.themeManager.mergeTokens(parent, template),
+            lineage: [template.id, ...lineage]
+        };
+    }
+
+    /**
+     * 判断是否为自定义模板
+     */
+    isCustomTemplate(templateId) {
+        return this.customTemplates.some(t => t.id === templateId);
+    }
+
+    /**
+     * 去掉运行时字段，得到可保存 / 导出的模板
+     */
+    toStoredTemplate(template) {
+        const { source, lineage, ...stored } = template;
+        return stored;
+    }
+
+    /**
+     * 生成不与现有模板冲突的自定义模板ID
+     */
+    createCustomId() {
+        let id;
+        do {
+            id = `custom-${Math.random().toString(36).slice(2, 10)}`;
+        } while (this.getTemplateById(id));
+        return id;
+    }
+
+    /**
+     * 基于已有模板创建副本草稿（尚未保存），副本继承原模板，主题与渲染器映射随之沿用
+     */
+    duplicateTemplate(templateId) {
+        const template = this.getTemplateById(templateId);
+        if (!template) {
+            throw new Error('模板不存在');
+        }
+        const copy = JSON.parse(JSON.stringify(this.toStoredTemplate(template)));
+        return {
+            ...copy,
+            id: this.createCustomId(),
+            name: `${template.name} 副本`.slice(0, 30),
+            extends: template.id
+        };
+    }
+
+    /**
+     * 以当前模板为查找表（附加额外模板）展开继承链
+     */
+    resolveWith(template, extraTemplates = []) {
+        const lookup = new Map([
+            ...this.builtinTemplates,
+            ...this.customTemplates,
+            ...extraTemplates
+        ].map(t => [t.id, t]));
+        return this.resolveTemplate(template, lookup);
+    }
+
+    /**
+     * 校验并保存自定义模板（新增或更新）
+     */
+    async saveCustomTemplate(template) {
+        const draft = this.toStoredTemplate({ ...template, id: template.id || this.createCustomId() });
+
+        if (this.builtinTemplates.some(t => t.id === draft.id)) {
+            throw new Error(`模板ID「${draft.id}」与内置模板冲突`);
+        }
+        const { valid, errors } = await window.templateSchemaValidator.validateTemplate(this.resolveWith(draft, [draft]));
+        if (!valid) {
+            throw new Error(window.templateSchemaValidator.formatErrors(errors));
+        }
+
+        const index = this.customTemplates.findIndex(t => t.id === draft.id);
+        if (index >= 0) {
+            this.customTemplates[index] = draft;
+        } else {
+            this.customTemplates.push(draft);
+        }
+        this.persistCustomTemplates();
+        this.refreshTemplates(draft.id);
+        return this.getTemplateById(draft.id);
+    }
+
+    /**
+     * 删除自定义模板
+     */
+    deleteCustomTemplate(templateId) {
+        if (!this.isCustomTemplate(templateId)) {
+            throw new Error('只能删除自定义模板');
+        }
+        const child = this.customTemplates.find(t => t.extends === templateId);
+        if (child) {
+            throw new Error(`模板「${child.name || child.id}」继承自该模板，请先删除或修改它`);
+        }
+        this.customTemplates = this.customTemplates.filter(t => t.id !== templateId);
+        this.persistCustomTemplates();
+        this.refreshTemplates(this.selectedTemplate?.id === templateId ? null : this.selectedTemplate?.id);
+    }
+
+    /**
+     * 写入本地存储
+     */
+    persistCustomTemplates() {
+        if (!Utils.storage.set(this.customStorageKey, this.customTemplates)) {
+            throw new Error('自定义模板保存失败，本地存储空间可能已满');
+        }
+    }
+
+    /**
+     * 导入模板包（JSON 文本），同 ID 的自定义模板会被覆盖，返回导入数量
+     */
+    async importTemplatePack(text) {
+        let pack;
+        try {
+            pack = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`模板包不是有效的 JSON：${error.message}`);
+        }
+
+        // 先展开 extends，再按 Schema 校验完整模板（必填字段可从基础模板继承）
+        let resolvedPack = pack;
+        if (Array.isArray(pack?.templates)) {
+            const entries = pack.templates.filter(t => t && typeof t === 'object' && t.id);
+            resolvedPack = {
+                ...pack,
+                templates: pack.templates.map((template, index) => {
+                    if (!template || typeof template !== 'object') return template;
+                    try {
+                        return this.resolveWith(template, entries);
+                    } catch (error) {
+                        throw new Error(`templates[${index}]：${error.message}`);
+                    }
+                })
+            };
+        }
+
+        const { valid, errors } = await window.templateSchemaValidator.validatePack(resolvedPack);
+        if (!valid) {
+            throw new Error(window.templateSchemaValidator.formatErrors(errors));
+        }
+
+        const seen = new Set();
+        pack.templates.forEach((template, index) => {
+            if (this.builtinTemplates.some(t => t.id === template.id)) {
+                throw new Error(`templates[${index}].id：「${template.id}」与内置模板冲突，请修改后再导入`);
+            }
+            if (seen.has(template.id)) {
+                throw new Error(`templates[${index}].id：模板包内存在重复的ID「${template.id}」`);
+            }
+            seen.add(template.id);
+        });
+
+        pack.templates.forEach(template => {
+            const stored = this.toStoredTemplate(template);
+            const index = this.customTemplates.findIndex(t => t.id === stored.id);
+            if (index >= 0) {
+                this.customTemplates[index] = stored;
+            } else {
+                this.customTemplates.push(stored);
+            }
+        });
+        this.persistCustomTemplates();
+        this.refreshTemplates(this.selectedTemplate?.id);
+        return pack.templates.length;
+    }
+
+    /**
+     * 导出模板包（默认导出全部自定义模板）
+     */
+    exportTemplatePack(templateIds = null) {
+        const templates = templateIds
+            ? templateIds.map(id => this.getTemplateById(id)).filter(Boolean)
+            : this.customTemplates;
+        if (templates.length === 0) {
+            throw new Error('没有可导出的自定义模板');
+        }
+
+        const pack = {
+            $schema: this.schemaUrl,
+            version: 1,
+            name: '我的小红书模板',
+            exportedAt: new Date().toISOString(),
+            templates: templates.map(t => this.toStoredTemplate(t))
+        };
+        Utils.downloadJsonFile(pack, Utils.generateFileName('xiaohongshu_templates', 'json'));
+        return templates.length;
+    }
+
+    /**
+     * 重新合并并渲染模板，保持指定模板选中
+     */
+    refreshTemplates(selectedId = null) {
+        this.mergeTemplates();
+        if (this.templateGrid) {
+            this.renderTemplates(selectedId);
         }
     }
 
@@ -160,7 +417,7 @@ class TemplateManager {
     /**
      * 渲染模板网格
      */
-    renderTemplates() {
+    renderTemplates(selectedId = null) {
         if (!this.templateGrid) {
             DEBUG.warn('模板网格元素不存在，无法渲染模板');
             return;
@@ -175,11 +432,13 @@ class TemplateManager {
             DEBUG.log(`渲染模板 ${index + 1}:`, template.name);
         });
 
-        // 默认选择第一个模板
-        if (this.templates.length > 0) {
-            DEBUG.log('默认选择第一个模板:', this.templates[0].name);
+        // 优先保持指定模板选中，否则默认选择第一个模板
+        const target = this.getTemplateById(selectedId) || this.templates[0];
+        if (target) {
+            DEBUG.log('默认选择模板:', target.name);
+            const variant = target.id === this.selectedTemplate?.id ? (this.selectedTemplate.variant || '') : undefined;
             setTimeout(() => {
-                this.selectTemplate(this.templates[0].id);
+                this.selectTemplate(target.id, variant);
             }, 100);
         }
     }
@@ -189,20 +448,47 @@ class TemplateManager {
      */
     createTemplateCard(template) {
         const card = document.createElement('div');
-        card.className = 'template-card';
+        const isCustom = template.source === 'custom';
+        card.className = isCustom ? 'template-card custom' : 'template-card';
         card.dataset.templateId = template.id;
 
+        const name = Utils.escapeHtml(template.name);
         card.innerHTML = `
-            <div class="template-name">${template.name}</div>
-            <div class="template-description">${template.description}</div>
+            <div class="template-actions">
+                ${isCustom ? '<button type="button" class="template-action" data-action="edit" title="编辑模板"><span class="material-icons">edit</span></button>' : ''}
+                <button type="button" class="template-action" data-action="duplicate" title="复制为新模板"><span class="material-icons">content_copy</span></button>
+            </div>
+            <div class="template-name">${name}${isCustom ? '<span class="template-badge">自定义</span>' : ''}</div>
+            <div class="template-description">${Utils.escapeHtml(template.description || '')}</div>
             <div class="template-preview" style="background: ${template.preview_gradient || 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)'}">
-                <span class="preview-text">${template.name}</span>
+                <span class="preview-text">${name}</span>
             </div>
+            ${this.renderVariantChips(template)}
         `;
 
         return card;
     }
 
+    /**
+     * 渲染模板变体选择（标准 + 主题声明的变体）
+     */
+    renderVariantChips(template) {
+        const theme = window.themeManager?.resolve({ ...template, variant: null });
+        const variants = theme ? window.themeManager.listVariants(theme.id) : [];
+        if (variants.length === 0) return '';
+
+        const current = this.selectedTemplate?.id === template.id
+            ? (this.selectedTemplate.variant || '')
+            : (template.variant || '');
+        return `
+            <div class="template-variants">
+                ${[{ id: '', name: '标准' }, ...variants].map(variant => `
+                    <button type="button" class="template-variant${variant.id === current ? ' active' : ''}" data-variant="${variant.id}">${Utils.escapeHtml(variant.name)}</button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     /**
      * 绑定事件监听器
      */
@@ -210,6 +496,23 @@ class TemplateManager {
         if (!this.templateGrid) return;
 
         this.templateGrid.addEventListener('click', (e) => {
+            const action = e.target.closest('.template-action');
+            if (action) {
+                const templateId = action.closest('.template-card').dataset.templateId;
+                if (action.dataset.action === 'edit') {
+                    window.templateEditor?.open(this.getTemplateById(templateId));
+                } else {
+                    window.templateEditor?.open(this.duplicateTemplate(templateId), { isNew: true });
+                }
+                return;
+            }
+
+            const variantChip = e.target.closest('.template-variant');
+            if (variantChip) {
+                this.selectTemplate(variantChip.closest('.template-card').dataset.templateId, variantChip.dataset.variant);
+                return;
+            }
+
             const templateCard = e.target.closest('.template-card');
             if (templateCard) {
                 const templateId = templateCard.dataset.templateId;
@@ -221,7 +524,7 @@ class TemplateManager {
     /**
      * 选择模板
      */
-    selectTemplate(templateId) {
+    selectTemplate(templateId, variant = undefined) {
         if (!this.templateGrid) {
             DEBUG.warn('模板网格未初始化');
             return;
@@ -231,17 +534,23 @@ class TemplateManager {
         const previousSelected = this.templateGrid.querySelector('.template-card.selected');
         if (previousSelected) {
             previousSelected.classList.remove('selected');
+            this.syncVariantChips(previousSelected, this.getTemplateById(previousSelected.dataset.templateId)?.variant || '');
         }
 
+        // 更新选中的模板（未指定变体时使用模板自带的默认变体）
+        const template = this.templates.find(t => t.id === templateId);
+        const chosen = variant === undefined ? (template?.variant || '') : variant;
+        this.selectedTemplate = template && chosen !== (template.variant || '')
+            ? { ...template, variant: chosen || null }
+            : template;
+
         // 添加新的选中状态
         const newSelected = this.templateGrid.querySelector(`[data-template-id="${templateId}"]`);
         if (newSelected) {
             newSelected.classList.add('selected');
+            this.syncVariantChips(newSelected, chosen);
         }
 
-        // 更新选中的模板
-        this.selectedTemplate = this.templates.find(t => t.id === templateId);
-
         if (this.selectedTemplate) {
             // 触发模板选择事件
             this.onTemplateSelected(this.selectedTemplate);
@@ -251,6 +560,15 @@ class TemplateManager {
         }
     }
 
+    /**
+     * 同步卡片上的变体选中状态
+     */
+    syncVariantChips(card, variantId) {
+        card.querySelectorAll('.template-variant').forEach(chip => {
+            chip.classList.toggle('active', chip.dataset.variant === variantId);
+        });
+    }
+
     /**
      * 模板选择回调
      */
@@ -272,6 +590,13 @@ class TemplateManager {
         return this.selectedTemplate;
     }
 
+    /**
+     * 按ID获取模板
+     */
+    getTemplateById(templateId) {
+        return this.templates.find(t => t.id === templateId) || null;
+    }
+
     /**
      * 根据模板生成提示词
      */
@@ -0,0 +1,301 @@
+/**
+ * 中文排版折行
+ * 各 Canvas / SVG 渲染器共用的折行与行内排布：行首 / 行尾禁则、西文单词与数字单位不拆分、
+ * 标点挤压与可选的两端对齐；字宽测量由调用方传入（Canvas 用 measureText，SVG 用字宽估算）
+ */
+
+class TextLayout {
+    constructor() {
+        // 行首禁则：不能出现在行首的标点
+        this.lineStartProhibited = '，。、；：！？）》」』】〕〉〗〙｝］”’…—～·%‰℃,.;:!?)]}';
+        // 行尾禁则：不能出现在行尾的标点
+        this.lineEndProhibited = '（《「『【〔〈〖〘｛［“‘([{￥$';
+        // 可挤压的全角标点：字形只占半边，相邻或位于行尾时收掉空白的半个字宽
+        this.closingPunctuation = '，。、）》」』】〕〉〗〙”’';
+        this.openingPunctuation = '（《「『【〔〈〖〘“‘';
+        // 西文单词 / 数字，以及单词内部的连接符（3.5、v1.2、e-mail、12:30）
+        this.wordPattern = /^[A-Za-z0-9À-ɏ]$/;
+        this.wordJoiners = ".,-_/:'’";
+        // 紧跟数字、与数字连排的单位（30天、50%、25℃）
+        this.units = '%‰℃℉°′″元块角天日月年岁时秒分个次张页篇件位名克斤倍万亿千百米';
+        // 与前一字符组成同一字形的附加码位：变体选择符、零宽连接、肤色、组合符
+        this.joinerPattern = /^[︎️‍⃣̀-ͯ\u{1F3FB}-\u{1F3FF}]$/u;
+        this.regionalPattern = /^[\u{1F1E6}-\u{1F1FF}]$/u;
+        this.wideCharPattern = /[ᄀ-ᅟ⺀-〾぀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/;
+        this.emojiPattern = /\p{Extended_Pictographic}|[\u{1F1E6}-\u{1F1FF}]/u;
+    }
+
+    // ── 切分 ──────────────────────────────
+
+    /**
+     * 按字形切分（emoji 组合序列、国旗、组合附加符视为一个字形）
+     */
+    segment(text) {
+        const chars = Array.from(String(text || ''));
+        const clusters = [];
+
+        for (let i = 0; i < chars.length; i++) {
+            let cluster = chars[i];
+            if (this.regionalPattern.test(chars[i]) && this.regionalPattern.test(chars[i + 1] || '')) {
+                cluster += chars[++i];
+            }
+            while (i + 1 < chars.length && this.joinerPattern.test(chars[i + 1])) {
+                cluster += chars[++i];
+                if (chars[i] === '‍' && i + 1 < chars.length) {
+                    cluster += chars[++i];
+                }
+            }
+            clusters.push(cluster);
+        }
+
+        return clusters;
+    }
+
+    /**
+     * 切分为折行记号：西文单词 / 数字（含单位）为一个记号，中文按字，连续空白合并为一个空格
+     */
+    tokenize(text) {
+        const clusters = this.segment(text);
+        const tokens = [];
+        let word = '';
+
+        const flush = () => {
+            if (word) tokens.push(word);
+            word = '';
+        };
+
+        clusters.forEach((cluster, index) => {
+            if (/^\s+$/.test(cluster)) {
+                flush();
+                if (tokens.length === 0 || tokens[tokens.length - 1] !== ' ') {
+                    tokens.push(' ');
+                }
+                return;
+            }
+
+            if (this.wordPattern.test(cluster)) {
+                word += cluster;
+                return;
+            }
+
+            if (word && this.wordJoiners.includes(cluster) && this.wordPattern.test(clusters[index + 1] || '')) {
+                word += cluster;
+                return;
+            }
+
+            if (word && /\d$/.test(word) && this.units.includes(cluster)) {
+                word += cluster;
+                flush();
+                return;
+            }
+
+            flush();
+            tokens.push(cluster);
+        });
+
+        flush();
+        return tokens;
+    }
+
+    /**
+     * 按禁则把记号粘连成不可拆分的单元：行首禁排标点粘到前一单元，行尾禁排标点粘到后一单元
+     */
+    buildUnits(tokens) {
+        const units = [];
+
+        tokens.forEach((token) => {
+            const last = units[units.length - 1];
+            const glue = token !== ' ' && last !== undefined && last !== ' ' && (
+                this.lineStartProhibited.includes(Array.from(token)[0]) ||
+                this.lineEndProhibited.includes(Array.from(last).pop())
+            );
+
+            if (glue) {
+                units[units.length - 1] = last + token;
+            } else {
+                units.push(token);
+            }
+        });
+
+        return units;
+    }
+
+    // ── 折行 ──────────────────────────────
+
+    /**
+     * 折行，返回 [{ text, last }]（last 表示段落末行，两端对齐时不拉伸）
+     * measure(text) 返回文本宽度；options: { compress }
+     */
+    layoutLines(text, maxWidth, measure, options = {}) {
+        const { compress = true } = options;
+        const em = measure('中') || 1;
+        const fits = line => this.measureLine(line, measure, em, compress) <= maxWidth + 0.01;
+        const result = [];
+
+        String(text || '').split('\n').forEach((paragraph) => {
+            const lines = [];
+            let line = '';
+            let pendingSpace = false;
+
+            const pushLine = () => {
+                if (line) lines.push(line);
+                line = '';
+                pendingSpace = false;
+            };
+
+            this.buildUnits(this.tokenize(paragraph)).forEach((unit) => {
+                if (unit === ' ') {
+                    pendingSpace = line.length > 0;
+                    return;
+                }
+
+                const candidate = line + (pendingSpace ? ' ' : '') + unit;
+                if (fits(candidate)) {
+                    line = candidate;
+                    pendingSpace = false;
+                    return;
+                }
+
+                pushLine();
+                if (fits(unit)) {
+                    line = unit;
+                    return;
+                }
+
+                // 单元本身超宽（如长网址）时按字形硬断
+                this.segment(unit).forEach((cluster) => {
+                    if (line && !fits(line + cluster)) pushLine();
+                    line += cluster;
+                });
+            });
+            pushLine();
+
+            lines.forEach((content, index) => {
+                result.push({ text: content, last: index === lines.length - 1 });
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * 折行，只返回各行文本
+     */
+    breakLines(text, maxWidth, measure, options = {}) {
+        const lines = this.layoutLines(text, maxWidth, measure, options).map(line => line.text);
+        return lines.length > 0 ? lines : [''];
+    }
+
+    /**
+     * 一行的排版宽度（扣除标点挤压）
+     */
+    measureLine(line, measure, em, compress = true) {
+        const width = measure(line);
+        if (!compress) return width;
+
+        const clusters = this.segment(line);
+        const saved = clusters.reduce((sum, cluster, index) => sum + this.getCompression(clusters, index), 0);
+        return width - saved * em;
+    }
+
+    // ── 行内排布 ──────────────────────────────
+
+    /**
+     * 标点挤压量（单位：字宽）：相邻全角标点收掉半个字宽，行尾的句读 / 闭合标点同样收半个字宽
+     */
+    getCompression(clusters, index) {
+        const current = clusters[index];
+        const isPunctuation = ch => this.closingPunctuation.includes(ch) || this.openingPunctuation.includes(ch);
+        if (!current || current.length !== 1 || !isPunctuation(current)) return 0;
+
+        const next = clusters[index + 1];
+        if (next === undefined) {
+            return this.closingPunctuation.includes(current) ? 0.5 : 0;
+        }
+        if (!isPunctuation(next)) return 0;
+
+        return this.closingPunctuation.includes(current) || this.openingPunctuation.includes(next) ? 0.5 : 0;
+    }
+
+    /**
+     * 两个字形之间是否允许插入两端对齐的间距（西文单词内部与禁则位置不拉开）
+     */
+    canStretchBetween(prev, next) {
+        if (this.wordPattern.test(Array.from(prev).pop()) && this.wordPattern.test(Array.from(next)[0])) return false;
+        if (this.lineStartProhibited.includes(Array.from(next)[0])) return false;
+        if (this.lineEndProhibited.includes(Array.from(prev).pop())) return false;
+        return true;
+    }
+
+    /**
+     * 计算一行各字形的横向位置：clusters 为 [{ text, width }]
+     * options: { maxWidth, em, justify, compress }，返回 { offsets, width }
+     */
+    positionClusters(clusters, options = {}) {
+        const { maxWidth = 0, em = 16, justify = false, compress = true } = options;
+        const texts = clusters.map(cluster => cluster.text);
+        const advances = clusters.map((cluster, index) => (
+            cluster.width - (compress ? this.getCompression(texts, index) * em : 0)
+        ));
+        const natural = advances.reduce((sum, advance) => sum + advance, 0);
+
+        // 两端对齐：把剩余宽度平均分到可拉伸的字形间隙；剩余过多（如被迫提前断行）时不拉伸
+        let extra = 0;
+        const stretchable = new Set();
+        if (justify && maxWidth > natural) {
+            for (let i = 1; i < texts.length; i++) {
+                if (this.canStretchBetween(texts[i - 1], texts[i])) stretchable.add(i);
+            }
+            const gap = stretchable.size > 0 ? (maxWidth - natural) / stretchable.size : 0;
+            extra = gap <= em ? gap : 0;
+        }
+
+        const offsets = [];
+        let x = 0;
+        advances.forEach((advance, index) => {
+            if (stretchable.has(index)) x += extra;
+            offsets.push(x);
+            x += advance;
+        });
+
+        return { offsets, width: x };
+    }
+
+    // ── 字宽估算（无 Canvas 环境，如 SVG 生成） ──────────────────────────────
+
+    /**
+     * 估算单个字形宽度（单位：字宽）
+     */
+    estimateClusterWidth(cluster) {
+        if (this.wideCharPattern.test(cluster)) return 1;
+        // 弯引号、破折号与省略号在中文字体中是全角字形
+        if (/^[“”‘’—…]$/.test(cluster)) return 1;
+        if (this.emojiPattern.test(cluster)) return 1.1;
+        if (/^\s$/.test(cluster)) return 0.3;
+        if (/^[ilIj.,:;'|!`]$/.test(cluster)) return 0.3;
+        if (/^[frt()[\]{}"\-]$/.test(cluster)) return 0.4;
+        if (/^[mwMW@%]$/.test(cluster)) return 0.85;
+        if (/^[A-Z]$/.test(cluster)) return 0.68;
+        if (/^[0-9]$/.test(cluster)) return 0.56;
+        return 0.54;
+    }
+
+    /**
+     * 估算文本宽度（像素）
+     */
+    estimateWidth(text, fontSize, letterSpacing = 0) {
+        return this.segment(text).reduce((sum, cluster) => (
+            sum + this.estimateClusterWidth(cluster) * fontSize + letterSpacing
+        ), 0);
+    }
+}
+
+// 全局排版实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.textLayout = new TextLayout();
+}
+
+// Node 环境导出类，供命令行工具中的精美卡片生成器使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextLayout;
+}
@@ -0,0 +1,301 @@
+/**
+ * 主题令牌管理器
+ * 从 templates/themes.json 加载统一的设计令牌（调色板角色、字体栈、圆角、间距、装饰），
+ * 供 Visual / Advanced / Modern / Premium / Gemini 各渲染器共用，保证同一模板在任何后端下观感一致。
+ * 主题可通过 extends 继承另一个主题，只覆盖差异部分；variants 定义可选变体（深色、紧凑、宽松等）
+ */
+
+class ThemeManager {
+    constructor() {
+        this.source = './templates/themes.json';
+        this.data = null;
+        this.cache = new Map();
+        this._loadPromise = null;
+        this.loadFromData(this.getDefaultThemeData());
+    }
+
+    /**
+     * 初始化主题系统
+     */
+    async init() {
+        await this.load();
+        DEBUG.log(`主题系统初始化完成，共 ${Object.keys(this.data.themes).length} 个主题`);
+    }
+
+    /**
+     * 加载主题令牌文件（失败时保留内置默认主题）
+     */
+    load() {
+        if (this._loadPromise) {
+            return this._loadPromise;
+        }
+
+        this._loadPromise = (async () => {
+            try {
+                const response = await fetch(this.source);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                this.loadFromData(await response.json());
+            } catch (error) {
+                DEBUG.warn('加载主题令牌失败，使用内置默认主题:', error);
+            }
+        })();
+
+        return this._loadPromise;
+    }
+
+    /**
+     * 从 JSON 数据载入主题
+     */
+    loadFromData(data) {
+        if (!data || typeof data !== 'object' || !data.themes || typeof data.themes !== 'object') {
+            throw new Error('主题数据格式无效：缺少 themes');
+        }
+
+        const next = {
+            defaults: data.defaults || {},
+            categories: data.categories || {},
+            fallback: data.fallback || Object.keys(data.themes)[0],
+            themes: data.themes
+        };
+
+        Object.keys(data.themes).forEach(id => {
+            const palette = Object.assign({}, ...this.resolveChain(id, next).map(theme => theme.palette));
+            if (!palette.primary || !palette.background || !palette.text) {
+                throw new Error(`主题 ${id} 缺少必需的调色板角色（primary / background / text）`);
+            }
+        });
+
+        this.data = next;
+        this.cache.clear();
+    }
+
+    /**
+     * 解析主题继承链，返回从最顶层基础主题到自身的原始定义
+     */
+    resolveChain(themeId, data = this.data) {
+        const chain = [];
+        const visited = [];
+        let id = themeId;
+
+        while (id) {
+            if (visited.includes(id)) {
+                throw new Error(`主题继承出现循环：${[...visited, id].join(' → ')}`);
+            }
+            const theme = data.themes[id];
+            if (!theme || typeof theme !== 'object') {
+                throw new Error(`主题 ${visited[visited.length - 1]} 继承的主题 ${id} 不存在`);
+            }
+            visited.push(id);
+            chain.unshift(theme);
+            id = theme.extends;
+        }
+
+        return chain;
+    }
+
+    /**
+     * 获取指定 ID 的完整主题（已合并默认令牌、继承链与变体）
+     */
+    getTheme(themeId, variant = null) {
+        if (!themeId || !this.data.themes[themeId]) return null;
+
+        const variantInfo = variant ? this.listVariants(themeId).find(item => item.id === variant) : null;
+        const cacheKey = variantInfo ? `${themeId}:${variantInfo.id}` : themeId;
+
+        if (!this.cache.has(cacheKey)) {
+            const chain = this.resolveChain(themeId);
+            const layers = [this.data.defaults, ...chain];
+            if (variantInfo) {
+                layers.push(this.data.defaults.variants?.[variantInfo.id], ...chain.map(theme => theme.variants?.[variantInfo.id]));
+            }
+
+            const theme = layers.reduce((merged, layer) => {
+                const { extends: _extends, variants, name, ...tokens } = layer || {};
+                return this.mergeTokens(merged, tokens);
+            }, {});
+            theme.id = themeId;
+            theme.name = chain[chain.length - 1].name || themeId;
+            theme.variant = variantInfo ? variantInfo.id : null;
+            theme.variantName = variantInfo ? variantInfo.name : null;
+            theme.palette.backgroundGradient = theme.palette.backgroundGradient || [theme.palette.background];
+            this.cache.set(cacheKey, Object.freeze(theme));
+        }
+        return this.cache.get(cacheKey);
+    }
+
+    /**
+     * 列出主题可用的变体（默认变体与继承链上声明的变体）
+     */
+    listVariants(themeId) {
+        if (!themeId || !this.data.themes[themeId]) return [];
+
+        const names = new Map();
+        [this.data.defaults, ...this.resolveChain(themeId)].forEach(layer => {
+            Object.entries(layer.variants || {}).forEach(([id, variant]) => {
+                if (!names.has(id) || variant?.name) {
+                    names.set(id, variant?.name || id);
+                }
+            });
+        });
+
+        return Array.from(names, ([id, name]) => ({ id, name }));
+    }
+
+    /**
+     * 解析模板对应的主题：模板 theme 字段 > 模板 ID > 模板继承链上的祖先 ID > 分类映射 > 全局回退，
+     * 模板的 variant 字段选择主题变体
+     */
+    resolve(template) {
+        const candidates = [
+            template?.theme,
+            template?.id,
+            ...(template?.lineage || []),
+            this.data.categories[template?.category],
+            this.data.fallback
+        ];
+
+        for (const id of candidates) {
+            const theme = this.getTheme(id, template?.variant);
+            if (theme) return theme;
+        }
+
+        return this.getTheme(Object.keys(this.data.themes)[0], template?.variant);
+    }
+
+    /**
+     * 列出全部主题（不含变体）
+     */
+    list() {
+        return Object.keys(this.data.themes).map(id => this.getTheme(id));
+    }
+
+    /**
+     * 获取主题指定角色的字体栈（display / body）
+     */
+    getFont(theme, role = 'body') {
+        const family = theme.typography?.[role] || 'sans';
+        return theme.fonts?.[family] || theme.fonts?.sans || 'sans-serif';
+    }
+
+    /**
+     * 生成 CSS 线性渐变字符串
+     */
+    toCssGradient(theme, angle = 135) {
+        const stops = theme.palette.backgroundGradient;
+        if (stops.length < 2) return stops[0];
+        return `linear-gradient(${angle}deg, ${stops.join(', ')})`;
+    }
+
+    /**
+     * 以品牌套件覆盖主题的强调色与字体（未设置的字段沿用主题）
+     */
+    applyBrandKit(theme, brandKit) {
+        if (!theme || !brandKit) return theme;
+
+        const palette = { ...theme.palette };
+        if (brandKit.primaryColor) {
+            palette.primary = brandKit.primaryColor;
+            palette.primaryContainer = this.mixColor(brandKit.primaryColor, '#FFFFFF', 0.82);
+            palette.border = this.mixColor(brandKit.primaryColor, '#FFFFFF', 0.85);
+        }
+        if (brandKit.secondaryColor) {
+            palette.secondary = brandKit.secondaryColor;
+            palette.accent = brandKit.secondaryColor;
+        }
+
+        const branded = { ...theme, palette, brandKitId: brandKit.id || null };
+        if (brandKit.fontFamily) {
+            branded.fonts = { ...theme.fonts, brand: brandKit.fontFamily };
+            branded.typography = { ...theme.typography, display: 'brand', body: 'brand' };
+        }
+        return Object.freeze(branded);
+    }
+
+    /**
+     * 按比例混合两个十六进制颜色
+     */
+    mixColor(from, to, ratio) {
+        const parse = (hex) => {
+            const value = String(hex).replace('#', '');
+            return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16) || 0);
+        };
+        const a = parse(from);
+        const b = parse(to);
+        return '#' + a.map((channel, i) => Math.round(channel * (1 - ratio) + b[i] * ratio)
+            .toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+
+    /**
+     * 深度合并令牌（数组整体覆盖）
+     */
+    mergeTokens(base, override) {
+        const result = Array.isArray(base) ? [...base] : { ...base };
+        Object.entries(override || {}).forEach(([key, value]) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)
+                && base?.[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+                result[key] = this.mergeTokens(base[key], value);
+            } else {
+                result[key] = Array.isArray(value) ? [...value] : (value && typeof value === 'object' ? this.mergeTokens({}, value) : value);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * 内置默认主题（themes.json 无法加载时使用）
+     */
+    getDefaultThemeData() {
+        return {
+            defaults: {
+                fonts: {
+                    sans: '"PingFang SC", "Microsoft YaHei", "Noto Sans SC", "Segoe UI", "Helvetica Neue", Arial, sans-serif',
+                    serif: '"Songti SC", SimSun, "Noto Serif SC", Georgia, serif',
+                    mono: 'ui-monospace, "SF Mono", Consolas, Menlo, Monaco, monospace'
+                },
+                typography: { display: 'sans', body: 'sans', align: 'left' },
+                typeScale: { title: 30, body: 16, bodyMin: 14, bodyMax: 22, caption: 12 },
+                radii: { xs: 4, sm: 8, md: 12, lg: 16, xl: 24 },
+                spacing: { unit: 8, page: 40, gap: 20 },
+                decorations: { motif: 'default', icon: '✨', corners: true, topBar: true },
+                slots: {
+                    qr: { position: 'bottom-right', size: 0.2, ecLevel: 'M' },
+                    image: { position: 'top', height: 0.36, frame: 'rounded' }
+                }
+            },
+            categories: {},
+            fallback: 'xiaohongshu-lifestyle',
+            themes: {
+                'xiaohongshu-lifestyle': {
+                    name: '生活方式',
+                    palette: {
+                        background: '#FFF5F5',
+                        backgroundGradient: ['#FFF1F2', '#FFE4E6', '#FFD6E0'],
+                        surface: '#FFFFFF',
+                        surfaceVariant: '#FFF5F6',
+                        primary: '#FF2742',
+                        onPrimary: '#FFFFFF',
+                        primaryContainer: '#FFD8DD',
+                        secondary: '#4ECDC4',
+                        accent: '#FB7185',
+                        text: '#111827',
+                        textMuted: '#70747D',
+                        border: '#FFDFE3'
+                    },
+                    decorations: { motif: 'lifestyle', icon: '🌸' }
+                }
+            }
+        };
+    }
+}
+
+// 全局主题管理实例（浏览器环境）
+if (typeof window !== 'undefined') {
+    window.themeManager = new ThemeManager();
+}
+
+// Node 环境导出类，供命令行工具使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThemeManager;
+}
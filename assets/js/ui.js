@@ -32,6 +32,11 @@ class UIManager {
         // 设置模态框
         const settingsModal = document.getElementById('settingsModal');
         const helpModal = document.getElementById('helpModal');
+        const batchModal = document.getElementById('batchModal');
+        const brandKitModal = document.getElementById('brandKitModal');
+        const templateEditorModal = document.getElementById('templateEditorModal');
+        const projectLibraryModal = document.getElementById('projectLibraryModal');
+        const mockupModal = document.getElementById('mockupModal');
 
         if (settingsModal) {
             this.modals.set('settings', new Modal(settingsModal));
@@ -39,6 +44,21 @@ class UIManager {
         if (helpModal) {
             this.modals.set('help', new Modal(helpModal));
         }
+        if (batchModal) {
+            this.modals.set('batch', new Modal(batchModal));
+        }
+        if (brandKitModal) {
+            this.modals.set('brandKit', new Modal(brandKitModal));
+        }
+        if (templateEditorModal) {
+            this.modals.set('templateEditor', new Modal(templateEditorModal));
+        }
+        if (projectLibraryModal) {
+            this.modals.set('projectLibrary', new Modal(projectLibraryModal));
+        }
+        if (mockupModal) {
+            this.modals.set('mockup', new Modal(mockupModal));
+        }
     }
 
     /**
@@ -234,16 +254,31 @@ class UIManager {
     /**
      * 显示加载覆盖层
      */
-    showLoading(message = 'AI正在创作中...') {
+    showLoading(message = 'AI正在创作中...', options = {}) {
         const overlay = document.getElementById('loadingOverlay');
         const loadingTitle = document.querySelector('.loading-title');
         const progressFill = document.getElementById('progressFill');
         const progressText = document.getElementById('progressText');
+        const stopBtn = document.getElementById('stopGenerationBtn');
 
         if (overlay) {
             if (loadingTitle) loadingTitle.textContent = message;
             if (progressFill) progressFill.style.width = '0%';
             if (progressText) progressText.textContent = '0%';
+
+            // 提供取消回调时显示“停止生成”按钮
+            if (stopBtn) {
+                const onCancel = typeof options.onCancel === 'function' ? options.onCancel : null;
+                stopBtn.style.display = onCancel ? '' : 'none';
+                stopBtn.disabled = false;
+                stopBtn.onclick = onCancel
+                    ? () => {
+                        stopBtn.disabled = true;
+                        this.updateProgress(parseFloat(progressFill?.style.width) || 0, '正在停止，已完成的图片将被保留...');
+                        onCancel();
+                    }
+                    : null;
+            }
             
             overlay.style.display = 'flex';
             document.body.style.overflow = 'hidden';
@@ -269,11 +304,40 @@ class UIManager {
         }
     }
 
+    /**
+     * 在加载层中渲染逐张任务状态
+     */
+    renderTaskStatus(tasks = []) {
+        const taskList = document.getElementById('loadingTaskList');
+        if (!taskList) return;
+
+        const statusLabels = {
+            queued: '排队',
+            rendering: '渲染中',
+            failed: '失败',
+            cancelled: '已取消',
+            done: '完成'
+        };
+
+        taskList.innerHTML = tasks.map(task => `
+            <span class="loading-task status-${task.status}" title="${Utils.escapeHtml(task.reason || '')}">
+                ${task.index + 1} · ${statusLabels[task.status] || task.status}
+            </span>
+        `).join('');
+        taskList.style.display = tasks.length > 0 ? '' : 'none';
+    }
+
     /**
      * 隐藏加载覆盖层
      */
     hideLoading() {
         const overlay = document.getElementById('loadingOverlay');
+        const stopBtn = document.getElementById('stopGenerationBtn');
+        this.renderTaskStatus([]);
+        if (stopBtn) {
+            stopBtn.style.display = 'none';
+            stopBtn.onclick = null;
+        }
         if (overlay) {
             overlay.style.display = 'none';
             document.body.style.overflow = '';
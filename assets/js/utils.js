@@ -250,6 +250,40 @@ class Utils {
         };
     }
 
+    /**
+     * 创建画布：页面中为 canvas 元素，Worker 中（没有 document）为 OffscreenCanvas
+     */
+    static createCanvas(width = 300, height = 150) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * 加载图片：页面中为 Image，Worker 中（没有 Image）解码为 ImageBitmap，二者都可直接 drawImage
+     */
+    static loadImage(src) {
+        if (typeof Image === 'undefined') {
+            return fetch(src)
+                .then(response => response.blob())
+                .then(blob => createImageBitmap(blob))
+                .catch(() => {
+                    throw new Error('图片加载失败');
+                });
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('图片加载失败'));
+            img.src = src;
+        });
+    }
+
     /**
      * 本地存储管理
      */
@@ -387,12 +421,14 @@ window.Utils = Utils;
 
 /**
  * 轻量级调试日志 — 仅在 URL 含 ?debug=1 或 localStorage.debug='1' 时输出
+ * （Worker 中没有 localStorage，由页面在 Worker 地址上附带 debug=1）
  */
 const DEBUG = (function () {
     const enabled = () =>
         new URLSearchParams(window.location.search).get('debug') === '1' ||
-        localStorage.getItem('debug') === '1';
+        (typeof localStorage !== 'undefined' && localStorage.getItem('debug') === '1');
     return {
+        enabled,
         log: (...args) => { if (enabled()) console.log(...args); },
         warn: (...args) => { if (enabled()) console.warn(...args); },
         error: (...args) => { if (enabled()) console.error(...args); }
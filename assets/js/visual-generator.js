@@ -10,11 +10,20 @@ class VisualGenerator {
         this.canvas = null;
         this.ctx = null;
         this.isGenerating = false;
-        this.cardTemplates = {};
         this.fontLoaded = false;
         this.systemFontFamily = '"PingFang SC", "Microsoft YaHei", "Noto Sans SC", "Segoe UI", "Helvetica Neue", Arial, sans-serif';
+        this.monoFontFamily = '"SF Mono", Menlo, Consolas, "Courier New", monospace';
         this._initPromise = null;
         this._renderInfo = null;
+        // 角色版式绘制时是否有文字被截断或条目没画下（测量角色页时读取）
+        this._overflow = false;
+        this.roleLayouts = {
+            cover: 'drawCoverPage',
+            list: 'drawListPage',
+            data: 'drawDataPage',
+            quote: 'drawQuotePage',
+            summary: 'drawSummaryPage'
+        };
         
         this.init();
     }
@@ -30,7 +39,6 @@ class VisualGenerator {
         this._initPromise = (async () => {
             await this.loadFonts();
             this.setupCanvas();
-            this.loadCardTemplates();
             DEBUG.log('视觉生成器初始化完成');
         })();
 
@@ -52,17 +60,17 @@ class VisualGenerator {
     }
 
     /**
-     * 设置画布
+     * 设置画布（在渲染 Worker 中为 OffscreenCanvas，没有 style）
      */
     setupCanvas() {
-        this.canvas = document.createElement('canvas');
+        // 默认使用设计尺寸（具体输出尺寸会在 generateCard 中按比例与质量调整）
+        this.canvas = Utils.createCanvas(this.baseWidth, this.baseHeight);
         this.ctx = this.canvas.getContext('2d');
 
-        // 默认使用设计尺寸（具体输出尺寸会在 generateCard 中按比例与质量调整）
-        this.canvas.style.width = `${this.baseWidth}px`;
-        this.canvas.style.height = `${this.baseHeight}px`;
-        this.canvas.width = this.baseWidth;
-        this.canvas.height = this.baseHeight;
+        if (this.canvas.style) {
+            this.canvas.style.width = `${this.baseWidth}px`;
+            this.canvas.style.height = `${this.baseHeight}px`;
+        }
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
     }
 
@@ -103,8 +111,10 @@ class VisualGenerator {
         // 输出像素尺寸（与导出一致）
         this.canvas.width = output.width;
         this.canvas.height = output.height;
-        this.canvas.style.width = `${design.width}px`;
-        this.canvas.style.height = `${design.height}px`;
+        if (this.canvas.style) {
+            this.canvas.style.width = `${design.width}px`;
+            this.canvas.style.height = `${design.height}px`;
+        }
 
         const scale = output.width / design.width;
         this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
@@ -114,124 +124,35 @@ class VisualGenerator {
     }
 
     /**
-     * 加载卡片模板
+     * 将主题令牌转换为 Canvas 卡片配置
      */
-    loadCardTemplates() {
-        this.cardTemplates = {
-            'xiaohongshu-lifestyle': {
-                background: 'linear-gradient(135deg, #FFF1F2, #FFE4E6, #FFD6E0)',
-                primaryColor: '#FF2742',
-                secondaryColor: '#FFF5F6',
-                textColor: '#111827',
-                accentColor: '#FB7185',
-                layout: 'lifestyle'
-            },
-            'xiaohongshu-knowledge': {
-                background: 'linear-gradient(135deg, #EFF6FF, #E0F2FE, #DBEAFE)',
-                primaryColor: '#2563EB',
-                secondaryColor: '#F0F9FF',
-                textColor: '#0F172A',
-                accentColor: '#38BDF8',
-                layout: 'knowledge'
-            },
-            'xiaohongshu-fashion': {
-                background: 'linear-gradient(135deg, #FDF2F8, #FAE8FF, #F5D0FE)',
-                primaryColor: '#DB2777',
-                secondaryColor: '#FDF4FF',
-                textColor: '#111827',
-                accentColor: '#A855F7',
-                layout: 'fashion'
-            },
-            'xiaohongshu-food': {
-                background: 'linear-gradient(135deg, #FFF7ED, #FFEDD5, #FED7AA)',
-                primaryColor: '#EA580C',
-                secondaryColor: '#FFF7ED',
-                textColor: '#7C2D12',
-                accentColor: '#FB923C',
-                layout: 'food'
-            },
-            'xiaohongshu-travel': {
-                background: 'linear-gradient(135deg, #ECFEFF, #DCFCE7, #CCFBF1)',
-                primaryColor: '#059669',
-                secondaryColor: '#F0FDF4',
-                textColor: '#064E3B',
-                accentColor: '#06B6D4',
-                layout: 'travel'
-            },
-            'xiaohongshu-product': {
-                background: 'linear-gradient(135deg, #FFFBEB, #FEF3C7, #FDE68A)',
-                primaryColor: '#B45309',
-                secondaryColor: '#FFFBEB',
-                textColor: '#78350F',
-                accentColor: '#F59E0B',
-                layout: 'product'
-            },
-            'xiaohongshu-fitness': {
-                background: 'linear-gradient(135deg, #F0FDF4, #DCFCE7, #E0F2FE)',
-                primaryColor: '#16A34A',
-                secondaryColor: '#F0FDF4',
-                textColor: '#052E16',
-                accentColor: '#22C55E',
-                layout: 'fitness'
-            },
-            'xiaohongshu-minimalist': {
-                background: 'linear-gradient(135deg, #F8FAFC, #EEF2F7, #E2E8F0)',
-                primaryColor: '#334155',
-                secondaryColor: '#F8FAFC',
-                textColor: '#0F172A',
-                accentColor: '#94A3B8',
-                layout: 'minimalist'
-            },
-            'xiaohongshu-tech-premium': {
-                background: 'linear-gradient(135deg, #EDE9FE, #DDE8FF, #D4E6FF)',
-                primaryColor: '#6366F1',
-                secondaryColor: '#F5F3FF',
-                textColor: '#312E81',
-                accentColor: '#8B5CF6',
-                layout: 'tech'
-            },
-            'xiaohongshu-data-showcase': {
-                background: 'linear-gradient(135deg, #EEF2FF, #E0E7FF, #D6DEFF)',
-                primaryColor: '#4F46E5',
-                secondaryColor: '#EEF2FF',
-                textColor: '#1E1B4B',
-                accentColor: '#6366F1',
-                layout: 'data'
-            },
-            'xiaohongshu-tutorial-card': {
-                background: 'linear-gradient(135deg, #E6FFFB, #D9FDF4, #CCFBF1)',
-                primaryColor: '#0F766E',
-                secondaryColor: '#F0FDFA',
-                textColor: '#134E4A',
-                accentColor: '#14B8A6',
-                layout: 'tutorial'
-            }
+    createConfigFromTheme(theme) {
+        const { palette } = theme;
+        return {
+            themeId: theme.id,
+            background: window.themeManager.toCssGradient(theme),
+            primaryColor: palette.primary,
+            secondaryColor: palette.surfaceVariant,
+            textColor: palette.text,
+            accentColor: palette.accent,
+            fontFamily: window.themeManager.getFont(theme, 'body'),
+            titleFontFamily: window.themeManager.getFont(theme, 'display'),
+            textAlign: theme.typography?.align || 'left',
+            fontBounds: { min: theme.typeScale?.bodyMin, max: theme.typeScale?.bodyMax },
+            radii: theme.radii,
+            decorations: theme.decorations,
+            backgroundColor: palette.background,
+            qrSlot: theme.slots?.qr || null,
+            imageSlot: theme.slots?.image || null
         };
     }
 
     /**
-     * 获取模板配置（优先精确ID，其次按分类回退）
+     * 获取模板配置（由主题管理器按模板ID / 分类解析主题，并叠加品牌套件）
      */
-    getTemplateConfig(template) {
-        const templateId = template?.id;
-        if (templateId && this.cardTemplates[templateId]) {
-            return this.cardTemplates[templateId];
-        }
-
-        const categoryFallback = {
-            lifestyle: 'xiaohongshu-lifestyle',
-            education: 'xiaohongshu-knowledge',
-            fashion: 'xiaohongshu-fashion',
-            food: 'xiaohongshu-food',
-            travel: 'xiaohongshu-travel',
-            shopping: 'xiaohongshu-product',
-            fitness: 'xiaohongshu-fitness',
-            minimalist: 'xiaohongshu-minimalist',
-            technology: 'xiaohongshu-tech-premium'
-        };
-
-        const fallbackId = categoryFallback[template?.category] || 'xiaohongshu-lifestyle';
-        return this.cardTemplates[fallbackId] || this.cardTemplates['xiaohongshu-lifestyle'];
+    getTemplateConfig(template, brandKit = null) {
+        const theme = window.themeManager.resolve(template);
+        return this.createConfigFromTheme(window.themeManager.applyBrandKit(theme, brandKit));
     }
 
     /**
@@ -244,6 +165,8 @@ class VisualGenerator {
 
         try {
             this.isGenerating = true;
+            this._fitInfo = null;
+            this._hitMap = [];
 
             // 确保初始化完成（字体/画布/模板）
             await this.init();
@@ -252,28 +175,59 @@ class VisualGenerator {
             this.prepareCanvas(options);
              
             // 获取模板配置
-            const templateConfig = this.getTemplateConfig(template);
+            const templateConfig = this.getTemplateConfig(template, options.brandKit);
             const styleProfile = this.getStyleProfile(options.imageStyle);
+
+            // 二维码：生成器传入的收尾页二维码，或正文中的 ```qr 围栏（围栏本身不作为正文绘制）
+            const qrCode = this.prepareQrCode(content, templateConfig, options);
+            content = window.qrEncoder ? window.qrEncoder.stripBlocks(content) : content;
+
+            // 用户照片：本页的全幅背景与图片位（收尾页有二维码时图片位放在顶部）
+            const photos = this.getPagePhotos(options);
+            const slotLayout = photos.slot
+                ? window.photoLayer.getSlotLayout(templateConfig.imageSlot, this.baseWidth, this.baseHeight, { avoidBottom: !!qrCode })
+                : null;
             
             // 清空画布
             this.clearCanvas();
             
             // 绘制背景
             await this.drawBackground(templateConfig, styleProfile);
+            if (photos.background) {
+                await this.drawPhotoBackground(photos.background, templateConfig);
+            }
+            if (slotLayout) {
+                await this.drawPhotoSlot(photos.slot, slotLayout, templateConfig);
+            }
             
-            // 绘制内容
-            await this.drawContent(content, templateConfig, tone, customTags, options, styleProfile);
+            // 绘制内容（有图片位时只排在其余区域）
+            await this.drawInContentArea(slotLayout, () => (
+                this.drawContent(content, templateConfig, tone, customTags, { ...options, qrCode }, styleProfile)
+            ));
             
             // 绘制装饰元素
             await this.drawDecorations(templateConfig, template, styleProfile);
+
+            if (qrCode) {
+                await this.drawQrCode(qrCode, templateConfig);
+            }
+
+            // 轮播页码
+            if (options.page?.totalPages > 1) {
+                this.drawPageIndicator(options.page, templateConfig);
+            }
             
-            // 添加水印（默认关闭，避免影响“高级感”；需要时显式传 true）
-            if (options.addWatermark === true) {
+            // 添加水印（启用品牌套件时绘制品牌水印；否则默认关闭，需要时显式传 true）
+            if (options.brandKit) {
+                await this.drawBrandWatermark(options.brandKit, templateConfig);
+            } else if (options.addWatermark === true) {
                 await this.drawWatermark(styleProfile);
             }
             
             // 转换为图片
             const imageData = await this.canvasToImageData(options.format || 'png', options);
+            imageData.fit = this._fitInfo;
+            imageData.hitMap = this._hitMap;
             
             return imageData;
             
@@ -282,7 +236,42 @@ class VisualGenerator {
             throw error;
         } finally {
             this.isGenerating = false;
+            this._hitMap = null;
+        }
+    }
+
+    /**
+     * 记录可编辑文字的区域（设计坐标，按当前变换换算为占整张图片的比例 0–1）。
+     * data: { type: 'title' | 'item' | 'tag', text, source, group }；同一 group 的多行合并为一个区域
+     */
+    recordHitRegion(data, x, y, width, height) {
+        if (!this._hitMap) return;
+
+        const matrix = this.ctx.getTransform();
+        const round = value => Math.round(value * 10000) / 10000;
+        const left = (matrix.a * x + matrix.e) / this.canvas.width;
+        const top = (matrix.d * y + matrix.f) / this.canvas.height;
+        const right = left + (matrix.a * width) / this.canvas.width;
+        const bottom = top + (matrix.d * height) / this.canvas.height;
+
+        const existing = data.group ? this._hitMap.find(region => region.group === data.group) : null;
+        if (existing) {
+            const x2 = Math.max(existing.x + existing.width, right);
+            const y2 = Math.max(existing.y + existing.height, bottom);
+            existing.x = round(Math.min(existing.x, left));
+            existing.y = round(Math.min(existing.y, top));
+            existing.width = round(x2 - existing.x);
+            existing.height = round(y2 - existing.y);
+            return;
         }
+
+        this._hitMap.push({
+            ...data,
+            x: round(left),
+            y: round(top),
+            width: round(right - left),
+            height: round(bottom - top)
+        });
     }
 
     /**
@@ -453,6 +442,94 @@ class VisualGenerator {
         this.ctx.putImageData(imageData, 0, 0);
     }
 
+    /**
+     * 本页使用的用户照片（全幅背景 / 图片位）
+     */
+    getPagePhotos(options = {}) {
+        return window.photoLayer
+            ? window.photoLayer.forPage(options.photos, options.page)
+            : { background: null, slot: null };
+    }
+
+    /**
+     * 全幅照片背景：裁切 + 模糊后铺满画布，再叠一层模板底色遮罩保证正文可读
+     */
+    async drawPhotoBackground(photo, templateConfig) {
+        const scale = this._renderInfo?.scale || 1;
+        try {
+            const image = await window.photoLayer.renderToCanvas(photo, this.baseWidth * scale, this.baseHeight * scale);
+            this.ctx.drawImage(image, 0, 0, this.baseWidth, this.baseHeight);
+        } catch (error) {
+            DEBUG.warn('背景照片绘制失败:', error);
+            return;
+        }
+
+        if (photo.dim > 0) {
+            this.ctx.save();
+            this.ctx.globalAlpha = photo.dim;
+            this.ctx.fillStyle = templateConfig.backgroundColor || '#FFFFFF';
+            this.ctx.fillRect(0, 0, this.baseWidth, this.baseHeight);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * 图片位：圆角卡片 / 拍立得白边 / 通栏照片
+     */
+    async drawPhotoSlot(photo, layout, templateConfig) {
+        const scale = this._renderInfo?.scale || 1;
+        const { outer, image } = layout;
+        let photoCanvas = null;
+        try {
+            photoCanvas = await window.photoLayer.renderToCanvas(photo, image.width * scale, image.height * scale, this.baseWidth * scale);
+        } catch (error) {
+            DEBUG.warn('图片位照片绘制失败:', error);
+            return;
+        }
+
+        this.ctx.save();
+        if (layout.frame !== 'plain') {
+            this.ctx.shadowColor = 'rgba(15, 23, 42, 0.16)';
+            this.ctx.shadowBlur = 18;
+            this.ctx.shadowOffsetY = 8;
+            this.ctx.fillStyle = layout.frame === 'polaroid' ? '#FFFFFF' : (templateConfig.backgroundColor || '#FFFFFF');
+            this.roundRect(outer.x, outer.y, outer.width, outer.height, outer.radius);
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+
+        this.ctx.save();
+        this.roundRect(image.x, image.y, image.width, image.height, image.radius);
+        this.ctx.clip();
+        this.ctx.drawImage(photoCanvas, image.x, image.y, image.width, image.height);
+        if (photo.dim > 0) {
+            this.ctx.globalAlpha = photo.dim;
+            this.ctx.fillStyle = templateConfig.backgroundColor || '#FFFFFF';
+            this.ctx.fillRect(image.x, image.y, image.width, image.height);
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * 在图片位以外的区域排版：平移坐标系并临时缩短设计高度，各版式按缩短后的画面排版
+     */
+    async drawInContentArea(slotLayout, draw) {
+        if (!slotLayout) {
+            return draw();
+        }
+
+        const fullHeight = this.baseHeight;
+        this.ctx.save();
+        this.ctx.translate(0, slotLayout.contentOffset);
+        this.baseHeight = slotLayout.contentHeight;
+        try {
+            return await draw();
+        } finally {
+            this.baseHeight = fullHeight;
+            this.ctx.restore();
+        }
+    }
+
     /**
      * 绘制内容
      */
@@ -461,6 +538,16 @@ class VisualGenerator {
         const parsed = this.parseContent(content);
         const mergedTags = this.mergeTags(parsed.tags, customTags);
         const hasBody = String(parsed?.body || '').trim().length > 0;
+
+        // 有二维码时正文只排到二维码卡片上方
+        const contentLimit = options.qrCode ? this.getQrLayout(options.qrCode).y - 16 : null;
+
+        // 封面 / 清单 / 数据 / 金句 / 总结页使用角色版式，正文页沿用标题 + 内容面板
+        if (this.roleLayouts[options.page?.role]) {
+            this.drawRolePage(options.page, templateConfig, styleProfile, mergedTags, contentLimit);
+            await this.drawIcons(templateConfig, tone, styleProfile);
+            return;
+        }
         
         // 设置文本样式
         this.ctx.fillStyle = textColor;
@@ -472,20 +559,12 @@ class VisualGenerator {
         
         // 绘制主要内容
         let contentPanelMetrics = null;
-        let tagLayout = null;
-        let reservedBottomHeight = 0;
-
-        if (mergedTags.length > 0 && hasBody) {
-            const outerMarginX = Math.round(this.baseWidth * (40 / 540));
-            const panelW = Math.max(0, this.baseWidth - outerMarginX * 2);
-            const paddingX = Math.round(this.baseWidth * (24 / 540));
-            tagLayout = this.getTagLayout(mergedTags, Math.max(0, panelW - paddingX * 2));
-            reservedBottomHeight = (tagLayout?.totalHeight || 0) + 18;
-        }
+        const { tagLayout, reservedBottomHeight } = this.getTagReservation(mergedTags, templateConfig, hasBody);
 
         if (hasBody) {
             contentPanelMetrics = await this.drawMainContent(parsed, templateConfig, styleProfile, titleMetrics, {
-                reservedBottomHeight
+                reservedBottomHeight,
+                contentLimit
             });
         }
         
@@ -507,6 +586,73 @@ class VisualGenerator {
         await this.drawIcons(templateConfig, tone, styleProfile);
     }
 
+    /**
+     * 正文面板底部为标签预留的高度（有正文时标签放在面板内底部）
+     */
+    getTagReservation(mergedTags, templateConfig, hasBody) {
+        if (mergedTags.length === 0 || !hasBody) {
+            return { tagLayout: null, reservedBottomHeight: 0 };
+        }
+
+        const outerMarginX = Math.round(this.baseWidth * (40 / 540));
+        const panelW = Math.max(0, this.baseWidth - outerMarginX * 2);
+        const paddingX = Math.round(this.baseWidth * (24 / 540));
+        const tagLayout = this.getTagLayout(mergedTags, Math.max(0, panelW - paddingX * 2), templateConfig.fontFamily);
+        return { tagLayout, reservedBottomHeight: (tagLayout?.totalHeight || 0) + 18 };
+    }
+
+    /**
+     * 测量正文能否在字号下限内放进一页（不绘制，供自动分页使用）
+     * 返回 { fits, fontSize }；正在生成或画布未就绪时返回 null
+     */
+    measureFit(content, template, customTags = [], options = {}) {
+        if (this.isGenerating || !this.ctx) return null;
+
+        const design = this.getDesignDimensions(options.aspectRatio || '9:16');
+        this.baseWidth = design.width;
+        this.baseHeight = design.height;
+
+        const templateConfig = this.getTemplateConfig(template, options.brandKit);
+        const styleProfile = this.getStyleProfile(options.imageStyle);
+        const qrCode = this.prepareQrCode(content, templateConfig, options);
+
+        // 图片位占用的高度不参与正文排版
+        const slotPhoto = this.getPagePhotos(options).slot;
+        if (slotPhoto) {
+            this.baseHeight = window.photoLayer.getSlotLayout(templateConfig.imageSlot, this.baseWidth, this.baseHeight, { avoidBottom: !!qrCode }).contentHeight;
+        }
+        const parsed = this.parseContent(window.qrEncoder ? window.qrEncoder.stripBlocks(content) : content);
+
+        // 角色版式字号固定：按版式试画一遍，看是否有文字被截断或条目没画下
+        if (this.roleLayouts[options.page?.role]) {
+            this.ctx.save();
+            try {
+                this._overflow = false;
+                const contentLimit = qrCode ? this.getQrLayout(qrCode).y - 16 : null;
+                this.drawRolePage(options.page, templateConfig, styleProfile, this.mergeTags(parsed.tags, customTags), contentLimit);
+                return { fits: !this._overflow, fontSize: null };
+            } finally {
+                this.ctx.restore();
+            }
+        }
+
+        if (!String(parsed?.body || '').trim()) {
+            return { fits: true, fontSize: null };
+        }
+
+        this.ctx.save();
+        try {
+            const mergedTags = this.mergeTags(parsed.tags, customTags);
+            const { reservedBottomHeight } = this.getTagReservation(mergedTags, templateConfig, true);
+            const titleMetrics = this.getTitleMetrics(parsed, templateConfig, styleProfile);
+            const contentLimit = qrCode ? this.getQrLayout(qrCode).y - 16 : null;
+            const layout = this.layoutMainContent(parsed, templateConfig, styleProfile, titleMetrics, { reservedBottomHeight, contentLimit });
+            return { fits: layout.fits, fontSize: layout.fontSize };
+        } finally {
+            this.ctx.restore();
+        }
+    }
+
     /**
      * 解析内容：提取标题/副标题/正文/标签
      */
@@ -516,8 +662,12 @@ class VisualGenerator {
             return { kicker: '', title: '未提供内容', body: '', tags: [] };
         }
 
+        const parser = window.markdownParser;
         const { text: textWithoutTags, tags } = this.extractHashtags(original);
-        const stripLeadingMarkers = (line) => String(line || '').replace(/^\s*(?:(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→)|[-*•·])\s*/, '');
+        const stripLeadingMarkers = (line) => {
+            const listItem = parser.parseListMarker(line);
+            return listItem && !listItem.ordered ? listItem.content : String(line || '');
+        };
         const lines = textWithoutTags
             .split('\n')
             .map(line => line.replace(/\s+$/g, ''));
@@ -539,7 +689,7 @@ class VisualGenerator {
         // 兜底：用第一行作为标题
         if (!title && firstNonEmptyIndex !== -1) {
             const firstLine = lines[firstNonEmptyIndex].trim();
-            const looksLikeListItem = !!this.parseListItem(firstLine);
+            const looksLikeListItem = !!parser.parseListMarker(firstLine);
             if (!looksLikeListItem && firstLine.length <= 28) {
                 title = this.cleanTitleText(firstLine);
                 titleLineIndex = firstNonEmptyIndex;
@@ -557,8 +707,11 @@ class VisualGenerator {
             }
         }
 
-        // 移除 title/kicker 行，得到正文
-        const bodyLines = lines.filter((_, idx) => idx !== titleLineIndex && idx !== kickerLineIndex);
+        // 移除 title/kicker 行（以及 Setext 标题的下划线），得到正文
+        const underlineIndex = titleLineIndex !== -1 && parser.setextPattern.test(lines[titleLineIndex + 1] || '')
+            ? titleLineIndex + 1
+            : -1;
+        const bodyLines = lines.filter((_, idx) => idx !== titleLineIndex && idx !== kickerLineIndex && idx !== underlineIndex);
 
         // 从正文开头提取常见的“信息条”作为 kicker（如：适合：xxx）
         if (!kicker) {
@@ -581,25 +734,14 @@ class VisualGenerator {
             title = this.cleanTitleText(generatedTitle) || generatedTitle;
         }
 
-        return { kicker, title, body, tags };
+        // 标题所在的原文行（自动生成的标题没有原文）
+        const titleSource = titleLineIndex !== -1 ? lines[titleLineIndex] : '';
+
+        return { kicker, title, titleSource, body, tags };
     }
 
     extractHashtags(text) {
-        const tags = [];
-        const tagPattern = /#([A-Za-z0-9_\u4e00-\u9fff]+)/g;
-        let match;
-        while ((match = tagPattern.exec(text)) !== null) {
-            const tag = (match[1] || '').trim();
-            if (tag) tags.push(tag);
-        }
-
-        const cleaned = text
-            .replace(tagPattern, '')
-            .replace(/[ \t]{2,}/g, ' ')
-            .replace(/\n{3,}/g, '\n\n')
-            .trim();
-
-        return { text: cleaned, tags };
+        return window.markdownParser.extractHashtags(text);
     }
 
     mergeTags(primaryTags = [], secondaryTags = []) {
@@ -618,7 +760,7 @@ class VisualGenerator {
         return merged.slice(0, 10);
     }
 
-    getTagLayout(tags, maxWidth) {
+    getTagLayout(tags, maxWidth, fontFamily = this.systemFontFamily) {
         const safeTags = Array.isArray(tags) ? tags : [];
         if (safeTags.length === 0) return null;
 
@@ -627,7 +769,7 @@ class VisualGenerator {
         const rowSpacing = 35;
         const tagHeight = 25;
 
-        this.ctx.font = this.fontLoaded ? `14px ${this.systemFontFamily}` : '14px sans-serif';
+        this.ctx.font = this.fontLoaded ? `14px ${fontFamily}` : '14px sans-serif';
 
         const rows = [];
         let currentRow = [];
@@ -677,74 +819,121 @@ class VisualGenerator {
     }
 
     cleanTitleText(text) {
+        const parser = window.markdownParser;
         let title = String(text || '').trim();
         if (!title) return '';
 
-        title = title
-            .replace(/^(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→|[-*•·])\s*/, '')
+        title = (parser.parseListMarker(title)?.content || title)
             .replace(/^\s*(?:标题|Title)\s*[:：]\s*/i, '')
             .replace(/\.\.\.$/, '')
             .replace(/…$/, '')
             .replace(/^#{1,6}\s+/, '')
-            .replace(/^[（\(][一二三四五六七八九十\d]+[）\)]\s*/, '')
-            .replace(/^\d{1,2}[\.\)、\)）]\s*/, '')
-            .replace(/^[一二三四五六七八九十]+[\.\、]\s*/, '')
-            .replace(/[：:]$/, '')
             .trim();
 
-        return title;
+        // 去掉序号与行内格式符号（**粗体** 等）
+        return parser.toPlainText(parser.parseListMarker(title)?.content || title)
+            .replace(/[：:]$/, '')
+            .trim();
     }
 
     /**
-     * 将文本转换为可绘制的行（支持换行、中文、列表缩进）
+     * 将正文解析为 Markdown AST，再转换为可绘制的行（支持换行、中文、嵌套列表、引用、代码、表格与行内粗体等）
      */
     layoutTextLines(text, maxWidth) {
+        const parser = window.markdownParser;
         const lines = [];
         let listGroupSeq = 0;
-        const rawLines = String(text || '').replace(/\r\n/g, '\n').split('\n');
-
-        rawLines.forEach((rawLine) => {
-            const line = String(rawLine || '').trim();
-            if (!line) {
-                lines.push({ type: 'blank' });
-                return;
-            }
 
-            // 小标题：如“注意：”“避坑：”
-            if (line.length <= 12 && /[：:]$/.test(line)) {
-                const headingText = line.replace(/[：:]$/, '').trim();
-                if (headingText) {
-                    lines.push({ type: 'heading', text: headingText });
-                    return;
-                }
-            }
+        const pushRuns = (runs, extra = {}) => {
+            const indent = extra.indent || 0;
+            // 代码行绘制时不做标点挤压，折行也按原宽度计算
+            const wrapped = window.textLayout.layoutLines(
+                runs.map(run => run.text).join(''),
+                maxWidth - indent,
+                text => this.ctx.measureText(text).width,
+                { compress: !extra.code }
+            );
+            if (wrapped.length === 0) wrapped.push({ text: '', last: true });
+            parser.sliceRuns(runs, wrapped.map(line => line.text)).forEach((lineRuns, idx) => {
+                lines.push({
+                    type: 'text',
+                    marker: idx === 0 ? (extra.marker || '') : '',
+                    markerX: extra.markerX || 0,
+                    listGroup: extra.listGroup,
+                    source: extra.source,
+                    quote: !!extra.quote,
+                    code: !!extra.code,
+                    indent,
+                    last: wrapped[idx].last,
+                    text: wrapped[idx].text,
+                    runs: lineRuns
+                });
+            });
+        };
 
-            const listItem = this.parseListItem(line);
-            if (listItem) {
+        const layoutList = (list, depth, quote) => {
+            list.items.forEach((item) => {
                 listGroupSeq += 1;
-                const listGroup = `l${listGroupSeq}`;
-                const marker = listItem.marker;
-                const content = listItem.content;
-                const markerWidth = this.ctx.measureText(marker).width;
-                const indent = markerWidth + 10;
-                const wrapped = this.wrapCanvasText(content, maxWidth - indent);
-
-                wrapped.forEach((textLine, idx) => {
-                    lines.push({
-                        type: 'text',
-                        marker: idx === 0 ? marker : '',
-                        listGroup,
-                        indent,
-                        text: textLine
+                const markerX = depth * 18 + (quote ? 14 : 0);
+                const marker = this.getListMarkerLabel(item);
+                const indent = markerX + this.ctx.measureText(marker).width + 10;
+                pushRuns(parser.toRuns(item.children), { marker, markerX, indent, listGroup: `l${listGroupSeq}`, source: item.source, quote });
+                item.lists.forEach(sub => layoutList(sub, depth + 1, quote));
+            });
+        };
+
+        const layoutBlock = (block, quote = false) => {
+            const indent = quote ? 14 : 0;
+            switch (block.type) {
+                case 'heading':
+                    lines.push({ type: 'heading', text: parser.toPlainText(block.children) });
+                    break;
+                case 'paragraph':
+                    parser.splitLines(block.children).forEach((lineNodes) => {
+                        const plain = parser.toPlainText(lineNodes).trim();
+                        // 小标题：如“注意：”“避坑：”
+                        if (!quote && plain.length <= 12 && /[：:]$/.test(plain) && plain.replace(/[：:]$/, '').trim()) {
+                            lines.push({ type: 'heading', text: plain.replace(/[：:]$/, '').trim() });
+                            return;
+                        }
+                        pushRuns(parser.toRuns(lineNodes), { indent, quote });
                     });
-                });
-                return;
+                    break;
+                case 'list':
+                    layoutList(block, 0, quote);
+                    break;
+                case 'blockquote':
+                    block.children.forEach(child => layoutBlock(child, true));
+                    break;
+                case 'code':
+                    block.value.split('\n').forEach((codeLine) => {
+                        pushRuns([{ text: codeLine || ' ', code: true }], { indent: indent + 12, quote, code: true });
+                    });
+                    break;
+                case 'table':
+                    [block.header, ...block.rows].forEach((row, rowIndex) => {
+                        const runs = [];
+                        row.forEach((cell, cellIndex) => {
+                            if (cellIndex > 0) runs.push({ text: ' ｜ ', muted: true });
+                            runs.push(...parser.toRuns(cell, rowIndex === 0 ? { bold: true } : {}));
+                        });
+                        pushRuns(runs, { indent, quote });
+                    });
+                    break;
+                case 'thematicBreak':
+                    lines.push({ type: 'rule' });
+                    break;
             }
+        };
 
-            const wrapped = this.wrapCanvasText(line, maxWidth);
-            wrapped.forEach((textLine) => {
-                lines.push({ type: 'text', marker: '', indent: 0, text: textLine });
-            });
+        let previous = null;
+        parser.parse(text).children.forEach((block) => {
+            // 原文中块与块之间的空行保留为段间距
+            if (previous && block.line > previous.endLine + 1) {
+                lines.push({ type: 'blank' });
+            }
+            layoutBlock(block);
+            previous = block;
         });
 
         // 移除首尾多余空行
@@ -754,142 +943,113 @@ class VisualGenerator {
         return lines;
     }
 
-    parseListItem(line) {
-        const m = String(line || '').match(/^(\s*(?:(?:✅|☑️|✔️|👉|💡|🔥|⭐️|⭐|🌟|🟢|🔸|🔹|🔻|🔺|▶︎|▶|→)|[-*•·]|(?:\d{1,2}|[一二三四五六七八九十]+)[\.\)、\)）]))\s*(.+)$/);
-        if (!m) return null;
-        let marker = String(m[1] || '').trim();
-        let content = String(m[2] || '').trim();
-        if (!marker || !content) return null;
-
-        // 处理“🔸1）xxx”这类双标记：优先保留数字序号，避免出现“🔸 + 1）”重复
-        if (!/^(?:\d{1,2}|[一二三四五六七八九十]+)[\.\)、\)）]$/.test(marker)) {
-            const numericPrefix = content.match(/^((?:\d{1,2}|[一二三四五六七八九十]+)[\.\)、\)）])\s*(.+)$/);
-            if (numericPrefix && numericPrefix[1] && numericPrefix[2]) {
-                marker = numericPrefix[1].trim();
-                content = numericPrefix[2].trim();
-            }
-        }
-
-        if (!content) return null;
-        return { marker, content };
+    /**
+     * 列表项的显示标记：序号原样保留，- * + 统一为圆点，任务列表显示勾选框
+     */
+    getListMarkerLabel(item) {
+        if (item.checked !== null && item.checked !== undefined) return item.checked ? '☑' : '☐';
+        if (item.ordered) return item.marker;
+        return ['-', '*', '+'].includes(item.marker) ? '•' : item.marker;
     }
 
-    wrapCanvasText(text, maxWidth) {
-        const tokens = this.tokenizeForWrap(String(text || ''));
-        const result = [];
-        let current = '';
-
-        const punctRe = /^[，。！？、；：:,.!?;)\]\}》）”’…%]$/;
-        const isPunctuation = (token) => punctRe.test(token);
-
-        const pushLine = (line) => {
-            const trimmed = String(line || '').trimEnd();
-            if (trimmed.length > 0) {
-                result.push(trimmed);
-            }
+    /**
+     * 按样式片段绘制一行文字（粗体 / 斜体 / 删除线 / 行内代码 / 话题标签），标点挤压后排布
+     * style: { size, family, weight, color, accentColor, codeLine, maxWidth, justify }
+     */
+    drawRuns(runs, x, y, style) {
+        const { size, family = this.systemFontFamily, weight = 400, color, accentColor, codeLine = false, maxWidth = 0, justify = false } = style;
+        const setRunFont = (run) => {
+            const runFamily = run.code ? this.monoFontFamily : family;
+            const runWeight = run.bold ? Math.min(900, Math.max(700, weight + 300)) : weight;
+            const fontStyle = run.italic ? 'italic ' : '';
+            this.ctx.font = this.fontLoaded
+                ? `${fontStyle}${runWeight} ${size}px ${runFamily}`
+                : `${fontStyle}${runWeight} ${size}px ${run.code ? 'monospace' : 'sans-serif'}`;
         };
 
-        tokens.forEach((token) => {
-            if (!token) return;
-            if (token === ' ' && current.length === 0) return;
-
-            // 避免标点挂行：如果新行开头是标点，尽量并回上一行
-            if (current.length === 0 && result.length > 0 && isPunctuation(token)) {
-                const prev = result[result.length - 1];
-                const merged = prev + token;
-                if (this.ctx.measureText(merged).width <= maxWidth) {
-                    result[result.length - 1] = merged;
-                    return;
-                }
-            }
-
-            const testLine = current + token;
-            if (this.ctx.measureText(testLine).width > maxWidth && current.length > 0) {
-                const trimmedCurrent = current.trimEnd();
-
-                if (isPunctuation(token) && trimmedCurrent.length > 1) {
-                    const lastChar = trimmedCurrent.slice(-1);
-                    const rest = trimmedCurrent.slice(0, -1);
-                    pushLine(rest);
-                    current = lastChar + token;
-                } else {
-                    pushLine(trimmedCurrent);
-                    current = token === ' ' ? '' : token;
-                }
-            } else {
-                current = testLine;
-            }
+        // 各片段字体不同，逐字形测量后统一计算位置
+        const clusters = [];
+        runs.forEach((run) => {
+            setRunFont(run);
+            window.textLayout.segment(run.text).forEach((text) => {
+                clusters.push({ text, run, width: this.ctx.measureText(text).width });
+            });
+        });
+        const { offsets } = window.textLayout.positionClusters(clusters, {
+            maxWidth,
+            em: size,
+            justify: justify && !codeLine,
+            compress: !codeLine
         });
 
-        if (current.trim().length > 0) {
-            pushLine(current);
-        }
+        let index = 0;
+        runs.forEach((run) => {
+            const start = index;
+            while (index < clusters.length && clusters[index].run === run) index++;
+            if (start === index) return;
 
-        return result.length > 0 ? result : [''];
-    }
+            setRunFont(run);
+            const left = x + offsets[start];
+            const width = offsets[index - 1] + clusters[index - 1].width - offsets[start];
 
-    tokenizeForWrap(text) {
-        const tokens = [];
-        let buffer = '';
-        let mode = '';
+            if (run.code && !codeLine) {
+                this.ctx.fillStyle = this.hexToRgba(color, 0.08);
+                this.roundRect(left - 2, y - 3, width + 4, size + 6, 4);
+                this.ctx.fill();
+            }
 
-        const flush = () => {
-            if (buffer) tokens.push(buffer);
-            buffer = '';
-            mode = '';
-        };
+            this.ctx.fillStyle = run.hashtag && accentColor
+                ? accentColor
+                : run.muted ? this.hexToRgba(color, 0.4) : color;
 
-        for (const ch of String(text || '')) {
-            if (ch === '\t') {
-                flush();
-                tokens.push(' ');
-                continue;
+            // 位置未经挤压 / 拉伸时整段绘制，保留字距调整
+            let contiguous = true;
+            for (let i = start + 1; i < index; i++) {
+                if (Math.abs(offsets[i] - offsets[i - 1] - clusters[i - 1].width) > 0.01) contiguous = false;
             }
-
-            if (/\s/.test(ch)) {
-                flush();
-                // 合并连续空格
-                if (tokens.length === 0 || tokens[tokens.length - 1] !== ' ') {
-                    tokens.push(' ');
+            if (contiguous) {
+                this.ctx.fillText(run.text, left, y);
+            } else {
+                for (let i = start; i < index; i++) {
+                    this.ctx.fillText(clusters[i].text, x + offsets[i], y);
                 }
-                continue;
             }
 
-            if (/[A-Za-z0-9]/.test(ch)) {
-                if (mode === 'latin') {
-                    buffer += ch;
-                } else {
-                    flush();
-                    mode = 'latin';
-                    buffer = ch;
-                }
-                continue;
+            if (run.strike) {
+                this.ctx.fillRect(left, y + size * 0.55, width, Math.max(1, size / 14));
             }
+        });
+    }
 
-            // CJK 或标点：逐字拆分，便于换行
-            flush();
-            tokens.push(ch);
-        }
+    /**
+     * 含行内 Markdown 的短文本折行（最多 maxLines 行，超出加省略号），返回每行的样式片段
+     */
+    wrapRuns(text, maxWidth, maxLines) {
+        const parser = window.markdownParser;
+        const runs = parser.toRuns(String(text || '').trim());
+        const lines = this.wrapTitleLines(runs.map(run => run.text).join(''), maxWidth, maxLines);
+        return parser.sliceRuns(runs, lines);
+    }
 
-        flush();
-        return tokens;
+    /**
+     * 按当前字体折行（中文禁则、西文单词与数字单位不拆分、标点挤压）
+     */
+    wrapCanvasText(text, maxWidth) {
+        return window.textLayout.breakLines(text, maxWidth, line => this.ctx.measureText(line).width);
     }
 
     /**
-     * 绘制标题
+     * 标题区域尺寸（不绘制）：标题折行、面板位置与高度
      */
-    async drawTitle(parsed, templateConfig, tone, styleProfile) {
-        const { primaryColor, textColor } = templateConfig;
-        
+    getTitleMetrics(parsed, templateConfig, styleProfile) {
+        const titleFontFamily = templateConfig.titleFontFamily || this.systemFontFamily;
         const kicker = String(parsed?.kicker || '').trim();
         const titleText = String(parsed?.title || '').trim();
-        
-        // 设置标题样式（随画布高度轻微缩放，适配 4:5 / 1:1 等比例）
+
+        // 标题字号随画布高度轻微缩放，适配 4:5 / 1:1 等比例
         const titleFontSize = Math.round(30 * (this.baseHeight / 960));
-        this.ctx.font = this.fontLoaded ? `${styleProfile.titleWeight} ${titleFontSize}px ${this.systemFontFamily}` : `bold ${titleFontSize}px sans-serif`;
-        this.ctx.fillStyle = textColor;
-        
-        // 绘制标题背景
+        this.ctx.font = this.fontLoaded ? `${styleProfile.titleWeight} ${titleFontSize}px ${titleFontFamily}` : `bold ${titleFontSize}px sans-serif`;
+
         const panelX = Math.round(this.baseWidth * (40 / 540));
         const panelY = Math.round(this.baseHeight * (64 / 960));
         const panelW = Math.max(0, this.baseWidth - panelX * 2);
@@ -909,6 +1069,33 @@ class VisualGenerator {
             : Math.round(86 * (this.baseHeight / 960));
         const panelH = Math.max(desiredPanelH, minPanelH);
 
+        return {
+            kicker,
+            titleFontFamily,
+            titleFontSize,
+            titleLines,
+            titleLineHeight,
+            titleStartOffset,
+            innerPaddingX,
+            x: panelX,
+            y: panelY,
+            width: panelW,
+            height: panelH,
+            bottomY: panelY + panelH
+        };
+    }
+
+    /**
+     * 绘制标题
+     */
+    async drawTitle(parsed, templateConfig, tone, styleProfile) {
+        const { primaryColor, textColor } = templateConfig;
+        const metrics = this.getTitleMetrics(parsed, templateConfig, styleProfile);
+        const { kicker, titleFontFamily, titleFontSize, titleLines, titleLineHeight, titleStartOffset, innerPaddingX } = metrics;
+        const { x: panelX, y: panelY, width: panelW, height: panelH } = metrics;
+        const hasKicker = !!kicker;
+
+        // 绘制标题背景
         const titleBg = this.ctx.createLinearGradient(0, panelY, this.baseWidth, panelY + panelH);
         titleBg.addColorStop(0, `rgba(255, 255, 255, ${styleProfile.titlePanelOpacityStart})`);
         titleBg.addColorStop(1, `rgba(255, 255, 255, ${styleProfile.titlePanelOpacityEnd})`);
@@ -918,7 +1105,7 @@ class VisualGenerator {
         this.ctx.shadowBlur = 16;
         this.ctx.shadowOffsetY = 8;
         this.ctx.fillStyle = titleBg;
-        this.roundRect(panelX, panelY, panelW, panelH, 18);
+        this.roundRect(panelX, panelY, panelW, panelH, templateConfig.radii?.lg ?? 18);
         this.ctx.fill();
         this.ctx.restore();
         
@@ -928,7 +1115,7 @@ class VisualGenerator {
         let titleStartY = panelY + Math.round(18 * (this.baseHeight / 960));
         if (hasKicker) {
             this.ctx.fillStyle = primaryColor;
-            this.ctx.font = this.fontLoaded ? `600 14px ${this.systemFontFamily}` : '600 14px sans-serif';
+            this.ctx.font = this.fontLoaded ? `600 14px ${titleFontFamily}` : '600 14px sans-serif';
             const kickerFit = this.fitTextToWidth(kicker, Math.max(0, panelW - innerPaddingX * 2));
             this.ctx.fillText(kickerFit, textX, panelY + Math.round(16 * (this.baseHeight / 960)));
             titleStartY = panelY + titleStartOffset;
@@ -936,10 +1123,14 @@ class VisualGenerator {
 
         // 标题（最多两行）
         this.ctx.fillStyle = textColor;
-        this.ctx.font = this.fontLoaded ? `${styleProfile.titleWeight} ${titleFontSize}px ${this.systemFontFamily}` : `bold ${titleFontSize}px sans-serif`;
+        this.ctx.font = this.fontLoaded ? `${styleProfile.titleWeight} ${titleFontSize}px ${titleFontFamily}` : `bold ${titleFontSize}px sans-serif`;
         titleLines.forEach((line, idx) => {
             this.ctx.fillText(line, textX, titleStartY + idx * titleLineHeight);
         });
+        this.recordHitRegion(
+            { type: 'title', text: parsed.title, source: parsed.titleSource || '' },
+            textX, titleStartY - 4, panelW - innerPaddingX * 2, titleLines.length * titleLineHeight + 8
+        );
         
         // 绘制装饰线
         this.ctx.fillStyle = primaryColor;
@@ -963,6 +1154,7 @@ class VisualGenerator {
             return lines;
         }
 
+        this._overflow = true;
         const head = lines.slice(0, maxLines);
         const lastIndex = head.length - 1;
         head[lastIndex] = this.fitTextToWidth(head[lastIndex], maxWidth, true);
@@ -992,20 +1184,41 @@ class VisualGenerator {
     }
 
     /**
-     * 绘制主要内容
+     * 正文行的高度（含小标题前距与列表项结尾间距）
      */
-    async drawMainContent(parsed, templateConfig, styleProfile, titleMetrics = null, layoutOptions = {}) {
-        const { textColor, primaryColor } = templateConfig;
+    getLineItemHeight(item, prev, next, lineHeight) {
+        let h = lineHeight;
+        if (item.type === 'blank' || item.type === 'rule') h = Math.round(lineHeight * 0.7);
+        if (item.type === 'heading') h = Math.round(lineHeight * 1.05);
+
+        if (item.type === 'heading' && prev && prev.type !== 'blank') {
+            h += Math.round(lineHeight * 0.25);
+        }
+
+        // 列表项结尾增加一点间距（提升可读性）
+        if (item.type === 'text' && item.listGroup && (!next || next.listGroup !== item.listGroup)) {
+            h += Math.round(lineHeight * 0.14);
+        }
+
+        return h;
+    }
+
+    /**
+     * 正文排版（不绘制）：在模板字号上下限内逐档缩小字号，直到内容放进面板；
+     * 返回面板尺寸、字号、行数据以及 fits（最小字号仍放不下时为 false）
+     */
+    layoutMainContent(parsed, templateConfig, styleProfile, titleMetrics = null, layoutOptions = {}) {
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
         const body = String(parsed?.body || '').trim();
         const reservedBottomHeight = Math.max(0, Number(layoutOptions?.reservedBottomHeight) || 0);
-        
+
         const panelX = Math.round(this.baseWidth * (40 / 540));
         const panelW = Math.max(0, this.baseWidth - panelX * 2);
         const paddingX = Math.round(this.baseWidth * (24 / 540));
         const paddingY = 28;
 
         const bottomSafePadding = styleProfile.decorationLevel === 'none' ? 72 : 90;
-        const contentBottom = Math.round(this.baseHeight - bottomSafePadding);
+        const contentBottom = Math.round(Math.min(this.baseHeight - bottomSafePadding, layoutOptions?.contentLimit ?? Infinity));
         const contentLength = body.length;
         let minPanelH = styleProfile.backgroundMode === 'minimal' ? 220 : 240;
         if (contentLength > 260) {
@@ -1021,54 +1234,73 @@ class VisualGenerator {
         if (panelY > contentBottom - minPanelH) {
             panelY = contentBottom - minPanelH;
         }
-        
-        // 设置内容文字样式
-        let fontSize = styleProfile.bodyFontSize;
-        let lineHeight = styleProfile.lineHeight;
+
+        // 基准字号：短内容适当放大
+        let baseFontSize = styleProfile.bodyFontSize;
+        let baseLineHeight = styleProfile.lineHeight;
         if (contentLength > 0 && contentLength < 120) {
-            fontSize += 2;
-            lineHeight += 4;
+            baseFontSize += 2;
+            baseLineHeight += 4;
         }
         if (contentLength > 0 && contentLength < 70) {
-            fontSize += 2;
-            lineHeight += 2;
+            baseFontSize += 2;
+            baseLineHeight += 2;
         }
 
-        this.ctx.font = this.fontLoaded ? `${fontSize}px ${this.systemFontFamily}` : `${fontSize}px sans-serif`;
-        
         const maxWidth = panelW - paddingX * 2;
-        const baseX = panelX + paddingX;
+        const bounds = templateConfig.fontBounds || {};
+        const maxFontSize = Math.min(baseFontSize, bounds.max || baseFontSize);
+        const minFontSize = Math.min(maxFontSize, bounds.min || maxFontSize);
+
+        const layout = window.fitEngine.fit((fontSize) => {
+            const lineHeight = Math.round(baseLineHeight * fontSize / baseFontSize);
+            this.ctx.font = this.fontLoaded ? `${fontSize}px ${fontFamily}` : `${fontSize}px sans-serif`;
+
+            const lineItems = this.layoutTextLines(body, maxWidth);
+            const heights = lineItems.map((item, idx) => this.getLineItemHeight(item, lineItems[idx - 1] || null, lineItems[idx + 1] || null, lineHeight));
+            const totalHeight = heights.reduce((sum, h) => sum + h, 0);
+
+            const maxPanelH = contentBottom - panelY;
+            const idealPanelH = Math.ceil(paddingY * 2 + totalHeight + reservedBottomHeight);
+            const panelH = Math.min(maxPanelH, Math.max(minPanelH, idealPanelH));
+
+            const yMin = panelY + paddingY;
+            const maxReserve = Math.max(0, panelH - paddingY * 2 - Math.round(lineHeight * 4.6));
+            const appliedReserve = Math.min(reservedBottomHeight, maxReserve);
+            const yMax = panelY + panelH - paddingY - appliedReserve;
+
+            return {
+                fits: totalHeight <= yMax - yMin,
+                lineHeight,
+                lineItems,
+                totalHeight,
+                panelH,
+                yMin,
+                yMax,
+                appliedReserve
+            };
+        }, { min: minFontSize, max: maxFontSize, step: 1 });
 
-        const lineItems = this.layoutTextLines(body, maxWidth);
-
-        const heightOfBase = (item) => {
-            if (item.type === 'blank') return Math.round(lineHeight * 0.7);
-            if (item.type === 'heading') return Math.round(lineHeight * 1.05);
-            return lineHeight;
-        };
-        const heightWithContext = (item, prev, next) => {
-            let h = heightOfBase(item);
-            if (item.type === 'heading' && prev && prev.type !== 'blank') {
-                h += Math.round(lineHeight * 0.25);
-            }
-
-            // 列表项结尾增加一点间距（提升可读性）
-            if (item.type === 'text' && item.listGroup && (!next || next.listGroup !== item.listGroup)) {
-                h += Math.round(lineHeight * 0.14);
-            }
-
-            return h;
+        return {
+            ...layout,
+            panelX,
+            panelY,
+            panelW,
+            paddingX,
+            paddingY,
+            baseX: panelX + paddingX,
+            maxWidth
         };
+    }
 
-        const totalHeight = lineItems.reduce((sum, item, idx) => {
-            const prev = idx > 0 ? lineItems[idx - 1] : null;
-            const next = idx < lineItems.length - 1 ? lineItems[idx + 1] : null;
-            return sum + heightWithContext(item, prev, next);
-        }, 0);
-
-        const maxPanelH = contentBottom - panelY;
-        const idealPanelH = Math.ceil(paddingY * 2 + totalHeight + reservedBottomHeight);
-        const panelH = Math.min(maxPanelH, Math.max(minPanelH, idealPanelH));
+    /**
+     * 绘制主要内容
+     */
+    async drawMainContent(parsed, templateConfig, styleProfile, titleMetrics = null, layoutOptions = {}) {
+        const { textColor, primaryColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        const layout = this.layoutMainContent(parsed, templateConfig, styleProfile, titleMetrics, layoutOptions);
+        const { panelX, panelY, panelW, panelH, paddingX, paddingY, baseX, maxWidth, fontSize, lineHeight, lineItems, totalHeight, yMin, yMax, appliedReserve } = layout;
 
         // 绘制内容面板背景（更“干净”的高级感：轻阴影 + 轻描边）
         this.ctx.fillStyle = `rgba(255, 255, 255, ${styleProfile.contentPanelOpacity})`;
@@ -1076,40 +1308,41 @@ class VisualGenerator {
         this.ctx.shadowColor = 'rgba(15, 23, 42, 0.08)';
         this.ctx.shadowBlur = 18;
         this.ctx.shadowOffsetY = 10;
-        this.roundRect(panelX, panelY, panelW, panelH, 24);
+        this.roundRect(panelX, panelY, panelW, panelH, templateConfig.radii?.xl ?? 24);
         this.ctx.fill();
         this.ctx.restore();
 
         this.ctx.save();
         this.ctx.strokeStyle = 'rgba(15, 23, 42, 0.06)';
         this.ctx.lineWidth = 1;
-        this.roundRect(panelX, panelY, panelW, panelH, 24);
+        this.roundRect(panelX, panelY, panelW, panelH, templateConfig.radii?.xl ?? 24);
         this.ctx.stroke();
         this.ctx.restore();
 
         this.ctx.fillStyle = textColor;
-        const yMin = panelY + paddingY;
-        const maxReserve = Math.max(0, panelH - paddingY * 2 - Math.round(lineHeight * 4.6));
-        const appliedReserve = Math.min(reservedBottomHeight, maxReserve);
-        const yMax = panelY + panelH - paddingY - appliedReserve;
+        this.ctx.font = this.fontLoaded ? `${fontSize}px ${fontFamily}` : `${fontSize}px sans-serif`;
         const available = yMax - yMin;
+        const heightWithContext = (item, prev, next) => this.getLineItemHeight(item, prev, next, lineHeight);
         let y = yMin;
         if (totalHeight > 0 && totalHeight < available * 0.7) {
             y = yMin + Math.min((available - totalHeight) * 0.26, lineHeight * 2.2);
         }
 
         const toDraw = [];
+        let hiddenLines = 0;
         for (let i = 0; i < lineItems.length; i++) {
             const item = lineItems[i];
             const prev = toDraw.length > 0 ? toDraw[toDraw.length - 1] : null;
             const next = i < lineItems.length - 1 ? lineItems[i + 1] : null;
             const nextY = y + heightWithContext(item, prev, next);
             if (nextY > yMax) {
-                // 溢出：最后一行加省略号
+                // 最小字号仍溢出（无法分页时）：最后一行加省略号，并记录未显示的行数供预览提示
+                hiddenLines = lineItems.slice(i).filter(line => line.type === 'text' || line.type === 'heading').length;
                 if (toDraw.length > 0) {
                     const last = toDraw[toDraw.length - 1];
                     if (last.type === 'text') {
                         last.text = this.fitTextToWidth(last.text, maxWidth - (last.indent || 0), true);
+                        last.runs = null;
                     }
                 }
                 break;
@@ -1118,6 +1351,18 @@ class VisualGenerator {
             y = nextY;
         }
 
+        this._fitInfo = {
+            fontSize,
+            maxFontSize: layout.maxFontSize,
+            minFontSize: layout.minFontSize,
+            shrunk: layout.shrunk,
+            overflow: hiddenLines > 0,
+            hiddenLines
+        };
+        if (hiddenLines > 0) {
+            DEBUG.warn(`正文在最小字号 ${fontSize}px 下仍溢出，${hiddenLines} 行未显示`);
+        }
+
         // 重新绘制（使用单独循环，确保 y 累加一致）
         y = yMin;
         if (totalHeight > 0 && totalHeight < available * 0.7) {
@@ -1145,11 +1390,11 @@ class VisualGenerator {
                 const label = this.fitTextToWidth(String(item.text || '').trim(), maxWidth);
                 if (label) {
                     const headingFontSize = Math.max(14, fontSize - 1);
-                    this.ctx.font = this.fontLoaded ? `700 ${headingFontSize}px ${this.systemFontFamily}` : `700 ${headingFontSize}px sans-serif`;
+                    this.ctx.font = this.fontLoaded ? `700 ${headingFontSize}px ${fontFamily}` : `700 ${headingFontSize}px sans-serif`;
                     const w = Math.min(maxWidth, this.ctx.measureText(label).width + 18);
                     const h = Math.round(headingFontSize + 10);
                     this.ctx.fillStyle = this.hexToRgba(primaryColor, 0.14);
-                    this.roundRect(baseX, y - 4, w, h, 12);
+                    this.roundRect(baseX, y - 4, w, h, templateConfig.radii?.md ?? 12);
                     this.ctx.fill();
 
                     this.ctx.fillStyle = primaryColor;
@@ -1160,17 +1405,43 @@ class VisualGenerator {
                 return;
             }
 
+            if (item.type === 'rule') {
+                this.ctx.fillStyle = this.hexToRgba(textColor, 0.12);
+                this.ctx.fillRect(baseX, y + Math.round(lineHeight * 0.3), maxWidth, 1);
+                y += heightWithContext(item, prev, next);
+                return;
+            }
+
+            // 引用：左侧竖条；代码：整行浅色底
+            if (item.quote) {
+                this.ctx.fillStyle = this.hexToRgba(primaryColor, 0.35);
+                this.ctx.fillRect(baseX, y - 2, 3, lineHeight);
+            }
+            if (item.code) {
+                this.ctx.fillStyle = this.hexToRgba(textColor, 0.06);
+                this.ctx.fillRect(baseX + (item.quote ? 14 : 0), y - 3, maxWidth - (item.quote ? 14 : 0), lineHeight);
+            }
+
             if (item.marker) {
                 this.ctx.fillStyle = primaryColor;
-                this.ctx.font = this.fontLoaded ? `700 ${fontSize}px ${this.systemFontFamily}` : `700 ${fontSize}px sans-serif`;
-                this.ctx.fillText(item.marker, baseX, y);
-                this.ctx.fillStyle = textColor;
-                this.ctx.font = this.fontLoaded ? `${fontSize}px ${this.systemFontFamily}` : `${fontSize}px sans-serif`;
-                this.ctx.fillText(item.text, baseX + item.indent, y);
-            } else {
-                this.ctx.fillStyle = textColor;
-                this.ctx.font = this.fontLoaded ? `${fontSize}px ${this.systemFontFamily}` : `${fontSize}px sans-serif`;
-                this.ctx.fillText(item.text, baseX + (item.indent || 0), y);
+                this.ctx.font = this.fontLoaded ? `700 ${fontSize}px ${fontFamily}` : `700 ${fontSize}px sans-serif`;
+                this.ctx.fillText(item.marker, baseX + (item.markerX || 0), y);
+            }
+            this.drawRuns(item.runs || [{ text: item.text }], baseX + (item.indent || 0), y, {
+                size: fontSize,
+                family: fontFamily,
+                color: textColor,
+                accentColor: primaryColor,
+                codeLine: item.code,
+                maxWidth: maxWidth - (item.indent || 0),
+                justify: templateConfig.textAlign === 'justify' && !item.last
+            });
+            if (item.source !== undefined) {
+                const markerX = baseX + (item.markerX || 0);
+                this.recordHitRegion(
+                    { type: 'item', text: window.markdownParser.toPlainText(item.source), source: item.source, group: item.listGroup },
+                    markerX, y - 4, baseX + maxWidth - markerX, lineHeight
+                );
             }
 
             y += heightWithContext(item, prev, next);
@@ -1196,6 +1467,7 @@ class VisualGenerator {
      */
     async drawTags(tags, templateConfig, styleProfile, options = {}) {
         const { primaryColor, secondaryColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
         const safeTags = Array.isArray(tags) ? tags : [];
         if (safeTags.length === 0) return;
 
@@ -1203,12 +1475,12 @@ class VisualGenerator {
         const anchorY = Number(options?.anchorY);
 
         // 设置标签字体（确保 measureText 基于同一字体）
-        this.ctx.font = this.fontLoaded ? `14px ${this.systemFontFamily}` : '14px sans-serif';
+        this.ctx.font = this.fontLoaded ? `14px ${fontFamily}` : '14px sans-serif';
 
         const widthLimit = panel
             ? (panel.innerWidth || (panel.width - (panel.paddingX || 0) * 2))
             : 420;
-        const layout = options?.layout || this.getTagLayout(safeTags, widthLimit);
+        const layout = options?.layout || this.getTagLayout(safeTags, widthLimit, fontFamily);
         if (!layout) return;
 
         const baseX = panel ? (panel.innerX || (panel.x + (panel.paddingX || 0))) : 60;
@@ -1232,38 +1504,414 @@ class VisualGenerator {
                 // 绘制标签背景
                 if (styleProfile.tagMode === 'outline') {
                     this.ctx.fillStyle = panel ? 'rgba(255, 255, 255, 0.92)' : 'rgba(255, 255, 255, 0.85)';
-                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, 12);
+                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, templateConfig.radii?.md ?? 12);
                     this.ctx.fill();
 
                     this.ctx.strokeStyle = primaryColor;
                     this.ctx.lineWidth = 1.5;
-                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, 12);
+                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, templateConfig.radii?.md ?? 12);
                     this.ctx.stroke();
                 } else {
                     // panel 内更克制一点
                     this.ctx.fillStyle = panel ? this.hexToRgba(primaryColor, 0.92) : primaryColor;
-                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, 12);
+                    this.roundRect(x, rowY, tagWidth, layout.tagHeight, templateConfig.radii?.md ?? 12);
                     this.ctx.fill();
                 }
                 
                 // 绘制标签文字
                 this.ctx.fillStyle = styleProfile.tagMode === 'outline' ? primaryColor : 'white';
                 this.ctx.fillText(item.label, x + 10, rowY + 6);
+                this.recordHitRegion({ type: 'tag', text: item.tag }, x, rowY, tagWidth, layout.tagHeight);
                 
                 x += tagWidth + layout.tagGap;
             });
         });
     }
 
+    /**
+     * 绘制轮播页角色版式：统一的内容面板 + 各角色排版
+     */
+    drawRolePage(page, templateConfig, styleProfile, tags, contentLimit = null) {
+        const k = this.baseHeight / 960;
+        const panelX = Math.round(this.baseWidth * (40 / 540));
+        const panelY = Math.round(64 * k);
+        const panelW = this.baseWidth - panelX * 2;
+        const panelH = this.baseHeight - panelY - Math.round(72 * k);
+        const padding = Math.round(this.baseWidth * (28 / 540));
+
+        this.ctx.save();
+        this.ctx.shadowColor = 'rgba(15, 23, 42, 0.08)';
+        this.ctx.shadowBlur = 18;
+        this.ctx.shadowOffsetY = 10;
+        this.ctx.fillStyle = `rgba(255, 255, 255, ${styleProfile.contentPanelOpacity})`;
+        this.roundRect(panelX, panelY, panelW, panelH, templateConfig.radii?.xl ?? 24);
+        this.ctx.fill();
+        this.ctx.restore();
+
+        const box = {
+            x: panelX + padding,
+            y: panelY + padding,
+            width: panelW - padding * 2,
+            bottom: Math.min(panelY + panelH - padding, contentLimit ?? Infinity),
+            k
+        };
+
+        this.ctx.save();
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'top';
+        this[this.roleLayouts[page.role]](page, box, templateConfig, styleProfile, tags);
+        this.ctx.restore();
+    }
+
+    /**
+     * 绘制多行文本，返回文本块底部坐标
+     */
+    drawTextBlock(text, x, y, maxWidth, options = {}) {
+        const { size = 18, weight = 400, color = '#1A1A1A', lineHeight = 1.5, maxLines = 3 } = options;
+        const raw = String(text || '').trim();
+        if (!raw) return y;
+
+        const family = options.family || this.systemFontFamily;
+        this.ctx.font = this.fontLoaded ? `${weight} ${size}px ${family}` : `${weight} ${size}px sans-serif`;
+        const lines = this.wrapRuns(raw, maxWidth, maxLines);
+        lines.forEach((runs, index) => {
+            this.drawRuns(runs, x, y + index * size * lineHeight, { size, family, weight, color, accentColor: options.accentColor });
+        });
+        return y + lines.length * size * lineHeight;
+    }
+
+    /**
+     * 角色页标题区：小号眉题 + 标题，返回标题底部坐标
+     */
+    drawRoleHeading(label, title, box, templateConfig, size = 28) {
+        const eyebrowSize = Math.round(13 * Math.max(box.k, 0.75));
+        this.ctx.font = this.fontLoaded ? `700 ${eyebrowSize}px ${templateConfig.fontFamily || this.systemFontFamily}` : `700 ${eyebrowSize}px sans-serif`;
+        this.ctx.fillStyle = templateConfig.primaryColor;
+        this.ctx.fillText(label, box.x, box.y);
+
+        const top = box.y + eyebrowSize + 14;
+        const bottom = this.drawTextBlock(title, box.x, top, box.width, {
+            size,
+            weight: 800,
+            family: templateConfig.titleFontFamily,
+            color: templateConfig.textColor,
+            lineHeight: 1.3,
+            maxLines: 2
+        });
+        this.recordHitRegion({ type: 'title', text: title }, box.x, top - 4, box.width, bottom - top + 4);
+        return bottom;
+    }
+
+    /**
+     * 封面：超大钩子标题 + 副标题 + 本篇看点 + 左滑提示
+     */
+    drawCoverPage(page, box, templateConfig) {
+        const { primaryColor, textColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        const titleSize = Math.round((page.title.length > 14 ? 38 : 46) * Math.max(box.k, 0.7));
+
+        const titleTop = box.y + Math.round(40 * box.k);
+        let y = this.drawTextBlock(page.title, box.x, titleTop, box.width, {
+            size: titleSize,
+            weight: 800,
+            family: templateConfig.titleFontFamily,
+            color: textColor,
+            lineHeight: 1.25,
+            maxLines: 4
+        });
+        this.recordHitRegion({ type: 'title', text: page.title }, box.x, titleTop - 4, box.width, y - titleTop + 4);
+
+        y += Math.round(18 * box.k);
+        this.ctx.fillStyle = primaryColor;
+        this.roundRect(box.x, y, 64, 6, 3);
+        this.ctx.fill();
+        y += Math.round(28 * box.k);
+
+        if (page.subtitle) {
+            y = this.drawTextBlock(page.subtitle, box.x, y, box.width, {
+                size: 17,
+                weight: 500,
+                family: fontFamily,
+                color: this.hexToRgba(textColor, 0.7),
+                maxLines: 2
+            }) + Math.round(24 * box.k);
+        }
+
+        const rowH = Math.round(34 * Math.max(box.k, 0.75));
+        const items = page.items.slice(0, Math.max(0, Math.floor((box.bottom - 40 - y) / rowH) - 1));
+        if (items.length > 0) {
+            this.ctx.font = this.fontLoaded ? `700 14px ${fontFamily}` : '700 14px sans-serif';
+            this.ctx.fillStyle = primaryColor;
+            this.ctx.fillText('本篇看点', box.x, y);
+            y += rowH;
+            items.forEach((item, index) => {
+                this.ctx.font = this.fontLoaded ? `800 16px ${fontFamily}` : '800 16px sans-serif';
+                this.ctx.fillStyle = primaryColor;
+                this.ctx.fillText(String(index + 1).padStart(2, '0'), box.x, y);
+                this.drawTextBlock(item, box.x + 36, y, box.width - 36, {
+                    size: 16,
+                    weight: 500,
+                    family: fontFamily,
+                    color: textColor,
+                    maxLines: 1
+                });
+                this.recordHitRegion({ type: 'item', text: window.markdownParser.toPlainText(item), source: item }, box.x, y - 4, box.width, 24);
+                y += rowH;
+            });
+        }
+
+        this.ctx.font = this.fontLoaded ? `700 15px ${fontFamily}` : '700 15px sans-serif';
+        this.ctx.fillStyle = primaryColor;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('左滑查看 →', box.x + box.width, box.bottom - 18);
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * 清单：编号徽标 + 逐条卡片
+     */
+    drawListPage(page, box, templateConfig) {
+        const { primaryColor, textColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        let y = this.drawRoleHeading(`清单 · ${page.items.length} 项`, page.title, box, templateConfig) + Math.round(24 * box.k);
+
+        const textX = box.x + 48;
+        const textW = box.width - 60;
+        for (let i = 0; i < page.items.length; i++) {
+            this.ctx.font = this.fontLoaded ? `500 16px ${fontFamily}` : '500 16px sans-serif';
+            const lines = this.wrapRuns(page.items[i], textW, 2);
+            const rowH = Math.max(52, lines.length * 24 + 26);
+            if (y + rowH > box.bottom) {
+                this._overflow = true;
+                break;
+            }
+
+            this.ctx.fillStyle = this.hexToRgba(primaryColor, 0.08);
+            this.roundRect(box.x, y, box.width, rowH, templateConfig.radii?.md ?? 12);
+            this.ctx.fill();
+
+            this.ctx.fillStyle = primaryColor;
+            this.ctx.beginPath();
+            this.ctx.arc(box.x + 24, y + rowH / 2, 13, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.font = this.fontLoaded ? `800 14px ${fontFamily}` : '800 14px sans-serif';
+            this.ctx.fillStyle = 'white';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(String(i + 1), box.x + 24, y + rowH / 2 - 8);
+            this.ctx.textAlign = 'left';
+
+            lines.forEach((runs, index) => {
+                this.drawRuns(runs, textX, y + (rowH - lines.length * 24) / 2 + index * 24 + 3, {
+                    size: 16,
+                    family: fontFamily,
+                    weight: 500,
+                    color: textColor,
+                    accentColor: primaryColor
+                });
+            });
+            this.recordHitRegion({ type: 'item', text: window.markdownParser.toPlainText(page.items[i]), source: page.items[i] }, box.x, y, box.width, rowH);
+            y += rowH + 10;
+        }
+    }
+
+    /**
+     * 数据：超大号数字卡片 + 补充说明
+     */
+    drawDataPage(page, box, templateConfig) {
+        const { primaryColor, textColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        let y = this.drawRoleHeading('数据说话', page.title, box, templateConfig, 26) + Math.round(24 * box.k);
+
+        const points = page.dataPoints.slice(0, 4);
+        const cols = points.length <= 2 ? 1 : 2;
+        const gap = 12;
+        const cardW = (box.width - gap * (cols - 1)) / cols;
+        const valueSize = Math.round((cols === 1 ? 56 : 40) * Math.max(box.k, 0.6));
+        const cardH = valueSize + 58;
+
+        points.forEach((point, index) => {
+            const x = box.x + (index % cols) * (cardW + gap);
+            const cardY = y + Math.floor(index / cols) * (cardH + gap);
+            if (cardY + cardH > box.bottom) {
+                this._overflow = true;
+                return;
+            }
+
+            this.ctx.fillStyle = this.hexToRgba(primaryColor, 0.08);
+            this.roundRect(x, cardY, cardW, cardH, templateConfig.radii?.lg ?? 18);
+            this.ctx.fill();
+
+            this.ctx.font = this.fontLoaded ? `800 ${valueSize}px ${templateConfig.titleFontFamily || fontFamily}` : `800 ${valueSize}px sans-serif`;
+            this.ctx.fillStyle = primaryColor;
+            this.ctx.fillText(point.value, x + 16, cardY + 12);
+            const valueWidth = this.ctx.measureText(point.value).width;
+            this.ctx.font = this.fontLoaded ? `600 ${Math.round(valueSize * 0.38)}px ${fontFamily}` : `600 ${Math.round(valueSize * 0.38)}px sans-serif`;
+            this.ctx.fillText(point.unit, x + 20 + valueWidth, cardY + 12 + valueSize * 0.5);
+
+            this.drawTextBlock(point.label, x + 16, cardY + cardH - 30, cardW - 32, {
+                size: 14,
+                weight: 500,
+                family: fontFamily,
+                color: this.hexToRgba(textColor, 0.7),
+                maxLines: 1
+            });
+        });
+        y += Math.ceil(points.length / cols) * (cardH + gap) + 12;
+
+        const noteSource = page.body.split('\n');
+        const note = noteSource.slice(0, 3).join(' ');
+        const noteLines = Math.floor((box.bottom - y) / 24);
+        if (noteSource.length > 3 || (note && noteLines <= 0)) {
+            this._overflow = true;
+        }
+        if (note && noteLines > 0) {
+            this.drawTextBlock(note, box.x, y, box.width, {
+                size: 15,
+                family: fontFamily,
+                color: this.hexToRgba(textColor, 0.72),
+                lineHeight: 1.6,
+                maxLines: Math.min(4, noteLines)
+            });
+        }
+    }
+
+    /**
+     * 金句：大引号 + 大字居中
+     */
+    drawQuotePage(page, box, templateConfig) {
+        const { primaryColor, textColor } = templateConfig;
+        const quote = page.quote || page.body || page.title;
+        const size = Math.round((quote.length > 24 ? 26 : 32) * Math.max(box.k, 0.7));
+
+        this.ctx.font = this.fontLoaded ? `${size}px ${templateConfig.titleFontFamily || this.systemFontFamily}` : `${size}px sans-serif`;
+        const lines = this.wrapRuns(quote, box.width, 7);
+        const blockH = lines.length * size * 1.6;
+        let y = Math.max(box.y + 60, (box.y + box.bottom) / 2 - blockH / 2);
+
+        this.ctx.font = this.fontLoaded ? `120px ${templateConfig.titleFontFamily || this.systemFontFamily}` : '120px serif';
+        this.ctx.fillStyle = this.hexToRgba(primaryColor, 0.2);
+        this.ctx.fillText('“', box.x - 6, y - 70);
+
+        y = this.drawTextBlock(quote, box.x, y, box.width, {
+            size,
+            weight: 700,
+            family: templateConfig.titleFontFamily,
+            color: textColor,
+            lineHeight: 1.6,
+            maxLines: 7
+        }) + 16;
+
+        this.ctx.fillStyle = primaryColor;
+        this.ctx.fillRect(box.x, y, 48, 4);
+        if (page.title && page.title !== quote) {
+            this.drawTextBlock(`—— ${page.title}`, box.x, y + 18, box.width, {
+                size: 15,
+                family: templateConfig.fontFamily,
+                color: this.hexToRgba(textColor, 0.6),
+                maxLines: 1
+            });
+        }
+    }
+
+    /**
+     * 总结：打勾回顾 + 话题标签 + 互动引导
+     */
+    drawSummaryPage(page, box, templateConfig, styleProfile, tags) {
+        const { primaryColor, textColor } = templateConfig;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        let y = this.drawRoleHeading('总结', page.title, box, templateConfig) + Math.round(26 * box.k);
+
+        const ctaH = page.cta ? 48 : 0;
+        const tagLayout = tags.length > 0 ? this.getTagLayout(tags, box.width, fontFamily) : null;
+        const tagsH = tagLayout ? tagLayout.totalHeight + 16 : 0;
+        const itemsBottom = box.bottom - ctaH - tagsH - 16;
+
+        for (const item of page.items) {
+            this.ctx.font = this.fontLoaded ? `500 16px ${fontFamily}` : '500 16px sans-serif';
+            const lines = this.wrapRuns(item, box.width - 36, 2);
+            const rowH = lines.length * 24 + 14;
+            if (y + rowH > itemsBottom) {
+                this._overflow = true;
+                break;
+            }
+
+            this.ctx.strokeStyle = primaryColor;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(box.x + 11, y + 11, 10, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.beginPath();
+            this.ctx.moveTo(box.x + 6, y + 11);
+            this.ctx.lineTo(box.x + 10, y + 15);
+            this.ctx.lineTo(box.x + 17, y + 7);
+            this.ctx.stroke();
+
+            lines.forEach((runs, index) => this.drawRuns(runs, box.x + 32, y + index * 24 + 2, {
+                size: 16,
+                family: fontFamily,
+                weight: 500,
+                color: textColor,
+                accentColor: primaryColor
+            }));
+            this.recordHitRegion({ type: 'item', text: window.markdownParser.toPlainText(item), source: item }, box.x, y - 2, box.width, rowH);
+            y += rowH;
+        }
+
+        if (tagLayout) {
+            this.drawTags(tags, templateConfig, styleProfile, {
+                panelMetrics: { x: box.x, y: box.y, innerX: box.x, innerWidth: box.width, height: box.bottom - ctaH - 16 - box.y, paddingY: 0 },
+                layout: tagLayout
+            });
+        }
+
+        if (page.cta) {
+            const ctaY = box.bottom - ctaH;
+            this.ctx.fillStyle = primaryColor;
+            this.roundRect(box.x, ctaY, box.width, ctaH, ctaH / 2);
+            this.ctx.fill();
+            this.ctx.font = this.fontLoaded ? `700 15px ${fontFamily}` : '700 15px sans-serif';
+            this.ctx.fillStyle = 'white';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.fitTextToWidth(page.cta, box.width - 32), box.x + box.width / 2, ctaY + ctaH / 2 - 8);
+            this.ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * 绘制页码角标（右上角 “2/6”）
+     */
+    drawPageIndicator(page, templateConfig) {
+        const label = page.indicator || `${page.pageNumber}/${page.totalPages}`;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+        const height = 24;
+        const right = this.baseWidth - Math.round(this.baseWidth * (40 / 540));
+        const top = Math.round(Math.max(8, 64 * (this.baseHeight / 960) - height - 10));
+
+        this.ctx.save();
+        this.ctx.font = this.fontLoaded ? `700 13px ${fontFamily}` : '700 13px sans-serif';
+        const width = this.ctx.measureText(label).width + 20;
+        this.ctx.fillStyle = this.hexToRgba(templateConfig.primaryColor, 0.9);
+        this.roundRect(right - width, top, width, height, height / 2);
+        this.ctx.fill();
+        this.ctx.fillStyle = 'white';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, right - width / 2, top + height / 2);
+        this.ctx.restore();
+    }
+
     /**
      * 绘制装饰元素
      */
     async drawDecorations(templateConfig, template, styleProfile) {
         const { primaryColor, accentColor } = templateConfig;
+        const decorations = templateConfig.decorations || {};
         
         // 绘制顶部装饰
-        this.ctx.fillStyle = primaryColor;
-        this.ctx.fillRect(0, 0, this.baseWidth, styleProfile.topBarHeight);
+        if (decorations.topBar !== false) {
+            this.ctx.fillStyle = primaryColor;
+            this.ctx.fillRect(0, 0, this.baseWidth, styleProfile.topBarHeight);
+        }
 
         if (styleProfile.decorationLevel === 'none') {
             return;
@@ -1273,7 +1921,9 @@ class VisualGenerator {
         if (styleProfile.decorationLevel === 'subtle') {
             this.ctx.save();
             this.ctx.globalAlpha = 0.22;
-            this.drawCornerDecorations(templateConfig, { size: 22 });
+            if (decorations.corners !== false) {
+                this.drawCornerDecorations(templateConfig, { size: 22 });
+            }
             this.ctx.restore();
             return;
         }
@@ -1281,7 +1931,9 @@ class VisualGenerator {
         // rich：保留模板装饰，但稍微降低整体存在感
         this.ctx.save();
         this.ctx.globalAlpha = 0.85;
-        this.drawCornerDecorations(templateConfig, { size: 26 });
+        if (decorations.corners !== false) {
+            this.drawCornerDecorations(templateConfig, { size: 26 });
+        }
         this.drawTemplateSpecificDecorations(template, templateConfig);
         this.ctx.restore();
     }
@@ -1312,8 +1964,8 @@ class VisualGenerator {
     drawTemplateSpecificDecorations(template, templateConfig) {
         const { primaryColor } = templateConfig;
         
-        // 根据模板类型添加特定装饰
-        switch (template?.category) {
+        // 根据主题装饰主题（motif）添加特定装饰，未配置时按模板分类
+        switch (templateConfig.decorations?.motif || template?.category) {
             case 'lifestyle':
                 this.drawLifestyleDecorations(templateConfig);
                 break;
@@ -1479,6 +2131,118 @@ class VisualGenerator {
         this.ctx.textAlign = 'left'; // 重置对齐方式
     }
 
+    /**
+     * 绘制品牌水印（Logo + 账号名，按套件配置的位置摆放）
+     */
+    async drawBrandWatermark(brandKit, templateConfig) {
+        const logo = brandKit.logo ? await this.loadImage(brandKit.logo).catch(() => null) : null;
+        const handle = brandKit.handle || '';
+        if (!logo && !handle) return;
+
+        const fontSize = 14;
+        const logoSize = 28;
+        const gap = logo && handle ? 8 : 0;
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+
+        this.ctx.save();
+        this.ctx.font = this.fontLoaded ? `600 ${fontSize}px ${fontFamily}` : `600 ${fontSize}px sans-serif`;
+        const textWidth = handle ? this.ctx.measureText(handle).width : 0;
+        const logoWidth = logo ? logoSize * (logo.width / logo.height || 1) : 0;
+        const boxWidth = logoWidth + gap + textWidth;
+        const boxHeight = Math.max(logo ? logoSize : 0, fontSize);
+        const { x, y } = window.brandKitManager.getWatermarkOrigin(
+            brandKit.watermarkPosition, this.baseWidth, this.baseHeight, boxWidth, boxHeight, 20
+        );
+
+        if (logo) {
+            this.ctx.drawImage(logo, x, y + (boxHeight - logoSize) / 2, logoWidth, logoSize);
+        }
+        if (handle) {
+            this.ctx.fillStyle = this.hexToRgba(templateConfig.textColor, 0.72);
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(handle, x + logoWidth + gap, y + boxHeight / 2);
+        }
+        this.ctx.restore();
+    }
+
+    /**
+     * 准备二维码：options.qr 为生成器传入的二维码内容，否则查找正文中的 ```qr 围栏
+     */
+    prepareQrCode(content, templateConfig, options = {}) {
+        const encoder = window.qrEncoder;
+        if (!encoder) return null;
+        const block = options.qr || encoder.findBlock(content);
+        return block ? encoder.prepare(block, templateConfig.qrSlot, options.brandKit) : null;
+    }
+
+    /**
+     * 二维码卡片位置：与角色版式面板的内边距对齐，贴在面板底部
+     */
+    getQrLayout(qrCode) {
+        const k = this.baseHeight / 960;
+        const panelX = Math.round(this.baseWidth * (40 / 540));
+        const padding = Math.round(this.baseWidth * (28 / 540));
+        return window.qrEncoder.layoutBlock(qrCode, {
+            left: panelX + padding,
+            right: this.baseWidth - panelX - padding,
+            bottom: this.baseHeight - Math.round(72 * k) - padding,
+            width: this.baseWidth
+        }, 12);
+    }
+
+    /**
+     * 绘制二维码卡片：白底圆角卡片 + 模板色模块 + 可选中心 Logo + 说明文字
+     */
+    async drawQrCode(qrCode, templateConfig) {
+        const encoder = window.qrEncoder;
+        const layout = this.getQrLayout(qrCode);
+        const color = encoder.getModuleColor([templateConfig.primaryColor, templateConfig.textColor]);
+        const fontFamily = templateConfig.fontFamily || this.systemFontFamily;
+
+        this.ctx.save();
+        this.ctx.shadowColor = 'rgba(15, 23, 42, 0.12)';
+        this.ctx.shadowBlur = 12;
+        this.ctx.shadowOffsetY = 4;
+        this.ctx.fillStyle = '#FFFFFF';
+        this.roundRect(layout.x, layout.y, layout.width, layout.height, templateConfig.radii?.md ?? 12);
+        this.ctx.fill();
+        this.ctx.restore();
+
+        encoder.drawToCanvas(this.ctx, qrCode.qr, layout.qrX, layout.qrY, layout.moduleSize, color, qrCode.logoArea);
+
+        if (qrCode.logoArea) {
+            const logo = await this.loadImage(qrCode.logo).catch(() => null);
+            // Logo 四周留出一个模块宽的白边
+            const offset = (qrCode.logoArea.start + 1) * layout.moduleSize;
+            const size = (qrCode.logoArea.end - qrCode.logoArea.start - 2) * layout.moduleSize;
+            if (logo) {
+                this.ctx.save();
+                this.roundRect(layout.qrX + offset, layout.qrY + offset, size, size, size * 0.2);
+                this.ctx.clip();
+                this.ctx.drawImage(logo, layout.qrX + offset, layout.qrY + offset, size, size);
+                this.ctx.restore();
+            }
+        }
+
+        if (qrCode.caption) {
+            this.ctx.save();
+            this.ctx.font = this.fontLoaded ? `600 12px ${fontFamily}` : '600 12px sans-serif';
+            this.ctx.fillStyle = color;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(this.fitTextToWidth(qrCode.caption, layout.width - layout.padding * 2), layout.x + layout.width / 2, layout.captionY);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * 加载图片
+     */
+    loadImage(src) {
+        return Utils.loadImage(src);
+    }
+
     /**
      * 文本换行
      */
@@ -1636,18 +2400,18 @@ class VisualGenerator {
         const mimeType = mimeMap[format] || 'image/png';
         const qualityValue = quality === 'ultra' ? 1 : quality === 'high' ? 0.92 : 0.82;
 
-        return new Promise((resolve) => {
-            this.canvas.toBlob((blob) => {
-                const url = URL.createObjectURL(blob);
-                resolve({
-                    blob,
-                    url,
-                    width: outputSize.width,
-                    height: outputSize.height,
-                    format
-                });
-            }, mimeType, qualityValue);
-        });
+        // OffscreenCanvas 使用 convertToBlob；Worker 中只返回 Blob，预览 URL 由页面创建
+        const blob = this.canvas.convertToBlob
+            ? await this.canvas.convertToBlob({ type: mimeType, quality: qualityValue })
+            : await new Promise(resolve => this.canvas.toBlob(resolve, mimeType, qualityValue));
+
+        return {
+            blob,
+            url: typeof document !== 'undefined' ? URL.createObjectURL(blob) : null,
+            width: outputSize.width,
+            height: outputSize.height,
+            format
+        };
     }
 
     /**
@@ -0,0 +1,120 @@
+/**
+ * ZIP 打包工具
+ * 纯前端实现的 ZIP（存储模式，不压缩）打包，用于批量导出图片，无需加载外部库
+ */
+
+class ZipBuilder {
+    constructor() {
+        this.crcTable = this.createCrcTable();
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * 生成 CRC32 查找表
+     */
+    createCrcTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+
+    /**
+     * 计算 CRC32
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * 将文件内容统一转换为字节
+     */
+    async toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+        if (typeof data === 'string') return this.encoder.encode(data);
+        return this.encoder.encode(JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * 转换为 DOS 日期时间
+     */
+    toDosDateTime(date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    /**
+     * 打包文件列表
+     * files: [{ name, data }]，data 支持 Blob / ArrayBuffer / Uint8Array / 字符串 / 普通对象（按 JSON 写入）
+     */
+    async build(files = []) {
+        const localParts = [];
+        const centralParts = [];
+        const { time, day } = this.toDosDateTime();
+        let offset = 0;
+
+        for (const file of files) {
+            const nameBytes = this.encoder.encode(String(file.name || 'file'));
+            const dataBytes = await this.toBytes(file.data);
+            const crc = this.crc32(dataBytes);
+
+            // 本地文件头（0x0800 标志位表示文件名为 UTF-8）
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, day, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, dataBytes.length, true);
+            local.setUint32(22, dataBytes.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(local.buffer, nameBytes, dataBytes);
+
+            // 中央目录项
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, day, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, dataBytes.length, true);
+            central.setUint32(24, dataBytes.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(central.buffer, nameBytes);
+
+            offset += 30 + nameBytes.length + dataBytes.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+    }
+}
+
+// 全局ZIP打包实例
+window.zipBuilder = new ZipBuilder();
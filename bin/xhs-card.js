@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/**
+ * 精美卡片命令行工具
+ * 无需浏览器，直接调用 PremiumCardGenerator 的纯 SVG 渲染，将文本 / Markdown 文件输出为 SVG（可选 PNG）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PremiumCardGenerator = require('../assets/js/premium-card-generator.js');
+const ThemeManager = require('../assets/js/theme-manager.js');
+
+const THEMES_FILE = path.join(__dirname, '..', 'templates', 'themes.json');
+
+const DEFAULT_TEMPLATE = 'minimalist-svg';
+const DEFAULT_RATIO = '3:4';
+const DEFAULT_SCALE = 2;
+
+// 未指定 --font 时尝试加载的常见中文字体
+const FALLBACK_FONTS = [
+    '/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc',
+    '/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc',
+    '/usr/share/fonts/google-noto-cjk/NotoSansCJK-Regular.ttc',
+    '/usr/share/fonts/truetype/wqy/wqy-microhei.ttc',
+    '/usr/share/fonts/wenquanyi/wqy-microhei/wqy-microhei.ttc',
+    '/System/Library/Fonts/PingFang.ttc',
+    '/System/Library/Fonts/STHeiti Medium.ttc',
+    'C:\\Windows\\Fonts\\msyh.ttc',
+    'C:\\Windows\\Fonts\\simhei.ttf'
+];
+
+const HELP = `用法: xhs-card <输入文件|-> [选项]
+
+将文本 / Markdown 渲染为小红书精美 SVG 卡片
+
+选项:
+  -t, --template <id>   模板 ID（默认 ${DEFAULT_TEMPLATE}）
+  -r, --ratio <比例>    宽高比（默认 ${DEFAULT_RATIO}）
+  -o, --out <路径>      SVG 输出路径（默认与输入文件同名）
+      --theme <id>      套用 templates/themes.json 中的主题令牌（配色与字体）
+      --variant <id>    主题变体（如 dark、compact、airy），需配合 --theme
+      --brand <文件>    套用网页端导出的品牌套件 JSON（Logo、主辅色、字体、账号水印与收尾页二维码）
+      --png [路径]      同时输出 PNG（需安装 @resvg/resvg-wasm）
+      --scale <倍数>    PNG 像素倍数（默认 ${DEFAULT_SCALE}）
+      --font <文件>     PNG 渲染使用的字体文件，可重复指定
+  -l, --list            列出可用模板、主题与宽高比
+  -h, --help            显示帮助
+`;
+
+/**
+ * 解析命令行参数
+ */
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        template: DEFAULT_TEMPLATE,
+        ratio: DEFAULT_RATIO,
+        out: null,
+        theme: null,
+        variant: null,
+        brand: null,
+        png: false,
+        pngOut: null,
+        scale: DEFAULT_SCALE,
+        fonts: [],
+        list: false,
+        help: false
+    };
+
+    const takeValue = (index, flag) => {
+        const value = argv[index + 1];
+        if (value === undefined || (value.startsWith('-') && value !== '-')) {
+            throw new Error(`参数 ${flag} 缺少取值`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-t':
+            case '--template':
+                options.template = takeValue(i++, arg);
+                break;
+            case '-r':
+            case '--ratio':
+                options.ratio = takeValue(i++, arg);
+                break;
+            case '-o':
+            case '--out':
+                options.out = takeValue(i++, arg);
+                break;
+            case '--theme':
+                options.theme = takeValue(i++, arg);
+                break;
+            case '--variant':
+                options.variant = takeValue(i++, arg);
+                break;
+            case '--brand':
+                options.brand = takeValue(i++, arg);
+                break;
+            case '--png':
+                options.png = true;
+                if (argv[i + 1] && !argv[i + 1].startsWith('-')) {
+                    options.pngOut = argv[++i];
+                }
+                break;
+            case '--scale':
+                options.scale = Number(takeValue(i++, arg));
+                if (!Number.isFinite(options.scale) || options.scale <= 0 || options.scale > 8) {
+                    throw new Error('--scale 需为 0 到 8 之间的数字');
+                }
+                break;
+            case '--font':
+                options.fonts.push(takeValue(i++, arg));
+                break;
+            case '-l':
+            case '--list':
+                options.list = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`未知参数: ${arg}`);
+                }
+                if (options.input) {
+                    throw new Error('只能指定一个输入文件');
+                }
+                options.input = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 读取输入内容（"-" 表示标准输入）
+ */
+function readInput(input) {
+    const content = fs.readFileSync(input === '-' ? 0 : input, 'utf8').replace(/^\uFEFF/, '').trim();
+    if (!content) {
+        throw new Error('输入内容为空');
+    }
+    return content;
+}
+
+/**
+ * 去除卡片不支持的 Markdown 语法（图片、链接），标题、列表、粗体等交给生成器的 Markdown 解析器处理
+ */
+function stripMarkdown(text) {
+    return text
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * 推导默认输出路径
+ */
+function resolveOutputPath(options, extension) {
+    if (extension === '.svg' && options.out) return options.out;
+    if (extension === '.png' && options.pngOut) return options.pngOut;
+
+    const base = options.out
+        ? options.out.replace(/\.svg$/i, '')
+        : (options.input === '-' ? 'card' : options.input.replace(/\.[^./\\]+$/, ''));
+    return `${base}${extension}`;
+}
+
+/**
+ * 从 templates/themes.json 加载主题管理器
+ */
+function loadThemes() {
+    const themeManager = new ThemeManager();
+    themeManager.loadFromData(JSON.parse(fs.readFileSync(THEMES_FILE, 'utf8')));
+    return themeManager;
+}
+
+/**
+ * 按 ID 获取主题令牌（可指定变体）
+ */
+function resolveTheme(themeId, variant = null) {
+    const themeManager = loadThemes();
+    const theme = themeManager.getTheme(themeId, variant);
+    if (!theme) {
+        throw new Error(`主题 ${themeId} 不存在，可用主题: ${themeManager.list().map(item => item.id).join(', ')}`);
+    }
+    if (variant && theme.variant !== variant) {
+        throw new Error(`主题 ${themeId} 没有变体 ${variant}，可用变体: ${themeManager.listVariants(themeId).map(item => item.id).join(', ')}`);
+    }
+    return theme;
+}
+
+/**
+ * 读取品牌套件 JSON（网页端「品牌套件 → 导出」生成）
+ */
+function loadBrandKit(file) {
+    let kit;
+    try {
+        kit = JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`品牌套件读取失败: ${error.message}`);
+    }
+    if (!kit || typeof kit !== 'object' || Array.isArray(kit)) {
+        throw new Error('品牌套件格式无效：应为 JSON 对象');
+    }
+
+    const isColor = (value) => /^#[0-9a-f]{6}$/i.test(String(value || ''));
+    const handle = String(kit.handle || '').trim().replace(/^@+/, '').slice(0, 30);
+    return {
+        name: String(kit.name || '').trim(),
+        logo: typeof kit.logo === 'string' && kit.logo.startsWith('data:image/') ? kit.logo : '',
+        primaryColor: isColor(kit.primaryColor) ? kit.primaryColor.toUpperCase() : '',
+        secondaryColor: isColor(kit.secondaryColor) ? kit.secondaryColor.toUpperCase() : '',
+        fontFamily: String(kit.fontFamily || '').trim(),
+        handle: handle ? `@${handle}` : '',
+        watermarkPosition: kit.watermarkPosition || 'bottom-right',
+        qrText: String(kit.qrText || '').trim(),
+        qrCaption: String(kit.qrCaption || '').trim(),
+        qrLogo: kit.qrLogo === true
+    };
+}
+
+/**
+ * 渲染 SVG 字符串
+ */
+function renderSvg(generator, content, templateId, ratio, theme = null, brandKit = null) {
+    const template = generator.cardTemplates.get(templateId);
+    if (!template) {
+        throw new Error(`模板 ${templateId} 不存在，可用模板: ${Array.from(generator.cardTemplates.keys()).join(', ')}`);
+    }
+
+    const dims = PremiumCardGenerator.DIMENSIONS[ratio];
+    if (!dims) {
+        throw new Error(`不支持的宽高比 ${ratio}，可用: ${Object.keys(PremiumCardGenerator.DIMENSIONS).join(', ')}`);
+    }
+
+    const analysis = generator.analyzeContent(content);
+    // 单张卡片即收尾页：正文没有 ```qr 围栏时使用品牌套件的默认二维码
+    const qr = generator.qrEncoder.resolve(content, brandKit);
+    const svg = generator.createPremiumSVG(analysis, template, dims.width, dims.height, { aspectRatio: ratio, theme, brandKit, qr });
+    return { svg, analysis, ...dims };
+}
+
+/**
+ * 收集 PNG 渲染字体
+ */
+function loadFontBuffers(fonts) {
+    const files = fonts.length > 0 ? fonts : FALLBACK_FONTS.filter(file => fs.existsSync(file));
+    if (fonts.length === 0 && files.length === 0) {
+        console.warn('⚠️ 未找到中文字体，PNG 中的文字可能无法显示，请使用 --font 指定字体文件');
+    }
+    return files.map(file => {
+        if (!fs.existsSync(file)) {
+            throw new Error(`字体文件不存在: ${file}`);
+        }
+        return new Uint8Array(fs.readFileSync(file));
+    });
+}
+
+/**
+ * 使用 resvg（WebAssembly）将 SVG 光栅化为 PNG
+ */
+async function rasterizeSvg(svg, width, scale, fonts) {
+    let resvg;
+    try {
+        resvg = require('@resvg/resvg-wasm');
+    } catch (error) {
+        throw new Error('输出 PNG 需要安装 @resvg/resvg-wasm：npm install @resvg/resvg-wasm');
+    }
+
+    await resvg.initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+
+    const renderer = new resvg.Resvg(svg, {
+        fitTo: { mode: 'width', value: Math.round(width * scale) },
+        background: '#FFFFFF',
+        font: { fontBuffers: loadFontBuffers(fonts) }
+    });
+    const image = renderer.render();
+    const png = image.asPng();
+    image.free();
+    renderer.free();
+    return png;
+}
+
+/**
+ * 写入文件（自动创建目录）
+ */
+function writeOutput(file, data) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, data);
+}
+
+/**
+ * 打印模板与尺寸列表
+ */
+function printList(generator) {
+    console.log('模板:');
+    generator.cardTemplates.forEach(template => {
+        console.log(`  ${template.id.padEnd(22)}${template.name} - ${template.description}`);
+    });
+    console.log('\n主题（--theme）:');
+    const themeManager = loadThemes();
+    themeManager.list().forEach(theme => {
+        const variants = themeManager.listVariants(theme.id).map(item => item.id).join(' / ');
+        console.log(`  ${theme.id.padEnd(28)}${theme.name}${variants ? `（变体: ${variants}）` : ''}`);
+    });
+    console.log('\n宽高比:');
+    Object.entries(PremiumCardGenerator.DIMENSIONS).forEach(([ratio, dims]) => {
+        console.log(`  ${ratio.padEnd(22)}${dims.width}×${dims.height}`);
+    });
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    const generator = new PremiumCardGenerator();
+
+    if (options.help) {
+        console.log(HELP);
+        return;
+    }
+    if (options.list) {
+        printList(generator);
+        return;
+    }
+    if (!options.input) {
+        throw new Error('请指定输入文件（或使用 - 从标准输入读取），--help 查看用法');
+    }
+
+    const content = stripMarkdown(readInput(options.input));
+    if (options.variant && !options.theme) {
+        throw new Error('--variant 需要与 --theme 一起使用');
+    }
+    const theme = options.theme ? resolveTheme(options.theme, options.variant) : null;
+    const brandKit = options.brand ? loadBrandKit(options.brand) : null;
+    const { svg, analysis, width, height } = renderSvg(generator, content, options.template, options.ratio, theme, brandKit);
+
+    const svgPath = resolveOutputPath(options, '.svg');
+    writeOutput(svgPath, svg);
+    console.log(`✅ SVG 已生成: ${svgPath}（${options.template}${theme ? ` + ${theme.id}${theme.variant ? `:${theme.variant}` : ''}` : ''}${brandKit ? ` + 品牌「${brandKit.name || brandKit.handle}」` : ''}，${width}×${height}，标题「${analysis.title}」）`);
+
+    if (options.png) {
+        const png = await rasterizeSvg(svg, width, options.scale, options.fonts);
+        const pngPath = resolveOutputPath(options, '.png');
+        writeOutput(pngPath, png);
+        console.log(`✅ PNG 已生成: ${pngPath}（${Math.round(width * options.scale)}×${Math.round(height * options.scale)}）`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, stripMarkdown, loadBrandKit, renderSvg, rasterizeSvg, main };